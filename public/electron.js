@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, shell, nativeImage, Menu, Tray, dialog, webContents, powerMonitor, screen, globalShortcut, powerSaveBlocker, session } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, nativeImage, Menu, Tray, dialog, webContents, powerMonitor, screen, globalShortcut, powerSaveBlocker, session, clipboard } = require('electron');
 const path = require('path');
 const zlib = require('zlib');
 const util = require('util');
@@ -10,28 +10,51 @@ const isDev = require('electron-is-dev');
 const { autoUpdater } = require('electron-updater');
 const Store = require('electron-store');
 const fs = require('fs-extra');
-const { Notification } = require('electron');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const DatabaseService = require('./services/DatabaseService');
 const viewManager = require('./services/ViewManager');
 const overlayWindow = require('./services/OverlayWindow');
+const loginTester = require('./services/LoginTester');
 const { shouldOpenExternally } = require('./services/externalLinks');
+const { SHARED_PARTITION, getIsolatedPartitions, isValidPartition } = require('./services/sessionPartitions');
+const { encodeBundle, decodeBundle, summarizeBundle, BUNDLE_EXTENSION } = require('./services/dataBundle');
+const { buildCalendar, parseCalendar, ICS_EXTENSION } = require('./services/icsCalendar');
+const { encodeDocumentPackage, decodeDocumentPackage, sanitizeDocumentName, PACKAGE_EXTENSION } = require('./services/documentPackage');
 const credentialStore = require('./services/CredentialStore');
+const localCredentialVault = require('./services/LocalCredentialVault');
+const reminderScheduler = require('./services/ReminderScheduler');
+const secureVault = require('./services/SecureVault');
+const secureTempJournal = require('./services/SecureTempJournal');
+const totp = require('./services/totp');
 
 // Update check interval (15 minutes)
 const UPDATE_CHECK_INTERVAL = 15 * 60 * 1000;
 let updateCheckTimer;
 
+// Backup check interval (1 hour) — DatabaseService decides whether a snapshot is due
+const BACKUP_CHECK_INTERVAL = 60 * 60 * 1000;
+let backupCheckTimer;
+
+// System-wide shortcut for the quick-add todo input (works while the app is in the background)
+const QUICK_ADD_SHORTCUT = 'CommandOrControl+Alt+A';
+
 // Track sessions that already have the will-download handler to prevent duplicates.
 const downloadHandlerSessions = new WeakSet();
 
 // Central registry for secure-file cleanup handlers.
 // Using a Set ensures each handler is only registered once and allows removal.
+// They run on quit and when the secure documents vault locks.
 const secureFileCleanups = new Set();
-app.on('before-quit', () => {
-  secureFileCleanups.forEach(fn => fn());
+
+function runSecureFileCleanups() {
+  const cleanups = [...secureFileCleanups];
   secureFileCleanups.clear();
+  return Promise.all(cleanups.map(fn => fn()));
+}
+
+app.on('before-quit', () => {
+  runSecureFileCleanups();
 });
 
 // Single instance lock
@@ -231,6 +254,13 @@ if (dbPathArg) {
   }
 }
 
+// Where credentials live: keychain, the local vault the user set up in the
+// settings, or the database fallback alone when there is no keychain. Must be
+// configured before DatabaseService reads the password on construction.
+const CREDENTIAL_BACKEND_KEY = 'credentialBackend';
+localCredentialVault.init({ filePath: path.join(app.getPath('userData'), 'credential-vault.enc') });
+credentialStore.configure({ preferred: store.get(CREDENTIAL_BACKEND_KEY), vault: localCredentialVault });
+
 // Initialize database service
 const db = new DatabaseService();
 
@@ -595,6 +625,9 @@ async function createWindow() {
       preload: path.join(__dirname, 'preload.js'),
       webviewTag: true,
       webSecurity: true,
+      // Eingebauter PDF-Viewer für die Vorschau sicherer Dokumente
+      // (SecureDocumentPreview zeigt PDFs als blob:-URL in einem iframe)
+      plugins: true,
       partition: 'persist:main',
       additionalArguments: [
         `--webview-preload-script=${path.join(__dirname, 'webview-preload.js')}`
@@ -849,7 +882,7 @@ async function createWindow() {
   });
 }
 
-async function createWebviewWindow(url, title) {
+async function createWebviewWindow(url, title, partition = SHARED_PARTITION) {
   // Get current theme from settings
   const { settings } = await db.getSettings();
   const theme = settings?.theme || globalTheme;
@@ -882,10 +915,13 @@ async function createWebviewWindow(url, title) {
     win.webContents.openDevTools();
   }
 
-  // Load URL with current theme
+  // Load URL with current theme. Die Partition bestimmt die Session des
+  // <webview> im Fenster — Popups einer isolierten App brauchen deren Login.
+  const query = `url=${encodeURIComponent(url)}&theme=${theme}` +
+    `&partition=${encodeURIComponent(isValidPartition(partition) ? partition : SHARED_PARTITION)}`;
   const urlWithTheme = isDev
-    ? `http://localhost:3000/webview.html?url=${encodeURIComponent(url)}&theme=${theme}`
-    : `file://${path.join(__dirname, '../build/webview.html')}?url=${encodeURIComponent(url)}&theme=${theme}`;
+    ? `http://localhost:3000/webview.html?${query}`
+    : `file://${path.join(__dirname, '../build/webview.html')}?${query}`;
   
   win.loadURL(urlWithTheme);
 
@@ -901,6 +937,23 @@ async function createWebviewWindow(url, title) {
   return win;
 }
 
+// Partition, zu der eine Session gehört. Apps mit eigener Partition sind in
+// den Einstellungen hinterlegt; session.fromPartition() liefert für denselben
+// Namen immer dieselbe Session, daher genügt der Vergleich.
+function getPartitionOfSession(ses) {
+  const modes = db.store.get('sessionPartitions');
+  const match = getIsolatedPartitions(modes).find(partition => session.fromPartition(partition) === ses);
+  return match || SHARED_PARTITION;
+}
+
+// Prevent Google CDN downloads, use system/OS dictionaries
+function configureSpellChecker(ses) {
+  ses.setSpellCheckerDictionaryDownloadURL('https://localhost/disabled');
+  if (process.platform !== 'darwin') {
+    ses.setSpellCheckerLanguages(['de', 'en-GB']);
+  }
+}
+
 async function getCredentials(service, account) {
   try {
     // Liest aus dem gebündelten Keychain-Eintrag (siehe CredentialStore) —
@@ -979,6 +1032,58 @@ ipcMain.handle('reencrypt-data', async (event, { oldPassword, newPassword }) =>
   }
 });
 
+// "Passwort geändert" assistant: the school password doubles as the database
+// key, so storing a new one without re-encrypting locks the user out of their
+// own data. Re-encrypt first, then write the keychain; a keychain failure
+// rolls the database back to the old key. The old key is the one the
+// database is open with, not the keychain value: with the database-only
+// backend the keychain may know nothing yet. Without a known key the data
+// could not be re-encrypted, so the change is refused.
+// `accounts` are further default-profile fields that take the new password
+// as well (e.g. a BigBlueButton password that matched the old one).
+ipcMain.handle('change-main-password', async (event, { newPassword, accounts = [] }) => {
+  const service = 'bbzcloud';
+  try {
+    if (!newPassword) {
+      throw new Error('Das neue Passwort darf nicht leer sein');
+    }
+    const oldPassword = db.getEncryptionKey();
+    if (!oldPassword) {
+      throw new Error('Das bisherige Passwort ist noch nicht freigeschaltet. Bitte starten Sie BBZCloud neu und geben Sie zuerst das alte Passwort ein.');
+    }
+    const reencrypt = oldPassword !== newPassword;
+    if (reencrypt) {
+      await db.reencryptData(oldPassword, newPassword);
+    }
+
+    const values = { password: newPassword };
+    for (const account of accounts) {
+      values[account] = newPassword;
+    }
+    try {
+      await credentialStore.setMany(service, values);
+    } catch (error) {
+      if (reencrypt) {
+        await db.reencryptData(newPassword, oldPassword);
+      }
+      throw error;
+    }
+
+    db.setEncryptionKey(newPassword);
+    for (const [account, value] of Object.entries(values)) {
+      try {
+        await db.saveCredential(service, account, value);
+      } catch (dbError) {
+        console.warn(`[Credentials] DB fallback save failed for ${account}:`, dbError.message);
+      }
+    }
+    return { success: true, reencrypted: reencrypt };
+  } catch (error) {
+    console.error('Error changing main password:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('change-database-location', async (event) => {
   try {
     const result = await dialog.showOpenDialog(mainWindow, {
@@ -1048,6 +1153,149 @@ ipcMain.handle('change-database-location', async (event) => {
   }
 });
 
+// Database backup handlers
+async function runScheduledBackup() {
+  try {
+    const backup = await db.runScheduledBackup();
+    if (backup) {
+      console.log('[Backup] Scheduled backup created:', backup.name);
+    }
+  } catch (error) {
+    console.error('[Backup] Scheduled backup failed:', error);
+  }
+}
+
+ipcMain.handle('list-database-backups', async () => {
+  try {
+    const backups = await db.listBackups();
+    return { success: true, backups, settings: db.getBackupSettings() };
+  } catch (error) {
+    console.error('Error listing database backups:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('create-database-backup', async () => {
+  try {
+    const backup = await db.createBackup();
+    return { success: true, backup };
+  } catch (error) {
+    console.error('Error creating database backup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('restore-database-backup', async (event, { name }) => {
+  try {
+    await db.restoreBackup(name);
+    return { success: true };
+  } catch (error) {
+    console.error('Error restoring database backup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('update-backup-settings', async (event, { keep, resetDirectory } = {}) => {
+  try {
+    const settings = await db.updateBackupSettings({
+      keep,
+      directory: resetDirectory ? null : undefined
+    });
+    return { success: true, settings };
+  } catch (error) {
+    console.error('Error updating backup settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('choose-backup-directory', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openDirectory', 'createDirectory'],
+      title: 'Wählen Sie einen Ordner für die Backups'
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false };
+    }
+    const settings = await db.updateBackupSettings({ directory: result.filePaths[0] });
+    return { success: true, settings };
+  } catch (error) {
+    console.error('Error choosing backup directory:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Data export/import handlers (moving to a new machine)
+ipcMain.handle('export-data-bundle', async (event, { password, navigationButtons }) => {
+  try {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Daten exportieren',
+      defaultPath: `bbzcloud-export-${new Date().toISOString().slice(0, 10)}.${BUNDLE_EXTENSION}`,
+      filters: [{ name: 'BBZCloud-Export', extensions: [BUNDLE_EXTENSION] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false };
+    }
+
+    // Secure documents are stored encrypted with the document password (vault
+    // or keychain); a locked vault fails the export instead of dropping them
+    const documentPassword = await getDocumentPassword().catch((error) => {
+      if (secureVault.isLockedError(error)) throw error;
+      return null;
+    });
+    const data = await db.exportData(documentPassword);
+    data.navigationButtons = navigationButtons || null;
+
+    await fs.writeFile(result.filePath, encodeBundle(data, password, { appVersion: app.getVersion() }), 'utf8');
+    return { success: true, path: result.filePath, summary: summarizeBundle(data) };
+  } catch (error) {
+    console.error('Error exporting data bundle:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('choose-data-bundle', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Daten importieren',
+      properties: ['openFile'],
+      filters: [{ name: 'BBZCloud-Export', extensions: [BUNDLE_EXTENSION] }]
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false };
+    }
+    return { success: true, filePath: result.filePaths[0] };
+  } catch (error) {
+    console.error('Error choosing data bundle:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('preview-data-bundle', async (event, { filePath, password }) => {
+  try {
+    const { meta, data } = decodeBundle(await fs.readFile(filePath, 'utf8'), password);
+    return { success: true, meta, summary: summarizeBundle(data) };
+  } catch (error) {
+    console.error('Error previewing data bundle:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('import-data-bundle', async (event, { filePath, password, mode }) => {
+  try {
+    const { data } = decodeBundle(await fs.readFile(filePath, 'utf8'), password);
+    const documentPassword = await getDocumentPassword().catch((error) => {
+      if (secureVault.isLockedError(error)) throw error;
+      return null;
+    });
+    const summary = await db.importData(data, { mode, documentPassword });
+    return { success: true, summary };
+  } catch (error) {
+    console.error('Error importing data bundle:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Todo related IPC handlers
 ipcMain.handle('get-todo-state', async () => {
   try {
@@ -1071,6 +1319,7 @@ ipcMain.handle('get-todo-state', async () => {
 ipcMain.handle('save-todo-state', async (event, todoState) => {
   try {
     await db.saveTodoState(todoState);
+    reminderScheduler.requestSync();
     return { success: true };
   } catch (error) {
     console.error('Error saving todo state:', error);
@@ -1078,104 +1327,93 @@ ipcMain.handle('save-todo-state', async (event, todoState) => {
   }
 });
 
-// Store active notification timeouts
-const activeNotifications = new Map();
+ipcMain.handle('search-todos', async (event, query) => {
+  try {
+    const ids = await db.searchTodos(query);
+    return { success: true, ids };
+  } catch (error) {
+    console.error('Error searching todos:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-ipcMain.handle('schedule-notification', async (event, { title, body, when }) => {
+// Calendar export/import. The renderer passes its current todos and adds
+// imported ones itself, since saveTodoState replaces the whole table.
+ipcMain.handle('export-todos-ics', async (event, { todos, component }) => {
   try {
-    console.log('[Notification] Scheduling notification:', { title, body, when, currentTime: Date.now() });
-    
-    const delay = when - Date.now();
-    
-    // If the time is in the past or very close (within 1 minute), show immediately
-    if (delay <= 60000) {
-      console.log('[Notification] Showing notification immediately (past due or very soon)');
-      const notification = new Notification({
-        title,
-        body,
-        silent: false
-      });
-      notification.show();
-      
-      // Show notification action handlers
-      notification.on('click', () => {
-        // Bring main window to focus when notification is clicked
-        if (mainWindow) {
-          if (mainWindow.isMinimized()) {
-            mainWindow.restore();
-          }
-          mainWindow.show();
-          mainWindow.focus();
-        }
-      });
-    } else {
-      // Schedule for future
-      console.log('[Notification] Scheduling for future:', `${Math.round(delay / 1000)}s from now`);
-      
-      const notificationId = `${title}-${when}`;
-      
-      // Clear any existing notification with the same ID
-      if (activeNotifications.has(notificationId)) {
-        clearTimeout(activeNotifications.get(notificationId));
-      }
-      
-      const timeoutId = setTimeout(() => {
-        console.log('[Notification] Showing scheduled notification:', title);
-        const notification = new Notification({
-          title,
-          body,
-          silent: false
-        });
-        notification.show();
-        
-        notification.on('click', () => {
-          // Bring main window to focus when notification is clicked
-          if (mainWindow) {
-            if (mainWindow.isMinimized()) {
-              mainWindow.restore();
-            }
-            mainWindow.show();
-            mainWindow.focus();
-          }
-        });
-        
-        // Clean up from active notifications map
-        activeNotifications.delete(notificationId);
-      }, delay);
-      
-      // Store the timeout ID for cleanup
-      activeNotifications.set(notificationId, timeoutId);
+    const { content, count } = buildCalendar(todos, { component });
+    if (count === 0) {
+      return { success: false, error: 'Keine Aufgaben mit Fälligkeit oder Erinnerung vorhanden' };
     }
 
-    return { success: true };
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Aufgaben als Kalender exportieren',
+      defaultPath: `bbzcloud-aufgaben-${new Date().toISOString().slice(0, 10)}.${ICS_EXTENSION}`,
+      filters: [{ name: 'iCalendar', extensions: [ICS_EXTENSION] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false };
+    }
+
+    await fs.writeFile(result.filePath, content, 'utf8');
+    return { success: true, path: result.filePath, count };
   } catch (error) {
-    console.error('Error scheduling notification:', error);
+    console.error('Error exporting todos as ICS:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Clean up notifications on app quit
-app.on('before-quit', () => {
-  console.log('[Notification] Cleaning up active notifications');
-  activeNotifications.forEach((timeoutId) => {
-    clearTimeout(timeoutId);
-  });
-  activeNotifications.clear();
+ipcMain.handle('import-todos-ics', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Kalender importieren',
+      properties: ['openFile'],
+      filters: [{ name: 'iCalendar', extensions: [ICS_EXTENSION] }]
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false };
+    }
+
+    const items = parseCalendar(await fs.readFile(result.filePaths[0], 'utf8'));
+    return { success: true, fileName: path.basename(result.filePaths[0]), items };
+  } catch (error) {
+    console.error('Error importing ICS file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Reminders are owned by ReminderScheduler, which reads them from the todos
+// table. The renderer still calls this after setting a reminder; the todo
+// itself reaches the database with the next (debounced) save, so we only
+// ask the scheduler to re-read.
+ipcMain.handle('schedule-notification', async (event, { title, when }) => {
+  try {
+    console.log('[Notification] Reminder set:', { title, when });
+    reminderScheduler.requestSync();
+    return { success: true };
+  } catch (error) {
+    console.error('Error scheduling notification:', error);
+    return { success: false, error: error.message };
+  }
 });
 
-ipcMain.handle('save-credentials', async (event, { service, account, password }) => {
+// `profile` selects a credential profile (see CredentialStore), default profile when omitted
+ipcMain.handle('save-credentials', async (event, { service, account, password, profile }) => {
   try {
+    const key = credentialStore.profileAccount(account, profile);
+
     // Always save to keytar (primary storage)
-    await credentialStore.set(service, account, password);
+    await credentialStore.set(service, key, password);
 
     // Also save to database as encrypted fallback
     try {
       // If saving the password account, set it as encryption key first
-      // so that subsequent credential saves in the same batch succeed
-      if (account === 'password') {
+      // so that subsequent credential saves in the same batch succeed.
+      // Only the default profile's password is the encryption key.
+      if (key === 'password') {
         db.setEncryptionKey(password);
       }
-      await db.saveCredential(service, account, password);
+      await db.saveCredential(service, key, password);
     } catch (dbError) {
       // Log but don't fail if DB save doesn't work (e.g. encryption key not set yet)
       console.warn('[Credentials] DB fallback save failed:', dbError.message);
@@ -1188,14 +1426,16 @@ ipcMain.handle('save-credentials', async (event, { service, account, password })
   }
 });
 
-ipcMain.handle('delete-credentials', async (event, { service, account }) => {
+ipcMain.handle('delete-credentials', async (event, { service, account, profile }) => {
   try {
+    const key = credentialStore.profileAccount(account, profile);
+
     // Delete from keytar
-    await credentialStore.remove(service, account);
+    await credentialStore.remove(service, key);
 
     // Also delete from database fallback
     try {
-      await db.deleteCredential(service, account);
+      await db.deleteCredential(service, key);
     } catch (dbError) {
       console.warn('[Credentials] DB fallback delete failed:', dbError.message);
     }
@@ -1211,17 +1451,19 @@ ipcMain.on('update-badge', (event, badgeValue) => {
   updateBadge(badgeValue);
 });
 
-ipcMain.handle('get-credentials', async (event, { service, account }) => {
+ipcMain.handle('get-credentials', async (event, { service, account, profile }) => {
   try {
+    const key = credentialStore.profileAccount(account, profile);
+
     // Try keytar first (primary storage)
-    const password = await getCredentials(service, account);
+    const password = await getCredentials(service, key);
     if (password) {
       return { success: true, password, fromDb: false };
     }
     
     // Fallback: try database
     try {
-      const dbValue = await db.getCredential(service, account);
+      const dbValue = await db.getCredential(service, key);
       if (dbValue) {
         return { success: true, password: dbValue, fromDb: true };
       }
@@ -1236,6 +1478,154 @@ ipcMain.handle('get-credentials', async (event, { service, account }) => {
   }
 });
 
+// Credential profiles: several accounts for the same apps, chosen per app in the settings
+ipcMain.handle('list-credential-profiles', async (event, { service }) => {
+  try {
+    return { success: true, profiles: await credentialStore.getProfiles(service) };
+  } catch (error) {
+    console.error('Error listing credential profiles:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-credential-profile', async (event, { service, id, name }) => {
+  try {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Profilname darf nicht leer sein');
+    }
+    const profile = { id: id || uuidv4(), name: trimmed };
+    const profiles = await credentialStore.saveProfile(service, profile);
+    try {
+      await db.saveCredential(service, credentialStore.PROFILES_ACCOUNT, JSON.stringify(profiles));
+    } catch (dbError) {
+      console.warn('[Credentials] DB fallback save failed:', dbError.message);
+    }
+    return { success: true, profile };
+  } catch (error) {
+    console.error('Error saving credential profile:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-credential-profile', async (event, { service, id }) => {
+  try {
+    const removed = await credentialStore.removeProfile(service, id);
+    try {
+      const profiles = (await credentialStore.getProfiles(service))
+        .filter(profile => profile.id !== credentialStore.DEFAULT_PROFILE);
+      await db.saveCredential(service, credentialStore.PROFILES_ACCOUNT, JSON.stringify(profiles));
+      for (const key of removed) {
+        await db.deleteCredential(service, key);
+      }
+    } catch (dbError) {
+      console.warn('[Credentials] DB fallback delete failed:', dbError.message);
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting credential profile:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// TOTP secrets for two-factor logins. The secrets stay in the main process,
+// the renderer only ever gets the current code.
+async function saveTotpSecrets(service, appId, entry) {
+  const secrets = await credentialStore.setTotpSecret(service, appId, entry);
+  try {
+    await db.saveCredential(service, credentialStore.TOTP_ACCOUNT, JSON.stringify(secrets));
+  } catch (dbError) {
+    console.warn('[Credentials] DB fallback save failed:', dbError.message);
+  }
+}
+
+ipcMain.handle('list-totp-secrets', async (event, { service }) => {
+  try {
+    const secrets = await credentialStore.getTotpSecrets(service);
+    const apps = Object.entries(secrets).map(([appId, entry]) => ({ appId, label: entry.label || '' }));
+    return { success: true, apps };
+  } catch (error) {
+    console.error('Error listing TOTP secrets:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-totp-secret', async (event, { service, appId, secret }) => {
+  try {
+    if (!appId) {
+      throw new Error('Keine App angegeben');
+    }
+    const entry = totp.parseSecret(secret);
+    await saveTotpSecrets(service, appId, entry);
+    return { success: true, app: { appId, label: entry.label } };
+  } catch (error) {
+    console.error('Error saving TOTP secret:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-totp-secret', async (event, { service, appId }) => {
+  try {
+    await saveTotpSecrets(service, appId, null);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting TOTP secret:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+async function getTotpCode(service, appId) {
+  const entry = (await credentialStore.getTotpSecrets(service))[appId];
+  if (!entry) {
+    throw new Error('Kein TOTP-Schlüssel hinterlegt');
+  }
+  return totp.generateCode(entry);
+}
+
+ipcMain.handle('get-totp-code', async (event, { service, appId }) => {
+  try {
+    return { success: true, ...(await getTotpCode(service, appId)) };
+  } catch (error) {
+    console.error('Error generating TOTP code:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Copied here rather than in the renderer: the command palette runs in the
+// overlay window, so the main window may not have focus for navigator.clipboard
+ipcMain.handle('copy-totp-code', async (event, { service, appId }) => {
+  try {
+    const { code, remaining } = await getTotpCode(service, appId);
+    clipboard.writeText(code);
+    return { success: true, remaining };
+  } catch (error) {
+    console.error('Error copying TOTP code:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Locally maintained login recipes, merged over the built-in ones by the
+// renderer (format: src/utils/builtinLoginRecipes.json). Lets a changed login
+// page be fixed without a new release.
+const LOGIN_RECIPES_FILE = 'login-recipes.json';
+
+ipcMain.handle('get-login-recipe-overrides', async () => {
+  const filePath = path.join(app.getPath('userData'), LOGIN_RECIPES_FILE);
+  try {
+    if (!(await fs.pathExists(filePath))) {
+      return { success: true, recipes: {}, path: filePath };
+    }
+    const recipes = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (!recipes || typeof recipes !== 'object' || Array.isArray(recipes)) {
+      throw new Error('Die Datei muss ein Objekt mit einem Rezept pro App-ID enthalten');
+    }
+    return { success: true, recipes, path: filePath };
+  } catch (error) {
+    console.error('Error reading login recipes:', error);
+    return { success: false, error: error.message, path: filePath };
+  }
+});
+
 // Check if database has stored credentials for a service
 ipcMain.handle('has-db-credentials', async (event, { service }) => {
   try {
@@ -1258,6 +1648,70 @@ ipcMain.handle('set-db-encryption-key', async (event, { password }) => {
   }
 });
 
+// Credential backend status for the settings and the startup dialog
+ipcMain.handle('get-credential-backend', async () => {
+  try {
+    return { success: true, ...(await credentialStore.getBackendStatus()) };
+  } catch (error) {
+    console.error('Error in get-credential-backend:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Unlock the local vault at startup. Its main password becomes the database
+// key, which setupEncryption could not read while the vault was locked.
+ipcMain.handle('unlock-credential-vault', async (event, { password }) => {
+  try {
+    await localCredentialVault.unlock(password);
+    credentialStore.invalidate();
+    const mainPassword = await credentialStore.get('bbzcloud', 'password');
+    if (mainPassword) {
+      db.setEncryptionKey(mainPassword);
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error in unlock-credential-vault:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Move the credentials into a new local vault. Without keychain the fields
+// may only exist in the database fallback, so that is merged in first.
+ipcMain.handle('enable-credential-vault', async (event, { masterPassword }) => {
+  const service = 'bbzcloud';
+  try {
+    if (!masterPassword) {
+      throw new Error('Das Master-Passwort darf nicht leer sein');
+    }
+    let dbCredentials = {};
+    try {
+      dbCredentials = await db.getAllCredentials(service);
+    } catch (dbError) {
+      console.warn('[Credentials] DB fallback read failed:', dbError.message);
+    }
+    const bundle = { ...dbCredentials, ...(await credentialStore.getAll(service)) };
+    await credentialStore.switchToVault(masterPassword, { [service]: bundle });
+    store.set(CREDENTIAL_BACKEND_KEY, credentialStore.BACKENDS.VAULT);
+    return { success: true, count: Object.keys(bundle).length };
+  } catch (error) {
+    console.error('Error in enable-credential-vault:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Back to the keychain once it is available again; the vault file is
+// securely deleted afterwards
+ipcMain.handle('move-credentials-to-keychain', async () => {
+  try {
+    const count = await credentialStore.switchToKeychain(secureDelete);
+    store.set(CREDENTIAL_BACKEND_KEY, credentialStore.BACKENDS.KEYCHAIN);
+    return { success: true, count };
+  } catch (error) {
+    console.error('Error in move-credentials-to-keychain:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Restore all credentials from DB to keytar (used after successful DB decryption)
 ipcMain.handle('restore-credentials-from-db', async (event, { service }) => {
   try {
@@ -1276,8 +1730,50 @@ ipcMain.handle('restore-credentials-from-db', async (event, { service }) => {
   }
 });
 
-ipcMain.handle('open-external-window', async (event, { url, title }) => {
-  createWebviewWindow(url, title);
+ipcMain.handle('open-external-window', async (event, { url, title, partition }) => {
+  createWebviewWindow(url, title, partition);
+});
+
+// Was "Daten löschen" in den Einstellungen je Partition entfernt
+const SESSION_STORAGES = ['localstorage', 'indexdb', 'serviceworkers', 'cachestorage', 'filesystem', 'websql'];
+
+ipcMain.handle('clear-session-data', async (event, { partition, kind }) => {
+  try {
+    if (!isValidPartition(partition)) {
+      throw new Error('Unbekannte Partition');
+    }
+    const ses = session.fromPartition(partition);
+    switch (kind) {
+      case 'cookies':
+        await ses.clearStorageData({ storages: ['cookies'] });
+        break;
+      case 'cache':
+        await ses.clearCache();
+        break;
+      case 'storage': {
+        // Das Hauptfenster läuft selbst in der geteilten Partition — sein
+        // localStorage (Farbschema u. a.) wird gesichert und zurückgeschrieben,
+        // gelöscht werden nur die Daten der Apps
+        const keepShell = partition === SHARED_PARTITION && mainWindow && !mainWindow.isDestroyed();
+        const shellStorage = keepShell
+          ? await mainWindow.webContents.executeJavaScript('JSON.stringify(Object.entries(localStorage))')
+          : null;
+        await ses.clearStorageData({ storages: SESSION_STORAGES });
+        if (shellStorage) {
+          await mainWindow.webContents.executeJavaScript(
+            `JSON.parse(${JSON.stringify(shellStorage)}).forEach(([key, value]) => localStorage.setItem(key, value))`
+          );
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unbekannte Datenart: ${kind}`);
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error clearing session data:', error);
+    return { success: false, error: error.message };
+  }
 });
 
 ipcMain.handle('inject-js', async (event, { webviewId, code }) => {
@@ -1814,7 +2310,7 @@ app.on('web-contents-created', (event, contents) => {
   // Handle all new windows with our webview wrapper
   if (!url.includes('about:blank')) {
     // Create window with the same session
-    createWebviewWindow(url, 'BBZCloud');
+    createWebviewWindow(url, 'BBZCloud', getPartitionOfSession(contents.session));
     return { action: 'deny' };
   }
 
@@ -1863,6 +2359,13 @@ app.on('before-quit', async () => {
   if (updateCheckTimer) {
     clearInterval(updateCheckTimer);
   }
+
+  if (backupCheckTimer) {
+    clearInterval(backupCheckTimer);
+  }
+
+  reminderScheduler.stop();
+  loginTester.closeAll();
   
   // Check if we have a downloaded update and install it
   if (autoUpdater.getFeedURL() && updateDownloaded) {
@@ -1886,6 +2389,15 @@ async function getEncryptionPassword() {
   }
 }
 
+// Secure documents use the vault password when one is set (throws while the
+// vault is locked), otherwise the keychain password
+async function getDocumentPassword() {
+  if (await secureVault.isEnabled()) {
+    return secureVault.getPassword();
+  }
+  return getEncryptionPassword();
+}
+
 // Secure store handlers
 ipcMain.handle('check-secure-store-access', async () => {
   try {
@@ -1905,17 +2417,135 @@ ipcMain.handle('check-secure-store-access', async () => {
 
 ipcMain.handle('list-secure-files', async () => {
   try {
-    const files = await db.getSecureDocuments();
-    return { success: true, files };
+    const password = await getDocumentPassword();
+    const files = (await db.getSecureDocuments(password)).map(file => ({
+      ...file,
+      previewable: Boolean(getPreviewType(file.name))
+    }));
+    const folders = await db.getSecureFolders(password);
+    return { success: true, files, folders };
   } catch (error) {
+    if (secureVault.isLockedError(error)) {
+      return { success: false, locked: true, error: error.message };
+    }
     console.error('Error listing files:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('encrypt-and-store-file', async (event, { data, name }) => {
+// Vault password for secure documents, see services/SecureVault.js
+ipcMain.handle('get-secure-vault-status', async () => {
+  try {
+    return { success: true, status: await secureVault.getStatus() };
+  } catch (error) {
+    console.error('Error getting secure vault status:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('unlock-secure-vault', async (event, { password }) => {
+  try {
+    await secureVault.unlock(password);
+    return { success: true };
+  } catch (error) {
+    console.error('Error unlocking secure vault:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('lock-secure-vault', async () => {
+  secureVault.lock();
+  return { success: true };
+});
+
+ipcMain.handle('touch-secure-vault', async () => {
+  secureVault.touch();
+  return { success: true };
+});
+
+// Without oldPassword the vault password is set up for the first time
+ipcMain.handle('set-secure-vault-password', async (event, { oldPassword, newPassword }) => {
+  try {
+    if (!newPassword) {
+      throw new Error('Das Tresor-Passwort darf nicht leer sein');
+    }
+    if (oldPassword) {
+      await secureVault.change(oldPassword, newPassword);
+    } else {
+      await secureVault.enable(newPassword, await getEncryptionPassword());
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error setting secure vault password:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-secure-vault-password', async (event, { password }) => {
   try {
-    const password = await getEncryptionPassword();
+    await secureVault.disable(password, await getEncryptionPassword());
+    return { success: true };
+  } catch (error) {
+    console.error('Error removing secure vault password:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-secure-vault-auto-lock', async (event, { minutes }) => {
+  try {
+    secureVault.setAutoLockMinutes(Number(minutes) || 0);
+    return { success: true, status: await secureVault.getStatus() };
+  } catch (error) {
+    console.error('Error setting secure vault auto-lock:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('update-secure-file-meta', async (event, { id, folderId, tags, notes }) => {
+  try {
+    const password = await getDocumentPassword();
+    await db.updateSecureDocumentMeta(id, { folderId, tags, notes }, password);
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating secure file metadata:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-secure-folder', async (event, { id, name }) => {
+  try {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Ordnername darf nicht leer sein');
+    }
+    const password = await getDocumentPassword();
+    const folder = { id: id || uuidv4(), name: trimmed };
+    await db.saveSecureFolder(folder, password);
+    return { success: true, folder };
+  } catch (error) {
+    console.error('Error saving secure folder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-secure-folder', async (event, folderId) => {
+  try {
+    // Changes need an unlocked vault, like every other document operation
+    await getDocumentPassword();
+    await db.deleteSecureFolder(folderId);
+    return { success: true };
+  } catch (error) {
+    if (secureVault.isLockedError(error)) {
+      return { success: false, locked: true, error: error.message };
+    }
+    console.error('Error deleting secure folder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('encrypt-and-store-file', async (event, { data, name, folderId }) => {
+  try {
+    const password = await getDocumentPassword();
     const fileContent = Buffer.from(data);
     
     // Compress the file content
@@ -1932,6 +2562,9 @@ ipcMain.handle('encrypt-and-store-file', async (event, { data, name }) => {
     };
     
     await db.saveSecureDocument(document, password);
+    if (folderId) {
+      await db.updateSecureDocumentMeta(fileId, { folderId }, password);
+    }
     return { success: true };
   } catch (error) {
     console.error('Error encrypting file:', error);
@@ -1939,16 +2572,230 @@ ipcMain.handle('encrypt-and-store-file', async (event, { data, name }) => {
   }
 });
 
+// Formats that can be compared line by line in the version history
+const TEXT_DOCUMENT_EXTENSIONS = new Set([
+  'txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'xml', 'html', 'htm', 'css',
+  'js', 'ics', 'log', 'ini', 'yml', 'yaml', 'tex', 'rtf'
+]);
+const MAX_DIFF_SIZE = 512 * 1024;
+
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+const isTextDocument = (name) =>
+  TEXT_DOCUMENT_EXTENSIONS.has(path.extname(name || '').slice(1).toLowerCase());
+
+const readDocumentContent = async (document) => (
+  document.compressed ? decompress(document.content) : document.content
+);
+
+ipcMain.handle('list-secure-file-versions', async (event, fileId) => {
+  try {
+    const versions = await db.getSecureDocumentVersions(fileId);
+    return { success: true, versions };
+  } catch (error) {
+    console.error('Error listing secure file versions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Returns both texts, the line diff itself is computed in the renderer
+ipcMain.handle('diff-secure-file-version', async (event, { fileId, versionId }) => {
+  try {
+    const password = await getDocumentPassword();
+    const current = await db.getSecureDocument(fileId, password);
+    if (!isTextDocument(current.name)) {
+      return { success: false, error: 'Vergleich ist nur für Textformate möglich' };
+    }
+    const version = await db.getSecureDocumentVersion(versionId, password);
+    const [oldContent, newContent] = await Promise.all([
+      readDocumentContent(version),
+      readDocumentContent(current)
+    ]);
+    if (oldContent.length > MAX_DIFF_SIZE || newContent.length > MAX_DIFF_SIZE) {
+      return { success: false, error: 'Datei ist zu groß für einen Vergleich' };
+    }
+    return {
+      success: true,
+      oldText: oldContent.toString('utf8'),
+      newText: newContent.toString('utf8')
+    };
+  } catch (error) {
+    console.error('Error comparing secure file version:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('restore-secure-file-version', async (event, versionId) => {
+  try {
+    // Changes need an unlocked vault, like every other document operation
+    await getDocumentPassword();
+    await db.restoreSecureDocumentVersion(versionId);
+    return { success: true };
+  } catch (error) {
+    if (secureVault.isLockedError(error)) {
+      return { success: false, locked: true, error: error.message };
+    }
+    console.error('Error restoring secure file version:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export-secure-file-version', async (event, versionId) => {
+  try {
+    const password = await getDocumentPassword();
+    const version = await db.getSecureDocumentVersion(versionId, password);
+    const extension = path.extname(version.name);
+    const stamp = new Date(version.date).toISOString().slice(0, 16).replace(/[T:]/g, '-');
+
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Ältere Version exportieren',
+      defaultPath: `${path.basename(version.name, extension)} (Version ${stamp})${extension}`
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false };
+    }
+
+    await fs.writeFile(result.filePath, await readDocumentContent(version));
+    return { success: true, path: result.filePath };
+  } catch (error) {
+    console.error('Error exporting secure file version:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Single documents as password-protected files, format in services/documentPackage.js
+ipcMain.handle('export-secure-file-package', async (event, { fileId, password }) => {
+  try {
+    const documentPassword = await getDocumentPassword();
+    const document = await db.getSecureDocument(fileId, documentPassword);
+    const meta = (await db.getSecureDocuments(documentPassword)).find(file => file.id === fileId);
+
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Dokument verschlüsselt exportieren',
+      defaultPath: `${document.name}.${PACKAGE_EXTENSION}`,
+      filters: [{ name: 'BBZCloud-Dokument', extensions: [PACKAGE_EXTENSION] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false };
+    }
+
+    const content = encodeDocumentPackage({
+      ...document,
+      tags: meta?.tags,
+      notes: meta?.notes
+    }, password, { appVersion: app.getVersion() });
+    await fs.writeFile(result.filePath, content, 'utf8');
+    return { success: true, path: result.filePath };
+  } catch (error) {
+    console.error('Error exporting secure file package:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('choose-secure-file-package', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Verschlüsseltes Dokument importieren',
+      properties: ['openFile'],
+      filters: [{ name: 'BBZCloud-Dokument', extensions: [PACKAGE_EXTENSION] }]
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false };
+    }
+    return { success: true, filePath: result.filePaths[0] };
+  } catch (error) {
+    console.error('Error choosing secure file package:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Imported documents always get a new id, importing the same file twice
+// yields two documents instead of silently replacing one
+ipcMain.handle('import-secure-file-package', async (event, { filePath, password, folderId }) => {
+  try {
+    const imported = decodeDocumentPackage(await fs.readFile(filePath, 'utf8'), password);
+    const documentPassword = await getDocumentPassword();
+    const fileId = uuidv4();
+
+    await db.saveSecureDocument({
+      id: fileId,
+      name: imported.name,
+      size: imported.size || `${(imported.content.length / 1024).toFixed(2)} KB`,
+      date: imported.date || new Date().toISOString(),
+      content: imported.content,
+      compressed: imported.compressed
+    }, documentPassword);
+    await db.updateSecureDocumentMeta(fileId, {
+      folderId,
+      tags: imported.tags,
+      notes: imported.notes
+    }, documentPassword);
+    return { success: true, name: imported.name };
+  } catch (error) {
+    console.error('Error importing secure file package:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('delete-secure-file', async (event, fileId) => {
   try {
+    // Changes need an unlocked vault, like every other document operation
+    await getDocumentPassword();
     await db.deleteSecureDocument(fileId);
     return { success: true };
   } catch (error) {
+    if (secureVault.isLockedError(error)) {
+      return { success: false, locked: true, error: error.message };
+    }
     console.error('Error deleting secure file:', error);
     return { success: false, error: error.message };
   }
 });
 
+// Formats the renderer can show itself (SecureDocumentPreview)
+const PREVIEW_TYPES = {
+  pdf: { kind: 'pdf', mimeType: 'application/pdf' },
+  png: { kind: 'image', mimeType: 'image/png' },
+  jpg: { kind: 'image', mimeType: 'image/jpeg' },
+  jpeg: { kind: 'image', mimeType: 'image/jpeg' },
+  gif: { kind: 'image', mimeType: 'image/gif' },
+  webp: { kind: 'image', mimeType: 'image/webp' },
+  bmp: { kind: 'image', mimeType: 'image/bmp' },
+  svg: { kind: 'image', mimeType: 'image/svg+xml' },
+  md: { kind: 'markdown', mimeType: 'text/markdown' },
+  markdown: { kind: 'markdown', mimeType: 'text/markdown' },
+  txt: { kind: 'text', mimeType: 'text/plain' },
+  csv: { kind: 'text', mimeType: 'text/plain' },
+  log: { kind: 'text', mimeType: 'text/plain' },
+  json: { kind: 'text', mimeType: 'text/plain' },
+  xml: { kind: 'text', mimeType: 'text/plain' },
+  ics: { kind: 'text', mimeType: 'text/plain' }
+};
+const MAX_PREVIEW_SIZE = 50 * 1024 * 1024;
+
+const getPreviewType = (name) => PREVIEW_TYPES[path.extname(name || '').slice(1).toLowerCase()] || null;
+
+// Read-only preview: the content only ever exists in memory, unlike
+// open-secure-file no temp file is written
+ipcMain.handle('preview-secure-file', async (event, fileId) => {
+  try {
+    const password = await getDocumentPassword();
+    const document = await db.getSecureDocument(fileId, password);
+    const previewType = getPreviewType(document.name);
+    if (!previewType) {
+      throw new Error('Für diesen Dateityp gibt es keine Vorschau');
+    }
+    const content = await readDocumentContent(document);
+    if (content.length > MAX_PREVIEW_SIZE) {
+      throw new Error('Die Datei ist für die Vorschau zu groß');
+    }
+    return { success: true, name: document.name, ...previewType, content };
+  } catch (error) {
+    console.error('Error previewing secure file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('open-secure-file', async (event, fileId) => {
   let tempPath = null;
   let watcher = null;
@@ -1956,18 +2803,31 @@ ipcMain.handle('open-secure-file', async (event, fileId) => {
   let isProcessing = false;
   
   try {
-    const password = await getEncryptionPassword();
+    const password = await getDocumentPassword();
     const document = await db.getSecureDocument(fileId, password);
     
     // Decompress if needed
     const fileContent = document.compressed 
       ? await decompress(document.content)
       : document.content;
+    // Editors often write unchanged files (autosave, save on close); those
+    // writes must not push real versions out of the history
+    let lastContentHash = hashContent(fileContent);
     
-    // Create temp file with random name for security
-    const tempFileName = `bbzcloud-secure-${uuidv4()}-${document.name}`;
+    // Create temp file with random name for security. The journal entry
+    // comes first so a crash right after writing is still recoverable.
+    // Der Name kann aus einer importierten Datei oder einem alten Backup
+    // stammen: nur den Dateinamen verwenden und sicherstellen, dass die
+    // Datei wirklich im Temp-Verzeichnis landet
+    const tempFileName = `${secureTempJournal.TEMP_FILE_PREFIX}${uuidv4()}-${path.basename(sanitizeDocumentName(document.name))}`;
     tempPath = path.join(os.tmpdir(), tempFileName);
+    if (!path.resolve(tempPath).startsWith(path.resolve(os.tmpdir()) + path.sep)) {
+      tempPath = null;
+      throw new Error('Ungültiger Dokumentname');
+    }
+    secureTempJournal.add({ tempPath, fileId, name: document.name });
     await fs.writeFile(tempPath, fileContent);
+    secureTempJournal.markSynced(tempPath);
     
     // Register temp file for cleanup tracking
     db.registerTempFile(tempPath);
@@ -1976,8 +2836,10 @@ ipcMain.handle('open-secure-file', async (event, fileId) => {
     shell.openPath(tempPath);
     
     // Function to handle file updates with debouncing
+    let isClosed = false;
     const handleFileUpdate = async () => {
-      if (isProcessing) return;
+      // Nach dem Schließen (Beenden, Tresor gesperrt) nichts mehr speichern
+      if (isProcessing || isClosed) return;
       
       try {
         isProcessing = true;
@@ -1994,6 +2856,11 @@ ipcMain.handle('open-secure-file', async (event, fileId) => {
         try {
           // Read the updated content
           const updatedContent = await fs.readFile(tempPath);
+          const contentHash = hashContent(updatedContent);
+          if (contentHash === lastContentHash) {
+            secureTempJournal.markSynced(tempPath);
+            return;
+          }
           
           // Compress the content
           const compressedContent = await compress(updatedContent);
@@ -2007,8 +2874,11 @@ ipcMain.handle('open-secure-file', async (event, fileId) => {
             date: new Date().toISOString()
           };
           
-          // Save the updated document
+          // Keep the previous content as a version, then save the update
+          await db.archiveSecureDocumentVersion(fileId);
           await db.saveSecureDocument(updatedDocument, password);
+          lastContentHash = contentHash;
+          secureTempJournal.markSynced(tempPath);
           
           // Notify frontend of file update
           mainWindow?.webContents.send('secure-file-updated');
@@ -2043,15 +2913,20 @@ ipcMain.handle('open-secure-file', async (event, fileId) => {
     // Register watcher for cleanup tracking
     db.registerFileWatcher(`secure-file-${fileId}`, watcher);
     
-    // Clean up resources when app quits
+    // Clean up resources when the app quits or the vault locks. Edits the
+    // watcher has not saved yet are written back first — they were made
+    // while the document was still unlocked.
     const cleanup = async () => {
-      if (updateTimeout) {
-        clearTimeout(updateTimeout);
-      }
-      
       if (watcher) {
         watcher.close();
       }
+
+      if (updateTimeout) {
+        clearTimeout(updateTimeout);
+        updateTimeout = null;
+        await handleFileUpdate();
+      }
+      isClosed = true;
       
       if (tempPath && fs.existsSync(tempPath)) {
         try {
@@ -2060,6 +2935,7 @@ ipcMain.handle('open-secure-file', async (event, fileId) => {
       console.error('Error deleting temp file:', error);
         }
       }
+      secureTempJournal.remove(tempPath);
     };
     
     // Register cleanup in the central registry so it fires exactly once on quit
@@ -2083,12 +2959,100 @@ ipcMain.handle('open-secure-file', async (event, fileId) => {
         console.error('Error deleting temp file:', deleteError);
       }
     }
+    if (tempPath) {
+      secureTempJournal.remove(tempPath);
+    }
     
     console.error('Error opening secure file:', error);
     return { success: false, error: error.message };
   }
 });
 
+// Temp files with edits that never made it back into the database (crash,
+// power loss) are found by secureTempJournal.sweep at startup. Once the
+// document password is available the user decides: save the edits back as a
+// new version, or discard them. Either way the plaintext is wiped afterwards.
+let isSecureRecoveryRunning = false;
+
+async function offerSecureFileRecovery() {
+  if (isSecureRecoveryRunning || !mainWindow || secureTempJournal.getPending().length === 0) return;
+  isSecureRecoveryRunning = true;
+  try {
+    let password;
+    try {
+      password = await getDocumentPassword();
+    } catch (error) {
+      // Vault locked or no password set yet: offered again after unlocking
+      return;
+    }
+
+    // Editors also touch files without changing them, compare the content
+    const changed = [];
+    for (const entry of secureTempJournal.getPending()) {
+      const content = await fs.readFile(entry.tempPath).catch(() => null);
+      if (!content) {
+        secureTempJournal.remove(entry.tempPath);
+        continue;
+      }
+      const document = await db.getSecureDocument(entry.fileId, password).catch(() => null);
+      if (document && hashContent(await readDocumentContent(document)) === hashContent(content)) {
+        await secureDelete(entry.tempPath);
+        secureTempJournal.remove(entry.tempPath);
+        continue;
+      }
+      changed.push({ entry, content, document });
+    }
+    if (changed.length === 0) return;
+
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      title: 'Ungespeicherte Änderungen gefunden',
+      message: 'BBZCloud wurde beendet, während sichere Dokumente geöffnet waren. Diese Änderungen wurden noch nicht übernommen:',
+      detail: changed.map(({ entry }) => `• ${entry.name}`).join('\n'),
+      buttons: ['Änderungen übernehmen', 'Verwerfen'],
+      defaultId: 0,
+      cancelId: 0
+    });
+
+    for (const { entry, content, document } of changed) {
+      try {
+        if (response === 0) {
+          const compressedContent = await compress(content);
+          if (document) {
+            await db.archiveSecureDocumentVersion(entry.fileId);
+            await db.saveSecureDocument({
+              ...document,
+              content: compressedContent,
+              compressed: true,
+              size: `${(content.length / 1024).toFixed(2)} KB`,
+              date: new Date().toISOString()
+            }, password);
+          } else {
+            // Deleted in the meantime: keep the edits as a new document
+            await db.saveSecureDocument({
+              id: uuidv4(),
+              name: entry.name,
+              size: `${(content.length / 1024).toFixed(2)} KB`,
+              date: new Date().toISOString(),
+              content: compressedContent,
+              compressed: true
+            }, password);
+          }
+        }
+        await secureDelete(entry.tempPath);
+        secureTempJournal.remove(entry.tempPath);
+      } catch (error) {
+        console.error(`Error recovering secure file ${entry.name}:`, error);
+      }
+    }
+    mainWindow?.webContents.send('secure-file-updated');
+  } catch (error) {
+    console.error('Error during secure file recovery:', error);
+  } finally {
+    isSecureRecoveryRunning = false;
+  }
+}
+
 // Power save blocker to prevent macOS from suspending network connections
 let powerSaveBlockerId = null;
 
@@ -2111,21 +3075,15 @@ app.on('ready', async () => {
   }
   
   try {    
-    // Clean up any leftover temp files
-    const tempDir = os.tmpdir();
-    const files = await fs.readdir(tempDir);
-    for (const file of files) {
-      if (file.includes('bbzcloud-secure-')) {
-        await secureDelete(path.join(tempDir, file));
-      }
-    }
+    // Clean up temp files left by a crash. Untouched ones are wiped now,
+    // edited ones wait for offerSecureFileRecovery once the window is up.
+    secureTempJournal.init({ journalPath: path.join(app.getPath('userData'), 'secure-temp-journal.json') });
+    await secureTempJournal.sweep(os.tmpdir(), secureDelete);
     
-    // Configure spell checker: prevent Google CDN downloads, use system/OS dictionaries
-    const ses = session.fromPartition('persist:main');
-    ses.setSpellCheckerDictionaryDownloadURL('https://localhost/disabled');
-    if (process.platform !== 'darwin') {
-      ses.setSpellCheckerLanguages(['de', 'en-GB']);
-    }
+    // Configure spell checker for the shared session and every app partition
+    // created later on
+    configureSpellChecker(session.fromPartition(SHARED_PARTITION));
+    app.on('session-created', configureSpellChecker);
 
     await copyAssetsIfNeeded();
     createTray();
@@ -2151,6 +3109,55 @@ app.on('ready', async () => {
       autoUpdater.checkForUpdatesAndNotify();
     }, UPDATE_CHECK_INTERVAL);
 
+    // Daily database backup. The check runs hourly so machines that are
+    // rarely restarted (or sleep through midnight) still get their snapshot.
+    runScheduledBackup();
+    backupCheckTimer = setInterval(runScheduledBackup, BACKUP_CHECK_INTERVAL);
+
+    // Todo reminders: arm timers and report those missed while the app was closed
+    reminderScheduler.init({
+      db,
+      onShowApp: () => {
+        if (!mainWindow) return;
+        if (mainWindow.isMinimized()) {
+          mainWindow.restore();
+        }
+        mainWindow.show();
+        mainWindow.focus();
+      }
+    });
+    reminderScheduler.start();
+
+    // Vault password for secure documents: tell the renderer when it locks
+    secureVault.init({
+      db,
+      onChange: (status) => {
+        mainWindow?.webContents.send('secure-vault-changed', status);
+        if (status.unlocked) {
+          offerSecureFileRecovery();
+        } else if (status.enabled) {
+          // Gesperrt: geöffnete Dokumente nicht länger im Klartext liegen
+          // lassen und nicht mehr mit dem alten Passwort zurückschreiben
+          runSecureFileCleanups().catch(error => console.error('Error closing secure files on lock:', error));
+        }
+      }
+    });
+    offerSecureFileRecovery();
+
+    // Quick-add todo from anywhere: bring the window up, the renderer opens the overlay input
+    const quickAddRegistered = globalShortcut.register(QUICK_ADD_SHORTCUT, () => {
+      if (!mainWindow) return;
+      if (mainWindow.isMinimized()) {
+        mainWindow.restore();
+      }
+      mainWindow.show();
+      mainWindow.focus();
+      mainWindow.webContents.send('webview-message', { type: 'webview-shortcut', action: 'quick-add-todo' });
+    });
+    if (!quickAddRegistered) {
+      console.warn(`[Shortcuts] Could not register ${QUICK_ADD_SHORTCUT} (used by another application)`);
+    }
+
     // Handle startup arguments
     const startMinimized = process.argv.includes('--minimized');
     if (startMinimized && mainWindow) {
@@ -2184,6 +3191,14 @@ app.on('ready', async () => {
 
     // Adjust all webview windows
     windowRegistry.forEach((win) => adjustWindowBounds(win));
+
+    // Timers did not run during sleep: show what was missed, re-arm the rest
+    reminderScheduler.sync();
+  });
+
+  // Locking the screen also locks the secure documents
+  powerMonitor.on('lock-screen', () => {
+    secureVault.lock('lock-screen');
   });
 
   // Handle screen unlock: same as resume
@@ -2245,6 +3260,10 @@ app.on('ready', async () => {
   });
 });
 
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll();
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
@@ -2270,8 +3289,8 @@ ipcMain.handle('set-zoom-factor', async (event, { webContentsId, zoomFactor }) =
 // WebContentsView IPC handlers (view:*)
 // ============================================================================
 
-ipcMain.handle('view:create', async (_e, { appId, url, userAgent, preloadOverride }) => {
-  await viewManager.create(appId, { url, userAgent, preloadOverride });
+ipcMain.handle('view:create', async (_e, { appId, url, userAgent, preloadOverride, partition }) => {
+  await viewManager.create(appId, { url, userAgent, preloadOverride, partition });
 });
 
 ipcMain.handle('view:show', (_e, { appId }) => {
@@ -2352,6 +3371,38 @@ ipcMain.on('overlay:action', (_e, action) => {
   overlayWindow.forwardActionToMain(action);
 });
 
+// ============================================================================
+// Login test IPC handlers (loginTest:*)
+// ============================================================================
+
+ipcMain.handle('loginTest:start', async (_e, { appId, url }) => {
+  // Nur die Adresse der getesteten App laden: eigene Apps über ihre
+  // gespeicherte URL, die Apps der Navigationsleiste über ihre festen Hosts
+  const id = String(appId || '').toLowerCase();
+  const customApp = (await db.getCustomApps()).find(app => app.id.toLowerCase() === id);
+  let hosts = loginTester.getAppHosts(id);
+  if (customApp) {
+    try {
+      hosts = [new URL(customApp.url).hostname];
+    } catch (error) {
+      hosts = [];
+    }
+  }
+  return loginTester.start(url, hosts);
+});
+
+ipcMain.handle('loginTest:execute', (_e, { testId, code }) => {
+  return loginTester.execute(testId, code);
+});
+
+ipcMain.handle('loginTest:getState', (_e, { testId }) => {
+  return loginTester.getState(testId);
+});
+
+ipcMain.handle('loginTest:close', (_e, { testId }) => {
+  return loginTester.close(testId);
+});
+
 app.on('activate', async () => {
   if (mainWindow === null) {
     await createWindow();
@@ -19,6 +19,78 @@ contextBridge.exposeInMainWorld('electron', {
       return { success: false, error: error.message };
     }
   },
+  listCredentialProfiles: async (data) => {
+    try {
+      return await ipcRenderer.invoke('list-credential-profiles', data);
+    } catch (error) {
+      console.error('Error listing credential profiles:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  saveCredentialProfile: async (data) => {
+    try {
+      return await ipcRenderer.invoke('save-credential-profile', data);
+    } catch (error) {
+      console.error('Error saving credential profile:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  deleteCredentialProfile: async (data) => {
+    try {
+      return await ipcRenderer.invoke('delete-credential-profile', data);
+    } catch (error) {
+      console.error('Error deleting credential profile:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  listTotpSecrets: async (data) => {
+    try {
+      return await ipcRenderer.invoke('list-totp-secrets', data);
+    } catch (error) {
+      console.error('Error listing TOTP secrets:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  saveTotpSecret: async (data) => {
+    try {
+      return await ipcRenderer.invoke('save-totp-secret', data);
+    } catch (error) {
+      console.error('Error saving TOTP secret:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  deleteTotpSecret: async (data) => {
+    try {
+      return await ipcRenderer.invoke('delete-totp-secret', data);
+    } catch (error) {
+      console.error('Error deleting TOTP secret:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  getTotpCode: async (data) => {
+    try {
+      return await ipcRenderer.invoke('get-totp-code', data);
+    } catch (error) {
+      console.error('Error generating TOTP code:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  copyTotpCode: async (data) => {
+    try {
+      return await ipcRenderer.invoke('copy-totp-code', data);
+    } catch (error) {
+      console.error('Error copying TOTP code:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  getLoginRecipeOverrides: async () => {
+    try {
+      return await ipcRenderer.invoke('get-login-recipe-overrides');
+    } catch (error) {
+      console.error('Error loading login recipes:', error);
+      return { success: false, error: error.message };
+    }
+  },
   hasDbCredentials: async (data) => {
     try {
       return await ipcRenderer.invoke('has-db-credentials', data);
@@ -43,6 +115,46 @@ contextBridge.exposeInMainWorld('electron', {
       return { success: false, error: error.message };
     }
   },
+  getCredentialBackend: async () => {
+    try {
+      return await ipcRenderer.invoke('get-credential-backend');
+    } catch (error) {
+      console.error('Error getting credential backend:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  unlockCredentialVault: async (password) => {
+    try {
+      return await ipcRenderer.invoke('unlock-credential-vault', { password });
+    } catch (error) {
+      console.error('Error unlocking credential vault:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  enableCredentialVault: async (masterPassword) => {
+    try {
+      return await ipcRenderer.invoke('enable-credential-vault', { masterPassword });
+    } catch (error) {
+      console.error('Error enabling credential vault:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  moveCredentialsToKeychain: async () => {
+    try {
+      return await ipcRenderer.invoke('move-credentials-to-keychain');
+    } catch (error) {
+      console.error('Error moving credentials to keychain:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  clearSessionData: async (data) => {
+    try {
+      return await ipcRenderer.invoke('clear-session-data', data);
+    } catch (error) {
+      console.error('Error clearing session data:', error);
+      return { success: false, error: error.message };
+    }
+  },
   onUpdateStatus: (callback) => {
     const subscription = (event, status) => callback(status);
     ipcRenderer.on('update-status', subscription);
@@ -124,6 +236,30 @@ contextBridge.exposeInMainWorld('electron', {
       return { success: false, error: error.message };
     }
   },
+  searchTodos: async (query) => {
+    try {
+      return await ipcRenderer.invoke('search-todos', query);
+    } catch (error) {
+      console.error('Error searching todos:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  exportTodosIcs: async (data) => {
+    try {
+      return await ipcRenderer.invoke('export-todos-ics', data);
+    } catch (error) {
+      console.error('Error exporting todos as ICS:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  importTodosIcs: async () => {
+    try {
+      return await ipcRenderer.invoke('import-todos-ics');
+    } catch (error) {
+      console.error('Error importing ICS file:', error);
+      return { success: false, error: error.message };
+    }
+  },
   scheduleNotification: async (data) => {
     try {
       return await ipcRenderer.invoke('schedule-notification', data);
@@ -166,6 +302,14 @@ contextBridge.exposeInMainWorld('electron', {
       return { success: false, error: error.message };
     }
   },
+  previewSecureFile: async (fileId) => {
+    try {
+      return await ipcRenderer.invoke('preview-secure-file', fileId);
+    } catch (error) {
+      console.error('Error previewing secure file:', error);
+      return { success: false, error: error.message };
+    }
+  },
   deleteSecureFile: async (fileId) => {
     try {
       return await ipcRenderer.invoke('delete-secure-file', fileId);
@@ -174,11 +318,223 @@ contextBridge.exposeInMainWorld('electron', {
       return { success: false, error: error.message };
     }
   },
+  getSecureVaultStatus: async () => {
+    try {
+      return await ipcRenderer.invoke('get-secure-vault-status');
+    } catch (error) {
+      console.error('Error getting secure vault status:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  unlockSecureVault: async (password) => {
+    try {
+      return await ipcRenderer.invoke('unlock-secure-vault', { password });
+    } catch (error) {
+      console.error('Error unlocking secure vault:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  lockSecureVault: async () => {
+    try {
+      return await ipcRenderer.invoke('lock-secure-vault');
+    } catch (error) {
+      console.error('Error locking secure vault:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  touchSecureVault: async () => {
+    try {
+      return await ipcRenderer.invoke('touch-secure-vault');
+    } catch (error) {
+      console.error('Error touching secure vault:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  setSecureVaultPassword: async (data) => {
+    try {
+      return await ipcRenderer.invoke('set-secure-vault-password', data);
+    } catch (error) {
+      console.error('Error setting secure vault password:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  removeSecureVaultPassword: async (password) => {
+    try {
+      return await ipcRenderer.invoke('remove-secure-vault-password', { password });
+    } catch (error) {
+      console.error('Error removing secure vault password:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  setSecureVaultAutoLock: async (minutes) => {
+    try {
+      return await ipcRenderer.invoke('set-secure-vault-auto-lock', { minutes });
+    } catch (error) {
+      console.error('Error setting secure vault auto-lock:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  listSecureFileVersions: async (fileId) => {
+    try {
+      return await ipcRenderer.invoke('list-secure-file-versions', fileId);
+    } catch (error) {
+      console.error('Error listing secure file versions:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  diffSecureFileVersion: async (data) => {
+    try {
+      return await ipcRenderer.invoke('diff-secure-file-version', data);
+    } catch (error) {
+      console.error('Error comparing secure file version:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  restoreSecureFileVersion: async (versionId) => {
+    try {
+      return await ipcRenderer.invoke('restore-secure-file-version', versionId);
+    } catch (error) {
+      console.error('Error restoring secure file version:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  exportSecureFileVersion: async (versionId) => {
+    try {
+      return await ipcRenderer.invoke('export-secure-file-version', versionId);
+    } catch (error) {
+      console.error('Error exporting secure file version:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  exportSecureFilePackage: async (data) => {
+    try {
+      return await ipcRenderer.invoke('export-secure-file-package', data);
+    } catch (error) {
+      console.error('Error exporting secure file package:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  chooseSecureFilePackage: async () => {
+    try {
+      return await ipcRenderer.invoke('choose-secure-file-package');
+    } catch (error) {
+      console.error('Error choosing secure file package:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  importSecureFilePackage: async (data) => {
+    try {
+      return await ipcRenderer.invoke('import-secure-file-package', data);
+    } catch (error) {
+      console.error('Error importing secure file package:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  updateSecureFileMeta: async (data) => {
+    try {
+      return await ipcRenderer.invoke('update-secure-file-meta', data);
+    } catch (error) {
+      console.error('Error updating secure file metadata:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  saveSecureFolder: async (folder) => {
+    try {
+      return await ipcRenderer.invoke('save-secure-folder', folder);
+    } catch (error) {
+      console.error('Error saving secure folder:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  deleteSecureFolder: async (folderId) => {
+    try {
+      return await ipcRenderer.invoke('delete-secure-folder', folderId);
+    } catch (error) {
+      console.error('Error deleting secure folder:', error);
+      return { success: false, error: error.message };
+    }
+  },
 
   // Database functionality
   getDatabasePath: () => ipcRenderer.invoke('get-database-path'),
   changeDatabaseLocation: (newPath) => ipcRenderer.invoke('change-database-location', newPath),
   migrateFromStore: () => ipcRenderer.invoke('migrate-from-store'),
+
+  // Database backups
+  listDatabaseBackups: async () => {
+    try {
+      return await ipcRenderer.invoke('list-database-backups');
+    } catch (error) {
+      console.error('Error listing database backups:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  createDatabaseBackup: async () => {
+    try {
+      return await ipcRenderer.invoke('create-database-backup');
+    } catch (error) {
+      console.error('Error creating database backup:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  restoreDatabaseBackup: async (name) => {
+    try {
+      return await ipcRenderer.invoke('restore-database-backup', { name });
+    } catch (error) {
+      console.error('Error restoring database backup:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  updateBackupSettings: async (data) => {
+    try {
+      return await ipcRenderer.invoke('update-backup-settings', data);
+    } catch (error) {
+      console.error('Error updating backup settings:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  chooseBackupDirectory: async () => {
+    try {
+      return await ipcRenderer.invoke('choose-backup-directory');
+    } catch (error) {
+      console.error('Error choosing backup directory:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
+  // Data export/import
+  exportDataBundle: async (data) => {
+    try {
+      return await ipcRenderer.invoke('export-data-bundle', data);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  chooseDataBundle: async () => {
+    try {
+      return await ipcRenderer.invoke('choose-data-bundle');
+    } catch (error) {
+      console.error('Error choosing import file:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  previewDataBundle: async (data) => {
+    try {
+      return await ipcRenderer.invoke('preview-data-bundle', data);
+    } catch (error) {
+      console.error('Error previewing import file:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  importDataBundle: async (data) => {
+    try {
+      return await ipcRenderer.invoke('import-data-bundle', data);
+    } catch (error) {
+      console.error('Error importing data:', error);
+      return { success: false, error: error.message };
+    }
+  },
   
   // Custom apps functionality
   getCustomApps: async () => {
@@ -205,10 +561,18 @@ contextBridge.exposeInMainWorld('electron', {
       return { success: false, error: error.message };
     }
   },
+  changeMainPassword: async (data) => {
+    try {
+      return await ipcRenderer.invoke('change-main-password', data);
+    } catch (error) {
+      console.error('Error changing main password:', error);
+      return { success: false, error: error.message };
+    }
+  },
 
   // Event listeners for secure file updates and database changes
   on: (channel, callback) => {
-    const validChannels = ['secure-file-updated', 'database-changed'];
+    const validChannels = ['secure-file-updated', 'database-changed', 'secure-vault-changed'];
     if (validChannels.includes(channel)) {
       const subscription = (_event, ...args) => callback(...args);
       ipcRenderer.on(channel, subscription);
@@ -397,6 +761,17 @@ contextBridge.exposeInMainWorld('electron', {
       return () => ipcRenderer.removeListener('overlay:closed', sub);
     },
   },
+
+  // -------------------------------------------------------------------------
+  // Login test API  (loginTest:* channels)
+  // Hidden throwaway windows for the "Login jetzt testen" button
+  // -------------------------------------------------------------------------
+  loginTest: {
+    start: (appId, url) => ipcRenderer.invoke('loginTest:start', { appId, url }),
+    execute: (testId, code) => ipcRenderer.invoke('loginTest:execute', { testId, code }),
+    getState: (testId) => ipcRenderer.invoke('loginTest:getState', { testId }),
+    close: (testId) => ipcRenderer.invoke('loginTest:close', { testId }),
+  },
 });
 
 
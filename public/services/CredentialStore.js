@@ -24,11 +24,51 @@ const keytar = require('keytar');
  * eine andere App und die Keychain-ACL greift nicht mehr — auch „Immer
  * erlauben" hält dann nicht. Das lässt sich nur mit Signierung und
  * Notarisierung beheben, nicht hier im Code.
+ *
+ * SPEICHERORTE
+ * ------------
+ * Wo das Bündel liegt, entscheidet `configure()` beim Start:
+ *   - 'keychain': System-Schlüsselbund per keytar (Normalfall);
+ *   - 'vault':    lokaler, mit Master-Passwort verschlüsselter Tresor
+ *                 (LocalCredentialVault), vom Nutzer in den Einstellungen
+ *                 eingerichtet. Gesperrt liefert er nichts;
+ *   - 'database': Schlüsselbund gewählt, aber nicht erreichbar (Linux ohne
+ *                 Secret Service). Das Bündel lebt dann nur im Speicher, die
+ *                 Felder liegen verschlüsselt in der `credentials`-Tabelle
+ *                 und kommen per `restore-credentials-from-db` zurück.
  */
 
 // Alle Felder eines Service liegen unter diesem einen Keychain-Account.
 const BUNDLE_ACCOUNT = 'credentials';
 
+// Profile: Wer mehrere Konten für dieselben Apps hat (eigenes und
+// Klassen-/Admin-Konto in Moodle oder WebUntis), legt weitere Profile an.
+// Das Standardprofil sind die Felder ohne Suffix — also alles, was es vor
+// den Profilen gab. Sein 'password' bleibt der Schlüssel der lokalen
+// Verschlüsselung. Felder weiterer Profile liegen im selben Bündel als
+// '<feld>@<profil-id>', damit es bei einer Keychain-Abfrage bleibt.
+const DEFAULT_PROFILE = 'default';
+const DEFAULT_PROFILE_NAME = 'Standard';
+// Liste der weiteren Profile, JSON [{ id, name }]
+const PROFILES_ACCOUNT = 'profiles';
+// TOTP-Schlüssel für die Zwei-Faktor-Anmeldung, JSON { [appId]: Eintrag }
+// (Format siehe services/totp.js). Ein Feld für alle Apps, wie die Profile.
+const TOTP_ACCOUNT = 'totp';
+
+const BACKENDS = {
+  KEYCHAIN: 'keychain',
+  VAULT: 'vault',
+  DATABASE: 'database',
+};
+// Dienst ohne Einträge: findCredentials darauf löst auf macOS keine
+// Freigabe-Abfrage aus, scheitert aber ohne erreichbaren Schlüsselbund.
+const KEYCHAIN_PROBE_SERVICE = 'bbzcloud-keychain-check';
+
+/** Name des Bündel-Felds für ein Feld eines Profils. */
+function profileAccount(account, profileId) {
+  return !profileId || profileId === DEFAULT_PROFILE ? account : `${account}@${profileId}`;
+}
+
 // Feldnamen, die vor der Zusammenlegung je einen eigenen Eintrag hatten.
 // Nur für die einmalige Migration bestehender Installationen relevant.
 const LEGACY_ACCOUNTS = [
@@ -50,6 +90,111 @@ class CredentialStore {
     this.inFlight = new Map();
     /** @type {Map<string, Promise<void>>} Schreibvorgänge pro Service, verkettet */
     this.writeQueue = new Map();
+    this.backend = BACKENDS.KEYCHAIN;
+    this.keychainAvailable = null;
+    this.keychainError = null;
+    this.vault = null;
+    // Jeder Zugriff wartet, bis configure() den Speicherort kennt
+    this.ready = Promise.resolve();
+  }
+
+  /**
+   * Speicherort festlegen. Läuft vor dem ersten Zugriff (DatabaseService liest
+   * beim Start das Passwort); Zugriffe davor warten auf die Erkennung.
+   * @param {Object} options
+   * @param {string} [options.preferred] - Gespeicherte Wahl, 'vault' oder 'keychain'
+   * @param {LocalCredentialVault} options.vault
+   */
+  configure({ preferred, vault }) {
+    this.vault = vault;
+    this.ready = this.detectKeychain().then(async (available) => {
+      // Ohne Tresordatei (gelöscht, Master-Passwort vergessen) gilt die Wahl nicht mehr
+      if (preferred === BACKENDS.VAULT && await vault.exists()) {
+        this.backend = BACKENDS.VAULT;
+      } else {
+        this.backend = available ? BACKENDS.KEYCHAIN : BACKENDS.DATABASE;
+      }
+      console.log(`[CredentialStore] Speicherort: ${this.backend}`);
+    });
+    return this.ready;
+  }
+
+  /** Prüft, ob der System-Schlüsselbund antwortet. */
+  async detectKeychain() {
+    try {
+      await keytar.findCredentials(KEYCHAIN_PROBE_SERVICE);
+      this.keychainAvailable = true;
+      this.keychainError = null;
+    } catch (error) {
+      console.warn('[CredentialStore] Schlüsselbund nicht verfügbar:', error.message);
+      this.keychainAvailable = false;
+      this.keychainError = error.message;
+    }
+    return this.keychainAvailable;
+  }
+
+  /** Für die Anzeige in den Einstellungen */
+  async getBackendStatus() {
+    await this.ready;
+    return {
+      backend: this.backend,
+      keychainAvailable: this.keychainAvailable,
+      keychainError: this.keychainError,
+      vaultExists: Boolean(this.vault) && await this.vault.exists(),
+      vaultUnlocked: Boolean(this.vault) && this.vault.isUnlocked(),
+    };
+  }
+
+  _isLockedVault() {
+    return this.backend === BACKENDS.VAULT && !this.vault.isUnlocked();
+  }
+
+  /**
+   * Bündel in den lokalen Tresor umziehen.
+   * @param {string} masterPassword
+   * @param {Object} bundles - { [service]: bundle }, bereits um den DB-Fallback ergänzt
+   */
+  async switchToVault(masterPassword, bundles) {
+    await this.ready;
+    await this.vault.create(masterPassword, bundles);
+    const previous = this.backend;
+    this.backend = BACKENDS.VAULT;
+    this.invalidate();
+
+    // Nicht an zwei Orten liegen lassen
+    if (previous === BACKENDS.KEYCHAIN) {
+      for (const service of Object.keys(bundles)) {
+        try {
+          await keytar.deletePassword(service, BUNDLE_ACCOUNT);
+        } catch (error) {
+          console.warn(`[CredentialStore] Schlüsselbund-Eintrag '${service}' nicht löschbar:`, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Bündel aus dem entsperrten Tresor zurück in den Schlüsselbund. Der
+   * Tresor wird erst gelöscht, wenn jedes Bündel gelesen werden konnte.
+   * @param {Function} [deleteFile] - Löschfunktion für die Tresordatei
+   */
+  async switchToKeychain(deleteFile) {
+    await this.ready;
+    if (!(await this.detectKeychain())) {
+      throw new Error('Der Schlüsselbund ist nicht verfügbar');
+    }
+    const bundles = this.vault.getBundles();
+    for (const [service, bundle] of Object.entries(bundles)) {
+      const raw = JSON.stringify(bundle);
+      await keytar.setPassword(service, BUNDLE_ACCOUNT, raw);
+      if (await keytar.getPassword(service, BUNDLE_ACCOUNT) !== raw) {
+        throw new Error('Der Schlüsselbund hat die Zugangsdaten nicht übernommen');
+      }
+    }
+    this.backend = BACKENDS.KEYCHAIN;
+    this.invalidate();
+    await this.vault.remove(deleteFile);
+    return Object.keys(bundles).length;
   }
 
   /**
@@ -61,6 +206,10 @@ class CredentialStore {
    * anderen abwartet.
    */
   async _load(service) {
+    await this.ready;
+    // Gesperrter Tresor: nichts liefern und nichts cachen, nach dem
+    // Entsperren wird frisch geladen
+    if (this._isLockedVault()) return {};
     if (this.cache.has(service)) return this.cache.get(service);
     if (this.inFlight.has(service)) return this.inFlight.get(service);
 
@@ -80,6 +229,9 @@ class CredentialStore {
   }
 
   async _loadUncached(service) {
+    if (this.backend === BACKENDS.VAULT) return this.vault.read(service);
+    if (this.backend === BACKENDS.DATABASE) return {};
+
     let raw = null;
     try {
       raw = await keytar.getPassword(service, BUNDLE_ACCOUNT);
@@ -156,6 +308,9 @@ class CredentialStore {
    * den vollständigen Endzustand.
    */
   async _persist(service, bundle) {
+    if (this._isLockedVault()) {
+      throw new Error('Der lokale Tresor ist gesperrt');
+    }
     this.cache.set(service, bundle);
 
     const previous = this.writeQueue.get(service) || Promise.resolve();
@@ -163,7 +318,7 @@ class CredentialStore {
       .catch(() => { /* Fehler des Vorgängers hier nicht erneut werfen */ })
       .then(() => {
         const current = this.cache.get(service) || {};
-        return keytar.setPassword(service, BUNDLE_ACCOUNT, JSON.stringify(current));
+        return this._writeBundle(service, current);
       });
 
     this.writeQueue.set(service, next);
@@ -175,6 +330,13 @@ class CredentialStore {
     }
   }
 
+  async _writeBundle(service, bundle) {
+    if (this.backend === BACKENDS.VAULT) return this.vault.write(service, bundle);
+    // Ohne Schlüsselbund bleibt nur der Speicher; die Aufrufer schreiben den DB-Fallback
+    if (this.backend === BACKENDS.DATABASE) return undefined;
+    return keytar.setPassword(service, BUNDLE_ACCOUNT, JSON.stringify(bundle));
+  }
+
   /**
    * @returns {Promise<string|null>} Wert des Feldes oder null
    */
@@ -184,6 +346,12 @@ class CredentialStore {
     return value === undefined ? null : value;
   }
 
+  /** Alle Felder eines Service (für den Umzug in den Tresor). */
+  async getAll(service) {
+    await this._load(service);
+    return this._snapshot(service);
+  }
+
   /**
    * Aktuellen Stand aus dem Cache holen — NACH dem Laden und synchron.
    *
@@ -221,7 +389,7 @@ class CredentialStore {
 
     // Auch den Alt-Eintrag entfernen. Sonst würde die Migration den gelöschten
     // Wert wiederbeleben, falls das Bündel einmal verloren geht.
-    if (LEGACY_ACCOUNTS.includes(account)) {
+    if (LEGACY_ACCOUNTS.includes(account) && this.backend === BACKENDS.KEYCHAIN) {
       try {
         await keytar.deletePassword(service, account);
       } catch (error) {
@@ -230,6 +398,93 @@ class CredentialStore {
     }
   }
 
+  /**
+   * Alle Profile eines Service, das Standardprofil immer zuerst.
+   * @returns {Promise<Array<{id: string, name: string}>>}
+   */
+  async getProfiles(service) {
+    const bundle = await this._load(service);
+    let profiles = [];
+    try {
+      const parsed = JSON.parse(bundle[PROFILES_ACCOUNT] || '[]');
+      profiles = Array.isArray(parsed) ? parsed.filter(profile => profile && profile.id && profile.name) : [];
+    } catch (error) {
+      console.error('[CredentialStore] Profilliste nicht lesbar:', error.message);
+    }
+    return [{ id: DEFAULT_PROFILE, name: DEFAULT_PROFILE_NAME }, ...profiles];
+  }
+
+  /** Profil anlegen oder umbenennen. */
+  async saveProfile(service, { id, name }) {
+    if (id === DEFAULT_PROFILE) {
+      throw new Error('Das Standardprofil kann nicht umbenannt werden');
+    }
+    const profiles = (await this.getProfiles(service)).filter(profile => profile.id !== DEFAULT_PROFILE);
+    const existing = profiles.find(profile => profile.id === id);
+    if (existing) {
+      existing.name = name;
+    } else {
+      profiles.push({ id, name });
+    }
+    // Wie in set(): ab dem Schnappschuss synchron bis _persist
+    const bundle = this._snapshot(service);
+    bundle[PROFILES_ACCOUNT] = JSON.stringify(profiles);
+    await this._persist(service, bundle);
+    return profiles;
+  }
+
+  /**
+   * Profil samt seiner Felder löschen.
+   * @returns {Promise<string[]>} Entfernte Bündel-Felder (für den DB-Fallback)
+   */
+  async removeProfile(service, profileId) {
+    if (!profileId || profileId === DEFAULT_PROFILE) {
+      throw new Error('Das Standardprofil kann nicht gelöscht werden');
+    }
+    const profiles = (await this.getProfiles(service))
+      .filter(profile => profile.id !== DEFAULT_PROFILE && profile.id !== profileId);
+    const bundle = this._snapshot(service);
+    const suffix = `@${profileId}`;
+    const removed = Object.keys(bundle).filter(account => account.endsWith(suffix));
+    removed.forEach(account => delete bundle[account]);
+    bundle[PROFILES_ACCOUNT] = JSON.stringify(profiles);
+    await this._persist(service, bundle);
+    return removed;
+  }
+
+  /**
+   * Alle TOTP-Einträge eines Service.
+   * @returns {Promise<Object>} { [appId]: { secret, digits, period, algorithm, label } }
+   */
+  async getTotpSecrets(service) {
+    const bundle = await this._load(service);
+    try {
+      const parsed = JSON.parse(bundle[TOTP_ACCOUNT] || '{}');
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+      console.error('[CredentialStore] TOTP-Schlüssel nicht lesbar:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * TOTP-Eintrag einer App setzen, `entry` null entfernt ihn.
+   * @returns {Promise<Object>} Alle Einträge nach der Änderung (für den DB-Fallback)
+   */
+  async setTotpSecret(service, appId, entry) {
+    const secrets = await this.getTotpSecrets(service);
+    if (entry) {
+      secrets[appId] = entry;
+    } else {
+      delete secrets[appId];
+    }
+    // Wie in set(): ab dem Schnappschuss synchron bis _persist
+    const bundle = this._snapshot(service);
+    bundle[TOTP_ACCOUNT] = JSON.stringify(secrets);
+    await this._persist(service, bundle);
+    return secrets;
+  }
+
   /** Cache verwerfen (z. B. nach externem Wechsel der Zugangsdaten). */
   invalidate(service) {
     if (service) {
@@ -245,3 +500,8 @@ class CredentialStore {
 module.exports = new CredentialStore();
 module.exports.BUNDLE_ACCOUNT = BUNDLE_ACCOUNT;
 module.exports.LEGACY_ACCOUNTS = LEGACY_ACCOUNTS;
+module.exports.DEFAULT_PROFILE = DEFAULT_PROFILE;
+module.exports.PROFILES_ACCOUNT = PROFILES_ACCOUNT;
+module.exports.TOTP_ACCOUNT = TOTP_ACCOUNT;
+module.exports.BACKENDS = BACKENDS;
+module.exports.profileAccount = profileAccount;
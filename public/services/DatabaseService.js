@@ -1,14 +1,41 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const { app } = require('electron');
-const CryptoJS = require('crypto-js');
 const Store = require('electron-store');
+const MIGRATIONS = require('./migrations');
+const encryption = require('./encryption');
+const { sanitizeDocumentName } = require('./documentPackage');
+
+// Rotating backups: file name prefix and minimum age before the next snapshot
+const BACKUP_PREFIX = 'bbzcloud-backup-';
+const BACKUP_INTERVAL = 24 * 60 * 60 * 1000;
+// Safety copies written next to the database before a restore
+const MAX_RESTORE_SAFETY_COPIES = 3;
+
+// Older versions kept per secure document (see archiveSecureDocumentVersion)
+const MAX_DOCUMENT_VERSIONS = 10;
+
+// Every column holding a value from encryption.encrypt()
+const ENCRYPTED_COLUMNS = [
+    ['todos', 'text'],
+    ['todos', 'subtasks'],
+    ['secure_documents', 'content'],
+    ['secure_documents', 'tags'],
+    ['secure_documents', 'notes'],
+    ['secure_document_folders', 'name'],
+    ['secure_document_versions', 'content'],
+    ['credentials', 'encrypted_value']
+];
+const DOCUMENT_TABLES = ['secure_documents', 'secure_document_folders', 'secure_document_versions'];
 
 class DatabaseService {
     constructor() {
         this.isConnected = false;
         this.tablesReady = false; // Set once createTables() has completed successfully
+        this.kdfSalt = null; // Loaded from encryption_meta, see loadKdfSalt()
+        this.legacyFormatRetired = false; // See loadLegacyFormatState()
         this.activeWatchers = new Map(); // Track file watchers for cleanup
         this.tempFiles = new Set(); // Track temporary files for cleanup
         this.lastMemoryCheck = Date.now();
@@ -29,6 +56,38 @@ class DatabaseService {
                 navbarZoom: {
                     type: 'number',
                     default: 0.9
+                },
+                backupDirectory: {
+                    type: 'string'
+                },
+                backupKeep: {
+                    type: 'number',
+                    minimum: 1,
+                    default: 7
+                },
+                lastBackupAt: {
+                    type: 'number',
+                    default: 0
+                },
+                // Delivery/snooze bookkeeping of ReminderScheduler
+                reminderState: {
+                    type: 'object'
+                },
+                // SecureVault inactivity lock, 0 = only lock manually/on lock screen
+                secureVaultAutoLockMinutes: {
+                    type: 'number',
+                    minimum: 0,
+                    default: 15
+                },
+                // Credential profile per app. Device specific like the
+                // keychain profiles it points to, so not in the settings table
+                credentialProfiles: {
+                    type: 'object'
+                },
+                // Session partition per app ({ [appId]: 'isolated' }), device
+                // specific like the cookies and storage that live in it
+                sessionPartitions: {
+                    type: 'object'
                 }
             }
         });
@@ -47,6 +106,12 @@ class DatabaseService {
     async initialize() {
         await this.setupEncryption();
         await this.initializeDatabase();
+        try {
+            await this.upgradeEncryption();
+        } catch (error) {
+            // Not fatal: legacy rows stay readable, the next start retries
+            console.error('Encryption upgrade failed:', error);
+        }
     }
 
     async initializeDatabase() {
@@ -57,6 +122,10 @@ class DatabaseService {
             
             // Ensure directory exists
             await fs.ensureDir(path.dirname(this.dbPath));
+
+            // Remember whether there is existing user data worth backing up
+            // before migrations run (a brand-new database needs no backup)
+            const isExistingDatabase = fs.existsSync(this.dbPath);
             
             // Initialize database connection
             await new Promise((resolve, reject) => {
@@ -93,6 +162,13 @@ class DatabaseService {
 
             // Create tables (idempotent via CREATE TABLE IF NOT EXISTS)
             await this.createTables();
+
+            // Bring the schema up to date. A failing step is rolled back and
+            // aborts initialization so no operation runs against a half-migrated
+            // schema; ensureInitialized() retries on the next database access.
+            await this.runMigrations({ backup: isExistingDatabase });
+            await this.loadKdfSalt();
+            await this.loadLegacyFormatState();
             this.tablesReady = true;
 
         } catch (error) {
@@ -127,67 +203,213 @@ class DatabaseService {
                 throw new Error('Invalid old password');
             }
 
-            // Promisified helpers to avoid async/callback mixing in transactions
-            const dbAll = (sql, params) => new Promise((resolve, reject) => {
-                this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
-            });
-            const dbRun = (sql, params) => new Promise((resolve, reject) => {
-                this.db.run(sql, params, (err) => err ? reject(err) : resolve());
-            });
-
-            // Fetch all data before starting transaction
-            const todos = await dbAll('SELECT id, text FROM todos', []);
-            const docs = await dbAll('SELECT id, content FROM secure_documents', []);
-
-            // Prepare re-encrypted values in memory (CryptoJS is synchronous).
-            // Decrypt everything with oldPassword first, then encrypt with newPassword.
-            // Do NOT mutate this.encryptionKey here -- it stays as oldPassword until commit succeeds.
-            const reencryptedTodos = todos.map(todo => {
-                const decryptedText = (() => {
-                    const bytes = CryptoJS.AES.decrypt(todo.text, oldPassword);
-                    return bytes.toString(CryptoJS.enc.Utf8);
-                })();
-                return {
-                    id: todo.id,
-                    text: CryptoJS.AES.encrypt(decryptedText, newPassword).toString()
-                };
-            });
+            // With a vault password the documents do not depend on this password
+            const vaultEnabled = Boolean(await this.getVaultCheck());
+            await this.reencryptRows(oldPassword, newPassword, { documents: !vaultEnabled });
 
-            const reencryptedDocs = [];
-            for (const doc of docs) {
-                try {
-                    const decrypted = CryptoJS.AES.decrypt(doc.content, oldPassword);
-                    const metadata = JSON.parse(decrypted.toString(CryptoJS.enc.Utf8));
-                    reencryptedDocs.push({
-                        id: doc.id,
-                        content: CryptoJS.AES.encrypt(JSON.stringify(metadata), newPassword).toString()
-                    });
-                } catch (error) {
-                    console.error('Error reencrypting document:', error);
-                }
-            }
+            // Update encryption key only after successful commit
+            this.encryptionKey = newPassword;
+            return true;
+        });
+    }
 
-            // Execute all updates in a single transaction
-            await dbRun('BEGIN TRANSACTION', []);
+    // Re-encrypt every encrypted column from oldPassword to newPassword.
+    // Values are always written in the current format, so this also upgrades
+    // legacy crypto-js rows (see upgradeEncryption). Runs on the open
+    // connection without withConnection() so it can be used during startup.
+    //
+    // `records` covers todos and credentials (main password), `documents` the
+    // secure document tables (main or vault password). `inTransaction` runs
+    // right before COMMIT, e.g. to store the matching vault check value.
+    async reencryptRows(oldPassword, newPassword, { records = true, documents = true, inTransaction = null } = {}) {
+        // Fetch all data before starting transaction
+        const none = Promise.resolve([]);
+        const todos = await (records ? this.allAsync('SELECT id, text, subtasks FROM todos') : none);
+        const docs = await (documents ? this.allAsync('SELECT id, content, tags, notes FROM secure_documents') : none);
+        const docFolders = await (documents ? this.allAsync('SELECT id, name FROM secure_document_folders') : none);
+        const docVersions = await (documents ? this.allAsync('SELECT id, content FROM secure_document_versions') : none);
+        const credentials = await (records ? this.allAsync('SELECT service, account, encrypted_value FROM credentials') : none);
+
+        // Prepare re-encrypted values in memory.
+        // Decrypt everything with oldPassword first, then encrypt with newPassword.
+        // Do NOT mutate this.encryptionKey here -- it stays as oldPassword until commit succeeds.
+        //
+        // A value that does not decrypt aborts before anything is written:
+        // committing the rest would leave it under a password nobody knows
+        // any more, unreadable without a warning.
+        const unreadable = [];
+        const reencryptValue = (value) => this.encryptWithPassword(this.decryptValue(value, oldPassword), newPassword);
+        const reencryptAll = (rows, label, reencrypt) => rows.flatMap(row => {
             try {
-                for (const todo of reencryptedTodos) {
-                    await dbRun('UPDATE todos SET text = ? WHERE id = ?', [todo.text, todo.id]);
-                }
-                for (const doc of reencryptedDocs) {
-                    await dbRun('UPDATE secure_documents SET content = ? WHERE id = ?', [doc.content, doc.id]);
-                }
-                await dbRun('COMMIT', []);
+                return [reencrypt(row)];
             } catch (error) {
-                await dbRun('ROLLBACK', []).catch(() => {});
-                throw error;
+                unreadable.push(label(row));
+                return [];
             }
+        });
 
-            // Update encryption key only after successful commit
-            this.encryptionKey = newPassword;
+        const reencryptedTodos = reencryptAll(todos, todo => `todos/${todo.id}`, todo => ({
+            id: todo.id,
+            text: reencryptValue(todo.text),
+            subtasks: todo.subtasks ? reencryptValue(todo.subtasks) : null
+        }));
+        const reencryptedDocs = reencryptAll(docs, doc => `secure_documents/${doc.id}`, doc => ({
+            id: doc.id,
+            content: reencryptValue(doc.content),
+            tags: doc.tags ? reencryptValue(doc.tags) : null,
+            notes: doc.notes ? reencryptValue(doc.notes) : null
+        }));
+        const reencryptedFolders = reencryptAll(docFolders, folder => `secure_document_folders/${folder.id}`, folder => ({
+            id: folder.id,
+            name: reencryptValue(folder.name)
+        }));
+        const reencryptedVersions = reencryptAll(docVersions, version => `secure_document_versions/${version.id}`, version => ({
+            id: version.id,
+            content: reencryptValue(version.content)
+        }));
+        const reencryptedCredentials = reencryptAll(credentials, credential => `credentials/${credential.service}/${credential.account}`, credential => ({
+            ...credential,
+            encrypted_value: reencryptValue(credential.encrypted_value)
+        }));
+
+        if (unreadable.length > 0) {
+            console.error('[DatabaseService] Values that do not decrypt with the old password:', unreadable);
+            const error = new Error(`${unreadable.length} encrypted value(s) cannot be decrypted with the old password, nothing was changed`);
+            error.unreadable = unreadable;
+            throw error;
+        }
+
+        // Execute all updates in a single transaction
+        await this.runAsync('BEGIN TRANSACTION');
+        try {
+            for (const todo of reencryptedTodos) {
+                await this.runAsync('UPDATE todos SET text = ?, subtasks = ? WHERE id = ?', [todo.text, todo.subtasks, todo.id]);
+            }
+            for (const doc of reencryptedDocs) {
+                await this.runAsync('UPDATE secure_documents SET content = ?, tags = ?, notes = ? WHERE id = ?', [doc.content, doc.tags, doc.notes, doc.id]);
+            }
+            for (const folder of reencryptedFolders) {
+                await this.runAsync('UPDATE secure_document_folders SET name = ? WHERE id = ?', [folder.name, folder.id]);
+            }
+            for (const version of reencryptedVersions) {
+                await this.runAsync('UPDATE secure_document_versions SET content = ? WHERE id = ?', [version.content, version.id]);
+            }
+            for (const credential of reencryptedCredentials) {
+                await this.runAsync(
+                    'UPDATE credentials SET encrypted_value = ? WHERE service = ? AND account = ?',
+                    [credential.encrypted_value, credential.service, credential.account]
+                );
+            }
+            if (inTransaction) {
+                await inTransaction();
+            }
+            await this.runAsync('COMMIT');
+        } catch (error) {
+            await this.runAsync('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    }
+
+    // One-time move of rows written before format v2 (crypto-js with the
+    // password as passphrase) to AES-256-GCM with scrypt. Runs at startup as
+    // soon as the password is known; until it succeeds, legacy rows stay
+    // readable through decryptValue(). The backup is only taken on the first
+    // attempt. A value that does not decrypt stops the upgrade (reencryptRows
+    // commits nothing then) and is reported on every start. Once no legacy
+    // row is left, the legacy format is retired for this database.
+    async upgradeEncryption() {
+        if (!this.encryptionKey) return false;
+
+        // Vault-protected documents are written by SecureVault, always in the current format
+        const vaultEnabled = Boolean(await this.readVaultCheck());
+        const columns = ENCRYPTED_COLUMNS.filter(([table]) => !vaultEnabled || !DOCUMENT_TABLES.includes(table));
+        const legacyCounts = await Promise.all(columns.map(([table, column]) => this.getAsync(
+            `SELECT COUNT(*) AS count FROM ${table} WHERE ${column} IS NOT NULL AND ${column} NOT LIKE ?`,
+            [`${encryption.FORMAT_VERSION}$%`]
+        )));
+        const legacyRows = legacyCounts.reduce((sum, row) => sum + (row?.count || 0), 0);
+        if (legacyRows === 0) {
+            await this.retireLegacyFormat();
+            return false;
+        }
+
+        const backupKind = `encryption-${encryption.FORMAT_VERSION}`;
+        if ((await this.listSafetyCopies(backupKind)).length === 0) {
+            const backupPath = `${this.dbPath}.pre-${backupKind}-${Date.now()}.bak`;
+            await this.runAsync('VACUUM INTO ?', [backupPath]);
+            console.log(`[DatabaseService] Backup before encryption upgrade written to ${backupPath}`);
+        }
+
+        try {
+            await this.reencryptRows(this.encryptionKey, this.encryptionKey, { documents: !vaultEnabled });
+        } catch (error) {
+            if (error.unreadable) {
+                console.error(`[DatabaseService] Encryption upgrade stopped: ${error.unreadable.length} value(s) do not decrypt with the current password. Remove or restore them to finish the upgrade:`, error.unreadable);
+            }
+            throw error;
+        }
+        await this.retireLegacyFormat();
+        console.log(`[DatabaseService] Upgraded ${legacyRows} encrypted value(s) to format ${encryption.FORMAT_VERSION}`);
+        return true;
+    }
+
+    // Without integrity protection a legacy value could be swapped into the
+    // database unnoticed, so it is refused once every row has been upgraded
+    async loadLegacyFormatState() {
+        const row = await this.getAsync("SELECT value FROM encryption_meta WHERE key = 'legacy_format_retired'");
+        this.legacyFormatRetired = Boolean(row);
+    }
+
+    async retireLegacyFormat() {
+        if (this.legacyFormatRetired) return;
+        await this.runAsync(
+            "INSERT OR REPLACE INTO encryption_meta (key, value) VALUES ('legacy_format_retired', ?)",
+            [String(Date.now())]
+        );
+        this.legacyFormatRetired = true;
+    }
+
+    // Vault password for secure documents (see SecureVault). The check value
+    // is a known plaintext encrypted with the vault password; no row means
+    // documents are encrypted with the main password.
+    async getVaultCheck() {
+        return this.withConnection(() => this.readVaultCheck());
+    }
+
+    // Without withConnection(), for use during startup
+    async readVaultCheck() {
+        const row = await this.getAsync("SELECT value FROM encryption_meta WHERE key = 'vault_check'");
+        return row ? row.value : null;
+    }
+
+    // Re-encrypt all secure documents and store (or remove) the vault check
+    // value in the same transaction, so documents and check never disagree.
+    async changeDocumentPassword(oldPassword, newPassword, { vaultCheck }) {
+        return this.withConnection(async () => {
+            await this.reencryptRows(oldPassword, newPassword, {
+                records: false,
+                inTransaction: () => (vaultCheck
+                    ? this.runAsync("INSERT OR REPLACE INTO encryption_meta (key, value) VALUES ('vault_check', ?)", [vaultCheck])
+                    : this.runAsync("DELETE FROM encryption_meta WHERE key = 'vault_check'"))
+            });
             return true;
         });
     }
 
+    // KDF salt shared by all values of this database, so the scrypt key is
+    // derived once per password instead of once per row
+    async loadKdfSalt() {
+        const row = await this.getAsync("SELECT value FROM encryption_meta WHERE key = 'kdf_salt'");
+        if (row) {
+            this.kdfSalt = row.value;
+            return;
+        }
+        const salt = encryption.createSalt();
+        await this.runAsync("INSERT OR IGNORE INTO encryption_meta (key, value) VALUES ('kdf_salt', ?)", [salt]);
+        const stored = await this.getAsync("SELECT value FROM encryption_meta WHERE key = 'kdf_salt'");
+        this.kdfSalt = stored.value;
+    }
+
     async createTables() {
         return new Promise((resolve, reject) => {
             this.db.serialize(() => {
@@ -351,10 +573,104 @@ class DatabaseService {
         // incomplete. Re-create any missing tables before running operations.
         if (!this.tablesReady) {
             await this.createTables();
+            await this.runMigrations({ backup: true });
+            await this.loadKdfSalt();
+            await this.loadLegacyFormatState();
             this.tablesReady = true;
         }
     }
 
+    // Promisified helpers for sequential statements (migrations, transactions)
+    runAsync(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, (err) => err ? reject(err) : resolve());
+        });
+    }
+
+    allAsync(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    getAsync(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    // Schema migrations
+    async getSchemaVersion() {
+        await this.runAsync(`
+            CREATE TABLE IF NOT EXISTS schema_version (
+                version INTEGER PRIMARY KEY,
+                description TEXT NOT NULL,
+                applied_at INTEGER NOT NULL
+            )
+        `);
+        const row = await this.getAsync('SELECT MAX(version) as version FROM schema_version');
+        return row?.version || 0;
+    }
+
+    // Copy the database before migrating so a broken step can never cost user data.
+    // VACUUM INTO produces a consistent snapshot through the open connection.
+    async backupBeforeMigration(fromVersion) {
+        const backupPath = `${this.dbPath}.pre-migration-v${fromVersion}-${Date.now()}.bak`;
+        await this.runAsync('VACUUM INTO ?', [backupPath]);
+        console.log(`[DatabaseService] Backup before migration written to ${backupPath}`);
+        return backupPath;
+    }
+
+    async runMigrations({ backup = true } = {}) {
+        const currentVersion = await this.getSchemaVersion();
+        const pending = MIGRATIONS
+            .filter(migration => migration.version > currentVersion)
+            .sort((a, b) => a.version - b.version);
+
+        if (pending.length === 0) {
+            return currentVersion;
+        }
+
+        // One backup per process is enough: when a step fails, ensureInitialized()
+        // retries on every access and must not pile up identical copies.
+        if (backup && !this.migrationBackupPath) {
+            this.migrationBackupPath = await this.backupBeforeMigration(currentVersion);
+        }
+
+        const helpers = {
+            run: (sql, params) => this.runAsync(sql, params),
+            all: (sql, params) => this.allAsync(sql, params),
+            get: (sql, params) => this.getAsync(sql, params),
+            addColumn: async (table, column, definition) => {
+                const columns = await this.allAsync(`PRAGMA table_info(${table})`);
+                if (!columns.some(col => col.name === column)) {
+                    await this.runAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+                }
+            }
+        };
+
+        let version = currentVersion;
+        for (const migration of pending) {
+            await this.runAsync('BEGIN TRANSACTION');
+            try {
+                await migration.up(helpers);
+                await this.runAsync(
+                    'INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)',
+                    [migration.version, migration.description, Date.now()]
+                );
+                await this.runAsync('COMMIT');
+                version = migration.version;
+                console.log(`[DatabaseService] Applied migration ${migration.version}: ${migration.description}`);
+            } catch (error) {
+                await this.runAsync('ROLLBACK').catch(() => {});
+                console.error(`[DatabaseService] Migration ${migration.version} failed, rolled back:`, error);
+                throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+            }
+        }
+
+        return version;
+    }
+
     // Helper to wrap database operations with proper connection handling
     async withConnection(operation) {
         try {
@@ -376,13 +692,24 @@ class DatabaseService {
         }
     }
 
-    // Encryption/Decryption helpers
+    // Encryption/Decryption helpers (format in encryption.js)
+    encryptWithPassword(plaintext, password) {
+        if (!this.kdfSalt) {
+            throw new Error('Database encryption not initialized');
+        }
+        return encryption.encrypt(plaintext, password, { salt: this.kdfSalt });
+    }
+
+    decryptValue(value, password) {
+        return encryption.decrypt(value, password, { allowLegacy: !this.legacyFormatRetired });
+    }
+
     encrypt(data) {
         if (!this.encryptionKey) {
             // If no encryption key is set, return data as-is
             return JSON.stringify(data);
         }
-        return CryptoJS.AES.encrypt(JSON.stringify(data), this.encryptionKey).toString();
+        return this.encryptWithPassword(JSON.stringify(data), this.encryptionKey);
     }
 
     decrypt(encryptedData) {
@@ -400,18 +727,24 @@ class DatabaseService {
         }
         
         try {
-            const bytes = CryptoJS.AES.decrypt(encryptedData, this.encryptionKey);
-            const decryptedStr = bytes.toString(CryptoJS.enc.Utf8);
-            if (!decryptedStr) {
-                throw new Error('Decryption resulted in empty string');
-            }
-            return JSON.parse(decryptedStr);
+            return JSON.parse(this.decryptValue(encryptedData, this.encryptionKey));
         } catch (error) {
             console.error('Decryption error:', error);
             throw new Error('Failed to decrypt data: ' + error.message);
         }
     }
 
+    // Non-encrypted JSON columns (e.g. todo recurrence rules)
+    parseJsonColumn(value) {
+        if (!value) return null;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.error('Error parsing JSON column:', error);
+            return null;
+        }
+    }
+
     // Settings operations
     async saveSettings(settings) {
         return this.withConnection(async () => {
@@ -426,6 +759,12 @@ class DatabaseService {
             // Ensure we're setting the values correctly in electron-store
             this.store.set('globalZoom', globalZoom);
             this.store.set('navbarZoom', navbarZoom);
+            if (settings.credentialProfiles) {
+                this.store.set('credentialProfiles', settings.credentialProfiles);
+            }
+            if (settings.sessionPartitions) {
+                this.store.set('sessionPartitions', settings.sessionPartitions);
+            }
 
             // Save other settings to database
             const settingsToSave = {
@@ -491,7 +830,9 @@ class DatabaseService {
                             navbarZoom: navbarZoom,
                             autostart: settings.autostart ?? false,
                             minimizedStart: settings.minimizedStart ?? false,
-                            useBbzChat: settings.useBbzChat ?? false
+                            useBbzChat: settings.useBbzChat ?? false,
+                            credentialProfiles: this.store.get('credentialProfiles'),
+                            sessionPartitions: this.store.get('sessionPartitions')
                         };
                         resolve(result);
                     }
@@ -523,20 +864,26 @@ class DatabaseService {
                         
                         // Insert todos with encrypted text
                         const todoStmt = this.db.prepare(`
-                            INSERT INTO todos (id, text, completed, folder, created_at, reminder, updated_at)
-                            VALUES (?, ?, ?, ?, ?, ?, ?)
+                            INSERT INTO todos (id, text, completed, completed_at, folder, created_at, reminder, due_date, priority, recurrence, subtasks, updated_at)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                         `);
                         
                         todoState.todos.forEach(todo => {
-                            // Only encrypt the text content
+                            // Only encrypt the text content (subtask texts included)
                             const encryptedText = this.encrypt(todo.text);
+                            const encryptedSubtasks = todo.subtasks?.length ? this.encrypt(todo.subtasks) : null;
                             todoStmt.run(
                                 todo.id,
                                 encryptedText,
                                 todo.completed ? 1 : 0,
+                                todo.completed ? (todo.completedAt || null) : null,
                                 todo.folder,
                                 todo.createdAt,
                                 todo.reminder,
+                                todo.dueDate || null,
+                                todo.priority || 0,
+                                todo.recurrence ? JSON.stringify(todo.recurrence) : null,
+                                encryptedSubtasks,
                                 timestamp
                             );
                         });
@@ -555,7 +902,7 @@ class DatabaseService {
 
                         this.db.run('COMMIT', (err) => {
                             if (err) reject(err);
-                            else resolve(true);
+                            else this.rebuildTodoSearchIndex(todoState.todos).then(() => resolve(true));
                         });
                     } catch (error) {
                         this.db.run('ROLLBACK');
@@ -587,9 +934,14 @@ class DatabaseService {
                             id: todo.id,
                             text: this.decrypt(todo.text), // Decrypt the text content
                             completed: Boolean(todo.completed),
+                            completedAt: todo.completed_at || null,
                             folder: todo.folder,
                             createdAt: todo.created_at,
-                            reminder: todo.reminder
+                            reminder: todo.reminder,
+                            dueDate: todo.due_date || null,
+                            priority: todo.priority || 0,
+                            recurrence: this.parseJsonColumn(todo.recurrence),
+                            subtasks: todo.subtasks ? this.decrypt(todo.subtasks) : []
                         }));
 
                         // Get folders
@@ -619,7 +971,7 @@ class DatabaseService {
                                         console.error('Error parsing todo settings:', error);
                                     }
                                 }
-                                resolve(result);
+                                this.rebuildTodoSearchIndex(result.todos).then(() => resolve(result));
                             });
                         });
                     });
@@ -628,6 +980,78 @@ class DatabaseService {
         });
     }
 
+    // Todo full-text search
+    //
+    // Todo texts are encrypted at rest, so the FTS5 index lives in the
+    // connection's temp schema (kept in memory) and is rebuilt from the
+    // decrypted todos whenever they are loaded or saved. Plaintext never
+    // reaches the database file or its backups.
+    async rebuildTodoSearchIndex(todos) {
+        // Chain rebuilds so concurrent load/save calls cannot interleave
+        this.todoSearchQueue = (this.todoSearchQueue || Promise.resolve()).then(async () => {
+            try {
+                await this.runAsync('PRAGMA temp_store = MEMORY');
+                await this.runAsync(`
+                    CREATE VIRTUAL TABLE IF NOT EXISTS temp.todo_search
+                    USING fts5(todo_id UNINDEXED, text, tokenize = 'unicode61 remove_diacritics 2')
+                `);
+                await this.runAsync('DELETE FROM temp.todo_search');
+                for (const todo of todos || []) {
+                    const subtaskText = (todo.subtasks || []).map(subtask => subtask.text).join('\n');
+                    await this.runAsync(
+                        'INSERT INTO temp.todo_search (todo_id, text) VALUES (?, ?)',
+                        [String(todo.id), [todo.text, subtaskText].filter(Boolean).join('\n')]
+                    );
+                }
+                this.todoSearchAvailable = true;
+            } catch (error) {
+                // SQLite builds without FTS5 fall back to a linear search
+                console.error('Error rebuilding todo search index:', error);
+                this.todoSearchAvailable = false;
+            }
+        });
+        return this.todoSearchQueue;
+    }
+
+    async searchTodos(query) {
+        return this.withConnection(async () => {
+            // Prefix match on every word: "klaus vorb" finds "Klausur vorbereiten"
+            const terms = String(query || '')
+                .split(/\s+/)
+                .map(term => term.replace(/"/g, '').replace(/^#/, ''))
+                .filter(Boolean);
+            if (terms.length === 0) return [];
+
+            const indexExists = await this.getAsync(
+                "SELECT name FROM sqlite_temp_master WHERE type = 'table' AND name = 'todo_search'"
+            );
+            if (!indexExists) {
+                await this.getTodoState(); // builds the index
+            }
+            await this.todoSearchQueue;
+
+            if (!this.todoSearchAvailable) {
+                const { todos } = await this.getTodoState();
+                const needles = terms.map(term => term.toLowerCase());
+                return todos
+                    .filter(todo => {
+                        const haystack = [todo.text, ...(todo.subtasks || []).map(subtask => subtask.text)]
+                            .join('\n')
+                            .toLowerCase();
+                        return needles.every(needle => haystack.includes(needle));
+                    })
+                    .map(todo => String(todo.id));
+            }
+
+            const match = terms.map(term => `"${term}"*`).join(' ');
+            const rows = await this.allAsync(
+                'SELECT todo_id FROM temp.todo_search WHERE todo_search MATCH ? ORDER BY rank',
+                [match]
+            );
+            return rows.map(row => row.todo_id);
+        });
+    }
+
     // Custom apps operations
     async saveCustomApps(apps) {
         return this.withConnection(async () => {
@@ -643,8 +1067,8 @@ class DatabaseService {
                         
                         // Insert new apps with minimal required data
                         const stmt = this.db.prepare(`
-                            INSERT INTO custom_apps (id, title, url, button_variant, favicon, zoom, updated_at)
-                            VALUES (?, ?, ?, ?, ?, ?, ?)
+                            INSERT INTO custom_apps (id, title, url, button_variant, favicon, zoom, login_recipe, updated_at)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
                         `);
                         
                         const sanitizedApps = apps.map(app => ({
@@ -654,6 +1078,7 @@ class DatabaseService {
                             buttonVariant: 'solid', // Always use default
                             favicon: null,          // Don't save favicon
                             zoom: app.zoom || 1.0,  // Use default zoom if not set
+                            loginRecipe: app.loginRecipe ? JSON.stringify(app.loginRecipe) : null,
                         }));
                         
                         sanitizedApps.forEach(app => {
@@ -664,6 +1089,7 @@ class DatabaseService {
                                 app.buttonVariant,
                                 app.favicon,
                                 app.zoom,
+                                app.loginRecipe,
                                 timestamp
                             );
                         });
@@ -697,13 +1123,24 @@ class DatabaseService {
                         url: app.url,
                         buttonVariant: app.button_variant,
                         favicon: app.favicon,
-                        zoom: app.zoom
+                        zoom: app.zoom,
+                        loginRecipe: this.parseLoginRecipe(app.login_recipe)
                     })));
                 });
             });
         });
     }
 
+    parseLoginRecipe(value) {
+        if (!value) return null;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.error('Error parsing login recipe:', error);
+            return null;
+        }
+    }
+
     // Secure documents operations
     async saveSecureDocument(document, password) {
         return this.withConnection(async () => {
@@ -722,15 +1159,20 @@ class DatabaseService {
                 };
 
                 // Encrypt the metadata
-                const encrypted = CryptoJS.AES.encrypt(
-                    JSON.stringify(metadata),
-                    password
-                ).toString();
+                const encrypted = this.encryptWithPassword(JSON.stringify(metadata), password);
 
+                // Upsert rather than INSERT OR REPLACE: folder, tags and notes
+                // must survive content updates from the file watcher
                 this.db.run(
-                    `INSERT OR REPLACE INTO secure_documents 
+                    `INSERT INTO secure_documents 
                     (id, name, size, date, content, updated_at) 
-                    VALUES (?, ?, ?, ?, ?, ?)`,
+                    VALUES (?, ?, ?, ?, ?, ?)
+                    ON CONFLICT(id) DO UPDATE SET
+                        name = excluded.name,
+                        size = excluded.size,
+                        date = excluded.date,
+                        content = excluded.content,
+                        updated_at = excluded.updated_at`,
                     [
                         document.id,
                         document.name,
@@ -748,18 +1190,22 @@ class DatabaseService {
         });
     }
 
-    async getSecureDocuments() {
+    // Without a password only the unencrypted columns are returned (enough for
+    // callers that just need ids); tags and notes need the document password.
+    async getSecureDocuments(password = null) {
         return this.withConnection(async () => {
-            return new Promise((resolve, reject) => {
-                this.db.all(
-                    'SELECT id, name, size, date FROM secure_documents ORDER BY date DESC',
-                    [],
-                    (err, rows) => {
-                        if (err) reject(err);
-                        else resolve(rows || []);
-                    }
-                );
-            });
+            const rows = await this.allAsync(
+                'SELECT id, name, size, date, folder_id, tags, notes FROM secure_documents ORDER BY date DESC'
+            );
+            return rows.map(row => ({
+                id: row.id,
+                name: row.name,
+                size: row.size,
+                date: row.date,
+                folderId: row.folder_id || null,
+                tags: password ? this.decryptDocumentField(row.tags, password, []) : [],
+                notes: password ? this.decryptDocumentField(row.notes, password, '') : ''
+            }));
         });
     }
 
@@ -779,9 +1225,8 @@ class DatabaseService {
                             return;
                         }
                         try {
-                            // Decrypt the metadata
-                            const decrypted = CryptoJS.AES.decrypt(row.content, password);
-                            const metadata = JSON.parse(decrypted.toString(CryptoJS.enc.Utf8));
+                            // Decrypt the metadata (throws on tampered content)
+                            const metadata = JSON.parse(this.decryptValue(row.content, password));
                             
                             // Convert base64 back to Buffer
                             const content = Buffer.from(metadata.content, 'base64');
@@ -803,6 +1248,7 @@ class DatabaseService {
 
     async deleteSecureDocument(id) {
         return this.withConnection(async () => {
+            await this.runAsync('DELETE FROM secure_document_versions WHERE document_id = ?', [id]);
             return new Promise((resolve, reject) => {
                 this.db.run(
                     'DELETE FROM secure_documents WHERE id = ?',
@@ -816,21 +1262,185 @@ class DatabaseService {
         });
     }
 
+    // Secure document versions. The stored content is copied as-is (it is
+    // already encrypted), so archiving needs no password.
+    async archiveSecureDocumentVersion(documentId) {
+        return this.withConnection(async () => {
+            const current = await this.getAsync(
+                'SELECT size, date, content FROM secure_documents WHERE id = ?',
+                [documentId]
+            );
+            if (!current) return false;
+
+            await this.runAsync(
+                `INSERT INTO secure_document_versions (document_id, size, date, content, created_at)
+                VALUES (?, ?, ?, ?, ?)`,
+                [documentId, current.size, current.date, current.content, Date.now()]
+            );
+            await this.runAsync(
+                `DELETE FROM secure_document_versions
+                WHERE document_id = ? AND id NOT IN (
+                    SELECT id FROM secure_document_versions
+                    WHERE document_id = ?
+                    ORDER BY created_at DESC, id DESC
+                    LIMIT ?
+                )`,
+                [documentId, documentId, MAX_DOCUMENT_VERSIONS]
+            );
+            return true;
+        });
+    }
+
+    async getSecureDocumentVersions(documentId) {
+        return this.withConnection(async () => {
+            const rows = await this.allAsync(
+                `SELECT id, size, date, created_at FROM secure_document_versions
+                WHERE document_id = ? ORDER BY created_at DESC, id DESC`,
+                [documentId]
+            );
+            return rows.map(row => ({
+                id: row.id,
+                size: row.size,
+                date: row.date,
+                createdAt: new Date(row.created_at).toISOString()
+            }));
+        });
+    }
+
+    async getSecureDocumentVersion(versionId, password) {
+        return this.withConnection(async () => {
+            const row = await this.getAsync(
+                `SELECT v.id, v.document_id, v.size, v.date, v.content, d.name
+                FROM secure_document_versions v
+                JOIN secure_documents d ON d.id = v.document_id
+                WHERE v.id = ?`,
+                [versionId]
+            );
+            if (!row) {
+                throw new Error('Version not found');
+            }
+            let metadata;
+            try {
+                metadata = JSON.parse(this.decryptValue(row.content, password));
+            } catch (error) {
+                console.error('Decryption error:', error);
+                throw new Error('Failed to decrypt document version');
+            }
+            return {
+                id: row.id,
+                documentId: row.document_id,
+                name: row.name,
+                size: row.size,
+                date: row.date,
+                compressed: metadata.compressed,
+                content: Buffer.from(metadata.content, 'base64')
+            };
+        });
+    }
+
+    // The replaced content becomes a version itself, so a restore can be undone
+    async restoreSecureDocumentVersion(versionId) {
+        return this.withConnection(async () => {
+            const version = await this.getAsync(
+                'SELECT document_id, size, content FROM secure_document_versions WHERE id = ?',
+                [versionId]
+            );
+            if (!version) {
+                throw new Error('Version not found');
+            }
+            await this.archiveSecureDocumentVersion(version.document_id);
+            await this.runAsync(
+                'UPDATE secure_documents SET size = ?, date = ?, content = ?, updated_at = ? WHERE id = ?',
+                [version.size, new Date().toISOString(), version.content, Date.now(), version.document_id]
+            );
+            return version.document_id;
+        });
+    }
+
+    // Secure document metadata (folder names, tags, notes) reveals content and
+    // is encrypted with the same password as the documents themselves.
+    encryptDocumentField(value, password) {
+        return this.encryptWithPassword(JSON.stringify(value), password);
+    }
+
+    decryptDocumentField(value, password, fallback) {
+        if (!value) return fallback;
+        try {
+            return JSON.parse(this.decryptValue(value, password));
+        } catch (error) {
+            console.error('Error decrypting document metadata:', error);
+            return fallback;
+        }
+    }
+
+    async updateSecureDocumentMeta(id, { folderId = null, tags = [], notes = '' }, password) {
+        return this.withConnection(async () => {
+            await this.runAsync(
+                'UPDATE secure_documents SET folder_id = ?, tags = ?, notes = ?, updated_at = ? WHERE id = ?',
+                [
+                    folderId || null,
+                    tags.length > 0 ? this.encryptDocumentField(tags, password) : null,
+                    notes ? this.encryptDocumentField(notes, password) : null,
+                    Date.now(),
+                    id
+                ]
+            );
+            return true;
+        });
+    }
+
+    async getSecureFolders(password) {
+        return this.withConnection(async () => {
+            const rows = await this.allAsync('SELECT id, name FROM secure_document_folders');
+            return rows
+                .map(row => ({ id: row.id, name: this.decryptDocumentField(row.name, password, '') }))
+                .sort((a, b) => a.name.localeCompare(b.name, 'de'));
+        });
+    }
+
+    async saveSecureFolder({ id, name }, password) {
+        return this.withConnection(async () => {
+            await this.runAsync(
+                `INSERT INTO secure_document_folders (id, name, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(id) DO UPDATE SET name = excluded.name, updated_at = excluded.updated_at`,
+                [id, this.encryptDocumentField(name, password), Date.now()]
+            );
+            return true;
+        });
+    }
+
+    // Documents of a deleted folder are kept and end up without folder
+    async deleteSecureFolder(id) {
+        return this.withConnection(async () => {
+            await this.runAsync('BEGIN TRANSACTION');
+            try {
+                await this.runAsync('UPDATE secure_documents SET folder_id = NULL WHERE folder_id = ?', [id]);
+                await this.runAsync('DELETE FROM secure_document_folders WHERE id = ?', [id]);
+                await this.runAsync('COMMIT');
+            } catch (error) {
+                await this.runAsync('ROLLBACK').catch(() => {});
+                throw error;
+            }
+            return true;
+        });
+    }
+
     // Credential operations (encrypted fallback storage)
     setEncryptionKey(key) {
         this.encryptionKey = key;
     }
 
+    getEncryptionKey() {
+        return this.encryptionKey;
+    }
+
     async saveCredential(service, account, value) {
         if (!this.encryptionKey) {
             throw new Error('Encryption key not set');
         }
         return this.withConnection(async () => {
             const timestamp = Date.now();
-            const encrypted = CryptoJS.AES.encrypt(
-                JSON.stringify(value),
-                this.encryptionKey
-            ).toString();
+            const encrypted = this.encryptWithPassword(JSON.stringify(value), this.encryptionKey);
 
             return new Promise((resolve, reject) => {
                 this.db.run(
@@ -865,8 +1475,7 @@ class DatabaseService {
                             return;
                         }
                         try {
-                            const decrypted = CryptoJS.AES.decrypt(row.encrypted_value, this.encryptionKey);
-                            const value = JSON.parse(decrypted.toString(CryptoJS.enc.Utf8));
+                            const value = JSON.parse(this.decryptValue(row.encrypted_value, this.encryptionKey));
                             resolve(value);
                         } catch (error) {
                             console.error('Credential decryption error:', error);
@@ -895,8 +1504,7 @@ class DatabaseService {
                         const result = {};
                         for (const row of rows) {
                             try {
-                                const decrypted = CryptoJS.AES.decrypt(row.encrypted_value, this.encryptionKey);
-                                result[row.account] = JSON.parse(decrypted.toString(CryptoJS.enc.Utf8));
+                                result[row.account] = JSON.parse(this.decryptValue(row.encrypted_value, this.encryptionKey));
                             } catch (error) {
                                 console.error(`Failed to decrypt credential ${row.account}:`, error);
                             }
@@ -1006,19 +1614,10 @@ class DatabaseService {
 
                         // Ensure tables exist and are properly structured
                         await this.createTables();
+                        await this.runMigrations();
 
                         // Notify that database has changed
-                        try {
-                            const { BrowserWindow } = require('electron');
-                            const windows = BrowserWindow.getAllWindows();
-                            for (const win of windows) {
-                                if (win?.webContents) {
-                                    win.webContents.send('database-changed');
-                                }
-                            }
-                        } catch (error) {
-                            console.error('Error sending database-changed event:', error);
-                        }
+                        this.notifyDatabaseChanged();
 
                         resolve(true);
                     } catch (error) {
@@ -1029,6 +1628,374 @@ class DatabaseService {
         });
     }
 
+    notifyDatabaseChanged() {
+        try {
+            const { BrowserWindow } = require('electron');
+            const windows = BrowserWindow.getAllWindows();
+            for (const win of windows) {
+                if (win?.webContents) {
+                    win.webContents.send('database-changed');
+                }
+            }
+        } catch (error) {
+            console.error('Error sending database-changed event:', error);
+        }
+    }
+
+    // Backup operations
+    // Snapshots are taken with the SQLite online backup API, so they are
+    // consistent even while the connection is in use.
+    getBackupDirectory() {
+        return this.store.get('backupDirectory') || path.join(path.dirname(this.dbPath), 'bbzcloud-backups');
+    }
+
+    getBackupSettings() {
+        return {
+            directory: this.getBackupDirectory(),
+            isCustomDirectory: Boolean(this.store.get('backupDirectory')),
+            keep: this.store.get('backupKeep'),
+            lastBackupAt: this.store.get('lastBackupAt') || null
+        };
+    }
+
+    async updateBackupSettings({ directory, keep } = {}) {
+        if (directory === null) {
+            this.store.delete('backupDirectory');
+        } else if (typeof directory === 'string' && directory) {
+            await fs.ensureDir(directory);
+            this.store.set('backupDirectory', path.normalize(directory));
+        }
+        if (Number.isInteger(keep) && keep > 0) {
+            this.store.set('backupKeep', keep);
+            await this.pruneBackups();
+        }
+        return this.getBackupSettings();
+    }
+
+    async createBackup() {
+        return this.withConnection(async () => {
+            const directory = this.getBackupDirectory();
+            await fs.ensureDir(directory);
+
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const backupPath = path.join(directory, `${BACKUP_PREFIX}${stamp}.db`);
+
+            await new Promise((resolve, reject) => {
+                const backup = this.db.backup(backupPath, (err) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    // -1 copies all pages in a single step
+                    backup.step(-1, (stepErr) => {
+                        backup.finish((finishErr) => {
+                            if (stepErr || finishErr) reject(stepErr || finishErr);
+                            else resolve();
+                        });
+                    });
+                });
+            });
+
+            this.store.set('lastBackupAt', Date.now());
+            console.log(`[DatabaseService] Backup written to ${backupPath}`);
+            await this.pruneBackups();
+            return this.describeBackup(backupPath);
+        });
+    }
+
+    // Create a backup if the last one is older than BACKUP_INTERVAL.
+    // Called periodically from the main process; cheap when nothing is due.
+    async runScheduledBackup() {
+        const lastBackupAt = this.store.get('lastBackupAt') || 0;
+        if (Date.now() - lastBackupAt < BACKUP_INTERVAL) {
+            return null;
+        }
+        return this.createBackup();
+    }
+
+    async describeBackup(filePath) {
+        const stats = await fs.stat(filePath);
+        return {
+            name: path.basename(filePath),
+            path: filePath,
+            size: stats.size,
+            date: stats.mtime.toISOString()
+        };
+    }
+
+    async listBackups() {
+        const directory = this.getBackupDirectory();
+        if (!(await fs.pathExists(directory))) {
+            return [];
+        }
+        const files = (await fs.readdir(directory))
+            .filter(name => name.startsWith(BACKUP_PREFIX) && name.endsWith('.db'));
+        const backups = await Promise.all(files.map(name => this.describeBackup(path.join(directory, name))));
+        return backups.sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    async pruneBackups() {
+        const keep = this.store.get('backupKeep') || 7;
+        const backups = await this.listBackups();
+        for (const backup of backups.slice(keep)) {
+            try {
+                await fs.remove(backup.path);
+            } catch (error) {
+                console.error(`[DatabaseService] Error removing old backup ${backup.name}:`, error);
+            }
+        }
+    }
+
+    // Safety copies are named `<db>.pre-<kind>-<timestamp>.bak`, newest first
+    async listSafetyCopies(kind) {
+        const prefix = `${path.basename(this.dbPath)}.pre-${kind}-`;
+        const stampOf = name => Number(name.slice(prefix.length, -'.bak'.length)) || 0;
+        return (await fs.readdir(path.dirname(this.dbPath)))
+            .filter(name => name.startsWith(prefix) && name.endsWith('.bak'))
+            .sort((a, b) => stampOf(b) - stampOf(a));
+    }
+
+    async pruneSafetyCopies(kind, keep) {
+        const directory = path.dirname(this.dbPath);
+        const copies = await this.listSafetyCopies(kind);
+        for (const name of copies.slice(keep)) {
+            try {
+                await fs.remove(path.join(directory, name));
+            } catch (error) {
+                console.error(`[DatabaseService] Error removing old safety copy ${name}:`, error);
+            }
+        }
+    }
+
+    // Open a backup read-only and make sure it is an intact BBZCloud database
+    async verifyBackup(filePath) {
+        const backupDb = await new Promise((resolve, reject) => {
+            const handle = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (err) => {
+                if (err) reject(err);
+                else resolve(handle);
+            });
+        });
+        try {
+            const result = await new Promise((resolve, reject) => {
+                backupDb.get('PRAGMA integrity_check', [], (err, row) => err ? reject(err) : resolve(row));
+            });
+            if (!result || result.integrity_check !== 'ok') {
+                throw new Error('Backup integrity check failed');
+            }
+            const tables = await new Promise((resolve, reject) => {
+                backupDb.all("SELECT name FROM sqlite_master WHERE type = 'table'", [], (err, rows) => err ? reject(err) : resolve(rows));
+            });
+            const tableNames = tables.map(table => table.name);
+            if (!['settings', 'todos', 'secure_documents'].every(name => tableNames.includes(name))) {
+                throw new Error('File is not a BBZCloud database');
+            }
+        } finally {
+            await new Promise(resolve => backupDb.close(() => resolve()));
+        }
+    }
+
+    async restoreBackup(name) {
+        // Only accept file names from the backup directory, never arbitrary paths
+        const backupPath = path.join(this.getBackupDirectory(), path.basename(name));
+        if (!(await fs.pathExists(backupPath))) {
+            throw new Error('Backup not found');
+        }
+        await this.verifyBackup(backupPath);
+
+        return this.withConnection(async () => {
+            // Keep the current state around in case the restore was a mistake
+            const safetyPath = `${this.dbPath}.pre-restore-${Date.now()}.bak`;
+            await this.runAsync('VACUUM INTO ?', [safetyPath]);
+            await this.pruneSafetyCopies('restore', MAX_RESTORE_SAFETY_COPIES);
+
+            // Copy the backup INTO the open connection (filenameIsDest = false)
+            await new Promise((resolve, reject) => {
+                const backup = this.db.backup(backupPath, 'main', 'main', false, (err) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    backup.step(-1, (stepErr) => {
+                        backup.finish((finishErr) => {
+                            if (stepErr || finishErr) reject(stepErr || finishErr);
+                            else resolve();
+                        });
+                    });
+                });
+            });
+
+            // An older snapshot may predate later schema changes and the
+            // encryption upgrade
+            await this.createTables();
+            await this.runMigrations({ backup: false });
+            // The cached salt and format state belong to the replaced database
+            await this.loadKdfSalt();
+            await this.loadLegacyFormatState();
+            try {
+                await this.upgradeEncryption();
+            } catch (error) {
+                console.error('Encryption upgrade of the restored backup failed:', error);
+            }
+
+            console.log(`[DatabaseService] Restored backup ${name} (previous state saved to ${safetyPath})`);
+            this.notifyDatabaseChanged();
+            return true;
+        });
+    }
+
+    // Data export/import (see dataBundle.js for the archive format)
+    async exportData(documentPassword) {
+        const todoState = await this.getTodoState();
+        const customApps = await this.getCustomApps();
+
+        const settingsRow = await this.withConnection(() =>
+            this.getAsync('SELECT value FROM settings WHERE id = ?', ['app_settings'])
+        );
+        let settings = null;
+        try {
+            settings = settingsRow ? JSON.parse(settingsRow.value) : null;
+        } catch (error) {
+            console.error('Error parsing settings for export:', error);
+        }
+
+        const documents = await this.getSecureDocuments(documentPassword);
+        if (documents.length > 0 && !documentPassword) {
+            throw new Error('Encryption password required to export secure documents');
+        }
+        const folderNames = new Map();
+        if (documents.length > 0) {
+            (await this.getSecureFolders(documentPassword)).forEach(folder => folderNames.set(folder.id, folder.name));
+        }
+        const secureDocuments = [];
+        for (const doc of documents) {
+            const full = await this.getSecureDocument(doc.id, documentPassword);
+            secureDocuments.push({
+                id: full.id,
+                name: full.name,
+                size: full.size,
+                date: full.date,
+                compressed: full.compressed,
+                content: full.content.toString('base64'),
+                // Folders travel by name, ids are local to this database
+                folder: folderNames.get(doc.folderId) || null,
+                tags: doc.tags,
+                notes: doc.notes
+            });
+        }
+
+        return { settings, customApps, todoState, secureDocuments };
+    }
+
+    // mode 'replace': the bundle becomes the new state.
+    // mode 'merge': existing entries win, only unknown ids/names are added and
+    // local settings stay untouched.
+    async importData(data, { mode = 'merge', documentPassword } = {}) {
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+        const replace = mode === 'replace';
+        const importedDocs = data.secureDocuments || [];
+        if (importedDocs.length > 0 && !documentPassword) {
+            throw new Error('Encryption password required to import secure documents');
+        }
+
+        // Importing is destructive in replace mode and hard to undo by hand
+        await this.createBackup();
+
+        // Todos and folders
+        const currentTodos = await this.getTodoState();
+        const importedTodos = data.todoState || { todos: [], folders: [] };
+        let todoState;
+        if (replace) {
+            todoState = {
+                todos: importedTodos.todos || [],
+                folders: importedTodos.folders?.length ? importedTodos.folders : ['Default'],
+                sortType: importedTodos.sortType || currentTodos.sortType,
+                selectedFolder: importedTodos.selectedFolder || 'Default'
+            };
+        } else {
+            const knownIds = new Set(currentTodos.todos.map(todo => String(todo.id)));
+            todoState = {
+                ...currentTodos,
+                todos: [
+                    ...currentTodos.todos,
+                    ...(importedTodos.todos || []).filter(todo => !knownIds.has(String(todo.id)))
+                ],
+                folders: Array.from(new Set([...currentTodos.folders, ...(importedTodos.folders || [])]))
+            };
+        }
+        await this.saveTodoState(todoState);
+
+        // Custom apps
+        const currentApps = await this.getCustomApps();
+        const importedApps = data.customApps || [];
+        const knownAppIds = new Set(currentApps.map(app => app.id));
+        const apps = replace
+            ? importedApps
+            : [...currentApps, ...importedApps.filter(app => !knownAppIds.has(app.id))];
+        await this.saveCustomApps(apps);
+
+        // Secure documents (re-encrypted with this machine's password)
+        const currentDocs = await this.getSecureDocuments();
+        const currentDocIds = new Set(currentDocs.map(doc => doc.id));
+        if (replace) {
+            const importedIds = new Set(importedDocs.map(doc => doc.id));
+            for (const doc of currentDocs) {
+                if (!importedIds.has(doc.id)) {
+                    await this.deleteSecureDocument(doc.id);
+                }
+            }
+        }
+        const folderIds = new Map();
+        if (importedDocs.length > 0) {
+            (await this.getSecureFolders(documentPassword)).forEach(folder => folderIds.set(folder.name, folder.id));
+        }
+        let importedDocCount = 0;
+        for (const doc of importedDocs) {
+            if (!replace && currentDocIds.has(doc.id)) continue;
+            await this.saveSecureDocument({
+                id: doc.id,
+                name: sanitizeDocumentName(doc.name),
+                size: doc.size,
+                date: doc.date,
+                compressed: doc.compressed,
+                content: Buffer.from(doc.content, 'base64')
+            }, documentPassword);
+
+            if (doc.folder && !folderIds.has(doc.folder)) {
+                const folderId = crypto.randomUUID();
+                await this.saveSecureFolder({ id: folderId, name: doc.folder }, documentPassword);
+                folderIds.set(doc.folder, folderId);
+            }
+            await this.updateSecureDocumentMeta(doc.id, {
+                folderId: doc.folder ? folderIds.get(doc.folder) : null,
+                tags: doc.tags || [],
+                notes: doc.notes || ''
+            }, documentPassword);
+            importedDocCount++;
+        }
+
+        // Settings including navigation button visibility
+        if (replace && data.settings) {
+            const settings = {
+                ...data.settings,
+                navigationButtons: data.navigationButtons || data.settings.navigationButtons || {}
+            };
+            await this.withConnection(() => this.runAsync(
+                'INSERT OR REPLACE INTO settings (id, value, updated_at) VALUES (?, ?, ?)',
+                ['app_settings', JSON.stringify(settings), Date.now()]
+            ));
+        }
+
+        this.notifyDatabaseChanged();
+
+        return {
+            todos: todoState.todos.length,
+            customApps: apps.length,
+            secureDocuments: importedDocCount
+        };
+    }
+
     // Get last update timestamp for change detection
     async getLastUpdateTimestamp() {
         return this.withConnection(async () => {
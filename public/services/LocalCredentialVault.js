@@ -0,0 +1,134 @@
+'use strict';
+
+const fs = require('fs-extra');
+const encryption = require('./encryption');
+
+/**
+ * LocalCredentialVault
+ *
+ * Credential storage for systems without a usable keychain, typically Linux
+ * desktops without a Secret Service. When the user sets it up in the
+ * settings, CredentialStore keeps its bundles here instead of in keytar.
+ *
+ * The vault is one file in userData holding the bundles of all services as
+ * JSON, encrypted with a master password (encryption.js, AES-256-GCM). The
+ * master password is never stored: the vault starts locked on every launch
+ * and is unlocked from the startup dialog. While locked it holds no data,
+ * CredentialStore reads nothing and refuses writes.
+ */
+
+const VAULT_LOCKED = 'CREDENTIAL_VAULT_LOCKED';
+
+class LocalCredentialVault {
+  constructor() {
+    this.filePath = null;
+    this.password = null;
+    // { [service]: bundle } while unlocked
+    this.bundles = null;
+    // Writes are chained so a slow save never overtakes a newer one
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Location of the vault file
+   */
+  init({ filePath }) {
+    this.filePath = filePath;
+  }
+
+  async exists() {
+    return Boolean(this.filePath) && fs.pathExists(this.filePath);
+  }
+
+  isUnlocked() {
+    return this.password !== null;
+  }
+
+  isLockedError(error) {
+    return error?.code === VAULT_LOCKED;
+  }
+
+  async unlock(password) {
+    const value = (await fs.readFile(this.filePath, 'utf8')).trim();
+    let bundles;
+    try {
+      bundles = JSON.parse(encryption.decrypt(value, password));
+    } catch (error) {
+      // GCM makes a wrong password fail reliably
+      throw new Error('Falsches Master-Passwort');
+    }
+    this.password = password;
+    this.bundles = bundles && typeof bundles === 'object' ? bundles : {};
+  }
+
+  lock() {
+    this.password = null;
+    this.bundles = null;
+  }
+
+  /**
+   * Create the vault file (replacing an existing one) and leave it unlocked.
+   * @param {string} password - Master password
+   * @param {Object} bundles - { [service]: bundle } to start with
+   */
+  async create(password, bundles = {}) {
+    if (!password) {
+      throw new Error('Das Master-Passwort darf nicht leer sein');
+    }
+    this.password = password;
+    this.bundles = { ...bundles };
+    await this._save();
+  }
+
+  /** Bundle of a service, throws while locked */
+  read(service) {
+    this._assertUnlocked();
+    return { ...(this.bundles[service] || {}) };
+  }
+
+  async write(service, bundle) {
+    this._assertUnlocked();
+    this.bundles = { ...this.bundles, [service]: { ...bundle } };
+    await this._save();
+  }
+
+  /** All bundles, for the migration back to the keychain */
+  getBundles() {
+    this._assertUnlocked();
+    return { ...this.bundles };
+  }
+
+  /** Lock and delete the vault file */
+  async remove(deleteFile = fs.remove) {
+    await this.saveQueue.catch(() => {});
+    this.lock();
+    if (await this.exists()) {
+      await deleteFile(this.filePath);
+    }
+  }
+
+  _assertUnlocked() {
+    if (!this.isUnlocked()) {
+      const error = new Error('Der lokale Tresor ist gesperrt');
+      error.code = VAULT_LOCKED;
+      throw error;
+    }
+  }
+
+  _save() {
+    const next = this.saveQueue
+      .catch(() => { /* the previous failure was reported to its caller */ })
+      .then(async () => {
+        // Encrypt the state at execution time, so the last write is complete
+        const value = encryption.encrypt(JSON.stringify(this.bundles), this.password);
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, value, { encoding: 'utf8', mode: 0o600 });
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+      });
+    this.saveQueue = next;
+    return next;
+  }
+}
+
+module.exports = new LocalCredentialVault();
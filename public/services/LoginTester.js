@@ -0,0 +1,164 @@
+'use strict';
+
+const { BrowserWindow, session } = require('electron');
+
+/**
+ * LoginTester
+ *
+ * Hidden windows for the "Login jetzt testen" button of the login status
+ * panel. The renderer drives the test: it runs the normal credential
+ * injection against the window through execute(), exactly as it would
+ * against a WebContentsView.
+ *
+ * Every test gets its own in-memory session (a partition without the
+ * `persist:` prefix), so the page always starts at its login form and the
+ * user's real sessions in `persist:main` are never touched. Windows close
+ * themselves after MAX_TEST_MS in case the renderer never calls close().
+ *
+ * The URL comes from the renderer, so start() only loads http(s) URLs on the
+ * host of the app under test (APP_HOSTS, or the stored URL of a custom app).
+ */
+
+const USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+  '(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const LOAD_TIMEOUT_MS = 30000;
+const MAX_TEST_MS = 3 * 60 * 1000;
+
+// Hosts of the navigation bar apps — mirrors URLS in src/utils/constants.js
+const APP_HOSTS = {
+  schulcloud: ['app.schul.cloud', 'chat.bbz-rd-eck.com'],
+  moodle: ['moodle.bbz-rd-eck.de'],
+  bbb: ['bbb.bbz-rd-eck.de'],
+  outlook: ['exchange.bbz-rd-eck.de'],
+  nextcloud: ['cloud.bbz-rd-eck.de'],
+  cryptpad: ['cryptpad.fr'],
+  taskcards: ['bbzrdeck.taskcards.app'],
+  webuntis: ['bbz-rd-eck.webuntis.com'],
+  fobizz: ['tools.fobizz.com'],
+  wiki: ['wiki.bbz-rd-eck.com'],
+  schulportal: ['portal.schule-sh.de'],
+};
+
+class LoginTester {
+  constructor() {
+    // Map<testId, { window: BrowserWindow, partition: string, timer }>
+    this.tests = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Hosts a test of a navigation bar app may start on
+   * @param {string} appId
+   * @returns {string[]} Empty for unknown apps
+   */
+  getAppHosts(appId) {
+    return APP_HOSTS[String(appId).toLowerCase()] || [];
+  }
+
+  /**
+   * Open a hidden window and load `url`.
+   * @param {string} url - Start page of the app
+   * @param {string[]} hosts - Hosts of the app under test, `url` must be on one of them
+   * @returns {Promise<number>} Test id for the other calls
+   */
+  async start(url, hosts) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error('Ungültige Adresse für den Login-Test');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol) || !hosts.includes(parsed.hostname)) {
+      throw new Error('Die Adresse gehört nicht zu dieser App');
+    }
+
+    const testId = this.nextId++;
+    const partition = `login-test-${testId}`;
+    const window = new BrowserWindow({
+      show: false,
+      width: 1280,
+      height: 900,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        partition,
+      },
+    });
+    window.webContents.setUserAgent(USER_AGENT);
+    window.webContents.setAudioMuted(true);
+    // No popups or extra windows out of a test
+    window.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+
+    const timer = setTimeout(() => this.close(testId), MAX_TEST_MS);
+    this.tests.set(testId, { window, partition, timer });
+
+    try {
+      await this._load(window, url);
+    } catch (error) {
+      await this.close(testId);
+      throw error;
+    }
+    return testId;
+  }
+
+  async _load(window, url) {
+    let timeout = null;
+    try {
+      await Promise.race([
+        window.loadURL(url),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(new Error('Die Seite hat nicht rechtzeitig geladen')), LOAD_TIMEOUT_MS);
+        }),
+      ]);
+    } catch (error) {
+      // Login pages often redirect by script while loading, which aborts the
+      // first navigation. The redirect target is what we want anyway.
+      if (error.code !== 'ERR_ABORTED') throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  _get(testId) {
+    const test = this.tests.get(testId);
+    if (!test || test.window.isDestroyed()) {
+      throw new Error('Login-Test ist nicht mehr aktiv');
+    }
+    return test;
+  }
+
+  execute(testId, code) {
+    return this._get(testId).window.webContents.executeJavaScript(code, true);
+  }
+
+  getState(testId) {
+    const { webContents } = this._get(testId).window;
+    return { url: webContents.getURL(), loading: webContents.isLoading() };
+  }
+
+  async close(testId) {
+    const test = this.tests.get(testId);
+    if (!test) return;
+    this.tests.delete(testId);
+    clearTimeout(test.timer);
+    if (!test.window.isDestroyed()) {
+      test.window.destroy();
+    }
+    try {
+      await session.fromPartition(test.partition).clearStorageData();
+    } catch (error) {
+      console.warn('[LoginTester] Could not clear test session:', error.message);
+    }
+  }
+
+  closeAll() {
+    for (const testId of [...this.tests.keys()]) {
+      this.close(testId);
+    }
+  }
+}
+
+module.exports = new LoginTester();
@@ -0,0 +1,274 @@
+'use strict';
+
+const { Notification } = require('electron');
+
+/**
+ * ReminderScheduler
+ *
+ * Main-process owner of todo reminders. The source of truth is the `todos`
+ * table: on startup, after powerMonitor resume and after every todo save the
+ * scheduler re-reads all open todos with a reminder and (re)arms its timers.
+ *
+ * Reminders whose time passed while the app was closed or the machine was
+ * asleep are not lost: they are collected into one "while you were away"
+ * notification.
+ *
+ * Delivery and snooze state live in the `reminderState` key of the
+ * bbzcloud-store, NOT in the todos table — the renderer rewrites that table
+ * on every save and would overwrite anything the main process wrote there.
+ *
+ *   reminderState = {
+ *     initialized: <false until the first sync, see _sync()>,
+ *     delivered: { [todoId]: <ISO time of the occurrence that was shown> },
+ *     snoozed:   { [todoId]: { reminder: <todo.reminder when snoozed>, until: <ISO> } }
+ *   }
+ *
+ * Snooze buttons are notification actions (macOS, Windows). Where the
+ * platform has no actions, clicking the notification just focuses the app.
+ */
+
+// A reminder that is at most this late counts as "on time" and is shown as a
+// regular notification rather than in the missed summary.
+const GRACE_PERIOD = 60 * 1000;
+
+// setTimeout cannot hold delays beyond ~24.8 days; far-away reminders are
+// picked up by a later sync instead.
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+const RESYNC_INTERVAL = 60 * 60 * 1000;
+
+// Debounce for syncs requested by todo saves (the renderer saves in bursts)
+const SYNC_DEBOUNCE = 1000;
+
+const MISSED_PREVIEW_COUNT = 3;
+
+const SNOOZE_OPTIONS = [
+  { text: '10 Min. später', delay: () => 10 * 60 * 1000 },
+  { text: '1 Std. später', delay: () => 60 * 60 * 1000 },
+  {
+    text: 'Morgen',
+    delay: (now) => {
+      const tomorrow = new Date(now);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      tomorrow.setHours(8, 0, 0, 0);
+      return tomorrow.getTime() - now;
+    }
+  }
+];
+
+const summarize = (text) => {
+  const firstLine = String(text || '').split('\n').find(line => line.trim()) || '';
+  return firstLine.length > 80 ? `${firstLine.slice(0, 77)}...` : firstLine;
+};
+
+class ReminderScheduler {
+  constructor() {
+    this.db = null;
+    this.onShowApp = null;
+    this.timers = new Map(); // todoId -> timeout
+    this.notifications = new Set(); // keep shown notifications alive for their action events
+    this.resyncTimer = null;
+    this.syncTimer = null;
+    this.syncQueue = Promise.resolve();
+  }
+
+  /**
+   * @param {Object} options
+   * @param {DatabaseService} options.db - Database service (todos and store)
+   * @param {Function} options.onShowApp - Brings the main window to front
+   */
+  init({ db, onShowApp }) {
+    this.db = db;
+    this.onShowApp = onShowApp;
+  }
+
+  start() {
+    this.sync();
+    this.resyncTimer = setInterval(() => this.sync(), RESYNC_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.resyncTimer);
+    clearTimeout(this.syncTimer);
+    this.resyncTimer = null;
+    this.syncTimer = null;
+    this._clearTimers();
+  }
+
+  /** Debounced sync, used after todo saves. */
+  requestSync() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => this.sync(), SYNC_DEBOUNCE);
+  }
+
+  /** Re-read reminders from the database, show missed ones and arm timers. */
+  sync() {
+    if (!this.db) return Promise.resolve();
+    // Never run two syncs at once, later requests queue up behind
+    this.syncQueue = this.syncQueue
+      .then(() => this._sync())
+      .catch(error => console.error('[Reminders] Sync failed:', error));
+    return this.syncQueue;
+  }
+
+  async _sync() {
+    const { todos } = await this.db.getTodoState();
+    const state = this._loadState();
+    const now = Date.now();
+    const missed = [];
+    const activeIds = new Set();
+
+    this._clearTimers();
+
+    todos.forEach(todo => {
+      if (todo.completed || !todo.reminder) return;
+      const id = String(todo.id);
+      activeIds.add(id);
+
+      // A snooze only applies to the reminder it was made for
+      const snooze = state.snoozed[id];
+      if (snooze && snooze.reminder !== todo.reminder) {
+        delete state.snoozed[id];
+      }
+      const dueAt = state.snoozed[id] ? state.snoozed[id].until : todo.reminder;
+      const dueTime = new Date(dueAt).getTime();
+      if (Number.isNaN(dueTime) || state.delivered[id] === dueAt) return;
+
+      if (dueTime <= now - GRACE_PERIOD) {
+        // First run after the update: reminders from before the scheduler
+        // existed were already shown by the old in-memory timers
+        if (!state.initialized) {
+          state.delivered[id] = dueAt;
+          return;
+        }
+        missed.push({ id, text: todo.text, dueAt });
+      } else if (dueTime - now <= MAX_TIMER_DELAY) {
+        this.timers.set(id, setTimeout(() => {
+          this.timers.delete(id);
+          this._deliver([{ id, text: todo.text, dueAt }], { missed: false });
+        }, Math.max(0, dueTime - now)));
+      }
+    });
+
+    // Forget state of todos that were completed, deleted or lost their reminder
+    Object.keys(state.delivered).forEach(id => {
+      if (!activeIds.has(id)) delete state.delivered[id];
+    });
+    Object.keys(state.snoozed).forEach(id => {
+      if (!activeIds.has(id)) delete state.snoozed[id];
+    });
+    state.initialized = true;
+    this._saveState(state);
+
+    if (missed.length > 0) {
+      console.log(`[Reminders] ${missed.length} missed reminder(s)`);
+      this._deliver(missed, { missed: true });
+    }
+    console.log(`[Reminders] ${this.timers.size} reminder(s) scheduled`);
+  }
+
+  _deliver(items, { missed }) {
+    const state = this._loadState();
+    items.forEach(item => {
+      state.delivered[item.id] = item.dueAt;
+    });
+    this._saveState(state);
+
+    let title;
+    let body;
+    if (!missed) {
+      title = 'Aufgaben-Erinnerung';
+      body = items[0].text;
+    } else if (items.length === 1) {
+      title = 'Verpasste Erinnerung';
+      body = `${summarize(items[0].text)} (fällig ${new Date(items[0].dueAt).toLocaleString('de-DE')})`;
+    } else {
+      title = `Während Sie weg waren: ${items.length} Erinnerungen`;
+      const preview = items.slice(0, MISSED_PREVIEW_COUNT).map(item => `• ${summarize(item.text)}`);
+      if (items.length > MISSED_PREVIEW_COUNT) {
+        preview.push(`… und ${items.length - MISSED_PREVIEW_COUNT} weitere`);
+      }
+      body = preview.join('\n');
+    }
+
+    this._show({
+      title,
+      body,
+      ids: items.map(item => item.id)
+    });
+  }
+
+  _show({ title, body, ids }) {
+    if (!Notification.isSupported()) return;
+
+    const notification = new Notification({
+      title,
+      body,
+      silent: false,
+      actions: SNOOZE_OPTIONS.map(option => ({ type: 'button', text: option.text })),
+      closeButtonText: 'Schließen'
+    });
+    this.notifications.add(notification);
+    const release = () => this.notifications.delete(notification);
+
+    notification.on('click', () => {
+      release();
+      this.onShowApp?.();
+    });
+    notification.on('action', (event, index) => {
+      release();
+      const option = SNOOZE_OPTIONS[index];
+      if (option) {
+        this.snooze(ids, option.delay(Date.now()))
+          .catch(error => console.error('[Reminders] Error snoozing reminder:', error));
+      }
+    });
+    notification.on('close', release);
+    notification.on('failed', (event, error) => {
+      release();
+      console.error('[Reminders] Notification failed:', error);
+    });
+
+    notification.show();
+  }
+
+  /**
+   * Show the given todos' reminders again after `delay` ms.
+   * @param {string[]} ids - Todo ids
+   * @param {number} delay - Milliseconds from now
+   */
+  async snooze(ids, delay) {
+    const { todos } = await this.db.getTodoState();
+    const state = this._loadState();
+    const until = new Date(Date.now() + delay).toISOString();
+
+    ids.forEach(id => {
+      const todo = todos.find(t => String(t.id) === id);
+      if (todo && todo.reminder && !todo.completed) {
+        state.snoozed[id] = { reminder: todo.reminder, until };
+      }
+    });
+    this._saveState(state);
+    console.log(`[Reminders] Snoozed ${ids.length} reminder(s) until ${until}`);
+    return this.sync();
+  }
+
+  _clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  _loadState() {
+    const state = this.db.store.get('reminderState') || {};
+    return {
+      initialized: Boolean(state.initialized),
+      delivered: { ...(state.delivered || {}) },
+      snoozed: { ...(state.snoozed || {}) }
+    };
+  }
+
+  _saveState(state) {
+    this.db.store.set('reminderState', state);
+  }
+}
+
+module.exports = new ReminderScheduler();
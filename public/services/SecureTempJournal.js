@@ -0,0 +1,140 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SecureTempJournal
+ *
+ * Journal of the decrypted temp files written by open-secure-file. Watchers
+ * and the quit cleanup normally delete them, but a crash or power loss leaves
+ * the plaintext copies in the temp directory. For every open file the journal
+ * records the document it belongs to and the size/mtime the file had when it
+ * was last in sync with the database. On the next start `sweep()` can then
+ * tell untouched leftovers (wiped right away) from files with edits that were
+ * never saved back (kept as pending until the user decides).
+ *
+ * No content hashes are stored, the journal itself holds nothing sensitive
+ * besides the document name. Writes are synchronous and atomic (temp file +
+ * rename) so the entry is on disk before the plaintext file is.
+ */
+
+const TEMP_FILE_PREFIX = 'bbzcloud-secure-';
+
+class SecureTempJournal {
+  constructor() {
+    this.journalPath = null;
+    this.entries = [];
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.journalPath - JSON file in the user data directory
+   */
+  init({ journalPath }) {
+    this.journalPath = journalPath;
+    this.entries = this._read();
+  }
+
+  /** Record a temp file before its plaintext is written */
+  add({ tempPath, fileId, name }) {
+    this.entries = this.entries.filter(entry => entry.tempPath !== tempPath);
+    this.entries.push({ tempPath, fileId, name, openedAt: new Date().toISOString(), size: null, mtimeMs: null });
+    this._write();
+  }
+
+  /** The temp file now matches the database (just written or saved back) */
+  markSynced(tempPath) {
+    const entry = this.entries.find(item => item.tempPath === tempPath);
+    if (!entry) return;
+    try {
+      const stats = fs.statSync(tempPath);
+      entry.size = stats.size;
+      entry.mtimeMs = stats.mtimeMs;
+      this._write();
+    } catch (error) {
+      console.error('[SecureTempJournal] Could not stat temp file:', error.message);
+    }
+  }
+
+  remove(tempPath) {
+    const count = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.tempPath !== tempPath);
+    if (this.entries.length !== count) {
+      this._write();
+    }
+  }
+
+  /** Leftovers with possibly unsaved edits, found by the last sweep */
+  getPending() {
+    return this.entries.filter(entry => entry.pending);
+  }
+
+  /**
+   * Clean up after an unclean shutdown. Run once at startup, before any
+   * secure file is opened.
+   * @param {string} tempDir - Directory open-secure-file writes to
+   * @param {Function} secureDelete - async (filePath) => overwrite and unlink
+   * @returns {Promise<Object[]>} Pending entries (file changed since the last sync)
+   */
+  async sweep(tempDir, secureDelete) {
+    const journaled = new Set();
+    const remaining = [];
+
+    for (const entry of this.entries) {
+      journaled.add(path.basename(entry.tempPath));
+      let stats = null;
+      try {
+        stats = fs.statSync(entry.tempPath);
+      } catch (error) {
+        continue; // Already gone
+      }
+      if (entry.pending || stats.size !== entry.size || stats.mtimeMs !== entry.mtimeMs) {
+        remaining.push({ ...entry, pending: true });
+      } else {
+        await secureDelete(entry.tempPath);
+      }
+    }
+
+    // Files without an entry predate the journal, nothing to recover there
+    const files = await fs.promises.readdir(tempDir).catch(() => []);
+    for (const file of files) {
+      if (file.startsWith(TEMP_FILE_PREFIX) && !journaled.has(file)) {
+        await secureDelete(path.join(tempDir, file));
+      }
+    }
+
+    this.entries = remaining;
+    this._write();
+    if (remaining.length > 0) {
+      console.log(`[SecureTempJournal] ${remaining.length} temp file(s) with unsaved changes found`);
+    }
+    return remaining;
+  }
+
+  _read() {
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.journalPath, 'utf8'));
+      return Array.isArray(entries) ? entries.filter(entry => entry && entry.tempPath) : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[SecureTempJournal] Journal unreadable, starting empty:', error.message);
+      }
+      return [];
+    }
+  }
+
+  _write() {
+    if (!this.journalPath) return;
+    try {
+      const tmpPath = `${this.journalPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.entries, null, 2));
+      fs.renameSync(tmpPath, this.journalPath);
+    } catch (error) {
+      console.error('[SecureTempJournal] Could not write journal:', error.message);
+    }
+  }
+}
+
+module.exports = new SecureTempJournal();
+module.exports.TEMP_FILE_PREFIX = TEMP_FILE_PREFIX;
@@ -0,0 +1,178 @@
+'use strict';
+
+const encryption = require('./encryption');
+
+/**
+ * SecureVault
+ *
+ * Optional dedicated password for secure documents. Without it, documents
+ * are encrypted with the keychain password that auto-login also uses, so
+ * anybody at an unlocked machine can open them.
+ *
+ * With a vault password set:
+ *   - documents, folders, tags, notes and versions are encrypted with it
+ *     (DatabaseService.changeDocumentPassword re-encrypts them in one go);
+ *   - the password itself is never stored. `encryption_meta.vault_check`
+ *     holds a known plaintext encrypted with it, unlocking succeeds when
+ *     that decrypts (GCM makes a wrong password fail reliably);
+ *   - an unlock lasts until `lock()`: after the configured minutes without
+ *     secure document activity, on powerMonitor 'lock-screen' or on quit.
+ *
+ * Callers get the document password through `getPassword()`, which throws a
+ * VAULT_LOCKED error while locked and counts as activity otherwise.
+ */
+
+const VAULT_CHECK_PLAINTEXT = 'bbzcloud-secure-documents';
+const VAULT_LOCKED = 'VAULT_LOCKED';
+
+class SecureVault {
+  constructor() {
+    this.db = null;
+    this.onChange = null;
+    this.password = null;
+    this.lockTimer = null;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {DatabaseService} options.db - Database service (documents and store)
+   * @param {Function} options.onChange - Called with the new status after lock/unlock/setup changes
+   */
+  init({ db, onChange }) {
+    this.db = db;
+    this.onChange = onChange;
+  }
+
+  async isEnabled() {
+    return Boolean(await this.db.getVaultCheck());
+  }
+
+  isUnlocked() {
+    return this.password !== null;
+  }
+
+  async getStatus() {
+    return {
+      enabled: await this.isEnabled(),
+      unlocked: this.isUnlocked(),
+      autoLockMinutes: this.getAutoLockMinutes()
+    };
+  }
+
+  getAutoLockMinutes() {
+    return this.db.store.get('secureVaultAutoLockMinutes');
+  }
+
+  /** @param {number} minutes - 0 disables the inactivity lock */
+  setAutoLockMinutes(minutes) {
+    this.db.store.set('secureVaultAutoLockMinutes', Math.max(0, Math.round(minutes)));
+    this.touch();
+  }
+
+  isLockedError(error) {
+    return error?.code === VAULT_LOCKED;
+  }
+
+  /** Vault password, counts as activity. Throws VAULT_LOCKED while locked. */
+  getPassword() {
+    if (!this.isUnlocked()) {
+      const error = new Error('Die sicheren Dokumente sind gesperrt');
+      error.code = VAULT_LOCKED;
+      throw error;
+    }
+    this.touch();
+    return this.password;
+  }
+
+  async unlock(password) {
+    const check = await this.db.getVaultCheck();
+    if (!check) {
+      throw new Error('Kein Tresor-Passwort festgelegt');
+    }
+    this._verify(check, password);
+    this.password = password;
+    this.touch();
+    this._notify();
+  }
+
+  lock(reason = 'manual') {
+    clearTimeout(this.lockTimer);
+    this.lockTimer = null;
+    if (!this.isUnlocked()) return;
+    this.password = null;
+    console.log(`[SecureVault] Locked (${reason})`);
+    this._notify();
+  }
+
+  /** Restart the inactivity timer */
+  touch() {
+    clearTimeout(this.lockTimer);
+    this.lockTimer = null;
+    const minutes = this.getAutoLockMinutes();
+    if (this.isUnlocked() && minutes > 0) {
+      this.lockTimer = setTimeout(() => this.lock('inactivity'), minutes * 60 * 1000);
+    }
+  }
+
+  /**
+   * Protect documents with a vault password instead of the main password.
+   * @param {string} newPassword - Vault password
+   * @param {string} mainPassword - Current keychain password
+   */
+  async enable(newPassword, mainPassword) {
+    if (await this.isEnabled()) {
+      throw new Error('Tresor-Passwort ist bereits festgelegt');
+    }
+    await this.db.changeDocumentPassword(mainPassword, newPassword, {
+      vaultCheck: this._createCheck(newPassword)
+    });
+    this.password = newPassword;
+    this.touch();
+    this._notify();
+  }
+
+  async change(oldPassword, newPassword) {
+    this._verify(await this.db.getVaultCheck(), oldPassword);
+    await this.db.changeDocumentPassword(oldPassword, newPassword, {
+      vaultCheck: this._createCheck(newPassword)
+    });
+    this.password = newPassword;
+    this.touch();
+    this._notify();
+  }
+
+  /** Go back to encrypting documents with the main password. */
+  async disable(currentPassword, mainPassword) {
+    this._verify(await this.db.getVaultCheck(), currentPassword);
+    await this.db.changeDocumentPassword(currentPassword, mainPassword, { vaultCheck: null });
+    clearTimeout(this.lockTimer);
+    this.lockTimer = null;
+    this.password = null;
+    this._notify();
+  }
+
+  _createCheck(password) {
+    return this.db.encryptWithPassword(VAULT_CHECK_PLAINTEXT, password);
+  }
+
+  _verify(check, password) {
+    let plaintext = null;
+    try {
+      // The check is always written in the current format (_createCheck)
+      plaintext = check ? encryption.decrypt(check, password, { allowLegacy: false }) : null;
+    } catch (error) {
+      // Wrong password
+    }
+    if (plaintext !== VAULT_CHECK_PLAINTEXT) {
+      throw new Error('Falsches Tresor-Passwort');
+    }
+  }
+
+  _notify() {
+    this.getStatus()
+      .then(status => this.onChange?.(status))
+      .catch(error => console.error('[SecureVault] Status update failed:', error));
+  }
+}
+
+module.exports = new SecureVault();
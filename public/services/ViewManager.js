@@ -2,6 +2,7 @@
 
 const { WebContentsView, session, Menu, shell } = require('electron');
 const { shouldOpenExternally } = require('./externalLinks');
+const { SHARED_PARTITION, isValidPartition } = require('./sessionPartitions');
 
 const USER_AGENT =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
@@ -19,7 +20,7 @@ const OWN_CONTEXT_MENU_HOSTS = [
 
 class ViewManager {
   constructor() {
-    // Map<appId, { view: WebContentsView, zoomFactor: number }>
+    // Map<appId, { view: WebContentsView, zoomFactor: number, partition: string }>
     this.views = new Map();
     this.activeViewId = null;
     // Last content rect reported by the renderer (CSS/DIP pixels)
@@ -49,8 +50,8 @@ class ViewManager {
   // Internal helpers
   // -------------------------------------------------------------------------
 
-  _getSession() {
-    return session.fromPartition('persist:main');
+  _getSession(partition = SHARED_PARTITION) {
+    return session.fromPartition(partition);
   }
 
   _applyBounds() {
@@ -220,15 +221,31 @@ class ViewManager {
   // Public API
   // -------------------------------------------------------------------------
 
-  async create(appId, { url, userAgent, preloadOverride } = {}) {
-    if (this.views.has(appId)) return;
+  async create(appId, { url, userAgent, preloadOverride, partition = SHARED_PARTITION } = {}) {
+    if (!isValidPartition(partition)) {
+      throw new Error(`[ViewManager] Invalid partition for ${appId}: ${partition}`);
+    }
+
+    // The session of a webContents is fixed at creation, so switching an app
+    // to another partition means replacing its view. Zoom and visibility
+    // carry over; the page loads fresh in the new session.
+    const existing = this.views.get(appId);
+    let restore = null;
+    if (existing) {
+      if (existing.partition === partition) return;
+      restore = {
+        zoomFactor: existing.zoomFactor,
+        show: this.activeViewId === appId && existing.visible,
+      };
+      this.destroy(appId);
+    }
 
     const view = new WebContentsView({
       webPreferences: {
         nodeIntegration: false,
         contextIsolation: true,
         preload: preloadOverride || this.preloadPath,
-        session: this._getSession(),
+        session: this._getSession(partition),
         sandbox: false,
         webSecurity: true,
       },
@@ -248,11 +265,16 @@ class ViewManager {
     this.mainWindow.contentView.addChildView(view);
     view.setVisible(false);
 
-    this.views.set(appId, { view, zoomFactor: 1.0, visible: false, appliedBounds: null });
+    this.views.set(appId, { view, zoomFactor: 1.0, visible: false, appliedBounds: null, partition });
 
     if (url) {
       view.webContents.loadURL(url);
     }
+
+    if (restore) {
+      this.setZoomFactor(appId, restore.zoomFactor);
+      if (restore.show) this.show(appId);
+    }
   }
 
   show(appId) {
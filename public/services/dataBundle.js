@@ -0,0 +1,104 @@
+'use strict';
+
+const zlib = require('zlib');
+const { encrypt, decrypt } = require('./encryption');
+
+/**
+ * Export-/Import-Archiv für den Umzug auf einen neuen Rechner.
+ *
+ * Die Datei ist JSON mit einem unverschlüsselten Kopf und einer
+ * verschlüsselten Nutzlast:
+ *
+ *   {
+ *     "format": "bbzcloud-export",
+ *     "version": 2,
+ *     "createdAt": "<ISO-Zeit>",
+ *     "appVersion": "<App-Version beim Export>",
+ *     "payload": "<encrypt(base64(gzip(JSON(data))), Export-Passwort)>"
+ *   }
+ *
+ * Ab Version 2 ist die Nutzlast mit AES-256-GCM und scrypt verschlüsselt
+ * (Format in encryption.js, eigenes Salt pro Datei). Version-1-Dateien
+ * (crypto-js) lassen sich weiter importieren.
+ *
+ * `data` enthält settings, navigationButtons, customApps, todoState
+ * (Todos im Klartext) und secureDocuments (Inhalt base64, wie in der DB
+ * gespeichert; Ordner als Name, Tags und Notizen im Klartext). Die Nutzlast hängt bewusst NICHT am Schlüsselbund-Passwort:
+ * auf dem neuen Rechner gibt es das oft noch nicht oder es ist ein anderes.
+ * Der Kopf bleibt lesbar, damit eine falsche Datei schon vor der
+ * Passwortabfrage erkannt wird.
+ */
+
+const BUNDLE_FORMAT = 'bbzcloud-export';
+const BUNDLE_VERSION = 2;
+const BUNDLE_EXTENSION = 'bbzcloud';
+
+function encodeBundle(data, password, { appVersion } = {}) {
+  if (!password) {
+    throw new Error('Export password required');
+  }
+  const compressed = zlib.gzipSync(Buffer.from(JSON.stringify(data), 'utf8'));
+  const payload = encrypt(compressed.toString('base64'), password);
+  return JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    appVersion: appVersion || null,
+    payload
+  });
+}
+
+function readBundleHeader(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Die Datei ist kein BBZCloud-Export');
+  }
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || typeof bundle.payload !== 'string') {
+    throw new Error('Die Datei ist kein BBZCloud-Export');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error('Der Export stammt aus einer neueren App-Version. Bitte aktualisieren Sie BBZCloud.');
+  }
+  return bundle;
+}
+
+function decodeBundle(text, password) {
+  const bundle = readBundleHeader(text);
+  let data;
+  try {
+    const base64 = decrypt(bundle.payload, password);
+    data = JSON.parse(zlib.gunzipSync(Buffer.from(base64, 'base64')).toString('utf8'));
+  } catch (error) {
+    throw new Error('Falsches Passwort oder beschädigte Datei');
+  }
+  return {
+    meta: {
+      createdAt: bundle.createdAt,
+      appVersion: bundle.appVersion,
+      version: bundle.version
+    },
+    data
+  };
+}
+
+// Kurzübersicht für die Import-Vorschau
+function summarizeBundle(data) {
+  return {
+    todos: data.todoState?.todos?.length || 0,
+    folders: data.todoState?.folders?.length || 0,
+    customApps: data.customApps?.length || 0,
+    secureDocuments: data.secureDocuments?.length || 0,
+    hasSettings: Boolean(data.settings),
+    customAppTitles: (data.customApps || []).map(app => app.title),
+    folderNames: data.todoState?.folders || []
+  };
+}
+
+module.exports = {
+  encodeBundle,
+  decodeBundle,
+  summarizeBundle,
+  BUNDLE_EXTENSION
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+const path = require('path');
+const { encrypt, decrypt } = require('./encryption');
+
+/**
+ * Einzelnes sicheres Dokument als selbstständige, verschlüsselte Datei
+ * (Weitergabe im Kollegium, Archiv auf USB-Stick, Umzug zwischen
+ * BBZ-Cloud-Installationen).
+ *
+ * Die Datei ist JSON mit einem unverschlüsselten Kopf und einer
+ * verschlüsselten Nutzlast:
+ *
+ *   {
+ *     "format": "bbzcloud-document",
+ *     "version": 2,
+ *     "createdAt": "<ISO-Zeit>",
+ *     "appVersion": "<App-Version beim Export>",
+ *     "payload": "<encrypt(JSON(document), Passwort)>"
+ *   }
+ *
+ *   document = {
+ *     "name": "<Dateiname>",
+ *     "size": "<Größe wie in secure_documents>",
+ *     "date": "<ISO-Zeit der letzten Änderung>",
+ *     "tags": ["..."],
+ *     "notes": "<Freitext>",
+ *     "compressed": true,
+ *     "content": "<base64, gzip-komprimiert wenn compressed>"
+ *   }
+ *
+ * Ab Version 2 mit AES-256-GCM und scrypt (Format in encryption.js), eine
+ * veränderte Datei fällt dadurch beim Import auf. Version 1 (crypto-js) wird
+ * weiter gelesen.
+ *
+ * Der Dateiname steht bewusst nur in der Nutzlast, der Kopf verrät nichts
+ * über den Inhalt. Das Passwort ist unabhängig vom Schlüsselbund-Passwort.
+ * Export und Import laufen komplett im Speicher, es entsteht nie eine
+ * Klartextkopie auf der Platte.
+ */
+
+const PACKAGE_FORMAT = 'bbzcloud-document';
+const PACKAGE_VERSION = 2;
+const PACKAGE_EXTENSION = 'bbzdoc';
+const MAX_DOCUMENT_NAME_LENGTH = 200;
+
+// Dokumentnamen aus fremden Dateien (.bbzdoc, Datenexport) landen später im
+// Namen der Temp-Datei von open-secure-file. Erlaubt ist deshalb nur ein
+// einfacher Dateiname: ohne Pfadanteile, ohne führende Punkte (`..`), ohne
+// Steuer- und unter Windows verbotene Zeichen, in der Länge begrenzt.
+function sanitizeDocumentName(name) {
+  const base = path.posix.basename(String(name || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f<>:"|?*]/g, '')
+    .replace(/^\.+/, '')
+    .trim();
+  if (!base) {
+    return 'Dokument';
+  }
+  if (base.length <= MAX_DOCUMENT_NAME_LENGTH) {
+    return base;
+  }
+  const extension = path.extname(base).slice(0, 20);
+  return base.slice(0, MAX_DOCUMENT_NAME_LENGTH - extension.length) + extension;
+}
+
+function encodeDocumentPackage(document, password, { appVersion } = {}) {
+  if (!password) {
+    throw new Error('Export password required');
+  }
+  const payload = encrypt(JSON.stringify({
+    name: document.name,
+    size: document.size,
+    date: document.date,
+    tags: document.tags || [],
+    notes: document.notes || '',
+    compressed: Boolean(document.compressed),
+    content: document.content.toString('base64')
+  }), password);
+  return JSON.stringify({
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    createdAt: new Date().toISOString(),
+    appVersion: appVersion || null,
+    payload
+  });
+}
+
+function readPackageHeader(text) {
+  let documentPackage;
+  try {
+    documentPackage = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Die Datei ist kein BBZCloud-Dokument');
+  }
+  if (!documentPackage || documentPackage.format !== PACKAGE_FORMAT || typeof documentPackage.payload !== 'string') {
+    throw new Error('Die Datei ist kein BBZCloud-Dokument');
+  }
+  if (documentPackage.version > PACKAGE_VERSION) {
+    throw new Error('Das Dokument stammt aus einer neueren App-Version. Bitte aktualisieren Sie BBZCloud.');
+  }
+  return documentPackage;
+}
+
+// Liefert das Dokument mit `content` als Buffer, bereit für saveSecureDocument
+function decodeDocumentPackage(text, password) {
+  const documentPackage = readPackageHeader(text);
+  let document;
+  try {
+    document = JSON.parse(decrypt(documentPackage.payload, password));
+  } catch (error) {
+    throw new Error('Falsches Passwort oder beschädigte Datei');
+  }
+  if (typeof document.name !== 'string' || typeof document.content !== 'string') {
+    throw new Error('Falsches Passwort oder beschädigte Datei');
+  }
+  return {
+    name: sanitizeDocumentName(document.name),
+    size: document.size,
+    date: document.date,
+    tags: Array.isArray(document.tags) ? document.tags : [],
+    notes: typeof document.notes === 'string' ? document.notes : '',
+    compressed: Boolean(document.compressed),
+    content: Buffer.from(document.content, 'base64')
+  };
+}
+
+module.exports = {
+  encodeDocumentPackage,
+  decodeDocumentPackage,
+  sanitizeDocumentName,
+  PACKAGE_EXTENSION
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+
+/**
+ * Passwortbasierte, authentifizierte Verschlüsselung (AES-256-GCM, Schlüssel
+ * per scrypt aus dem Passwort abgeleitet).
+ *
+ * Verschlüsselte Werte sind selbstbeschreibende Strings:
+ *
+ *   v2$scrypt$<N>$<r>$<p>$<salt>$<iv>$<tag>$<ciphertext>
+ *
+ * `v2` ist die Formatversion, salt/iv/tag/ciphertext sind base64. Weil
+ * KDF-Parameter und Salt im Wert stehen, lässt sich jeder Wert ohne weitere
+ * Metadaten entschlüsseln; neue Parameter betreffen nur neu geschriebene Werte.
+ * Der GCM-Tag erkennt veränderte oder beschädigte Daten — `decrypt` wirft dann
+ * einen Fehler, statt Datenmüll zu liefern.
+ *
+ * Werte ohne Präfix stammen aus der Zeit vor Version 2 (crypto-js,
+ * Passwort direkt als Passphrase) und werden weiterhin gelesen — außer der
+ * Aufrufer schließt sie mit `allowLegacy: false` aus. crypto-js hat keine
+ * Integritätsprüfung, ein untergeschobener Altwert fiele sonst nicht auf.
+ *
+ * Die KDF-Parameter stehen im Wert und können aus importierten Dateien
+ * stammen. Sie werden deshalb nach oben begrenzt (KDF_LIMITS), sonst könnte
+ * ein riesiges N den Main-Prozess blockieren oder seinen Speicher füllen.
+ *
+ * scrypt ist absichtlich teuer, abgeleitete Schlüssel werden deshalb pro
+ * Passwort, Salt und Parametern zwischengespeichert. Innerhalb einer
+ * Datenbank teilen sich alle Werte ein Salt (siehe DatabaseService).
+ */
+
+const FORMAT_VERSION = 'v2';
+const KDF_NAME = 'scrypt';
+const DEFAULT_KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+// Obergrenzen für Parameter aus gelesenen Werten: 128 * N * r Byte Speicher
+// (Standard 32 MiB, Grenze 64 MiB), p vervielfacht die Rechenzeit
+const KDF_LIMITS = { maxMemory: 64 * 1024 * 1024, maxR: 16, maxP: 4 };
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+// GCM nimmt beim Entschlüsseln sonst auch gekürzte Tags ab 4 Byte an
+const TAG_LENGTH = 16;
+const SALT_LENGTH = 16;
+const MAX_CACHED_KEYS = 16;
+
+const keyCache = new Map();
+
+class IntegrityError extends Error {
+  constructor(message = 'Encrypted data is corrupted or has been tampered with') {
+    super(message);
+    this.name = 'IntegrityError';
+  }
+}
+
+function createSalt() {
+  return crypto.randomBytes(SALT_LENGTH).toString('base64');
+}
+
+function deriveKey(password, salt, { N, r, p }) {
+  // Der Cache-Schlüssel enthält nur einen Hash des Passworts
+  const cacheKey = crypto.createHash('sha256')
+    .update(`${N}:${r}:${p}:${salt}:`)
+    .update(String(password))
+    .digest('hex');
+  let key = keyCache.get(cacheKey);
+  if (!key) {
+    key = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), KEY_LENGTH, {
+      N,
+      r,
+      p,
+      maxmem: 256 * N * r
+    });
+    if (keyCache.size >= MAX_CACHED_KEYS) {
+      keyCache.delete(keyCache.keys().next().value);
+    }
+    keyCache.set(cacheKey, key);
+  }
+  return key;
+}
+
+function isCurrentFormat(value) {
+  return typeof value === 'string' && value.startsWith(`${FORMAT_VERSION}$`);
+}
+
+/**
+ * Verschlüsselt einen String.
+ * @param {string} plaintext
+ * @param {string} password
+ * @param {Object} [options]
+ * @param {string} [options.salt] - base64-Salt, ohne Angabe ein neues
+ * @param {Object} [options.params] - scrypt-Parameter { N, r, p }
+ * @returns {string} Wert im v2-Format
+ */
+function encrypt(plaintext, password, { salt = createSalt(), params = DEFAULT_KDF_PARAMS } = {}) {
+  if (!password) {
+    throw new Error('Encryption password required');
+  }
+  const key = deriveKey(password, salt, params);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: TAG_LENGTH });
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [
+    FORMAT_VERSION,
+    KDF_NAME,
+    params.N,
+    params.r,
+    params.p,
+    salt,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join('$');
+}
+
+function parseKdfParams(N, r, p) {
+  const params = { N: Number(N), r: Number(r), p: Number(p) };
+  const valid = Number.isInteger(params.N) && params.N > 1 && (params.N & (params.N - 1)) === 0 &&
+    Number.isInteger(params.r) && params.r >= 1 && params.r <= KDF_LIMITS.maxR &&
+    Number.isInteger(params.p) && params.p >= 1 && params.p <= KDF_LIMITS.maxP &&
+    128 * params.N * params.r <= KDF_LIMITS.maxMemory;
+  if (!valid) {
+    throw new IntegrityError('Unsupported key derivation parameters');
+  }
+  return params;
+}
+
+function decryptCurrent(value, password) {
+  const parts = value.split('$');
+  if (parts.length !== 9 || parts[1] !== KDF_NAME) {
+    throw new IntegrityError('Unknown encrypted data format');
+  }
+  const [, , N, r, p, salt, iv, tag, ciphertext] = parts;
+  const authTag = Buffer.from(tag, 'base64');
+  if (authTag.length !== TAG_LENGTH) {
+    throw new IntegrityError('Invalid authentication tag');
+  }
+  const key = deriveKey(password, salt, parseKdfParams(N, r, p));
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'), { authTagLength: TAG_LENGTH });
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    // GCM unterscheidet nicht zwischen falschem Passwort und veränderten Daten
+    throw new IntegrityError('Wrong password or corrupted data');
+  }
+}
+
+function decryptLegacy(value, password) {
+  let plaintext;
+  try {
+    plaintext = CryptoJS.AES.decrypt(value, password).toString(CryptoJS.enc.Utf8);
+  } catch (error) {
+    plaintext = '';
+  }
+  if (!plaintext) {
+    throw new IntegrityError('Wrong password or corrupted data');
+  }
+  return plaintext;
+}
+
+/**
+ * Entschlüsselt einen Wert im v2- oder im alten crypto-js-Format.
+ * @param {string} value
+ * @param {string} password
+ * @param {Object} [options]
+ * @param {boolean} [options.allowLegacy=true] - crypto-js-Werte zulassen
+ * @throws {IntegrityError} bei falschem Passwort oder veränderten Daten
+ */
+function decrypt(value, password, { allowLegacy = true } = {}) {
+  if (!value) {
+    throw new IntegrityError('Missing encrypted data');
+  }
+  if (isCurrentFormat(value)) {
+    return decryptCurrent(value, password);
+  }
+  if (!allowLegacy) {
+    throw new IntegrityError('Legacy encrypted data is no longer accepted');
+  }
+  return decryptLegacy(value, password);
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  createSalt,
+  isCurrentFormat,
+  IntegrityError,
+  FORMAT_VERSION,
+  DEFAULT_KDF_PARAMS
+};
@@ -0,0 +1,424 @@
+'use strict';
+
+/**
+ * iCalendar (RFC 5545) Export und Import für Todos.
+ *
+ * Export: Todos mit Fälligkeit oder Erinnerung werden entweder als VTODO
+ * (Aufgaben) oder als VEVENT (Termine, von Outlook am zuverlässigsten
+ * übernommen) geschrieben. Eine Erinnerung wird zum VALARM, eine
+ * Wiederholungsregel zur RRULE, #tags zu CATEGORIES.
+ *
+ * Import: VTODO und VEVENT werden gelesen und als einfache Objekte
+ * ({ text, dueDate, reminder, priority, recurrence, completed })
+ * zurückgegeben. Die Todos selbst legt der Renderer an, weil dessen
+ * Zustand über saveTodoState die Tabelle komplett ersetzt.
+ *
+ * Bewusst vereinfacht: Zeitangaben mit TZID werden als lokale Zeit
+ * gelesen, von RRULE wird nur die Teilmenge verstanden, die auch die
+ * Todo-Wiederholung kennt (täglich, wöchentlich mit Wochentagen,
+ * monatlich, alle N Tage).
+ */
+
+const ICS_EXTENSION = 'ics';
+const PRODID = '-//BBZ Rendsburg-Eckernförde//BBZCloud//DE';
+
+// Date#getDay() -> BYDAY
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Todo-Priorität (0-3) <-> iCalendar PRIORITY (1 = höchste, 9 = niedrigste)
+const PRIORITY_TO_ICS = { 1: 9, 2: 5, 3: 1 };
+
+function icsPriorityToTodo(value) {
+  const priority = parseInt(value, 10);
+  if (!priority) return 0;
+  if (priority <= 4) return 3;
+  if (priority === 5) return 2;
+  return 1;
+}
+
+// --- Export ---------------------------------------------------------------
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Zeilen länger als 75 Byte werden gefaltet (Fortsetzung mit Leerzeichen)
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const pad = (number) => String(number).padStart(2, '0');
+
+function formatUtc(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+// Fälligkeiten sind Kalendertage (lokale Mitternacht)
+function formatDate(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+}
+
+function formatDuration(ms) {
+  const sign = ms < 0 ? '-' : '';
+  let seconds = Math.round(Math.abs(ms) / 1000);
+  const days = Math.floor(seconds / 86400);
+  seconds -= days * 86400;
+  const hours = Math.floor(seconds / 3600);
+  seconds -= hours * 3600;
+  const minutes = Math.floor(seconds / 60);
+  seconds -= minutes * 60;
+
+  let time = '';
+  if (hours) time += `${hours}H`;
+  if (minutes) time += `${minutes}M`;
+  if (seconds) time += `${seconds}S`;
+  if (!days && !time) time = '0S';
+  return `${sign}P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+function recurrenceToRrule(recurrence) {
+  if (!recurrence || !recurrence.type) return null;
+  switch (recurrence.type) {
+    case 'daily':
+      return 'FREQ=DAILY';
+    case 'interval':
+      return `FREQ=DAILY;INTERVAL=${Math.max(1, recurrence.interval || 1)}`;
+    case 'weekly': {
+      const days = (recurrence.weekdays || []).map(day => WEEKDAY_CODES[day]).filter(Boolean);
+      return days.length ? `FREQ=WEEKLY;BYDAY=${days.join(',')}` : 'FREQ=WEEKLY';
+    }
+    case 'monthly':
+      return recurrence.dayOfMonth ? `FREQ=MONTHLY;BYMONTHDAY=${recurrence.dayOfMonth}` : 'FREQ=MONTHLY';
+    default:
+      return null;
+  }
+}
+
+// Erste Zeile ohne Markdown-Auszeichnung als Titel
+function summaryFromText(text) {
+  const firstLine = String(text || '').split('\n').find(line => line.trim()) || 'Aufgabe';
+  return firstLine.replace(/^[#>*\-\s]+/, '').replace(/[*_`]/g, '').trim() || 'Aufgabe';
+}
+
+function tagsFromText(text) {
+  const tags = new Set();
+  for (const match of String(text || '').matchAll(/(^|\s)#([\p{L}\p{N}_-]+)/gu)) {
+    tags.add(match[2]);
+  }
+  return [...tags];
+}
+
+/**
+ * Kalenderdatei aus Todos erzeugen.
+ * @param {Array} todos - Todos (nur solche mit dueDate oder reminder werden exportiert)
+ * @param {Object} options
+ * @param {'vtodo'|'vevent'} options.component - Art der Einträge
+ * @returns {{ content: string, count: number }}
+ */
+function buildCalendar(todos, { component = 'vtodo' } = {}) {
+  const now = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  const exportable = (todos || []).filter(todo => todo.dueDate || todo.reminder);
+
+  exportable.forEach(todo => {
+    const type = component === 'vevent' ? 'VEVENT' : 'VTODO';
+    const text = String(todo.text || '');
+    const summary = summaryFromText(text);
+
+    lines.push(`BEGIN:${type}`);
+    lines.push(`UID:${todo.id}@bbzcloud`);
+    lines.push(`DTSTAMP:${now}`);
+    if (todo.createdAt) lines.push(`CREATED:${formatUtc(todo.createdAt)}`);
+    lines.push(`SUMMARY:${escapeText(summary)}`);
+    if (text.trim() !== summary) lines.push(`DESCRIPTION:${escapeText(text)}`);
+
+    const tags = tagsFromText(text);
+    if (tags.length) lines.push(`CATEGORIES:${tags.map(escapeText).join(',')}`);
+    if (PRIORITY_TO_ICS[todo.priority]) lines.push(`PRIORITY:${PRIORITY_TO_ICS[todo.priority]}`);
+
+    // Anker für Termin/Fälligkeit: ganzer Tag oder, ohne Fälligkeit, der Erinnerungszeitpunkt
+    let anchor = null;
+    if (todo.dueDate) {
+      anchor = new Date(todo.dueDate);
+      if (type === 'VEVENT') {
+        const end = new Date(anchor);
+        end.setDate(end.getDate() + 1);
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(anchor)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDate(end)}`);
+      } else {
+        lines.push(`DUE;VALUE=DATE:${formatDate(anchor)}`);
+      }
+    } else {
+      anchor = new Date(todo.reminder);
+      if (type === 'VEVENT') {
+        lines.push(`DTSTART:${formatUtc(anchor)}`);
+        lines.push('DURATION:PT15M');
+      } else {
+        lines.push(`DUE:${formatUtc(anchor)}`);
+      }
+    }
+
+    const rrule = recurrenceToRrule(todo.recurrence);
+    if (rrule) lines.push(`RRULE:${rrule}`);
+
+    if (type === 'VTODO') {
+      lines.push(`STATUS:${todo.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+      if (todo.completed && todo.completedAt) lines.push(`COMPLETED:${formatUtc(todo.completedAt)}`);
+    }
+
+    if (todo.reminder) {
+      // Relative Auslöser (bezogen auf Beginn/Fälligkeit) verstehen alle
+      // Kalender, auch Outlook; der absolute Zeitpunkt bleibt erhalten.
+      const offset = new Date(todo.reminder).getTime() - anchor.getTime();
+      lines.push('BEGIN:VALARM');
+      lines.push('ACTION:DISPLAY');
+      lines.push(`DESCRIPTION:${escapeText(summary)}`);
+      lines.push(`TRIGGER${type === 'VTODO' ? ';RELATED=END' : ''}:${formatDuration(offset)}`);
+      lines.push('END:VALARM');
+    }
+
+    lines.push(`END:${type}`);
+  });
+
+  lines.push('END:VCALENDAR');
+  return {
+    content: lines.map(foldLine).join('\r\n') + '\r\n',
+    count: exportable.length
+  };
+}
+
+// --- Import ---------------------------------------------------------------
+
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (match, char) => (
+    char === 'n' || char === 'N' ? '\n' : char
+  ));
+}
+
+function parseProperty(line) {
+  // Doppelpunkte in Parameterwerten stehen in Anführungszeichen
+  let inQuotes = false;
+  let colonIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+  if (colonIndex === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+}
+
+function parseDateValue(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const allDay = params.VALUE === 'DATE' || hours === undefined;
+  if (allDay) {
+    return { date: new Date(Number(year), Number(month) - 1, Number(day)), allDay: true };
+  }
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+  return { date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts), allDay: false };
+}
+
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 86400 +
+    Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+function rruleToRecurrence(value, dueDate) {
+  const rule = {};
+  String(value).split(';').forEach(part => {
+    const [key, val] = part.split('=');
+    if (key && val) rule[key.toUpperCase()] = val.toUpperCase();
+  });
+  const interval = parseInt(rule.INTERVAL, 10) || 1;
+
+  switch (rule.FREQ) {
+    case 'DAILY':
+      return interval > 1 ? { type: 'interval', interval } : { type: 'daily' };
+    case 'WEEKLY': {
+      if (interval > 1) {
+        // "Alle 2 Wochen" lässt sich nur ohne Wochentagsauswahl abbilden
+        return { type: 'interval', interval: interval * 7 };
+      }
+      const weekdays = (rule.BYDAY || '')
+        .split(',')
+        .map(code => WEEKDAY_CODES.indexOf(code.replace(/^[+-]?\d+/, '')))
+        .filter(day => day >= 0);
+      return {
+        type: 'weekly',
+        weekdays: weekdays.length ? weekdays : [dueDate ? dueDate.getDay() : new Date().getDay()]
+      };
+    }
+    case 'MONTHLY': {
+      const dayOfMonth = parseInt(rule.BYMONTHDAY, 10);
+      return {
+        type: 'monthly',
+        dayOfMonth: dayOfMonth > 0 ? dayOfMonth : (dueDate ? dueDate.getDate() : undefined)
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Kalenderdatei lesen.
+ * @param {string} content - Inhalt der .ics-Datei
+ * @returns {Array<{text, dueDate, reminder, priority, recurrence, completed}>}
+ */
+function parseCalendar(content) {
+  const text = String(content || '');
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('Die Datei ist keine iCalendar-Datei');
+  }
+
+  // Gefaltete Zeilen zusammenführen
+  const lines = text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+  const items = [];
+  const stack = [];
+  let current = null;
+  let alarm = null;
+
+  lines.forEach(rawLine => {
+    const property = parseProperty(rawLine);
+    if (!property) return;
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN') {
+      const type = value.trim().toUpperCase();
+      stack.push(type);
+      if (type === 'VTODO' || type === 'VEVENT') {
+        current = { type, props: {}, alarms: [] };
+      } else if (type === 'VALARM' && current) {
+        alarm = {};
+      }
+      return;
+    }
+
+    if (name === 'END') {
+      const type = stack.pop();
+      if (type === 'VALARM' && current && alarm) {
+        current.alarms.push(alarm);
+        alarm = null;
+      } else if ((type === 'VTODO' || type === 'VEVENT') && current) {
+        items.push(current);
+        current = null;
+      }
+      return;
+    }
+
+    if (alarm) {
+      alarm[name] = { params, value };
+    } else if (current && !(name in current.props)) {
+      current.props[name] = { params, value };
+    }
+  });
+
+  return items.map(({ type, props, alarms }) => {
+    const summary = props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : '';
+    const description = props.DESCRIPTION ? unescapeText(props.DESCRIPTION.value).trim() : '';
+
+    const startProp = type === 'VTODO' ? (props.DUE || props.DTSTART) : props.DTSTART;
+    const endProp = type === 'VTODO' ? props.DUE : (props.DTEND || props.DTSTART);
+    const start = startProp ? parseDateValue(startProp.value, startProp.params) : null;
+    const end = endProp ? parseDateValue(endProp.value, endProp.params) : null;
+
+    // Ganztägige Einträge werden zur Fälligkeit, Termine mit Uhrzeit
+    // zusätzlich zur Erinnerung, falls kein Alarm gesetzt ist
+    const dueDate = start ? new Date(start.date.getFullYear(), start.date.getMonth(), start.date.getDate()) : null;
+
+    let reminder = null;
+    const trigger = alarms.map(a => a.TRIGGER).find(Boolean);
+    if (trigger) {
+      if (trigger.params.VALUE === 'DATE-TIME') {
+        const absolute = parseDateValue(trigger.value, trigger.params);
+        reminder = absolute ? absolute.date : null;
+      } else {
+        const offset = parseDuration(trigger.value);
+        const related = trigger.params.RELATED === 'END' ? (end || start) : (start || end);
+        if (offset !== null && related) {
+          reminder = new Date(related.date.getTime() + offset);
+        }
+      }
+    } else if (start && !start.allDay) {
+      reminder = start.date;
+    }
+
+    // Kategorien als #tags anhängen, damit sie im Todo filterbar sind
+    const categories = props.CATEGORIES
+      ? unescapeText(props.CATEGORIES.value).split(',').map(c => c.trim().replace(/\s+/g, '-')).filter(Boolean)
+      : [];
+    const existingTags = tagsFromText(`${summary}\n${description}`).map(tag => tag.toLowerCase());
+    const newTags = categories.filter(tag => !existingTags.includes(tag.toLowerCase()));
+
+    let todoText = summary || description || 'Importierter Termin';
+    if (summary && description && description !== summary) {
+      todoText = description.startsWith(summary) ? description : `${summary}\n\n${description}`;
+    }
+    if (newTags.length) {
+      todoText += ` ${newTags.map(tag => `#${tag}`).join(' ')}`;
+    }
+
+    return {
+      text: todoText,
+      dueDate: dueDate ? dueDate.toISOString() : null,
+      reminder: reminder ? reminder.toISOString() : null,
+      priority: props.PRIORITY ? icsPriorityToTodo(props.PRIORITY.value) : 0,
+      recurrence: props.RRULE ? rruleToRecurrence(props.RRULE.value, dueDate) : null,
+      completed: props.STATUS ? props.STATUS.value.trim().toUpperCase() === 'COMPLETED' : false
+    };
+  });
+}
+
+module.exports = {
+  buildCalendar,
+  parseCalendar,
+  ICS_EXTENSION
+};
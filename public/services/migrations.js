@@ -0,0 +1,120 @@
+/**
+ * Ordered schema migrations for DatabaseService.
+ *
+ * createTables() only ever runs CREATE TABLE IF NOT EXISTS and therefore
+ * describes the baseline schema (version 1). Every later change to an
+ * existing table (new columns, side tables, indexes, data rewrites) must be
+ * added here as a new step with the next version number — never edit a step
+ * that has already been released, existing databases will not run it again.
+ *
+ * Each step runs inside its own transaction. `up` receives promisified
+ * helpers bound to the open connection:
+ *
+ *   run(sql, params)             -> Promise<void>
+ *   all(sql, params)             -> Promise<rows[]>
+ *   get(sql, params)             -> Promise<row|undefined>
+ *   addColumn(table, column, definition)
+ *                                -> Promise<void>, skips columns that already exist
+ *
+ * A step must not issue BEGIN/COMMIT itself.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Baseline schema (createTables)',
+        up: async () => {
+            // Nothing to do: the baseline tables are created by createTables().
+            // Recording this version marks the database as managed.
+        }
+    },
+    {
+        version: 2,
+        description: 'Todo due dates, priorities and recurrence rules',
+        up: async ({ addColumn }) => {
+            await addColumn('todos', 'due_date', 'TEXT');
+            await addColumn('todos', 'priority', 'INTEGER NOT NULL DEFAULT 0');
+            // JSON rule, see src/utils/todoRecurrence.js
+            await addColumn('todos', 'recurrence', 'TEXT');
+        }
+    },
+    {
+        version: 3,
+        description: 'Todo subtasks',
+        up: async ({ addColumn }) => {
+            // Encrypted JSON array of { id, text, completed }, same key as todos.text
+            await addColumn('todos', 'subtasks', 'TEXT');
+        }
+    },
+    {
+        version: 4,
+        description: 'Todo completion timestamp',
+        up: async ({ addColumn }) => {
+            await addColumn('todos', 'completed_at', 'TEXT');
+        }
+    },
+    {
+        version: 5,
+        description: 'Secure document folders, tags and notes',
+        up: async ({ run, addColumn }) => {
+            // Folder names are encrypted with the document password, documents
+            // reference folders by id only
+            await run(`
+                CREATE TABLE IF NOT EXISTS secure_document_folders (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    updated_at INTEGER NOT NULL
+                )
+            `);
+            await addColumn('secure_documents', 'folder_id', 'TEXT');
+            // Encrypted JSON (array of strings / string), same password as content
+            await addColumn('secure_documents', 'tags', 'TEXT');
+            await addColumn('secure_documents', 'notes', 'TEXT');
+        }
+    },
+    {
+        version: 6,
+        description: 'Secure document version history',
+        up: async ({ run }) => {
+            // content is encrypted exactly like secure_documents.content
+            await run(`
+                CREATE TABLE IF NOT EXISTS secure_document_versions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    document_id TEXT NOT NULL,
+                    size TEXT NOT NULL,
+                    date TEXT NOT NULL,
+                    content TEXT NOT NULL,
+                    created_at INTEGER NOT NULL
+                )
+            `);
+            await run(`
+                CREATE INDEX IF NOT EXISTS idx_secure_document_versions_document
+                ON secure_document_versions (document_id, created_at)
+            `);
+        }
+    },
+    {
+        version: 7,
+        description: 'Key derivation parameters for authenticated encryption',
+        up: async ({ run }) => {
+            // Holds the per-database scrypt salt ('kdf_salt'), see
+            // DatabaseService.loadKdfSalt() and services/encryption.js
+            await run(`
+                CREATE TABLE IF NOT EXISTS encryption_meta (
+                    key TEXT PRIMARY KEY,
+                    value TEXT NOT NULL
+                )
+            `);
+        }
+    },
+    {
+        version: 8,
+        description: 'Recorded login recipes for custom apps',
+        up: async ({ addColumn }) => {
+            // JSON with the CSS selectors of the login form, see
+            // src/utils/loginRecipes.js. The credentials stay in the keychain.
+            await addColumn('custom_apps', 'login_recipe', 'TEXT');
+        }
+    }
+];
+
+module.exports = MIGRATIONS;
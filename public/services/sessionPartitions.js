@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Session-Partitionen der Apps.
+ *
+ * Standardmäßig teilen sich alle Apps die Partition `persist:main` — ein
+ * Login bei Microsoft gilt dann für Outlook, Office und OneNote zugleich.
+ * Das ist meist gewollt, hat aber zwei Kehrseiten: Ein zweites Konto in
+ * einer App meldet die anderen ab, und ein kaputtes Cookie trifft alle.
+ *
+ * Apps können deshalb in den Einstellungen eine eigene Partition bekommen
+ * (`sessionPartitions: { [appId]: 'isolated' }`, gerätespezifisch im
+ * electron-store). Der Name leitet sich aus der App-ID ab und bleibt damit
+ * über Neustarts stabil — Cookies und Speicher der App bleiben erhalten.
+ *
+ * Gegenstück im Renderer: src/utils/sessionPartitions.js
+ */
+
+const SHARED_PARTITION = 'persist:main';
+const ISOLATED_PREFIX = 'persist:app-';
+
+const PARTITION_MODES = {
+  SHARED: 'shared',
+  ISOLATED: 'isolated',
+};
+
+const ISOLATED_PARTITION_PATTERN = /^persist:app-[a-z0-9-]+$/;
+
+/**
+ * Eigene Partition einer App. App-IDs sind Schlüssel der Navigationsleiste
+ * oder (kleingeschriebene) IDs von Dropdown-/benutzerdefinierten Apps.
+ */
+function isolatedPartition(appId) {
+  const name = String(appId).toLowerCase().replace(/[^a-z0-9-]/g, '-');
+  return `${ISOLATED_PREFIX}${name}`;
+}
+
+/** Alle eigenen Partitionen, die laut Einstellungen in Gebrauch sind */
+function getIsolatedPartitions(modes) {
+  return Object.entries(modes || {})
+    .filter(([, mode]) => mode === PARTITION_MODES.ISOLATED)
+    .map(([appId]) => isolatedPartition(appId));
+}
+
+/**
+ * Nur die geteilte Partition und App-Partitionen zulassen — Werte aus dem
+ * Renderer dürfen keine beliebigen Sessions (z. B. die des Hauptfensters
+ * ohne `persist:`) ansprechen.
+ */
+function isValidPartition(partition) {
+  return partition === SHARED_PARTITION ||
+    (typeof partition === 'string' && ISOLATED_PARTITION_PATTERN.test(partition));
+}
+
+module.exports = {
+  SHARED_PARTITION,
+  PARTITION_MODES,
+  isolatedPartition,
+  getIsolatedPartitions,
+  isValidPartition,
+};
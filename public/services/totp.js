@@ -0,0 +1,128 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Einmalcodes für die Zwei-Faktor-Anmeldung (TOTP nach RFC 6238).
+ *
+ * Ein Eintrag ist `{ secret, digits, period, algorithm, label }`, `secret`
+ * als Base32 wie in Authenticator-Apps. Eingaben sind entweder der reine
+ * Schlüssel (Leerzeichen und Kleinschreibung egal) oder der komplette
+ * `otpauth://totp/...`-Link aus dem QR-Code, der auch Stellenzahl, Periode
+ * und Algorithmus mitbringen kann.
+ *
+ * Die Schlüssel liegen im Schlüsselbund (CredentialStore) und verlassen den
+ * Main-Prozess nicht — der Renderer bekommt nur fertige Codes.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULTS = { digits: 6, period: 30, algorithm: 'SHA1' };
+const ALGORITHMS = { SHA1: 'sha1', SHA256: 'sha256', SHA512: 'sha512' };
+const MAX_PERIOD = 300;
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+  if (!clean) {
+    throw new Error('Der geheime Schlüssel ist leer');
+  }
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Ungültiges Zeichen im geheimen Schlüssel: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Schlüssel oder otpauth-Link in einen Eintrag umwandeln.
+ * @param {string} input - Base32-Schlüssel oder otpauth://totp/…
+ * @returns {{secret: string, digits: number, period: number, algorithm: string, label: string}}
+ * @throws {Error} bei unbrauchbarer Eingabe
+ */
+function parseSecret(input) {
+  const text = String(input || '').trim();
+  let entry = { ...DEFAULTS, secret: text, label: '' };
+
+  if (/^otpauth:/i.test(text)) {
+    let url;
+    try {
+      url = new URL(text);
+    } catch (error) {
+      throw new Error('Der otpauth-Link ist ungültig');
+    }
+    if (url.host.toLowerCase() !== 'totp') {
+      throw new Error('Nur zeitbasierte Codes (TOTP) werden unterstützt');
+    }
+    const params = url.searchParams;
+    const label = decodeURIComponent(url.pathname.replace(/^\//, ''));
+    entry = {
+      secret: params.get('secret') || '',
+      digits: parseInt(params.get('digits'), 10) || DEFAULTS.digits,
+      // Number statt parseInt, damit „30s“ oder „1.5“ nicht durchrutschen
+      period: params.has('period') ? Number(params.get('period')) : DEFAULTS.period,
+      algorithm: (params.get('algorithm') || DEFAULTS.algorithm).toUpperCase(),
+      label: label || params.get('issuer') || ''
+    };
+  }
+
+  if (!ALGORITHMS[entry.algorithm]) {
+    throw new Error(`Algorithmus ${entry.algorithm} wird nicht unterstützt`);
+  }
+  if (entry.digits < 6 || entry.digits > 8) {
+    throw new Error('Codes müssen 6 bis 8 Stellen haben');
+  }
+  if (!Number.isInteger(entry.period) || entry.period < 1 || entry.period > MAX_PERIOD) {
+    throw new Error(`Die Gültigkeitsdauer muss 1 bis ${MAX_PERIOD} Sekunden betragen`);
+  }
+  // Prüft zugleich, ob sich der Schlüssel dekodieren lässt
+  if (base32Decode(entry.secret).length < 10) {
+    throw new Error('Der geheime Schlüssel ist zu kurz');
+  }
+  entry.secret = entry.secret.toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+  return entry;
+}
+
+/**
+ * Code für einen Zeitpunkt berechnen.
+ * @param {Object} entry - Eintrag aus parseSecret()
+ * @param {number} [time] - Zeitpunkt in ms, Standard jetzt
+ * @returns {{code: string, remaining: number}} Code und Restgültigkeit in Sekunden
+ */
+function generateCode(entry, time = Date.now()) {
+  const { secret, digits, period, algorithm } = { ...DEFAULTS, ...entry };
+  const seconds = Math.floor(time / 1000);
+  const counter = Math.floor(seconds / period);
+
+  const message = Buffer.alloc(8);
+  message.writeUInt32BE(Math.floor(counter / 2 ** 32), 0);
+  message.writeUInt32BE(counter % 2 ** 32, 4);
+
+  const hmac = crypto.createHmac(ALGORITHMS[algorithm], base32Decode(secret)).update(message).digest();
+  // Dynamische Kürzung nach RFC 4226, Abschnitt 5.3
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return {
+    code: String(binary % 10 ** digits).padStart(digits, '0'),
+    remaining: period - (seconds % period)
+  };
+}
+
+module.exports = {
+  parseSecret,
+  generateCode,
+  base32Decode
+};
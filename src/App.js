@@ -68,6 +68,8 @@ import DocumentsMenu from './components/DocumentsMenu';
 import SecureDocuments from './components/SecureDocuments';
 import DebugConsole from './components/DebugConsole';
 import ShortcutsModal from './components/ShortcutsModal';
+import CustomAppLogin from './components/CustomAppLogin';
+import CredentialVaultUnlock from './components/CredentialVaultUnlock';
 
 // Custom Hooks and Utilities
 import { 
@@ -78,13 +80,16 @@ import {
 import { 
   SUCCESS_MESSAGES, 
   ERROR_MESSAGES, 
-  UI_CONFIG 
+  UI_CONFIG,
+  DATABASE_CONFIG,
+  AUTO_LOGIN_APPS
 } from './utils/constants';
 import { 
   saveFocus, 
   restoreFocus, 
   announceToScreenReader
 } from './utils/accessibility';
+import { getAppPartition } from './utils/sessionPartitions';
 
 /**
  * Helper function to create delays in async operations
@@ -125,6 +130,9 @@ function App() {
   const [showWelcomeModal, setShowWelcomeModal] = useState(false);
   const [welcomeStep, setWelcomeStep] = useState(1); // 1: credentials, 2: database location
 
+  // Locked local credential vault (set when it needs the master password)
+  const [lockedVaultStatus, setLockedVaultStatus] = useState(null);
+
   // DB Password Modal State - Handles fallback decryption when keytar is empty
   const [showPasswordModal, setShowPasswordModal] = useState(false);
   const [dbPasswordInput, setDbPasswordInput] = useState('');
@@ -158,6 +166,12 @@ function App() {
   const [hasUpdate, setHasUpdate] = useState(false);
   const [reminderCount, setReminderCount] = useState(0);
   const [isDebugMode, setIsDebugMode] = useState(false);
+  // Dialog the settings panel should open once it is shown (e.g. 'export' from the command palette)
+  const [settingsAction, setSettingsAction] = useState(null);
+  // Todo from the quick-add overlay, handed to TodoList once it has loaded
+  const [quickAddRequest, setQuickAddRequest] = useState(null);
+  // Apps with a stored TOTP secret, for the "copy current code" commands
+  const [totpApps, setTotpApps] = useState([]);
 
   // Refs for WebView management
   const webViewRef = useRef(null);
@@ -197,6 +211,12 @@ function App() {
     onToggle: onShortcutsToggle
   } = useDisclosure();
 
+  const {
+    isOpen: isLoginSetupOpen,
+    onOpen: onLoginSetupOpen,
+    onClose: onLoginSetupClose,
+  } = useDisclosure();
+
   // ============================================================================
   // SINGLE-PANEL ENFORCEMENT
   // Reserved-gutter layout can only host one right-side panel at a time.
@@ -215,6 +235,17 @@ function App() {
     onTodoOpen();
   }, [onTodoOpen, onSettingsClose, onSecureDocsClose]);
 
+  // Open the quick-add input in the overlay window. Folder names are needed
+  // for the live preview of "#Ordner".
+  const openQuickAdd = useCallback(async () => {
+    if (!window.electron?.overlay) return;
+    const result = await window.electron.getTodoState();
+    window.electron.overlay.open({
+      surface: 'quickAddTodo',
+      folders: result.success ? result.todoState.folders : ['Default'],
+    });
+  }, []);
+
   const openSecureDocs = useCallback(() => {
     onSettingsClose();
     onTodoClose();
@@ -268,6 +299,14 @@ function App() {
           setIsLoadingEmail(false);
           return;
         }
+
+        // A locked local vault has no credentials yet: ask for the master
+        // password instead of starting the welcome or restore flow
+        const backendStatus = await window.electron.getCredentialBackend();
+        if (backendStatus.success && backendStatus.backend === 'vault' && !backendStatus.vaultUnlocked) {
+          setLockedVaultStatus(backendStatus);
+          return;
+        }
         
         // Load all credentials in parallel for better performance
         const [emailResult, passwordResult, bbbPasswordResult, webuntisEmailResult, webuntisPasswordResult, schulportalEmailResult, schulportalPasswordResult, schulcloudEncryptionPasswordResult] = await Promise.all([
@@ -732,6 +771,14 @@ function App() {
     }
   }, [isSettingsOpen]);
 
+  // Reload the TOTP apps whenever the settings (where they are managed) close
+  useEffect(() => {
+    if (isSettingsOpen || !window.electron?.listTotpSecrets) return;
+    window.electron.listTotpSecrets({ service: DATABASE_CONFIG.SERVICE_NAME }).then(result => {
+      if (result?.success) setTotpApps(result.apps);
+    });
+  }, [isSettingsOpen]);
+
   /**
    * Focus management for todo drawer
    */
@@ -788,9 +835,16 @@ function App() {
     }
   };
 
+  // Custom app shown in the dropdown webview (null for standard apps)
+  const activeCustomApp = useMemo(() => (
+    activeWebView
+      ? settings.customApps?.find(app => app.id.toLowerCase() === activeWebView.id) || null
+      : null
+  ), [activeWebView, settings.customApps]);
+
   /**
    * Handle custom app clicks from the apps menu
-   * 
+   *
    * @param {Object} app - Custom app object with id, url, and title
    */
   const handleCustomAppClick = (app) => {
@@ -808,9 +862,11 @@ function App() {
    * 
    * @param {string} url - URL to open
    * @param {string} title - Window title
+   * @param {string} [appId] - App whose session partition the window uses
    */
-  const handleOpenInNewWindow = (url, title) => {
-    window.electron.openExternalWindow({ url, title });
+  const handleOpenInNewWindow = (url, title, appId) => {
+    const partition = appId ? getAppPartition(appId, settings.sessionPartitions) : undefined;
+    window.electron.openExternalWindow({ url, title, partition });
   };
 
   /**
@@ -930,6 +986,9 @@ function App() {
             case 'toggle-secure-docs':
               toggleSecureDocs();
               break;
+            case 'quick-add-todo':
+              openQuickAdd();
+              break;
             case 'open-settings':
               toggleSettings();
               break;
@@ -979,7 +1038,7 @@ function App() {
     } catch (error) {
       console.warn('Error setting up webview shortcut listener:', error);
     }
-  }, [isSettingsOpen, onSettingsClose, isTodoOpen, onTodoClose, isSecureDocsOpen, onSecureDocsClose, isCommandPaletteOpen, onCommandPaletteClose, onCommandPaletteOpen, toggleTodo, toggleSecureDocs, toggleSettings]);
+  }, [isSettingsOpen, onSettingsClose, isTodoOpen, onTodoClose, isSecureDocsOpen, onSecureDocsClose, isCommandPaletteOpen, onCommandPaletteClose, onCommandPaletteOpen, toggleTodo, toggleSecureDocs, toggleSettings, openQuickAdd]);
 
   // ============================================================================
   // COMMAND PALETTE — OVERLAY WINDOW WIRING
@@ -1023,6 +1082,14 @@ function App() {
         icon: '📝',
         shortcut: 'Strg+Shift+T',
       },
+      {
+        id: 'quick-add-todo',
+        title: 'Aufgabe schnell hinzufügen',
+        description: 'Aufgabe in einer Zeile erfassen, z.B. „morgen 8 Uhr #Ordner“',
+        category: 'Anwendung',
+        icon: '➕',
+        shortcut: 'Strg+Alt+A',
+      },
       {
         id: 'toggle-secure-docs',
         title: 'Sichere Dokumente umschalten',
@@ -1031,6 +1098,20 @@ function App() {
         icon: '🔒',
         shortcut: 'Strg+D',
       },
+      {
+        id: 'export-data',
+        title: 'Daten exportieren',
+        description: 'Einstellungen, Apps, Todos und Dokumente in eine verschlüsselte Datei sichern',
+        category: 'Anwendung',
+        icon: '📤',
+      },
+      {
+        id: 'import-data',
+        title: 'Daten importieren',
+        description: 'Einen BBZCloud-Export einlesen (zusammenführen oder ersetzen)',
+        category: 'Anwendung',
+        icon: '📥',
+      },
       {
         id: 'reload-current',
         title: 'Aktuelle Seite neu laden',
@@ -1064,8 +1145,43 @@ function App() {
       });
     }
 
+    // Current two-factor code per app with a TOTP secret
+    totpApps.forEach(({ appId }) => {
+      const title = AUTO_LOGIN_APPS.find(app => app.id === appId)?.title
+        || settings.customApps?.find(app => app.id.toLowerCase() === appId)?.title
+        || appId;
+      list.push({
+        id: `totp-${appId}`,
+        title: `2FA-Code für ${title} kopieren`,
+        description: 'Aktuellen Bestätigungscode in die Zwischenablage kopieren',
+        category: 'Zwei-Faktor',
+        icon: '🔑',
+      });
+    });
+
     return list;
-  }, [filteredNavigationButtons, settings.customApps]);
+  }, [filteredNavigationButtons, settings.customApps, totpApps]);
+
+  const copyTotpCode = useCallback(async (appId) => {
+    const result = await window.electron.copyTotpCode({ service: DATABASE_CONFIG.SERVICE_NAME, appId });
+    if (!result.success) {
+      toast({
+        title: 'Kein Code verfügbar',
+        description: result.error,
+        status: 'error',
+        duration: UI_CONFIG.NOTIFICATION_DURATION,
+        isClosable: true,
+      });
+      return;
+    }
+    toast({
+      title: '2FA-Code kopiert',
+      description: `Noch ${result.remaining} Sekunden gültig`,
+      status: 'success',
+      duration: UI_CONFIG.NOTIFICATION_DURATION,
+      isClosable: true,
+    });
+  }, [toast]);
 
   // Dispatch a command by id. Called when the overlay sends back a selection.
   const dispatchCommand = useCallback((commandId) => {
@@ -1074,11 +1190,19 @@ function App() {
       handleNavigationClick(navId, false);
       return;
     }
+    if (commandId.startsWith('totp-')) {
+      copyTotpCode(commandId.substring(5));
+      return;
+    }
     if (commandId.startsWith('custom-')) {
       const customId = commandId.substring(7);
       const app = settings.customApps?.find(a => a.id === customId);
       if (app && window.electron?.openExternalWindow) {
-        window.electron.openExternalWindow({ url: app.url, title: app.title });
+        window.electron.openExternalWindow({
+          url: app.url,
+          title: app.title,
+          partition: getAppPartition(app.id, settings.sessionPartitions),
+        });
       }
       return;
     }
@@ -1092,6 +1216,17 @@ function App() {
       case 'toggle-secure-docs':
         openSecureDocs();
         break;
+      case 'quick-add-todo':
+        openQuickAdd();
+        break;
+      case 'export-data':
+        setSettingsAction('export');
+        openSettings();
+        break;
+      case 'import-data':
+        setSettingsAction('import');
+        openSettings();
+        break;
       case 'reload-current':
         if (webViewRef.current) webViewRef.current.reload();
         break;
@@ -1105,7 +1240,7 @@ function App() {
       default:
         break;
     }
-  }, [handleNavigationClick, openSettings, openTodo, openSecureDocs, settings.customApps]);
+  }, [handleNavigationClick, openSettings, openTodo, openSecureDocs, openQuickAdd, copyTotpCode, settings.customApps, settings.sessionPartitions]);
 
   // Open/hide the overlay window in response to isCommandPaletteOpen state.
   useEffect(() => {
@@ -1130,18 +1265,22 @@ function App() {
         onCommandPaletteClose();
       } else if (action.type === 'close') {
         onCommandPaletteClose();
+      } else if (action.type === 'quick-add-todo') {
+        // TodoList adds it through handleAddTodo as soon as its state is loaded
+        setQuickAddRequest({ ...action.todo, requestId: Date.now() });
+        openTodo();
       } else if (action.type === 'menu-navigate') {
         if (action.id === 'todo') openTodo();
         else if (action.id === 'secure-documents') openSecureDocs();
       } else if (action.type === 'app-select') {
         handleCustomAppClick(action.app);
       } else if (action.type === 'app-new-window') {
-        handleOpenInNewWindow(action.url, action.title);
+        handleOpenInNewWindow(action.url, action.title, action.appId);
       }
     });
     return unsub;
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [dispatchCommand, onCommandPaletteClose, openTodo, openSecureDocs]);
+  }, [dispatchCommand, onCommandPaletteClose, openTodo, openSecureDocs, settings.sessionPartitions]);
 
   // The overlay can also close itself (e.g. on blur). Sync our state when that
   // happens so the next toggle reopens it correctly.
@@ -1263,6 +1402,17 @@ function App() {
                   height="28px"
                   variant="outline"
                 />
+
+                {activeCustomApp && (
+                  <IconButton
+                    icon={<span>🔑</span>}
+                    onClick={onLoginSetupOpen}
+                    aria-label="Auto-Login einrichten"
+                    title="Auto-Login einrichten"
+                    height="28px"
+                    variant={activeCustomApp.loginRecipe ? 'solid' : 'outline'}
+                  />
+                )}
               </Flex>
             )}
 
@@ -1383,10 +1533,23 @@ function App() {
             </Flex>
             <Box flex="1" overflowY="auto" p={4} minH={0}>
               {isSettingsOpen && (
-                <SettingsPanel onClose={onSettingsClose} onOpenShortcuts={onShortcutsOpen} />
+                <SettingsPanel
+                  onClose={onSettingsClose}
+                  onOpenShortcuts={onShortcutsOpen}
+                  onTestLogin={(appId) => webViewRef.current?.testLogin(appId)}
+                  onPasswordChanged={() => webViewRef.current?.restartLogins()}
+                  onSessionDataCleared={(appIds) => webViewRef.current?.reloadApps(appIds)}
+                  requestedAction={settingsAction}
+                  onRequestedActionHandled={() => setSettingsAction(null)}
+                />
               )}
               {isTodoOpen && (
-                <TodoList isVisible={isTodoOpen} onReminderCountChange={setReminderCount} />
+                <TodoList
+                  isVisible={isTodoOpen}
+                  onReminderCountChange={setReminderCount}
+                  quickAddRequest={quickAddRequest}
+                  onQuickAddHandled={() => setQuickAddRequest(null)}
+                />
               )}
               {isSecureDocsOpen && (
                 <SecureDocuments isVisible={isSecureDocsOpen} />
@@ -1414,6 +1577,20 @@ function App() {
           ======================================================================== */}
       <ShortcutsModal isOpen={isShortcutsOpen} onClose={onShortcutsClose} />
 
+      {/* Auto-login recipe for the open custom app */}
+      <CustomAppLogin
+        app={activeCustomApp}
+        isOpen={isLoginSetupOpen && Boolean(activeCustomApp)}
+        onClose={onLoginSetupClose}
+        onPickElement={(label) => webViewRef.current?.pickLoginElement(label)}
+      />
+
+      <CredentialVaultUnlock
+        status={lockedVaultStatus}
+        onUnlocked={() => window.location.reload()}
+        onSkip={() => setLockedVaultStatus(null)}
+      />
+
       {/* ========================================================================
           DB PASSWORD MODAL - FALLBACK CREDENTIAL RECOVERY
           ======================================================================== */}
@@ -30,6 +30,7 @@ import {
   Kbd,
 } from '@chakra-ui/react';
 import { useSettings } from '../context/SettingsContext';
+import { getAppPartition } from '../utils/sessionPartitions';
 
 /**
  * Fuzzy search function to match commands
@@ -194,7 +195,11 @@ const CommandPalette = ({
           icon: '🚀',
           action: () => {
             if (window.electron && window.electron.openExternalWindow) {
-              window.electron.openExternalWindow({ url: app.url, title: app.title });
+              window.electron.openExternalWindow({
+                url: app.url,
+                title: app.title,
+                partition: getAppPartition(app.id, settings.sessionPartitions),
+              });
             }
             onClose();
           },
@@ -203,7 +208,7 @@ const CommandPalette = ({
     }
 
     return commands;
-  }, [navigationButtons, settings.customApps, onNavigate, onOpenSettings, onToggleTodo, onToggleSecureDocs, onReloadCurrent, onReloadAll, onClose]);
+  }, [navigationButtons, settings.customApps, settings.sessionPartitions, onNavigate, onOpenSettings, onToggleTodo, onToggleSecureDocs, onReloadCurrent, onReloadAll, onClose]);
 
   // Filter commands based on query
   const filteredCommands = useMemo(() => {
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  VStack,
+  HStack,
+  Text,
+  Button,
+  Badge,
+  Input,
+  FormControl,
+  FormLabel,
+  useToast,
+} from '@chakra-ui/react';
+
+const BACKEND_INFO = {
+  keychain: {
+    label: 'System-Schlüsselbund',
+    colorScheme: 'green',
+    description: 'Die Zugangsdaten liegen im Schlüsselbund des Betriebssystems.',
+  },
+  vault: {
+    label: 'Lokaler Tresor',
+    colorScheme: 'blue',
+    description: 'Die Zugangsdaten liegen in einer mit Ihrem Master-Passwort verschlüsselten Datei auf diesem Gerät. Beim Start fragt BBZCloud nach dem Master-Passwort.',
+  },
+  database: {
+    label: 'Nur Datenbank',
+    colorScheme: 'orange',
+    description: 'Der Schlüsselbund des Systems ist nicht erreichbar (unter Linux fehlt oft ein Secret Service). Die Zugangsdaten liegen nur verschlüsselt in der Datenbank und müssen bei jedem Start mit Ihrem Passwort freigeschaltet werden.',
+  },
+};
+
+function CredentialBackendSettings() {
+  const [status, setStatus] = useState(null);
+  const [showVaultSetup, setShowVaultSetup] = useState(false);
+  const [masterPassword, setMasterPassword] = useState('');
+  const [passwordRepeat, setPasswordRepeat] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const toast = useToast();
+
+  const loadStatus = useCallback(async () => {
+    const result = await window.electron.getCredentialBackend();
+    if (result.success) {
+      setStatus(result);
+    } else {
+      console.error('Error loading credential backend:', result.error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const passwordMismatch = passwordRepeat && masterPassword !== passwordRepeat;
+  const canEnableVault = Boolean(masterPassword) && masterPassword === passwordRepeat;
+
+  const handleEnableVault = async () => {
+    if (!canEnableVault) return;
+    setIsBusy(true);
+    try {
+      const result = await window.electron.enableCredentialVault(masterPassword);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setShowVaultSetup(false);
+      setMasterPassword('');
+      setPasswordRepeat('');
+      toast({
+        title: 'Lokaler Tresor eingerichtet',
+        description: `${result.count} Einträge übernommen. Merken Sie sich das Master-Passwort – ohne es sind die Zugangsdaten nicht mehr lesbar.`,
+        status: 'success',
+        duration: 8000,
+        isClosable: true,
+      });
+      await loadStatus();
+    } catch (error) {
+      toast({
+        title: 'Tresor konnte nicht eingerichtet werden',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+      });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleMoveToKeychain = async () => {
+    setIsBusy(true);
+    try {
+      const result = await window.electron.moveCredentialsToKeychain();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      toast({
+        title: 'Zugangsdaten in den Schlüsselbund verschoben',
+        description: 'Der lokale Tresor wurde gelöscht.',
+        status: 'success',
+        duration: 5000,
+      });
+      await loadStatus();
+    } catch (error) {
+      toast({
+        title: 'Verschieben fehlgeschlagen',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+      });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!status) return null;
+  const info = BACKEND_INFO[status.backend] || BACKEND_INFO.keychain;
+
+  return (
+    <Box>
+      <Text fontSize="lg" fontWeight="bold" mb={4}>
+        Speicherort der Zugangsdaten
+      </Text>
+      <VStack spacing={3} align="stretch">
+        <HStack>
+          <Badge colorScheme={info.colorScheme}>{info.label}</Badge>
+          {status.backend === 'vault' && !status.vaultUnlocked && (
+            <Badge colorScheme="gray">Gesperrt</Badge>
+          )}
+        </HStack>
+        <Text fontSize="sm" color="gray.500">{info.description}</Text>
+        {status.backend === 'database' && status.keychainError && (
+          <Text fontSize="xs" color="gray.500">Meldung des Systems: {status.keychainError}</Text>
+        )}
+
+        {status.backend === 'vault' && status.keychainAvailable && (
+          <HStack justify="space-between">
+            <Text fontSize="sm">Der Schlüsselbund ist wieder verfügbar.</Text>
+            <Button
+              size="sm"
+              flexShrink={0}
+              onClick={handleMoveToKeychain}
+              isLoading={isBusy}
+              isDisabled={!status.vaultUnlocked}
+            >
+              In den Schlüsselbund verschieben
+            </Button>
+          </HStack>
+        )}
+
+        {status.backend !== 'vault' && (
+          showVaultSetup ? (
+            <VStack spacing={3} align="stretch">
+              <FormControl isRequired>
+                <FormLabel>Master-Passwort</FormLabel>
+                <Input
+                  type="password"
+                  value={masterPassword}
+                  onChange={(e) => setMasterPassword(e.target.value)}
+                  autoFocus
+                />
+              </FormControl>
+              <FormControl isRequired isInvalid={passwordMismatch}>
+                <FormLabel>Master-Passwort wiederholen</FormLabel>
+                <Input
+                  type="password"
+                  value={passwordRepeat}
+                  onChange={(e) => setPasswordRepeat(e.target.value)}
+                />
+              </FormControl>
+              {passwordMismatch && (
+                <Text color="red.500" fontSize="sm">Die Passwörter stimmen nicht überein.</Text>
+              )}
+              <HStack>
+                <Button
+                  size="sm"
+                  colorScheme="blue"
+                  onClick={handleEnableVault}
+                  isLoading={isBusy}
+                  isDisabled={!canEnableVault}
+                >
+                  Tresor einrichten
+                </Button>
+                <Button size="sm" variant="ghost" onClick={() => setShowVaultSetup(false)} isDisabled={isBusy}>
+                  Abbrechen
+                </Button>
+              </HStack>
+            </VStack>
+          ) : (
+            <Button size="sm" alignSelf="flex-start" onClick={() => setShowVaultSetup(true)}>
+              Lokalen Tresor einrichten
+            </Button>
+          )
+        )}
+      </VStack>
+    </Box>
+  );
+}
+
+export default CredentialBackendSettings;
@@ -0,0 +1,102 @@
+/**
+ * CredentialVaultUnlock
+ *
+ * Startup dialog for the local credential vault (public/services/
+ * LocalCredentialVault.js). Until it is unlocked no credentials are
+ * available, so auto-login and the encrypted local data wait for it.
+ *
+ * When the keychain has become available again the credentials can move
+ * back there right away; the vault file is deleted afterwards.
+ */
+
+import React, { useState } from 'react';
+import {
+  Button,
+  VStack,
+  Text,
+  Input,
+  Checkbox,
+  FormControl,
+  FormLabel,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+} from '@chakra-ui/react';
+
+function CredentialVaultUnlock({ status, onUnlocked, onSkip }) {
+  const [password, setPassword] = useState('');
+  const [moveToKeychain, setMoveToKeychain] = useState(true);
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+    setError('');
+    setIsBusy(true);
+    try {
+      const result = await window.electron.unlockCredentialVault(password);
+      if (!result.success) {
+        setError(result.error || 'Der Tresor konnte nicht entsperrt werden.');
+        return;
+      }
+      if (status?.keychainAvailable && moveToKeychain) {
+        const moved = await window.electron.moveCredentialsToKeychain();
+        if (!moved.success) {
+          // Unlocked anyway, the settings offer the move again
+          console.error('Error moving credentials to keychain:', moved.error);
+        }
+      }
+      onUnlocked();
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={Boolean(status)} onClose={() => {}} closeOnOverlayClick={false}>
+      <ModalOverlay />
+      <ModalContent as="form" onSubmit={handleSubmit}>
+        <ModalHeader>Zugangsdaten entsperren</ModalHeader>
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <Text>
+              Ihre Zugangsdaten liegen im lokalen Tresor. Geben Sie Ihr Master-Passwort ein, damit
+              BBZCloud Sie automatisch anmelden kann.
+            </Text>
+            <FormControl isRequired>
+              <FormLabel>Master-Passwort</FormLabel>
+              <Input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoFocus
+              />
+            </FormControl>
+            {status?.keychainAvailable && (
+              <Checkbox isChecked={moveToKeychain} onChange={(e) => setMoveToKeychain(e.target.checked)}>
+                Der Schlüsselbund ist wieder verfügbar – Zugangsdaten dorthin verschieben
+              </Checkbox>
+            )}
+            {error && (
+              <Text color="red.500" fontSize="sm">{error}</Text>
+            )}
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="ghost" mr={3} onClick={onSkip} isDisabled={isBusy}>
+            Ohne Zugangsdaten fortfahren
+          </Button>
+          <Button colorScheme="blue" type="submit" isLoading={isBusy} isDisabled={!password}>
+            Entsperren
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+}
+
+export default CredentialVaultUnlock;
@@ -0,0 +1,225 @@
+/**
+ * CustomAppLogin
+ *
+ * Sets up auto-login for a custom app: username and password go to the
+ * keychain, the login recipe (CSS selectors of the form, see
+ * utils/loginRecipes.js) is stored with the app. Selectors are recorded by
+ * clicking the elements in the open app; the modal hides while the user picks.
+ * The origins of the pages they were picked on are stored as well, the
+ * recipe only runs there.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  VStack,
+  HStack,
+  Text,
+  Input,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Divider,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+  ModalCloseButton,
+  useToast,
+} from '@chakra-ui/react';
+import { useSettings } from '../context/SettingsContext';
+import { DATABASE_CONFIG } from '../utils/constants';
+import { RECIPE_FIELDS, getCustomAppAccount, isRecipeComplete } from '../utils/loginRecipes';
+
+const EMPTY_RECIPE = RECIPE_FIELDS.reduce((acc, field) => ({ ...acc, [field.key]: '' }), {});
+
+function CustomAppLogin({ app, isOpen, onClose, onPickElement }) {
+  const { updateCustomApp } = useSettings();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [recipe, setRecipe] = useState(EMPTY_RECIPE);
+  const [origins, setOrigins] = useState([]);
+  const [pickingField, setPickingField] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const toast = useToast();
+
+  useEffect(() => {
+    if (!isOpen || !app) return;
+    let cancelled = false;
+    setRecipe(RECIPE_FIELDS.reduce(
+      (acc, field) => ({ ...acc, [field.key]: app.loginRecipe?.[field.key] || '' }), {}));
+    setOrigins(app.loginRecipe?.origins || []);
+    setUsername('');
+    setPassword('');
+    Promise.all(['username', 'password'].map(field => window.electron.getCredentials({
+      service: DATABASE_CONFIG.SERVICE_NAME,
+      account: getCustomAppAccount(app.id, field),
+    }))).then(([usernameResult, passwordResult]) => {
+      if (cancelled) return;
+      setUsername(usernameResult?.success ? usernameResult.password || '' : '');
+      setPassword(passwordResult?.success ? passwordResult.password || '' : '');
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, app]);
+
+  const handlePick = async (field) => {
+    setPickingField(field.key);
+    try {
+      const picked = await onPickElement(field.label);
+      if (picked) {
+        setRecipe(prev => ({ ...prev, [field.key]: picked.selector }));
+        if (picked.origin) {
+          setOrigins(prev => (prev.includes(picked.origin) ? prev : [...prev, picked.origin]));
+        }
+      }
+    } finally {
+      setPickingField(null);
+    }
+  };
+
+  const saveCredential = (field, value) => (value
+    ? window.electron.saveCredentials({
+      service: DATABASE_CONFIG.SERVICE_NAME,
+      account: getCustomAppAccount(app.id, field),
+      password: value,
+    })
+    : window.electron.deleteCredentials({
+      service: DATABASE_CONFIG.SERVICE_NAME,
+      account: getCustomAppAccount(app.id, field),
+    }));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const results = await Promise.all([
+        saveCredential('username', username),
+        saveCredential('password', password),
+      ]);
+      if (!results.every(result => result?.success)) {
+        throw new Error('Die Zugangsdaten konnten nicht gespeichert werden.');
+      }
+      // Leave out selectors that were not recorded
+      const loginRecipe = Object.fromEntries(
+        Object.entries(recipe).map(([key, value]) => [key, value.trim()]).filter(([, value]) => value)
+      );
+      if (origins.length > 0) {
+        loginRecipe.origins = origins;
+      }
+      await updateCustomApp(app.id, { loginRecipe });
+      toast({
+        title: 'Auto-Login eingerichtet',
+        description: `${app.title} wird beim nächsten Laden der Loginseite automatisch angemeldet.`,
+        status: 'success',
+        duration: 3000,
+      });
+      onClose();
+    } catch (error) {
+      toast({
+        title: 'Fehler beim Speichern',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    setIsSaving(true);
+    try {
+      await Promise.all([saveCredential('username', ''), saveCredential('password', '')]);
+      await updateCustomApp(app.id, { loginRecipe: null });
+      toast({
+        title: 'Auto-Login entfernt',
+        status: 'success',
+        duration: 2000,
+      });
+      onClose();
+    } catch (error) {
+      toast({
+        title: 'Fehler beim Entfernen',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!app) return null;
+
+  const canSave = isRecipeComplete({ passwordSelector: recipe.passwordSelector.trim() })
+    && Boolean(password)
+    && (!recipe.usernameSelector.trim() || Boolean(username));
+
+  return (
+    <Modal isOpen={isOpen && !pickingField} onClose={onClose} size="lg">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>Auto-Login für {app.title}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <FormControl>
+              <FormLabel>Benutzername</FormLabel>
+              <Input value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="off" />
+            </FormControl>
+            <FormControl isRequired>
+              <FormLabel>Passwort</FormLabel>
+              <Input type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+            </FormControl>
+
+            <Divider />
+
+            <Text fontSize="sm" color="gray.500">
+              Öffnen Sie die Loginseite der App und klicken Sie auf „Auswählen“, danach auf das
+              jeweilige Element in der Seite. Das Erkennungsmerkmal ist ein Element, das nur nach
+              erfolgreicher Anmeldung erscheint (z. B. der Abmelden-Button).
+            </Text>
+            {RECIPE_FIELDS.map(field => (
+              <FormControl key={field.key} isRequired={field.isRequired}>
+                <FormLabel>{field.label}</FormLabel>
+                <HStack>
+                  <Input
+                    value={recipe[field.key]}
+                    onChange={(e) => setRecipe(prev => ({ ...prev, [field.key]: e.target.value }))}
+                    placeholder="CSS-Selektor"
+                    fontFamily="mono"
+                    fontSize="sm"
+                  />
+                  <Button onClick={() => handlePick(field)} flexShrink={0}>
+                    Auswählen
+                  </Button>
+                </HStack>
+                {field.key === 'submitSelector' && (
+                  <FormHelperText>Ohne Button wird das Formular direkt abgeschickt.</FormHelperText>
+                )}
+              </FormControl>
+            ))}
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          {app.loginRecipe && (
+            <Button variant="ghost" colorScheme="red" mr="auto" onClick={handleRemove} isDisabled={isSaving}>
+              Auto-Login entfernen
+            </Button>
+          )}
+          <Button variant="ghost" mr={3} onClick={onClose} isDisabled={isSaving}>
+            Abbrechen
+          </Button>
+          <Button colorScheme="blue" onClick={handleSave} isLoading={isSaving} isDisabled={!canSave}>
+            Speichern
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+}
+
+export default CustomAppLogin;
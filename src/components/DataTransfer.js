@@ -0,0 +1,312 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  VStack,
+  HStack,
+  Text,
+  Button,
+  Input,
+  FormControl,
+  FormLabel,
+  Radio,
+  RadioGroup,
+  Stack,
+  useToast,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+} from '@chakra-ui/react';
+import { useSettings } from '../context/SettingsContext';
+
+/**
+ * Export/import of all user data as one encrypted archive
+ * (settings, navigation buttons, custom apps, todos, secure documents).
+ *
+ * `requestedAction` ('export' | 'import') lets the command palette open the
+ * matching dialog; `onRequestedActionHandled` resets it in the parent.
+ */
+function DataTransfer({ requestedAction, onRequestedActionHandled }) {
+  const { settings } = useSettings();
+  const toast = useToast();
+
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [exportPassword, setExportPassword] = useState('');
+  const [exportPasswordRepeat, setExportPasswordRepeat] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+
+  const [importFile, setImportFile] = useState(null);
+  const [importPassword, setImportPassword] = useState('');
+  const [importPreview, setImportPreview] = useState(null);
+  const [importMode, setImportMode] = useState('merge');
+  const [importError, setImportError] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+
+  const openExport = () => {
+    setExportPassword('');
+    setExportPasswordRepeat('');
+    setIsExportOpen(true);
+  };
+
+  const closeImport = () => {
+    setImportFile(null);
+    setImportPassword('');
+    setImportPreview(null);
+    setImportMode('merge');
+    setImportError('');
+  };
+
+  const openImport = async () => {
+    const result = await window.electron.chooseDataBundle();
+    if (result.success) {
+      closeImport();
+      setImportFile(result.filePath);
+    } else if (result.error) {
+      toast({
+        title: 'Fehler beim Öffnen der Datei',
+        description: result.error,
+        status: 'error',
+        duration: 5000,
+      });
+    }
+  };
+
+  useEffect(() => {
+    if (!requestedAction) return;
+    if (requestedAction === 'export') {
+      openExport();
+    } else if (requestedAction === 'import') {
+      openImport();
+    }
+    onRequestedActionHandled?.();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [requestedAction]);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      // Only the visibility is persisted per button; titles and URLs come
+      // from the app itself on the target machine.
+      const navigationButtons = Object.entries(settings.navigationButtons || {}).reduce((acc, [key, button]) => ({
+        ...acc,
+        [key]: { visible: button.visible }
+      }), {});
+
+      const result = await window.electron.exportDataBundle({ password: exportPassword, navigationButtons });
+      if (result.success) {
+        setIsExportOpen(false);
+        toast({
+          title: 'Daten exportiert',
+          description: `${result.summary.todos} Todos, ${result.summary.customApps} Apps und ${result.summary.secureDocuments} Dokumente gespeichert in ${result.path}`,
+          status: 'success',
+          duration: 5000,
+          isClosable: true,
+        });
+      } else if (result.error) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      toast({
+        title: 'Fehler beim Exportieren',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    setImportError('');
+    const result = await window.electron.previewDataBundle({ filePath: importFile, password: importPassword });
+    if (result.success) {
+      setImportPreview(result);
+    } else {
+      setImportError(result.error || 'Die Datei konnte nicht gelesen werden.');
+    }
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      const result = await window.electron.importDataBundle({
+        filePath: importFile,
+        password: importPassword,
+        mode: importMode,
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      closeImport();
+      toast({
+        title: 'Daten importiert',
+        description: 'Vor dem Import wurde automatisch ein Backup erstellt.',
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } catch (error) {
+      setImportError(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const exportPasswordMismatch = exportPasswordRepeat && exportPassword !== exportPasswordRepeat;
+  const summary = importPreview?.summary;
+
+  return (
+    <Box>
+      <Text fontSize="lg" fontWeight="bold" mb={4}>
+        Daten übertragen
+      </Text>
+      <VStack spacing={4} align="stretch">
+        <Text fontSize="sm" color="gray.500">
+          Einstellungen, Apps, Todos und sichere Dokumente in eine verschlüsselte Datei
+          exportieren, z.B. für den Umzug auf einen neuen Rechner.
+        </Text>
+        <HStack>
+          <Button flex="1" onClick={openExport}>
+            Exportieren
+          </Button>
+          <Button flex="1" onClick={openImport}>
+            Importieren
+          </Button>
+        </HStack>
+      </VStack>
+
+      {/* Export dialog */}
+      <Modal isOpen={isExportOpen} onClose={() => setIsExportOpen(false)}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Daten exportieren</ModalHeader>
+          <ModalBody>
+            <VStack spacing={4} align="stretch">
+              <Text fontSize="sm">
+                Die Exportdatei wird mit einem eigenen Passwort verschlüsselt. Sie benötigen es
+                beim Import auf dem neuen Rechner.
+              </Text>
+              <FormControl isRequired>
+                <FormLabel>Export-Passwort</FormLabel>
+                <Input
+                  type="password"
+                  value={exportPassword}
+                  onChange={(e) => setExportPassword(e.target.value)}
+                />
+              </FormControl>
+              <FormControl isRequired isInvalid={exportPasswordMismatch}>
+                <FormLabel>Passwort wiederholen</FormLabel>
+                <Input
+                  type="password"
+                  value={exportPasswordRepeat}
+                  onChange={(e) => setExportPasswordRepeat(e.target.value)}
+                />
+              </FormControl>
+              {exportPasswordMismatch && (
+                <Text color="red.500" fontSize="sm">Die Passwörter stimmen nicht überein.</Text>
+              )}
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <Button variant="ghost" mr={3} onClick={() => setIsExportOpen(false)}>
+              Abbrechen
+            </Button>
+            <Button
+              colorScheme="blue"
+              onClick={handleExport}
+              isLoading={isExporting}
+              isDisabled={!exportPassword || exportPassword !== exportPasswordRepeat}
+            >
+              Exportieren
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+
+      {/* Import dialog: password -> preview -> merge or replace */}
+      <Modal isOpen={Boolean(importFile)} onClose={closeImport}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Daten importieren</ModalHeader>
+          <ModalBody>
+            <VStack spacing={4} align="stretch">
+              <Text fontSize="sm" wordBreak="break-all">{importFile}</Text>
+
+              {!importPreview && (
+                <FormControl isRequired>
+                  <FormLabel>Export-Passwort</FormLabel>
+                  <Input
+                    type="password"
+                    value={importPassword}
+                    onChange={(e) => setImportPassword(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' && importPassword) {
+                        handlePreview();
+                      }
+                    }}
+                  />
+                </FormControl>
+              )}
+
+              {summary && (
+                <>
+                  <Box fontSize="sm">
+                    <Text>
+                      Exportiert am {new Date(importPreview.meta.createdAt).toLocaleString()}
+                      {importPreview.meta.appVersion ? ` (Version ${importPreview.meta.appVersion})` : ''}
+                    </Text>
+                    <Text>• {summary.todos} Todos in {summary.folders} Ordnern</Text>
+                    <Text>
+                      • {summary.customApps} benutzerdefinierte Apps
+                      {summary.customAppTitles.length > 0 ? `: ${summary.customAppTitles.join(', ')}` : ''}
+                    </Text>
+                    <Text>• {summary.secureDocuments} sichere Dokumente</Text>
+                    {summary.hasSettings && <Text>• Einstellungen und Navigationsbuttons</Text>}
+                  </Box>
+
+                  <RadioGroup value={importMode} onChange={setImportMode}>
+                    <Stack>
+                      <Radio value="merge">
+                        Zusammenführen – vorhandene Daten bleiben, Neues wird ergänzt
+                      </Radio>
+                      <Radio value="replace">
+                        Ersetzen – alle lokalen Daten werden durch den Export ersetzt
+                      </Radio>
+                    </Stack>
+                  </RadioGroup>
+                </>
+              )}
+
+              {importError && (
+                <Text color="red.500" fontSize="sm">{importError}</Text>
+              )}
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <Button variant="ghost" mr={3} onClick={closeImport}>
+              Abbrechen
+            </Button>
+            {importPreview ? (
+              <Button
+                colorScheme={importMode === 'replace' ? 'red' : 'blue'}
+                onClick={handleImport}
+                isLoading={isImporting}
+              >
+                Importieren
+              </Button>
+            ) : (
+              <Button colorScheme="blue" onClick={handlePreview} isDisabled={!importPassword}>
+                Weiter
+              </Button>
+            )}
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+    </Box>
+  );
+}
+
+export default DataTransfer;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Box,
+  VStack,
+  HStack,
+  Text,
+  Button,
+  Input,
+  FormControl,
+  FormLabel,
+  Select,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  useToast,
+  AlertDialog,
+  AlertDialogBody,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogContent,
+  AlertDialogOverlay,
+} from '@chakra-ui/react';
+import { useSettings } from '../context/SettingsContext';
+
+const KEEP_OPTIONS = [3, 5, 7, 14, 30];
+
+const formatSize = (bytes) => {
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(2)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+};
+
+function DatabaseBackups() {
+  const { updateSettings } = useSettings();
+  const [backups, setBackups] = useState([]);
+  const [backupSettings, setBackupSettings] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [backupToRestore, setBackupToRestore] = useState(null);
+  const cancelRef = useRef();
+  const toast = useToast();
+
+  const loadBackups = useCallback(async () => {
+    if (!window.electron?.listDatabaseBackups) return;
+    const result = await window.electron.listDatabaseBackups();
+    if (result.success) {
+      setBackups(result.backups);
+      setBackupSettings(result.settings);
+    } else {
+      console.error('Error loading backups:', result.error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBackups();
+  }, [loadBackups]);
+
+  const handleCreateBackup = async () => {
+    setIsCreating(true);
+    try {
+      const result = await window.electron.createDatabaseBackup();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      await loadBackups();
+      toast({
+        title: 'Backup erstellt',
+        description: result.backup.name,
+        status: 'success',
+        duration: 3000,
+      });
+    } catch (error) {
+      toast({
+        title: 'Fehler beim Erstellen des Backups',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+      });
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleKeepChange = async (event) => {
+    const keep = parseInt(event.target.value, 10);
+    const result = await window.electron.updateBackupSettings({ keep });
+    if (result.success) {
+      await loadBackups();
+    } else {
+      toast({
+        title: 'Fehler beim Speichern',
+        description: result.error,
+        status: 'error',
+        duration: 5000,
+      });
+    }
+  };
+
+  const handleChooseDirectory = async () => {
+    const result = await window.electron.chooseBackupDirectory();
+    if (result.success) {
+      await loadBackups();
+    } else if (result.error) {
+      toast({
+        title: 'Fehler beim Ändern des Backup-Ordners',
+        description: result.error,
+        status: 'error',
+        duration: 5000,
+      });
+    }
+  };
+
+  const handleResetDirectory = async () => {
+    const result = await window.electron.updateBackupSettings({ resetDirectory: true });
+    if (result.success) {
+      await loadBackups();
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!backupToRestore) return;
+    setIsRestoring(true);
+    try {
+      const result = await window.electron.restoreDatabaseBackup(backupToRestore.name);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      // Reload settings from the restored database
+      const settingsResult = await window.electron.getSettings();
+      if (settingsResult.success && settingsResult.settings) {
+        updateSettings(settingsResult.settings);
+      }
+
+      toast({
+        title: 'Backup wiederhergestellt',
+        description: `Stand vom ${new Date(backupToRestore.date).toLocaleString()}`,
+        status: 'success',
+        duration: 5000,
+      });
+    } catch (error) {
+      toast({
+        title: 'Fehler beim Wiederherstellen',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+      });
+    } finally {
+      setIsRestoring(false);
+      setBackupToRestore(null);
+    }
+  };
+
+  return (
+    <Box>
+      <Text fontSize="lg" fontWeight="bold" mb={4}>
+        Backups
+      </Text>
+      <VStack spacing={4} align="stretch">
+        <Text fontSize="sm" color="gray.500">
+          Die Datenbank wird einmal täglich automatisch gesichert.
+          {backupSettings?.lastBackupAt
+            ? ` Letztes Backup: ${new Date(backupSettings.lastBackupAt).toLocaleString()}`
+            : ''}
+        </Text>
+
+        <FormControl>
+          <FormLabel>Backup-Ordner</FormLabel>
+          <Input value={backupSettings?.directory || ''} isReadOnly />
+        </FormControl>
+
+        <HStack>
+          <Button flex="1" onClick={handleChooseDirectory}>
+            Ordner ändern
+          </Button>
+          {backupSettings?.isCustomDirectory && (
+            <Button flex="1" variant="outline" onClick={handleResetDirectory}>
+              Neben der Datenbank
+            </Button>
+          )}
+        </HStack>
+
+        <FormControl display="flex" alignItems="center">
+          <FormLabel mb={0} flex="1">Anzahl aufbewahrter Backups</FormLabel>
+          <Select
+            width="100px"
+            size="sm"
+            value={backupSettings?.keep || 7}
+            onChange={handleKeepChange}
+          >
+            {KEEP_OPTIONS.map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </Select>
+        </FormControl>
+
+        <Button onClick={handleCreateBackup} isLoading={isCreating} colorScheme="blue">
+          Jetzt sichern
+        </Button>
+
+        {backups.length > 0 ? (
+          <Table variant="simple" size="sm">
+            <Thead>
+              <Tr>
+                <Th>Datum</Th>
+                <Th>Größe</Th>
+                <Th></Th>
+              </Tr>
+            </Thead>
+            <Tbody>
+              {backups.map((backup) => (
+                <Tr key={backup.name}>
+                  <Td>{new Date(backup.date).toLocaleString()}</Td>
+                  <Td>{formatSize(backup.size)}</Td>
+                  <Td textAlign="right">
+                    <Button size="xs" onClick={() => setBackupToRestore(backup)}>
+                      Wiederherstellen
+                    </Button>
+                  </Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        ) : (
+          <Text fontSize="sm" color="gray.500">Noch keine Backups vorhanden.</Text>
+        )}
+      </VStack>
+
+      <AlertDialog
+        isOpen={Boolean(backupToRestore)}
+        leastDestructiveRef={cancelRef}
+        onClose={() => setBackupToRestore(null)}
+      >
+        <AlertDialogOverlay>
+          <AlertDialogContent>
+            <AlertDialogHeader fontSize="lg" fontWeight="bold">
+              Backup wiederherstellen
+            </AlertDialogHeader>
+
+            <AlertDialogBody>
+              Alle Todos, Apps, Einstellungen und sicheren Dokumente werden auf den Stand
+              vom {backupToRestore && new Date(backupToRestore.date).toLocaleString()} zurückgesetzt.
+              Der aktuelle Stand wird vorher neben der Datenbank gesichert.
+            </AlertDialogBody>
+
+            <AlertDialogFooter>
+              <Button ref={cancelRef} onClick={() => setBackupToRestore(null)}>
+                Abbrechen
+              </Button>
+              <Button colorScheme="red" onClick={handleRestore} isLoading={isRestoring} ml={3}>
+                Wiederherstellen
+              </Button>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialogOverlay>
+      </AlertDialog>
+    </Box>
+  );
+}
+
+export default DatabaseBackups;
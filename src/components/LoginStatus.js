@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useMemo, useSyncExternalStore } from 'react';
+import {
+  Box,
+  VStack,
+  HStack,
+  Text,
+  Button,
+  Badge,
+} from '@chakra-ui/react';
+import { useSettings } from '../context/SettingsContext';
+import { DATABASE_CONFIG, AUTO_LOGIN_APPS } from '../utils/constants';
+import {
+  BUILTIN_LOGIN_RECIPES,
+  compileRecordedRecipe,
+  getRecipeAccounts,
+  isRecipeComplete,
+  loadLoginRecipes,
+} from '../utils/loginRecipes';
+import { LOGIN_RESULTS, getLoginStatus, subscribeLoginStatus } from '../utils/loginStatus';
+
+// Keychain accounts a recipe cannot do without
+const getRequiredAccounts = (recipe) => getRecipeAccounts(recipe || {})
+  .filter(({ optional }) => !optional)
+  .map(({ account }) => account);
+
+function LoginStatus({ onTestLogin }) {
+  const { settings } = useSettings();
+  const status = useSyncExternalStore(subscribeLoginStatus, getLoginStatus);
+  const [hasCredentials, setHasCredentials] = useState({});
+  const [testingAppId, setTestingAppId] = useState(null);
+  const [recipes, setRecipes] = useState(BUILTIN_LOGIN_RECIPES);
+
+  useEffect(() => {
+    loadLoginRecipes().then(setRecipes);
+  }, []);
+
+  // Built-in auto-login apps plus custom apps with a login recipe
+  const apps = useMemo(() => [
+    ...AUTO_LOGIN_APPS.map(app => {
+      const profiles = settings.credentialProfiles || {};
+      return {
+        ...app,
+        accounts: getRequiredAccounts(recipes[app.id]),
+        profile: profiles.apps?.[app.id] || profiles.defaultProfile || DATABASE_CONFIG.DEFAULT_PROFILE,
+      };
+    }),
+    ...(settings.customApps || [])
+      .filter(app => isRecipeComplete(app.loginRecipe))
+      .map(app => ({
+        id: app.id.toLowerCase(),
+        title: app.title,
+        accounts: getRequiredAccounts(compileRecordedRecipe(app)),
+        profile: DATABASE_CONFIG.DEFAULT_PROFILE,
+      })),
+  ], [settings.customApps, settings.credentialProfiles, recipes]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadCredentials = async () => {
+      const loaded = {};
+      for (const app of apps) {
+        const results = await Promise.all(app.accounts.map(account => window.electron.getCredentials({
+          service: DATABASE_CONFIG.SERVICE_NAME,
+          account,
+          profile: app.profile,
+        })));
+        loaded[app.id] = results.every(result => result.success && result.password?.trim());
+      }
+      if (!cancelled) setHasCredentials(loaded);
+    };
+    loadCredentials().catch(error => console.error('Error checking credentials:', error));
+    return () => { cancelled = true; };
+  }, [apps]);
+
+  const handleTest = async (appId) => {
+    setTestingAppId(appId);
+    try {
+      await onTestLogin?.(appId);
+    } finally {
+      setTestingAppId(null);
+    }
+  };
+
+  return (
+    <Box>
+      <Text fontSize="lg" fontWeight="bold" mb={4}>
+        Login-Status
+      </Text>
+      <VStack spacing={3} align="stretch">
+        <Text fontSize="sm" color="gray.500">
+          Letzter automatischer Anmeldeversuch je Dienst. „Jetzt testen“ meldet sich in einem
+          versteckten Fenster mit eigener Sitzung an; die geöffneten Apps bleiben unberührt.
+        </Text>
+
+        {apps.map(app => {
+          const entry = status[app.id];
+          const result = entry && LOGIN_RESULTS[entry.result];
+          return (
+            <HStack key={app.id} justify="space-between" align="flex-start">
+              <Box>
+                <HStack spacing={2}>
+                  <Text>{app.title}</Text>
+                  {hasCredentials[app.id] === false && (
+                    <Badge colorScheme="gray">Keine Zugangsdaten</Badge>
+                  )}
+                </HStack>
+                {result ? (
+                  <>
+                    <HStack spacing={2}>
+                      <Badge colorScheme={result.colorScheme}>{result.label}</Badge>
+                      <Text fontSize="xs" color="gray.500">
+                        {new Date(entry.at).toLocaleTimeString()}
+                        {entry.isTest && ' (Test)'}
+                      </Text>
+                    </HStack>
+                    {entry.detail && <Text fontSize="xs" color="gray.500">{entry.detail}</Text>}
+                  </>
+                ) : (
+                  <Text fontSize="xs" color="gray.500">Noch kein Anmeldeversuch</Text>
+                )}
+              </Box>
+              <Button
+                size="sm"
+                onClick={() => handleTest(app.id)}
+                isLoading={testingAppId === app.id}
+                isDisabled={!hasCredentials[app.id] || (testingAppId !== null && testingAppId !== app.id)}
+              >
+                Jetzt testen
+              </Button>
+            </HStack>
+          );
+        })}
+      </VStack>
+    </Box>
+  );
+}
+
+export default LoginStatus;
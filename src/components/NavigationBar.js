@@ -92,7 +92,7 @@ function NavigationBar({ buttons, onButtonClick, onNewWindow }) {
             <IconButton
               aria-label={`${config.title} in neuem Fenster öffnen`}
               icon={<span>↗️</span>}
-              onClick={() => onNewWindow(config.url, config.title)}
+              onClick={() => onNewWindow(config.url, config.title, id)}
               borderLeft="1px"
               borderColor={colorMode === 'light' ? 'gray.200' : 'gray.600'}
               variant={config.buttonVariant || 'solid'}
@@ -9,11 +9,13 @@
  *   - commandPalette  — centred modal with dimmed backdrop
  *   - documentsMenu   — positioned dropdown near its trigger button
  *   - customAppsMenu  — positioned dropdown near its trigger button
+ *   - quickAddTodo    — single-line todo input with date/folder parsing
  */
 
 import React, { useState, useEffect, useLayoutEffect, useCallback } from 'react';
 import { Box, Flex, Text, HStack, Badge, Image, useColorMode } from '@chakra-ui/react';
 import CommandPaletteUI from './CommandPaletteUI';
+import QuickAddTodoUI from './QuickAddTodoUI';
 
 // ─── Shared dropdown primitives ────────────────────────────────────────────────
 
@@ -117,7 +119,10 @@ const OverlaySurface = () => {
   const handleSelect = (commandId) => sendAction({ type: 'command', id: commandId });
   const handleClose = () => sendAction({ type: 'close' });
 
-  const isModal = activeSurface === 'commandPalette';
+  // QuickAddTodo handler
+  const handleQuickAdd = (todo) => sendAction({ type: 'quick-add-todo', todo });
+
+  const isModal = activeSurface === 'commandPalette' || activeSurface === 'quickAddTodo';
 
   return (
     <Flex
@@ -142,6 +147,17 @@ const OverlaySurface = () => {
         </Box>
       )}
 
+      {/* Quick-add todo */}
+      {activeSurface === 'quickAddTodo' && (
+        <Box w="100%" maxW="640px">
+          <QuickAddTodoUI
+            folders={payload?.folders || []}
+            onSubmit={handleQuickAdd}
+            onClose={handleClose}
+          />
+        </Box>
+      )}
+
       {/* Documents menu (📝) */}
       {activeSurface === 'documentsMenu' && payload?.triggerRect && (
         <DropdownWrapper triggerRect={payload.triggerRect} onClose={hide} colorMode={colorMode}>
@@ -197,7 +213,7 @@ const OverlaySurface = () => {
                   _hover={{ bg: colorMode === 'light' ? 'gray.200' : 'gray.600' }}
                   onClick={(e) => {
                     e.stopPropagation();
-                    sendAction({ type: 'app-new-window', url: app.url, title: app.title });
+                    sendAction({ type: 'app-new-window', url: app.url, title: app.title, appId: app.id });
                   }}
                 >
                   ↗️
@@ -238,7 +254,7 @@ const OverlaySurface = () => {
                   _hover={{ bg: colorMode === 'light' ? 'gray.200' : 'gray.600' }}
                   onClick={(e) => {
                     e.stopPropagation();
-                    sendAction({ type: 'app-new-window', url: app.url, title: app.title });
+                    sendAction({ type: 'app-new-window', url: app.url, title: app.title, appId: app.id });
                   }}
                 >
                   ↗️
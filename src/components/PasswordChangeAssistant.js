@@ -0,0 +1,245 @@
+/**
+ * PasswordChangeAssistant
+ *
+ * Guided flow after the school password was changed: the new password goes
+ * into the keychain, the local data is re-encrypted with it (the main
+ * password is also the database key) and every app logs in again. Without
+ * the assistant the keychain had to be updated by hand and the local data
+ * stayed encrypted with the old password.
+ *
+ * Other password fields of the default profile that still hold the old
+ * password (e.g. BigBlueButton) can be switched along.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  VStack,
+  HStack,
+  Text,
+  Input,
+  InputGroup,
+  InputRightElement,
+  Checkbox,
+  FormControl,
+  FormLabel,
+  Collapse,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+} from '@chakra-ui/react';
+import { CheckIcon } from '@chakra-ui/icons';
+import { DATABASE_CONFIG } from '../utils/constants';
+import PasswordGenerator from './PasswordGenerator';
+
+const { ACCOUNTS } = DATABASE_CONFIG;
+
+// Password fields that commonly share the school password
+const LINKED_FIELDS = [
+  { account: ACCOUNTS.BBB_PASSWORD, label: 'BigBlueButton' },
+  { account: ACCOUNTS.WEBUNTIS_PASSWORD, label: 'WebUntis' },
+  { account: ACCOUNTS.SCHULPORTAL_PASSWORD, label: 'Schulportal' },
+  { account: ACCOUNTS.SCHULCLOUD_ENCRYPTION_PASSWORD, label: 'schul.cloud / BBZ Chat Verschlüsselungskennwort' },
+];
+
+const getCredential = async (account) => {
+  const result = await window.electron.getCredentials({ service: DATABASE_CONFIG.SERVICE_NAME, account });
+  return result.success ? result.password || '' : '';
+};
+
+function PasswordChangeAssistant({ isOpen, onClose, onPasswordChanged }) {
+  const [oldPassword, setOldPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [passwordRepeat, setPasswordRepeat] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [showGenerator, setShowGenerator] = useState(false);
+  const [linkedFields, setLinkedFields] = useState([]);
+  const [selectedFields, setSelectedFields] = useState({});
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [result, setResult] = useState(null);
+
+  // Fresh state and the current values on every opening
+  useEffect(() => {
+    if (!isOpen) return;
+    setNewPassword('');
+    setPasswordRepeat('');
+    setShowPassword(false);
+    setShowGenerator(false);
+    setError('');
+    setResult(null);
+
+    let cancelled = false;
+    const loadFields = async () => {
+      const current = await getCredential(ACCOUNTS.PASSWORD);
+      const linked = [];
+      for (const field of LINKED_FIELDS) {
+        if (current && await getCredential(field.account) === current) {
+          linked.push(field);
+        }
+      }
+      if (cancelled) return;
+      setOldPassword(current);
+      setLinkedFields(linked);
+      setSelectedFields(Object.fromEntries(linked.map(field => [field.account, true])));
+    };
+    loadFields().catch(error => console.error('Error loading credentials:', error));
+    return () => { cancelled = true; };
+  }, [isOpen]);
+
+  const passwordMismatch = passwordRepeat && newPassword !== passwordRepeat;
+  const isUnchanged = Boolean(newPassword) && newPassword === oldPassword;
+  const canSubmit = Boolean(newPassword) && newPassword === passwordRepeat && !isUnchanged;
+
+  const handleUseGenerated = (password) => {
+    setNewPassword(password);
+    setPasswordRepeat(password);
+    setShowPassword(true);
+    setShowGenerator(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    setError('');
+    setIsBusy(true);
+    try {
+      const response = await window.electron.changeMainPassword({
+        newPassword,
+        accounts: linkedFields.filter(field => selectedFields[field.account]).map(field => field.account),
+      });
+      if (!response.success) {
+        setError(response.error || 'Das Passwort konnte nicht geändert werden.');
+        return;
+      }
+      onPasswordChanged?.();
+      setResult(response);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const renderResult = () => (
+    <VStack spacing={2} align="stretch">
+      <HStack><CheckIcon color="green.500" /><Text>Neues Passwort im Schlüsselbund gespeichert</Text></HStack>
+      {result.reencrypted && (
+        <HStack><CheckIcon color="green.500" /><Text>Lokale Daten mit dem neuen Passwort verschlüsselt</Text></HStack>
+      )}
+      <HStack><CheckIcon color="green.500" /><Text>Alle Apps werden neu geladen und angemeldet</Text></HStack>
+      <Text fontSize="sm" color="gray.500" pt={2}>
+        Ob die Anmeldung überall geklappt hat, sehen Sie unter „Login-Status“ in den Einstellungen.
+      </Text>
+    </VStack>
+  );
+
+  return (
+    <Modal isOpen={isOpen} onClose={isBusy ? () => {} : onClose} size="lg">
+      <ModalOverlay />
+      <ModalContent as="form" onSubmit={handleSubmit}>
+        <ModalHeader>Passwort geändert</ModalHeader>
+        <ModalBody>
+          {result ? renderResult() : (
+            <VStack spacing={4} align="stretch">
+              <Text fontSize="sm" color="gray.500">
+                Ändern Sie Ihr Passwort zuerst beim Schulkonto und tragen Sie das neue Passwort dann hier
+                ein. BBZCloud speichert es, verschlüsselt Ihre lokalen Daten (To-Dos, sichere Dokumente)
+                damit neu und meldet alle Apps neu an.
+              </Text>
+
+              <Box>
+                <Button size="sm" variant="link" onClick={() => setShowGenerator(prev => !prev)}>
+                  {showGenerator ? 'Passwort-Generator ausblenden' : 'Neues Passwort erzeugen…'}
+                </Button>
+                <Collapse in={showGenerator} animateOpacity>
+                  <Box pt={3}>
+                    <PasswordGenerator onUse={handleUseGenerated} />
+                  </Box>
+                </Collapse>
+              </Box>
+
+              <FormControl isRequired isInvalid={isUnchanged}>
+                <FormLabel>Neues Passwort</FormLabel>
+                <InputGroup>
+                  <Input
+                    type={showPassword ? 'text' : 'password'}
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                    autoFocus
+                  />
+                  <InputRightElement width="4.5rem">
+                    <Button h="1.75rem" size="sm" onClick={() => setShowPassword(!showPassword)}>
+                      {showPassword ? 'Verbergen' : 'Zeigen'}
+                    </Button>
+                  </InputRightElement>
+                </InputGroup>
+              </FormControl>
+              <FormControl isRequired isInvalid={passwordMismatch}>
+                <FormLabel>Passwort wiederholen</FormLabel>
+                <Input
+                  type={showPassword ? 'text' : 'password'}
+                  value={passwordRepeat}
+                  onChange={(e) => setPasswordRepeat(e.target.value)}
+                />
+              </FormControl>
+              {passwordMismatch && (
+                <Text color="red.500" fontSize="sm">Die Passwörter stimmen nicht überein.</Text>
+              )}
+              {isUnchanged && (
+                <Text color="red.500" fontSize="sm">Das ist das bisher gespeicherte Passwort.</Text>
+              )}
+
+              {linkedFields.length > 0 && (
+                <Box>
+                  <Text fontSize="sm" mb={2}>Dieselbe Änderung auch übernehmen für:</Text>
+                  <VStack spacing={1} align="stretch">
+                    {linkedFields.map(field => (
+                      <Checkbox
+                        key={field.account}
+                        isChecked={Boolean(selectedFields[field.account])}
+                        onChange={(e) => setSelectedFields(prev => ({ ...prev, [field.account]: e.target.checked }))}
+                      >
+                        {field.label}
+                      </Checkbox>
+                    ))}
+                  </VStack>
+                </Box>
+              )}
+
+              {error && (
+                <Text color="red.500" fontSize="sm">{error}</Text>
+              )}
+            </VStack>
+          )}
+        </ModalBody>
+        <ModalFooter>
+          {result ? (
+            <Button colorScheme="blue" onClick={onClose}>
+              Fertig
+            </Button>
+          ) : (
+            <>
+              <Button variant="ghost" mr={3} onClick={onClose} isDisabled={isBusy}>
+                Abbrechen
+              </Button>
+              <Button
+                colorScheme="blue"
+                type="submit"
+                isLoading={isBusy}
+                loadingText="Wird übernommen..."
+                isDisabled={!canSubmit}
+              >
+                Passwort übernehmen
+              </Button>
+            </>
+          )}
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+}
+
+export default PasswordChangeAssistant;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  VStack,
+  HStack,
+  Text,
+  Button,
+  Input,
+  Checkbox,
+  Switch,
+  FormControl,
+  FormLabel,
+  Slider,
+  SliderTrack,
+  SliderFilledTrack,
+  SliderThumb,
+  useToast,
+} from '@chakra-ui/react';
+import { CHARACTER_CLASSES, PASSWORD_LENGTH, generatePassword } from '../utils/passwordGenerator';
+
+function PasswordGenerator({ onUse }) {
+  const [length, setLength] = useState(PASSWORD_LENGTH.DEFAULT);
+  const [classes, setClasses] = useState({ lower: true, upper: true, digits: true, symbols: true });
+  const [pronounceable, setPronounceable] = useState(false);
+  const [password, setPassword] = useState('');
+  const toast = useToast();
+
+  const regenerate = useCallback(() => {
+    setPassword(generatePassword({ length, ...classes, pronounceable }));
+  }, [length, classes, pronounceable]);
+
+  // New password whenever an option changes
+  useEffect(() => {
+    regenerate();
+  }, [regenerate]);
+
+  const toggleClass = (name) => {
+    setClasses(prev => {
+      const next = { ...prev, [name]: !prev[name] };
+      // Keep at least one class selected
+      return Object.values(next).some(Boolean) ? next : prev;
+    });
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(password);
+      toast({
+        title: 'Passwort kopiert',
+        status: 'success',
+        duration: 2000,
+      });
+    } catch (error) {
+      console.error('Error copying password:', error);
+    }
+  };
+
+  return (
+    <Box borderWidth="1px" borderRadius="md" p={3}>
+      <VStack spacing={3} align="stretch">
+        <HStack>
+          <Input value={password} isReadOnly fontFamily="mono" />
+          <Button size="sm" flexShrink={0} onClick={regenerate}>
+            Neu
+          </Button>
+          <Button size="sm" flexShrink={0} onClick={handleCopy}>
+            Kopieren
+          </Button>
+        </HStack>
+
+        <FormControl>
+          <FormLabel fontSize="sm">Länge: {length} Zeichen</FormLabel>
+          <Slider
+            value={length}
+            min={PASSWORD_LENGTH.MIN}
+            max={PASSWORD_LENGTH.MAX}
+            onChange={setLength}
+          >
+            <SliderTrack>
+              <SliderFilledTrack />
+            </SliderTrack>
+            <SliderThumb />
+          </Slider>
+        </FormControl>
+
+        <HStack spacing={4} wrap="wrap">
+          {Object.entries(CHARACTER_CLASSES).map(([name, { label }]) => (
+            <Checkbox
+              key={name}
+              size="sm"
+              isChecked={classes[name]}
+              onChange={() => toggleClass(name)}
+            >
+              {label}
+            </Checkbox>
+          ))}
+        </HStack>
+
+        <FormControl display="flex" alignItems="center">
+          <FormLabel mb="0" fontSize="sm">Aussprechbar</FormLabel>
+          <Switch isChecked={pronounceable} onChange={() => setPronounceable(prev => !prev)} />
+        </FormControl>
+        {pronounceable && (
+          <Text fontSize="xs" color="gray.500">
+            Silben sind leichter zu merken und abzutippen, bei gleicher Länge aber leichter zu erraten.
+            Wählen Sie lieber ein paar Zeichen mehr.
+          </Text>
+        )}
+
+        {onUse && (
+          <Button size="sm" colorScheme="blue" alignSelf="flex-start" onClick={() => onUse(password)}>
+            Dieses Passwort verwenden
+          </Button>
+        )}
+      </VStack>
+    </Box>
+  );
+}
+
+export default PasswordGenerator;
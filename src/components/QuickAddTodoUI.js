@@ -0,0 +1,111 @@
+/**
+ * QuickAddTodoUI
+ *
+ * Single-line todo input hosted in the overlay BrowserWindow (global
+ * shortcut or command palette). Shows a live preview of the parsed reminder
+ * and folder; the parsed result is sent back to the main window, which adds
+ * the todo through TodoList's handleAddTodo.
+ */
+
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  Box,
+  Input,
+  HStack,
+  Text,
+  Badge,
+  useColorModeValue,
+  Kbd,
+} from '@chakra-ui/react';
+import { parseQuickAdd } from '../utils/quickAddParser';
+
+const QuickAddTodoUI = ({ folders = [], onSubmit, onClose }) => {
+  const [value, setValue] = useState('');
+  const inputRef = useRef(null);
+
+  const bgColor = useColorModeValue('white', 'gray.800');
+  const borderColor = useColorModeValue('gray.200', 'gray.600');
+  const textColor = useColorModeValue('gray.800', 'white');
+  const mutedTextColor = useColorModeValue('gray.600', 'gray.400');
+  const footerBg = useColorModeValue('gray.50', 'gray.900');
+
+  const parsed = useMemo(() => parseQuickAdd(value, folders), [value, folders]);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (parsed.text) {
+        onSubmit?.({
+          text: parsed.text,
+          reminder: parsed.reminder ? parsed.reminder.toISOString() : null,
+          folder: parsed.folder,
+        });
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose?.();
+    }
+  };
+
+  return (
+    <Box
+      bg={bgColor}
+      border="1px"
+      borderColor={borderColor}
+      borderRadius="lg"
+      boxShadow="2xl"
+      overflow="hidden"
+    >
+      <Box p={4} borderBottom="1px" borderColor={borderColor}>
+        <Input
+          ref={inputRef}
+          placeholder="Neue Aufgabe, z.B. „Elternbrief drucken morgen 8 Uhr #Klasse“"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={handleKeyDown}
+          variant="unstyled"
+          fontSize="lg"
+          color={textColor}
+          _placeholder={{ color: mutedTextColor }}
+        />
+        <HStack spacing={2} mt={2} minH="20px" wrap="wrap">
+          {parsed.text && (
+            <Text fontSize="sm" color={mutedTextColor} noOfLines={1}>
+              {parsed.text}
+            </Text>
+          )}
+          {parsed.reminder && (
+            <Badge colorScheme="purple">
+              Erinnerung: {parsed.reminder.toLocaleString('de-DE', {
+                weekday: 'short',
+                day: '2-digit',
+                month: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+              })}
+            </Badge>
+          )}
+          {parsed.folder && (
+            <Badge colorScheme="blue">
+              Ordner: {parsed.folder === 'Default' ? 'Standard' : parsed.folder}
+            </Badge>
+          )}
+        </HStack>
+      </Box>
+
+      <Box px={4} py={2} bg={footerBg}>
+        <HStack spacing={4} fontSize="xs" color={mutedTextColor}>
+          <HStack spacing={1}><Kbd>Enter</Kbd><Text>Hinzufügen</Text></HStack>
+          <HStack spacing={1}><Kbd>Esc</Kbd><Text>Abbrechen</Text></HStack>
+          <Text>#Ordner · morgen, Freitag, in 3 Tagen, 14:30 Uhr</Text>
+        </HStack>
+      </Box>
+    </Box>
+  );
+};
+
+export default QuickAddTodoUI;
@@ -0,0 +1,149 @@
+/**
+ * SecureDocumentPackage
+ *
+ * Password dialog for exporting a single secure document to a
+ * self-contained encrypted .bbzdoc file and importing such files (format in
+ * public/services/documentPackage.js). The password is chosen per file and
+ * is independent of the keychain password.
+ *
+ * `request` is { mode: 'export', file } or { mode: 'import', filePath }.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  VStack,
+  Text,
+  Input,
+  FormControl,
+  FormLabel,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+  useToast,
+} from '@chakra-ui/react';
+
+function SecureDocumentPackage({ request, folderId, onClose, onImported }) {
+  const [password, setPassword] = useState('');
+  const [passwordRepeat, setPasswordRepeat] = useState('');
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const toast = useToast();
+
+  const isExport = request?.mode === 'export';
+
+  useEffect(() => {
+    setPassword('');
+    setPasswordRepeat('');
+    setError('');
+  }, [request]);
+
+  const passwordMismatch = isExport && passwordRepeat && password !== passwordRepeat;
+  const canSubmit = Boolean(password) && (!isExport || password === passwordRepeat);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    setError('');
+    setIsBusy(true);
+    try {
+      if (isExport) {
+        const result = await window.electron.exportSecureFilePackage({ fileId: request.file.id, password });
+        if (result.success) {
+          onClose();
+          toast({
+            title: 'Dokument exportiert',
+            description: `Verschlüsselt gespeichert unter ${result.path}`,
+            status: 'success',
+            duration: 5000,
+            isClosable: true,
+          });
+        } else if (result.error) {
+          setError(result.error);
+        }
+      } else {
+        const result = await window.electron.importSecureFilePackage({
+          filePath: request.filePath,
+          password,
+          folderId,
+        });
+        if (result.success) {
+          onClose();
+          onImported?.();
+          toast({
+            title: 'Dokument importiert',
+            description: `„${result.name}“ wurde zu den sicheren Dokumenten hinzugefügt.`,
+            status: 'success',
+            duration: 4000,
+            isClosable: true,
+          });
+        } else {
+          setError(result.error || 'Die Datei konnte nicht gelesen werden.');
+        }
+      }
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={Boolean(request)} onClose={onClose}>
+      <ModalOverlay />
+      <ModalContent as="form" onSubmit={handleSubmit}>
+        <ModalHeader>
+          {isExport ? 'Dokument verschlüsselt exportieren' : 'Verschlüsseltes Dokument importieren'}
+        </ModalHeader>
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <Text fontSize="sm" wordBreak="break-all">
+              {isExport ? request?.file?.name : request?.filePath}
+            </Text>
+            <Text fontSize="sm" color="gray.500">
+              {isExport
+                ? 'Die Datei wird mit einem eigenen Passwort verschlüsselt. Geben Sie es der empfangenden Person auf einem anderen Weg weiter.'
+                : 'Geben Sie das Passwort ein, mit dem das Dokument exportiert wurde.'}
+            </Text>
+            <FormControl isRequired>
+              <FormLabel>Passwort</FormLabel>
+              <Input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoFocus
+              />
+            </FormControl>
+            {isExport && (
+              <FormControl isRequired isInvalid={passwordMismatch}>
+                <FormLabel>Passwort wiederholen</FormLabel>
+                <Input
+                  type="password"
+                  value={passwordRepeat}
+                  onChange={(e) => setPasswordRepeat(e.target.value)}
+                />
+              </FormControl>
+            )}
+            {passwordMismatch && (
+              <Text color="red.500" fontSize="sm">Die Passwörter stimmen nicht überein.</Text>
+            )}
+            {error && (
+              <Text color="red.500" fontSize="sm">{error}</Text>
+            )}
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="ghost" mr={3} onClick={onClose}>
+            Abbrechen
+          </Button>
+          <Button colorScheme="blue" type="submit" isLoading={isBusy} isDisabled={!canSubmit}>
+            {isExport ? 'Exportieren' : 'Importieren'}
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+}
+
+export default SecureDocumentPackage;
@@ -0,0 +1,152 @@
+/**
+ * SecureDocumentPreview
+ *
+ * Read-only in-app preview of a secure document (PDF, images, plain text,
+ * Markdown). The main process decrypts into memory only (preview-secure-file);
+ * PDFs and images are shown from a blob URL that is revoked on close, so no
+ * decrypted copy touches the disk. Editing still uses the external program.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Button,
+  HStack,
+  Text,
+  Image,
+  Link,
+  Spinner,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+  ModalCloseButton,
+  useColorModeValue,
+} from '@chakra-ui/react';
+import ReactMarkdown from 'react-markdown';
+
+// Links in previewed Markdown must not navigate the app window
+const MARKDOWN_COMPONENTS = {
+  a: ({ href, children }) => (
+    <Link
+      href={href}
+      onClick={(e) => {
+        e.preventDefault();
+        if (/^https?:/i.test(href || '')) {
+          window.electron.shell.openExternal(href);
+        }
+      }}
+    >
+      {children}
+    </Link>
+  ),
+};
+
+function SecureDocumentPreview({ file, onClose, onOpenExternal }) {
+  const [preview, setPreview] = useState(null); // { kind, mimeType, content } | { error }
+  const codeBg = useColorModeValue('gray.50', 'gray.700');
+
+  useEffect(() => {
+    if (!file) {
+      setPreview(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setPreview(null);
+    window.electron.previewSecureFile(file.id).then(result => {
+      if (cancelled) return;
+      setPreview(result.success
+        ? { kind: result.kind, mimeType: result.mimeType, content: result.content }
+        : { error: result.error || 'Vorschau nicht möglich.' });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  const objectUrl = useMemo(() => {
+    if (!preview || (preview.kind !== 'pdf' && preview.kind !== 'image')) return null;
+    return URL.createObjectURL(new Blob([preview.content], { type: preview.mimeType }));
+  }, [preview]);
+
+  useEffect(() => () => {
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+  }, [objectUrl]);
+
+  const text = useMemo(() => {
+    if (!preview || (preview.kind !== 'text' && preview.kind !== 'markdown')) return null;
+    return new TextDecoder('utf-8').decode(preview.content);
+  }, [preview]);
+
+  const renderContent = () => {
+    if (!preview) {
+      return <HStack justify="center" py={10}><Spinner /></HStack>;
+    }
+    if (preview.error) {
+      return <Text color="red.500">{preview.error}</Text>;
+    }
+    switch (preview.kind) {
+      case 'pdf':
+        return (
+          <Box as="iframe" src={objectUrl} title={file.name} width="100%" height="75vh" border="none" />
+        );
+      case 'image':
+        return <Image src={objectUrl} alt={file.name} maxH="75vh" mx="auto" objectFit="contain" />;
+      case 'markdown':
+        return (
+          <Box
+            sx={{
+              'h1, h2, h3, h4': { fontWeight: 'bold', mt: 4, mb: 2 },
+              h1: { fontSize: '2xl' },
+              h2: { fontSize: 'xl' },
+              h3: { fontSize: 'lg' },
+              p: { mb: 3 },
+              'ul, ol': { pl: 6, mb: 3 },
+              code: { bg: codeBg, px: 1, borderRadius: 'sm', fontFamily: 'mono', fontSize: 'sm' },
+              pre: { bg: codeBg, p: 3, borderRadius: 'md', overflowX: 'auto', mb: 3 },
+              blockquote: { borderLeftWidth: '4px', pl: 3, color: 'gray.500', mb: 3 },
+              a: { color: 'blue.500', textDecoration: 'underline' },
+            }}
+          >
+            <ReactMarkdown components={MARKDOWN_COMPONENTS}>{text}</ReactMarkdown>
+          </Box>
+        );
+      default:
+        return (
+          <Box
+            as="pre"
+            bg={codeBg}
+            p={3}
+            borderRadius="md"
+            fontFamily="mono"
+            fontSize="sm"
+            whiteSpace="pre-wrap"
+            wordBreak="break-word"
+          >
+            {text}
+          </Box>
+        );
+    }
+  };
+
+  return (
+    <Modal isOpen={Boolean(file)} onClose={onClose} size="5xl" scrollBehavior="inside">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader pr={12} wordBreak="break-all">{file?.name}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>{renderContent()}</ModalBody>
+        <ModalFooter>
+          <Button variant="ghost" mr={3} onClick={() => onOpenExternal(file)}>
+            Zum Bearbeiten öffnen
+          </Button>
+          <Button onClick={onClose}>Schließen</Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+}
+
+export default SecureDocumentPreview;
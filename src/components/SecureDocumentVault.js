@@ -0,0 +1,167 @@
+/**
+ * SecureDocumentVault
+ *
+ * Password dialog for the optional vault password of the secure documents
+ * (see public/services/SecureVault.js): set it up, change it or go back to
+ * the keychain password. Setting, changing and removing re-encrypt all
+ * documents, folders and versions.
+ *
+ * `mode` is 'enable', 'change' or 'disable'.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  VStack,
+  Text,
+  Input,
+  FormControl,
+  FormLabel,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+  useToast,
+} from '@chakra-ui/react';
+
+const MODE_TEXT = {
+  enable: {
+    title: 'Tresor-Passwort festlegen',
+    description: 'Die sicheren Dokumente werden mit einem eigenen Passwort verschlüsselt und nach einer Zeit ohne Aktivität gesperrt. Das Passwort wird nirgends gespeichert – ohne es sind die Dokumente nicht mehr lesbar.',
+    submit: 'Festlegen',
+    success: 'Tresor-Passwort festgelegt',
+  },
+  change: {
+    title: 'Tresor-Passwort ändern',
+    description: 'Alle Dokumente werden mit dem neuen Passwort neu verschlüsselt.',
+    submit: 'Ändern',
+    success: 'Tresor-Passwort geändert',
+  },
+  disable: {
+    title: 'Tresor-Passwort entfernen',
+    description: 'Die Dokumente werden wieder mit dem Passwort aus den Einstellungen verschlüsselt und nicht mehr gesperrt.',
+    submit: 'Entfernen',
+    success: 'Tresor-Passwort entfernt',
+  },
+};
+
+function SecureDocumentVault({ mode, onClose }) {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [passwordRepeat, setPasswordRepeat] = useState('');
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const toast = useToast();
+
+  const text = MODE_TEXT[mode] || MODE_TEXT.enable;
+  const needsCurrent = mode === 'change' || mode === 'disable';
+  const needsNew = mode === 'enable' || mode === 'change';
+
+  useEffect(() => {
+    setCurrentPassword('');
+    setNewPassword('');
+    setPasswordRepeat('');
+    setError('');
+  }, [mode]);
+
+  const passwordMismatch = needsNew && passwordRepeat && newPassword !== passwordRepeat;
+  const canSubmit = (!needsCurrent || Boolean(currentPassword))
+    && (!needsNew || (Boolean(newPassword) && newPassword === passwordRepeat));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    setError('');
+    setIsBusy(true);
+    try {
+      const result = mode === 'disable'
+        ? await window.electron.removeSecureVaultPassword(currentPassword)
+        : await window.electron.setSecureVaultPassword({
+          oldPassword: needsCurrent ? currentPassword : undefined,
+          newPassword,
+        });
+      if (result.success) {
+        onClose();
+        toast({
+          title: text.success,
+          status: 'success',
+          duration: 3000,
+          isClosable: true,
+        });
+      } else {
+        setError(result.error || 'Das Passwort konnte nicht geändert werden.');
+      }
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={Boolean(mode)} onClose={isBusy ? () => {} : onClose}>
+      <ModalOverlay />
+      <ModalContent as="form" onSubmit={handleSubmit}>
+        <ModalHeader>{text.title}</ModalHeader>
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <Text fontSize="sm" color="gray.500">{text.description}</Text>
+            {needsCurrent && (
+              <FormControl isRequired>
+                <FormLabel>Aktuelles Tresor-Passwort</FormLabel>
+                <Input
+                  type="password"
+                  value={currentPassword}
+                  onChange={(e) => setCurrentPassword(e.target.value)}
+                  autoFocus
+                />
+              </FormControl>
+            )}
+            {needsNew && (
+              <>
+                <FormControl isRequired>
+                  <FormLabel>Neues Tresor-Passwort</FormLabel>
+                  <Input
+                    type="password"
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                    autoFocus={!needsCurrent}
+                  />
+                </FormControl>
+                <FormControl isRequired isInvalid={passwordMismatch}>
+                  <FormLabel>Passwort wiederholen</FormLabel>
+                  <Input
+                    type="password"
+                    value={passwordRepeat}
+                    onChange={(e) => setPasswordRepeat(e.target.value)}
+                  />
+                </FormControl>
+              </>
+            )}
+            {passwordMismatch && (
+              <Text color="red.500" fontSize="sm">Die Passwörter stimmen nicht überein.</Text>
+            )}
+            {error && (
+              <Text color="red.500" fontSize="sm">{error}</Text>
+            )}
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="ghost" mr={3} onClick={onClose} isDisabled={isBusy}>
+            Abbrechen
+          </Button>
+          <Button
+            colorScheme={mode === 'disable' ? 'red' : 'blue'}
+            type="submit"
+            isLoading={isBusy}
+            isDisabled={!canSubmit}
+          >
+            {text.submit}
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+}
+
+export default SecureDocumentVault;
@@ -0,0 +1,231 @@
+/**
+ * SecureDocumentVersions
+ *
+ * Version history of one secure document: every save of an opened document
+ * keeps the previous content as an encrypted version (see
+ * archiveSecureDocumentVersion in DatabaseService). Older versions can be
+ * compared with the current one (text formats only), restored or exported.
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  Box,
+  Button,
+  HStack,
+  VStack,
+  Text,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Badge,
+  Spinner,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+  ModalCloseButton,
+  useToast,
+  useColorModeValue,
+} from '@chakra-ui/react';
+import { diffLines, summarizeDiff } from '../utils/textDiff';
+
+const formatDate = (value) => new Date(value).toLocaleString('de-DE', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+function DiffView({ diff }) {
+  const addedBg = useColorModeValue('green.50', 'green.900');
+  const removedBg = useColorModeValue('red.50', 'red.900');
+  const borderColor = useColorModeValue('gray.200', 'gray.600');
+  const summary = summarizeDiff(diff);
+
+  return (
+    <VStack align="stretch" spacing={2}>
+      <HStack spacing={2}>
+        <Badge colorScheme="green">+{summary.added}</Badge>
+        <Badge colorScheme="red">−{summary.removed}</Badge>
+        <Text fontSize="xs" color="gray.500">
+          Zeilen gegenüber dem aktuellen Stand (rot: nur in der älteren Version)
+        </Text>
+      </HStack>
+      <Box
+        borderWidth="1px"
+        borderColor={borderColor}
+        borderRadius="md"
+        maxH="320px"
+        overflow="auto"
+        fontFamily="mono"
+        fontSize="xs"
+      >
+        {summary.added === 0 && summary.removed === 0 ? (
+          <Text p={2} color="gray.500">Keine Unterschiede.</Text>
+        ) : diff.map((line, index) => (
+          <Box
+            key={index}
+            px={2}
+            whiteSpace="pre-wrap"
+            bg={line.type === 'added' ? addedBg : line.type === 'removed' ? removedBg : undefined}
+          >
+            {line.type === 'added' ? '+ ' : line.type === 'removed' ? '− ' : '  '}
+            {line.text}
+          </Box>
+        ))}
+      </Box>
+    </VStack>
+  );
+}
+
+function SecureDocumentVersions({ file, isOpen, onClose, onRestored }) {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [comparison, setComparison] = useState(null); // { versionId, oldText, newText } | { versionId, error }
+  const toast = useToast();
+  const selectedBg = useColorModeValue('blue.50', 'blue.900');
+
+  const loadVersions = useCallback(async () => {
+    if (!file) return;
+    setIsLoading(true);
+    const result = await window.electron.listSecureFileVersions(file.id);
+    setVersions(result.success ? result.versions : []);
+    setIsLoading(false);
+  }, [file]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setComparison(null);
+      loadVersions();
+    }
+  }, [isOpen, loadVersions]);
+
+  const diff = useMemo(
+    () => (comparison && !comparison.error ? diffLines(comparison.oldText, comparison.newText) : null),
+    [comparison]
+  );
+
+  const handleCompare = async (version) => {
+    if (comparison?.versionId === version.id) {
+      setComparison(null);
+      return;
+    }
+    const result = await window.electron.diffSecureFileVersion({ fileId: file.id, versionId: version.id });
+    setComparison(result.success
+      ? { versionId: version.id, oldText: result.oldText, newText: result.newText }
+      : { versionId: version.id, error: result.error || 'Vergleich nicht möglich.' });
+  };
+
+  const handleRestore = async (version) => {
+    const result = await window.electron.restoreSecureFileVersion(version.id);
+    if (result.success) {
+      toast({
+        title: 'Version wiederhergestellt',
+        description: 'Der bisherige Stand ist als Version erhalten geblieben.',
+        status: 'success',
+        duration: 4000,
+        isClosable: true,
+      });
+      setComparison(null);
+      await loadVersions();
+      onRestored?.();
+    } else {
+      toast({
+        title: 'Fehler',
+        description: result.error || 'Fehler beim Wiederherstellen der Version.',
+        status: 'error',
+        duration: 3000,
+      });
+    }
+  };
+
+  const handleExport = async (version) => {
+    const result = await window.electron.exportSecureFileVersion(version.id);
+    if (result.success) {
+      toast({
+        title: 'Version exportiert',
+        description: `Gespeichert unter ${result.path}. Die Datei ist nicht verschlüsselt.`,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } else if (result.error) {
+      toast({
+        title: 'Fehler',
+        description: result.error,
+        status: 'error',
+        duration: 3000,
+      });
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="3xl" scrollBehavior="inside">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>Versionen: {file?.name}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          {isLoading ? (
+            <HStack justify="center" py={6}><Spinner /></HStack>
+          ) : versions.length === 0 ? (
+            <Text color="gray.500">
+              Noch keine älteren Versionen. Beim Speichern eines geöffneten Dokuments
+              bleibt der vorherige Stand hier erhalten.
+            </Text>
+          ) : (
+            <VStack align="stretch" spacing={4}>
+              <Table variant="simple" size="sm">
+                <Thead>
+                  <Tr>
+                    <Th>Stand vom</Th>
+                    <Th>Größe</Th>
+                    <Th>Ersetzt am</Th>
+                    <Th></Th>
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {versions.map(version => (
+                    <Tr key={version.id} bg={comparison?.versionId === version.id ? selectedBg : undefined}>
+                      <Td>{formatDate(version.date)}</Td>
+                      <Td>{version.size}</Td>
+                      <Td>{formatDate(version.createdAt)}</Td>
+                      <Td>
+                        <HStack spacing={1} justify="flex-end">
+                          <Button size="xs" variant="ghost" onClick={() => handleCompare(version)}>
+                            Vergleichen
+                          </Button>
+                          <Button size="xs" variant="ghost" onClick={() => handleExport(version)}>
+                            Exportieren
+                          </Button>
+                          <Button size="xs" colorScheme="blue" variant="outline" onClick={() => handleRestore(version)}>
+                            Wiederherstellen
+                          </Button>
+                        </HStack>
+                      </Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+              {comparison?.error && (
+                <Text fontSize="sm" color="red.500">{comparison.error}</Text>
+              )}
+              {diff && <DiffView diff={diff} />}
+            </VStack>
+          )}
+        </ModalBody>
+        <ModalFooter>
+          <Button onClick={onClose}>Schließen</Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+}
+
+export default SecureDocumentVersions;
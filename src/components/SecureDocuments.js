@@ -1,8 +1,9 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   Box,
   Button,
   VStack,
+  HStack,
   Text,
   useToast,
   Table,
@@ -23,30 +24,330 @@ import {
   Input,
   InputGroup,
   InputLeftElement,
+  Select,
+  Tag,
+  TagLabel,
+  Tooltip,
+  Wrap,
+  WrapItem,
+  Menu,
+  MenuButton,
+  MenuList,
+  MenuItem,
+  MenuDivider,
+  MenuOptionGroup,
+  MenuItemOption,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+  ModalCloseButton,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Textarea,
+  Progress,
+  Spinner,
 } from '@chakra-ui/react';
-import { DeleteIcon, SearchIcon } from '@chakra-ui/icons';
+import {
+  DeleteIcon,
+  SearchIcon,
+  EditIcon,
+  ChevronDownIcon,
+  InfoOutlineIcon,
+  TimeIcon,
+  DownloadIcon,
+  ViewIcon,
+  CheckIcon,
+  WarningIcon,
+} from '@chakra-ui/icons';
+import SecureDocumentVersions from './SecureDocumentVersions';
+import SecureDocumentPackage from './SecureDocumentPackage';
+import SecureDocumentVault from './SecureDocumentVault';
+import SecureDocumentPreview from './SecureDocumentPreview';
+import { collectDroppedFiles } from '../utils/droppedFiles';
+
+// Folder filter values besides folder ids
+const ALL_FOLDERS = 'all';
+const NO_FOLDER = 'none';
+
+// Inactivity before the vault locks itself, 0 = never
+const AUTO_LOCK_OPTIONS = [
+  { value: 5, label: '5 Minuten' },
+  { value: 15, label: '15 Minuten' },
+  { value: 30, label: '30 Minuten' },
+  { value: 60, label: '1 Stunde' },
+  { value: 0, label: 'Nie' },
+];
+
+// Minimum interval between activity pings to the main process
+const VAULT_TOUCH_INTERVAL = 30 * 1000;
+
+const SORT_OPTIONS = [
+  { value: 'date-desc', label: 'Neueste zuerst' },
+  { value: 'date-asc', label: 'Älteste zuerst' },
+  { value: 'name', label: 'Name' },
+  { value: 'size', label: 'Größe' },
+];
+
+/**
+ * Split a tag input like "Zeugnis, #Klasse-10a Vertrag" into unique tags
+ * @param {string} input - Comma or space separated tags
+ * @returns {string[]} Tags without leading '#'
+ */
+const parseTagInput = (input) => {
+  const tags = String(input || '')
+    .split(/[\s,]+/)
+    .map(tag => tag.replace(/^#+/, '').trim())
+    .filter(Boolean);
+  return Array.from(new Set(tags));
+};
+
+// Sizes are stored as display strings ("12.34 KB")
+const parseSize = (size) => parseFloat(size) || 0;
+
+const sortFiles = (files, sortType) => {
+  const sorted = [...files];
+  switch (sortType) {
+    case 'date-asc':
+      return sorted.sort((a, b) => new Date(a.date) - new Date(b.date));
+    case 'name':
+      return sorted.sort((a, b) => a.name.localeCompare(b.name, 'de', { numeric: true }));
+    case 'size':
+      return sorted.sort((a, b) => parseSize(b.size) - parseSize(a.size));
+    default:
+      return sorted.sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+};
+
+function DocumentDetailsModal({ file, folders, isOpen, onClose, onSave }) {
+  const [folderId, setFolderId] = useState('');
+  const [tagInput, setTagInput] = useState('');
+  const [notes, setNotes] = useState('');
+
+  useEffect(() => {
+    if (file) {
+      setFolderId(file.folderId || '');
+      setTagInput((file.tags || []).join(', '));
+      setNotes(file.notes || '');
+    }
+  }, [file]);
+
+  const handleSave = () => {
+    onSave({
+      id: file.id,
+      folderId: folderId || null,
+      tags: parseTagInput(tagInput),
+      notes: notes.trim(),
+    });
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="lg">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>Details: {file?.name}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <FormControl>
+              <FormLabel>Ordner</FormLabel>
+              <Select value={folderId} onChange={(e) => setFolderId(e.target.value)}>
+                <option value="">Ohne Ordner</option>
+                {folders.map(folder => (
+                  <option key={folder.id} value={folder.id}>{folder.name}</option>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl>
+              <FormLabel>Tags</FormLabel>
+              <Input
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+                placeholder="z.B. Zeugnis, Vertrag"
+              />
+              <FormHelperText>Mehrere Tags mit Komma oder Leerzeichen trennen.</FormHelperText>
+            </FormControl>
+            <FormControl>
+              <FormLabel>Notizen</FormLabel>
+              <Textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                rows={5}
+                placeholder="Freitext zum Dokument"
+              />
+            </FormControl>
+            <Text fontSize="xs" color="gray.500">
+              Tags, Notizen und Ordnernamen werden wie das Dokument verschlüsselt gespeichert.
+            </Text>
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="ghost" mr={3} onClick={onClose}>
+            Abbrechen
+          </Button>
+          <Button colorScheme="blue" onClick={handleSave}>
+            Speichern
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+}
+
+function FolderModal({ folder, isOpen, onClose, onSave }) {
+  const [name, setName] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setName(folder?.name || '');
+    }
+  }, [folder, isOpen]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (name.trim()) {
+      onSave({ id: folder?.id, name: name.trim() });
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="sm">
+      <ModalOverlay />
+      <ModalContent as="form" onSubmit={handleSubmit}>
+        <ModalHeader>{folder ? 'Ordner umbenennen' : 'Neuer Ordner'}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Ordnername"
+            autoFocus
+          />
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="ghost" mr={3} onClick={onClose}>
+            Abbrechen
+          </Button>
+          <Button colorScheme="blue" type="submit" isDisabled={!name.trim()}>
+            Speichern
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+}
+
+function ImportProgress({ items, onClose }) {
+  const finished = items.filter(item => item.status === 'done' || item.status === 'error').length;
+  const failed = items.filter(item => item.status === 'error').length;
+  const isRunning = finished < items.length;
+
+  return (
+    <Box borderWidth="1px" borderRadius="md" p={3}>
+      <HStack justify="space-between" mb={2}>
+        <Text fontSize="sm" fontWeight="bold">
+          {isRunning
+            ? `Importiere ${finished + 1} von ${items.length}…`
+            : `${items.length - failed} von ${items.length} Dateien importiert`}
+        </Text>
+        {!isRunning && (
+          <Button size="xs" variant="ghost" onClick={onClose}>Schließen</Button>
+        )}
+      </HStack>
+      <Progress
+        size="sm"
+        value={(finished / items.length) * 100}
+        colorScheme={failed > 0 ? 'orange' : 'blue'}
+        borderRadius="sm"
+        mb={2}
+      />
+      <VStack align="stretch" spacing={1} maxH="160px" overflowY="auto">
+        {items.map(item => (
+          <HStack key={item.id} spacing={2} fontSize="sm">
+            {item.status === 'importing' && <Spinner size="xs" />}
+            {item.status === 'done' && <CheckIcon color="green.500" boxSize={3} />}
+            {item.status === 'error' && <WarningIcon color="red.500" boxSize={3} />}
+            {item.status === 'pending' && <Box boxSize={3} />}
+            <Text noOfLines={1} flex="1" color={item.status === 'pending' ? 'gray.500' : undefined}>
+              {item.folder ? `${item.folder} / ${item.name}` : item.name}
+            </Text>
+            {item.error && (
+              <Text color="red.500" fontSize="xs" noOfLines={1}>{item.error}</Text>
+            )}
+          </HStack>
+        ))}
+      </VStack>
+    </Box>
+  );
+}
 
 function SecureDocuments({ isVisible }) {
   const [files, setFiles] = useState([]);
+  const [folders, setFolders] = useState([]);
   const [isReady, setIsReady] = useState(false);
   const [retryCount, setRetryCount] = useState(0);
-  const [fileToDelete, setFileToDelete] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null); // { type: 'file' | 'folder', item }
   const [searchQuery, setSearchQuery] = useState('');
-  const [filteredFiles, setFilteredFiles] = useState([]);
+  const [selectedFolder, setSelectedFolder] = useState(ALL_FOLDERS);
+  const [sortType, setSortType] = useState('date-desc');
+  const [activeTag, setActiveTag] = useState(null);
+  const [editingFile, setEditingFile] = useState(null);
+  const [editingFolder, setEditingFolder] = useState(null);
+  const [historyFile, setHistoryFile] = useState(null);
+  const [packageRequest, setPackageRequest] = useState(null); // { mode: 'export', file } | { mode: 'import', filePath }
+  const [previewFile, setPreviewFile] = useState(null);
+  const [importItems, setImportItems] = useState([]); // { id, name, folder, status: 'pending' | 'importing' | 'done' | 'error', error }
+  const isImporting = React.useRef(false);
   const [isDragging, setIsDragging] = useState(false);
   const [dragCounter, setDragCounter] = useState(0);
+  const [vaultStatus, setVaultStatus] = useState(null); // { enabled, unlocked, autoLockMinutes }
+  const [vaultMode, setVaultMode] = useState(null); // 'enable' | 'change' | 'disable'
+  const [unlockPassword, setUnlockPassword] = useState('');
+  const [unlockError, setUnlockError] = useState('');
+  const lastVaultTouch = React.useRef(0);
   const { isOpen, onOpen, onClose } = useDisclosure();
+  const { isOpen: isFolderModalOpen, onOpen: onFolderModalOpen, onClose: onFolderModalClose } = useDisclosure();
   const cancelRef = React.useRef();
   const toast = useToast();
   const { colorMode } = useColorMode();
 
-  // Filter files based on search query
-  useEffect(() => {
-    const filtered = files.filter(file => 
-      file.name.toLowerCase().includes(searchQuery.toLowerCase())
-    );
-    setFilteredFiles(filtered);
-  }, [files, searchQuery]);
+  const folderNames = useMemo(
+    () => new Map(folders.map(folder => [folder.id, folder.name])),
+    [folders]
+  );
+
+  // Documents of the selected folder, before tag and search filters
+  const folderFiles = useMemo(() => {
+    if (selectedFolder === ALL_FOLDERS) return files;
+    if (selectedFolder === NO_FOLDER) return files.filter(file => !file.folderId);
+    return files.filter(file => file.folderId === selectedFolder);
+  }, [files, selectedFolder]);
+
+  // Tags of the selected folder with their document count
+  const tagCounts = useMemo(() => {
+    const counts = new Map();
+    folderFiles.forEach(file => {
+      (file.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return Array.from(counts.entries()).sort((a, b) => a[0].localeCompare(b[0], 'de'));
+  }, [folderFiles]);
+
+  // Search matches the name or a tag ("#tag" matches tags only)
+  const filteredFiles = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    const tagQuery = query.replace(/^#/, '');
+    const tagOnly = query.startsWith('#');
+    const filtered = folderFiles.filter(file => {
+      if (activeTag && !(file.tags || []).includes(activeTag)) return false;
+      if (!query) return true;
+      const tagMatch = (file.tags || []).some(tag => tag.toLowerCase().includes(tagQuery));
+      return tagOnly ? tagMatch : tagMatch || file.name.toLowerCase().includes(query);
+    });
+    return sortFiles(filtered, sortType);
+  }, [folderFiles, activeTag, searchQuery, sortType]);
 
   const loadFiles = useCallback(async () => {
     if (!isReady || !window.electron) return;
@@ -54,12 +355,52 @@ function SecureDocuments({ isVisible }) {
       const result = await window.electron.listSecureFiles();
       if (result.success) {
         setFiles(result.files);
+        setFolders(result.folders || []);
+      } else if (result.locked) {
+        setFiles([]);
+        setFolders([]);
       }
     } catch (error) {
       console.warn('Error loading secure files:', error);
     }
   }, [isReady]);
 
+  const loadVaultStatus = useCallback(async () => {
+    if (!isReady || !window.electron) return;
+    const result = await window.electron.getSecureVaultStatus();
+    if (result.success) {
+      setVaultStatus(result.status);
+    }
+  }, [isReady]);
+
+  const isLocked = Boolean(vaultStatus?.enabled && !vaultStatus.unlocked);
+
+  // Keep an unlocked vault open while the user works with the documents
+  const handleVaultActivity = useCallback(() => {
+    if (!vaultStatus?.enabled || !vaultStatus.unlocked) return;
+    const now = Date.now();
+    if (now - lastVaultTouch.current < VAULT_TOUCH_INTERVAL) return;
+    lastVaultTouch.current = now;
+    window.electron.touchSecureVault();
+  }, [vaultStatus]);
+
+  // Fall back to all documents when the selected folder disappears
+  useEffect(() => {
+    if (selectedFolder !== ALL_FOLDERS && selectedFolder !== NO_FOLDER && !folderNames.has(selectedFolder)) {
+      setSelectedFolder(ALL_FOLDERS);
+    }
+  }, [folderNames, selectedFolder]);
+
+  // Drop a tag filter that no longer matches anything
+  useEffect(() => {
+    if (activeTag && !tagCounts.some(([tag]) => tag === activeTag)) {
+      setActiveTag(null);
+    }
+  }, [activeTag, tagCounts]);
+
+  // New uploads land in the selected folder
+  const uploadFolderId = selectedFolder !== ALL_FOLDERS && selectedFolder !== NO_FOLDER ? selectedFolder : null;
+
   // Drag and drop handlers with counter-based approach
   const handleDragEnter = useCallback((e) => {
     e.preventDefault();
@@ -89,46 +430,121 @@ function SecureDocuments({ isVisible }) {
     e.stopPropagation();
   }, []);
 
-  const handleDrop = useCallback(async (e) => {
-    setDragCounter(0);
-    e.preventDefault();
-    e.stopPropagation();
-    setIsDragging(false);
+  // Encrypt files one after another. Files from a dropped folder go into a
+  // secure folder of the same name, which is created when it does not exist.
+  const importFiles = useCallback(async (entries) => {
+    if (entries.length === 0) return;
+    if (isImporting.current) {
+      toast({
+        title: 'Import läuft',
+        description: 'Bitte warten Sie, bis der laufende Import abgeschlossen ist.',
+        status: 'warning',
+        duration: 3000,
+      });
+      return;
+    }
+    isImporting.current = true;
 
-    const files = [...e.dataTransfer.files];
-    
-    for (const file of files) {
-      const reader = new FileReader();
-      
-      reader.onload = async () => {
+    const batchId = Date.now();
+    const items = entries.map((entry, index) => ({
+      id: `${batchId}-${index}`,
+      name: entry.file.name,
+      folder: entry.folder,
+      status: 'pending',
+    }));
+    setImportItems(items);
+    const updateItem = (id, changes) => setImportItems(prev => prev.map(item => (
+      item.id === id ? { ...item, ...changes } : item
+    )));
+
+    const folderIds = new Map(folders.map(folder => [folder.name, folder.id]));
+    let failed = 0;
+    try {
+      for (let index = 0; index < entries.length; index++) {
+        const { file, folder } = entries[index];
+        const item = items[index];
+        updateItem(item.id, { status: 'importing' });
         try {
+          if (folder && !folderIds.has(folder)) {
+            const created = await window.electron.saveSecureFolder({ name: folder });
+            if (!created.success) {
+              throw new Error(created.error || 'Ordner konnte nicht angelegt werden.');
+            }
+            folderIds.set(folder, created.folder.id);
+          }
           const result = await window.electron.encryptAndStoreFile({
-            data: reader.result,
+            data: await file.arrayBuffer(),
             name: file.name,
+            folderId: folder ? folderIds.get(folder) : uploadFolderId,
           });
-
-          if (result.success) {
-            loadFiles();
-            toast({
-              title: 'Erfolg',
-              description: 'Datei wurde verschlüsselt gespeichert.',
-              status: 'success',
-              duration: 3000,
-            });
+          if (!result.success) {
+            throw new Error(result.error || 'Fehler beim Speichern der Datei.');
           }
+          updateItem(item.id, { status: 'done' });
         } catch (error) {
-          toast({
-            title: 'Fehler',
-            description: 'Fehler beim Verarbeiten der Datei.',
-            status: 'error',
-            duration: 3000,
-          });
+          failed++;
+          updateItem(item.id, { status: 'error', error: error.message || 'Fehler beim Verarbeiten der Datei.' });
         }
-      };
+      }
+    } finally {
+      isImporting.current = false;
+    }
+
+    await loadFiles();
+    toast({
+      title: failed === 0 ? 'Erfolg' : 'Import abgeschlossen',
+      description: failed === 0
+        ? (entries.length === 1 ? 'Datei wurde verschlüsselt gespeichert.' : `${entries.length} Dateien wurden verschlüsselt gespeichert.`)
+        : `${entries.length - failed} von ${entries.length} Dateien gespeichert, ${failed} fehlgeschlagen.`,
+      status: failed === 0 ? 'success' : 'warning',
+      duration: 4000,
+      isClosable: true,
+    });
+    // A single successful file needs no progress list
+    if (entries.length === 1 && failed === 0) {
+      setImportItems([]);
+    }
+  }, [folders, loadFiles, toast, uploadFolderId]);
+
+  const handleDrop = useCallback(async (e) => {
+    setDragCounter(0);
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(false);
 
-      reader.readAsArrayBuffer(file);
+    try {
+      importFiles(await collectDroppedFiles(e.dataTransfer));
+    } catch (error) {
+      console.error('Error reading dropped files:', error);
+      toast({
+        title: 'Fehler',
+        description: 'Fehler beim Lesen der abgelegten Dateien.',
+        status: 'error',
+        duration: 3000,
+      });
+    }
+  }, [importFiles, toast]);
+
+  // Follow lock/unlock from the main process (auto-lock, lock screen)
+  useEffect(() => {
+    if (!window.electron || !window.electron.on) {
+      return;
     }
-  }, [loadFiles, toast]);
+    const unsubscribe = window.electron.on('secure-vault-changed', (status) => {
+      setVaultStatus(status);
+      if (status.enabled && !status.unlocked) {
+        setFiles([]);
+        setFolders([]);
+        setHistoryFile(null);
+        setEditingFile(null);
+        setPackageRequest(null);
+        setPreviewFile(null);
+      } else {
+        loadFiles();
+      }
+    });
+    return () => unsubscribe?.();
+  }, [loadFiles]);
 
   // Listen for file updates
   useEffect(() => {
@@ -209,60 +625,39 @@ function SecureDocuments({ isVisible }) {
 
   useEffect(() => {
     if (isVisible) {
+      loadVaultStatus();
       loadFiles();
     }
-  }, [loadFiles, isVisible]);
-
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  }, [loadFiles, loadVaultStatus, isVisible]);
 
-    // Read the file data as an ArrayBuffer
-    const reader = new FileReader();
-    
-    reader.onload = async () => {
-      try {
-        const result = await window.electron.encryptAndStoreFile({
-          data: reader.result,
-          name: file.name,
-        });
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setUnlockError('');
+    const result = await window.electron.unlockSecureVault(unlockPassword);
+    if (result.success) {
+      setUnlockPassword('');
+      lastVaultTouch.current = Date.now();
+    } else {
+      setUnlockError(result.error || 'Entsperren fehlgeschlagen.');
+    }
+  };
 
-        if (result.success) {
-          loadFiles();
-          toast({
-            title: 'Erfolg',
-            description: 'Datei wurde verschlüsselt gespeichert.',
-            status: 'success',
-            duration: 3000,
-          });
-        } else {
-          toast({
-            title: 'Fehler',
-            description: result.error || 'Fehler beim Speichern der Datei.',
-            status: 'error',
-            duration: 3000,
-          });
-        }
-      } catch (error) {
-        toast({
-          title: 'Fehler',
-          description: 'Fehler beim Verarbeiten der Datei.',
-          status: 'error',
-          duration: 3000,
-        });
-      }
-    };
+  const handleLock = () => {
+    window.electron.lockSecureVault();
+  };
 
-    reader.onerror = () => {
-      toast({
-        title: 'Fehler',
-        description: 'Fehler beim Lesen der Datei.',
-        status: 'error',
-        duration: 3000,
-      });
-    };
+  const handleAutoLockChange = async (value) => {
+    const result = await window.electron.setSecureVaultAutoLock(Number(value));
+    if (result.success) {
+      setVaultStatus(result.status);
+    }
+  };
 
-    reader.readAsArrayBuffer(file);
+  const handleFileUpload = (event) => {
+    const chosen = [...event.target.files].map(file => ({ file, folder: null }));
+    // Allow choosing the same files again
+    event.target.value = '';
+    importFiles(chosen);
   };
 
   const handleFileClick = async (file) => {
@@ -279,41 +674,119 @@ function SecureDocuments({ isVisible }) {
 
   const handleDeleteClick = (e, file) => {
     e.stopPropagation(); // Prevent row click
-    setFileToDelete(file);
+    setDeleteTarget({ type: 'file', item: file });
+    onOpen();
+  };
+
+  const handleEditClick = (e, file) => {
+    e.stopPropagation(); // Prevent row click
+    setEditingFile(file);
+  };
+
+  const handlePreviewClick = (e, file) => {
+    e.stopPropagation(); // Prevent row click
+    setPreviewFile(file);
+  };
+
+  const handleHistoryClick = (e, file) => {
+    e.stopPropagation(); // Prevent row click
+    setHistoryFile(file);
+  };
+
+  const handleExportPackageClick = (e, file) => {
+    e.stopPropagation(); // Prevent row click
+    setPackageRequest({ mode: 'export', file });
+  };
+
+  const handleImportPackage = async () => {
+    const result = await window.electron.chooseSecureFilePackage();
+    if (result.success) {
+      setPackageRequest({ mode: 'import', filePath: result.filePath });
+    } else if (result.error) {
+      toast({
+        title: 'Fehler',
+        description: result.error,
+        status: 'error',
+        duration: 3000,
+      });
+    }
+  };
+
+  const handleSaveDetails = async (details) => {
+    const result = await window.electron.updateSecureFileMeta(details);
+    if (result.success) {
+      setEditingFile(null);
+      await loadFiles();
+    } else {
+      toast({
+        title: 'Fehler',
+        description: result.error || 'Fehler beim Speichern der Details.',
+        status: 'error',
+        duration: 3000,
+      });
+    }
+  };
+
+  const openFolderModal = (folder = null) => {
+    setEditingFolder(folder);
+    onFolderModalOpen();
+  };
+
+  const handleSaveFolder = async (folder) => {
+    const result = await window.electron.saveSecureFolder(folder);
+    if (result.success) {
+      onFolderModalClose();
+      await loadFiles();
+      setSelectedFolder(result.folder.id);
+    } else {
+      toast({
+        title: 'Fehler',
+        description: result.error || 'Fehler beim Speichern des Ordners.',
+        status: 'error',
+        duration: 3000,
+      });
+    }
+  };
+
+  const handleDeleteFolderClick = () => {
+    setDeleteTarget({ type: 'folder', item: { id: selectedFolder, name: folderNames.get(selectedFolder) } });
     onOpen();
   };
 
   const handleDelete = async () => {
-    if (!fileToDelete) return;
+    if (!deleteTarget) return;
+    const isFolder = deleteTarget.type === 'folder';
 
     try {
-      const result = await window.electron.deleteSecureFile(fileToDelete.id);
+      const result = isFolder
+        ? await window.electron.deleteSecureFolder(deleteTarget.item.id)
+        : await window.electron.deleteSecureFile(deleteTarget.item.id);
       if (result.success) {
         await loadFiles(); // Wait for files to reload
         toast({
           title: 'Erfolg',
-          description: 'Datei wurde gelöscht.',
+          description: isFolder ? 'Ordner wurde gelöscht.' : 'Datei wurde gelöscht.',
           status: 'success',
           duration: 3000,
         });
       } else {
         toast({
           title: 'Fehler',
-          description: result.error || 'Fehler beim Löschen der Datei.',
+          description: result.error || (isFolder ? 'Fehler beim Löschen des Ordners.' : 'Fehler beim Löschen der Datei.'),
           status: 'error',
           duration: 3000,
         });
       }
     } catch (error) {
-      console.error('Error deleting file:', error);
+      console.error('Error deleting:', error);
       toast({
         title: 'Fehler',
-        description: 'Fehler beim Löschen der Datei.',
+        description: isFolder ? 'Fehler beim Löschen des Ordners.' : 'Fehler beim Löschen der Datei.',
         status: 'error',
         duration: 3000,
       });
     } finally {
-      setFileToDelete(null);
+      setDeleteTarget(null);
       onClose();
     }
   };
@@ -326,9 +799,37 @@ function SecureDocuments({ isVisible }) {
     );
   }
 
+  if (isLocked) {
+    return (
+      <Box p={4}>
+        <VStack as="form" spacing={4} align="stretch" maxW="sm" mx="auto" mt={8} onSubmit={handleUnlock}>
+          <Text fontWeight="bold">Die sicheren Dokumente sind gesperrt.</Text>
+          <FormControl isInvalid={Boolean(unlockError)}>
+            <FormLabel>Tresor-Passwort</FormLabel>
+            <Input
+              type="password"
+              value={unlockPassword}
+              onChange={(e) => setUnlockPassword(e.target.value)}
+              autoFocus
+            />
+            {unlockError && (
+              <Text color="red.500" fontSize="sm" mt={1}>{unlockError}</Text>
+            )}
+          </FormControl>
+          <Button colorScheme="blue" type="submit" isDisabled={!unlockPassword}>
+            Entsperren
+          </Button>
+        </VStack>
+        <SecureDocumentVault mode={vaultMode} onClose={() => setVaultMode(null)} />
+      </Box>
+    );
+  }
+
   return (
     <Box 
       p={4}
+      onPointerDown={handleVaultActivity}
+      onKeyDown={handleVaultActivity}
       onDragEnter={handleDragEnter}
       onDragOver={handleDragOver}
       onDragLeave={handleDragLeave}
@@ -351,43 +852,142 @@ function SecureDocuments({ isVisible }) {
           borderColor="blue.500"
           zIndex={1}
         >
-          <Text fontSize="xl">Dateien hier ablegen</Text>
+          <Text fontSize="xl">Dateien oder Ordner hier ablegen</Text>
         </Box>
       )}
       <VStack spacing={4} align="stretch">
+        <HStack spacing={2}>
+          <Select
+            size="sm"
+            value={selectedFolder}
+            onChange={(e) => setSelectedFolder(e.target.value)}
+          >
+            <option value={ALL_FOLDERS}>Alle Dokumente ({files.length})</option>
+            <option value={NO_FOLDER}>Ohne Ordner</option>
+            {folders.map(folder => (
+              <option key={folder.id} value={folder.id}>{folder.name}</option>
+            ))}
+          </Select>
+          <Menu>
+            <MenuButton as={Button} size="sm" rightIcon={<ChevronDownIcon />} flexShrink={0}>
+              Ordner
+            </MenuButton>
+            <MenuList>
+              <MenuItem onClick={() => openFolderModal()}>Neuer Ordner</MenuItem>
+              <MenuItem
+                isDisabled={!uploadFolderId}
+                onClick={() => openFolderModal({ id: selectedFolder, name: folderNames.get(selectedFolder) })}
+              >
+                Umbenennen
+              </MenuItem>
+              <MenuItem isDisabled={!uploadFolderId} onClick={handleDeleteFolderClick}>
+                Löschen
+              </MenuItem>
+            </MenuList>
+          </Menu>
+          <Select
+            size="sm"
+            value={sortType}
+            onChange={(e) => setSortType(e.target.value)}
+            width="auto"
+            flexShrink={0}
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </Select>
+          <Menu>
+            <MenuButton as={Button} size="sm" rightIcon={<ChevronDownIcon />} flexShrink={0}>
+              Tresor
+            </MenuButton>
+            <MenuList>
+              {vaultStatus?.enabled ? (
+                <>
+                  <MenuItem onClick={handleLock}>Jetzt sperren</MenuItem>
+                  <MenuItem onClick={() => setVaultMode('change')}>Tresor-Passwort ändern</MenuItem>
+                  <MenuItem onClick={() => setVaultMode('disable')}>Tresor-Passwort entfernen</MenuItem>
+                  <MenuDivider />
+                  <MenuOptionGroup
+                    title="Automatisch sperren nach"
+                    type="radio"
+                    value={String(vaultStatus.autoLockMinutes)}
+                    onChange={handleAutoLockChange}
+                  >
+                    {AUTO_LOCK_OPTIONS.map(option => (
+                      <MenuItemOption key={option.value} value={String(option.value)}>
+                        {option.label}
+                      </MenuItemOption>
+                    ))}
+                  </MenuOptionGroup>
+                </>
+              ) : (
+                <MenuItem onClick={() => setVaultMode('enable')}>Tresor-Passwort festlegen</MenuItem>
+              )}
+            </MenuList>
+          </Menu>
+        </HStack>
         <InputGroup>
           <InputLeftElement pointerEvents="none">
             <SearchIcon color="gray.300" />
           </InputLeftElement>
           <Input
-            placeholder="Dateien durchsuchen..."
+            placeholder="Name oder #Tag suchen..."
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
           />
         </InputGroup>
-        <Button
-          as="label"
-          htmlFor="file-upload"
-          colorScheme="blue"
-          size="sm"
-          cursor="pointer"
-        >
-          Datei hochladen
-          <input
-            id="file-upload"
-            type="file"
-            style={{ display: 'none' }}
-            onChange={handleFileUpload}
-          />
-        </Button>
+        {tagCounts.length > 0 && (
+          <Wrap spacing={2}>
+            {tagCounts.map(([tag, count]) => (
+              <WrapItem key={tag}>
+                <Tag
+                  size="sm"
+                  cursor="pointer"
+                  colorScheme="purple"
+                  variant={activeTag === tag ? 'solid' : 'subtle'}
+                  onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+                >
+                  <TagLabel>#{tag} ({count})</TagLabel>
+                </Tag>
+              </WrapItem>
+            ))}
+          </Wrap>
+        )}
+        <HStack spacing={2}>
+          <Button
+            as="label"
+            htmlFor="file-upload"
+            colorScheme="blue"
+            size="sm"
+            cursor="pointer"
+            flex="1"
+          >
+            Dateien hochladen
+            <input
+              id="file-upload"
+              type="file"
+              multiple
+              style={{ display: 'none' }}
+              onChange={handleFileUpload}
+            />
+          </Button>
+          <Button size="sm" onClick={handleImportPackage}>
+            Verschlüsseltes Dokument importieren
+          </Button>
+        </HStack>
+
+        {importItems.length > 0 && (
+          <ImportProgress items={importItems} onClose={() => setImportItems([])} />
+        )}
 
         <Table variant="simple" size="sm">
           <Thead>
             <Tr>
               <Th>Name</Th>
+              {selectedFolder === ALL_FOLDERS && <Th>Ordner</Th>}
               <Th>Größe</Th>
               <Th>Datum</Th>
-              <Th width="50px"></Th>
+              <Th width="170px"></Th>
             </Tr>
           </Thead>
           <Tbody>
@@ -398,10 +998,63 @@ function SecureDocuments({ isVisible }) {
                 cursor="pointer"
                 _hover={{ bg: colorMode === 'light' ? 'gray.100' : 'gray.700' }}
               >
-                <Td>{file.name}</Td>
+                <Td>
+                  <HStack spacing={2}>
+                    <Text>{file.name}</Text>
+                    {file.notes && (
+                      <Tooltip label={file.notes} placement="top" hasArrow>
+                        <InfoOutlineIcon color="gray.500" />
+                      </Tooltip>
+                    )}
+                  </HStack>
+                  {file.tags?.length > 0 && (
+                    <Wrap spacing={1} mt={1}>
+                      {file.tags.map(tag => (
+                        <WrapItem key={tag}>
+                          <Tag size="sm" colorScheme="purple" variant="subtle">
+                            <TagLabel>#{tag}</TagLabel>
+                          </Tag>
+                        </WrapItem>
+                      ))}
+                    </Wrap>
+                  )}
+                </Td>
+                {selectedFolder === ALL_FOLDERS && (
+                  <Td>{folderNames.get(file.folderId) || '–'}</Td>
+                )}
                 <Td>{file.size}</Td>
                 <Td>{new Date(file.date).toLocaleString()}</Td>
-                <Td>
+                <Td whiteSpace="nowrap">
+                  {file.previewable && (
+                    <IconButton
+                      aria-label="Vorschau"
+                      icon={<ViewIcon />}
+                      size="sm"
+                      variant="ghost"
+                      onClick={(e) => handlePreviewClick(e, file)}
+                    />
+                  )}
+                  <IconButton
+                    aria-label="Versionen anzeigen"
+                    icon={<TimeIcon />}
+                    size="sm"
+                    variant="ghost"
+                    onClick={(e) => handleHistoryClick(e, file)}
+                  />
+                  <IconButton
+                    aria-label="Verschlüsselt exportieren"
+                    icon={<DownloadIcon />}
+                    size="sm"
+                    variant="ghost"
+                    onClick={(e) => handleExportPackageClick(e, file)}
+                  />
+                  <IconButton
+                    aria-label="Details bearbeiten"
+                    icon={<EditIcon />}
+                    size="sm"
+                    variant="ghost"
+                    onClick={(e) => handleEditClick(e, file)}
+                  />
                   <IconButton
                     aria-label="Datei löschen"
                     icon={<DeleteIcon />}
@@ -415,8 +1068,53 @@ function SecureDocuments({ isVisible }) {
             ))}
           </Tbody>
         </Table>
+        {filteredFiles.length === 0 && (
+          <Text fontSize="sm" color="gray.500" textAlign="center">
+            {files.length === 0 ? 'Noch keine Dokumente gespeichert.' : 'Keine passenden Dokumente.'}
+          </Text>
+        )}
       </VStack>
 
+      <DocumentDetailsModal
+        file={editingFile}
+        folders={folders}
+        isOpen={Boolean(editingFile)}
+        onClose={() => setEditingFile(null)}
+        onSave={handleSaveDetails}
+      />
+
+      <SecureDocumentVersions
+        file={historyFile}
+        isOpen={Boolean(historyFile)}
+        onClose={() => setHistoryFile(null)}
+        onRestored={loadFiles}
+      />
+
+      <SecureDocumentPackage
+        request={packageRequest}
+        folderId={uploadFolderId}
+        onClose={() => setPackageRequest(null)}
+        onImported={loadFiles}
+      />
+
+      <SecureDocumentVault mode={vaultMode} onClose={() => setVaultMode(null)} />
+
+      <SecureDocumentPreview
+        file={previewFile}
+        onClose={() => setPreviewFile(null)}
+        onOpenExternal={(file) => {
+          setPreviewFile(null);
+          handleFileClick(file);
+        }}
+      />
+
+      <FolderModal
+        folder={editingFolder}
+        isOpen={isFolderModalOpen}
+        onClose={onFolderModalClose}
+        onSave={handleSaveFolder}
+      />
+
       <AlertDialog
         isOpen={isOpen}
         leastDestructiveRef={cancelRef}
@@ -425,11 +1123,13 @@ function SecureDocuments({ isVisible }) {
         <AlertDialogOverlay>
           <AlertDialogContent>
             <AlertDialogHeader fontSize="lg" fontWeight="bold">
-              Datei löschen
+              {deleteTarget?.type === 'folder' ? 'Ordner löschen' : 'Datei löschen'}
             </AlertDialogHeader>
 
             <AlertDialogBody>
-              Sind Sie sicher? Diese Aktion kann nicht rückgängig gemacht werden.
+              {deleteTarget?.type === 'folder'
+                ? `Ordner „${deleteTarget.item.name}“ löschen? Die Dokumente darin bleiben erhalten und sind danach ohne Ordner.`
+                : 'Sind Sie sicher? Diese Aktion kann nicht rückgängig gemacht werden.'}
             </AlertDialogBody>
 
             <AlertDialogFooter>
@@ -0,0 +1,174 @@
+/**
+ * SessionSettings
+ *
+ * Session partition per app and clearing the data of each partition. Apps
+ * share one session by default, so a login (e.g. at Microsoft) counts for
+ * all of them. An app with its own session keeps cookies and storage to
+ * itself: it can use a second account, and broken site data in it does not
+ * affect the others. The main window lives in the shared session too; the
+ * main process keeps its localStorage when the shared storage is cleared.
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  VStack,
+  HStack,
+  Text,
+  Button,
+  Select,
+  useToast,
+} from '@chakra-ui/react';
+import { useSettings } from '../context/SettingsContext';
+import {
+  SHARED_PARTITION,
+  PARTITION_MODES,
+  getPartitionMode,
+  getAppPartition,
+  setPartitionMode,
+} from '../utils/sessionPartitions';
+
+const CLEAR_ACTIONS = [
+  { kind: 'cookies', label: 'Cookies', done: 'Cookies gelöscht' },
+  { kind: 'cache', label: 'Cache', done: 'Cache geleert' },
+  { kind: 'storage', label: 'Speicher', done: 'Website-Speicher gelöscht' },
+];
+
+function SessionSettings({ onSessionDataCleared }) {
+  const { settings, updateSettings } = useSettings();
+  // `${partition}:${kind}` of the running clear action
+  const [busyAction, setBusyAction] = useState(null);
+  const toast = useToast();
+
+  // Navigation buttons, dropdown apps and custom apps by their webview id
+  const apps = useMemo(() => [
+    ...Object.entries(settings.navigationButtons || {})
+      .map(([id, button]) => ({ id, title: button.title })),
+    ...(settings.standardApps || [])
+      .map(app => ({ id: app.id.toLowerCase(), title: app.title })),
+    ...(settings.customApps || [])
+      .map(app => ({ id: app.id.toLowerCase(), title: app.title })),
+  ], [settings.navigationButtons, settings.standardApps, settings.customApps]);
+
+  // The shared session first, then one entry per app with its own session
+  const partitions = useMemo(() => {
+    const shared = { partition: SHARED_PARTITION, title: 'Gemeinsame Sitzung', apps: [] };
+    const isolated = [];
+    for (const app of apps) {
+      const partition = getAppPartition(app.id, settings.sessionPartitions);
+      if (partition === SHARED_PARTITION) {
+        shared.apps.push(app);
+      } else {
+        isolated.push({ partition, title: app.title, apps: [app] });
+      }
+    }
+    return [shared, ...isolated];
+  }, [apps, settings.sessionPartitions]);
+
+  const handleModeChange = (appId, mode) => {
+    updateSettings({
+      sessionPartitions: setPartitionMode(settings.sessionPartitions, appId, mode)
+    });
+  };
+
+  const handleClear = async (entry, action) => {
+    setBusyAction(`${entry.partition}:${action.kind}`);
+    try {
+      const result = await window.electron.clearSessionData({ partition: entry.partition, kind: action.kind });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      // Cookies and storage hold the logins, so those apps log in afresh
+      if (action.kind !== 'cache') {
+        onSessionDataCleared?.(entry.apps.map(app => app.id));
+      }
+      toast({
+        title: action.done,
+        description: entry.title,
+        status: 'success',
+        duration: 3000,
+      });
+    } catch (error) {
+      toast({
+        title: 'Löschen fehlgeschlagen',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+      });
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  return (
+    <Box>
+      <Text fontSize="lg" fontWeight="bold" mb={4}>
+        Sitzungen
+      </Text>
+      <VStack spacing={4} align="stretch">
+        <Text fontSize="sm" color="gray.500">
+          Alle Apps teilen sich eine Sitzung, eine Anmeldung gilt dann für alle. Eine eigene Sitzung
+          trennt Cookies und Speicher einer App von den anderen – etwa um sich in OneNote mit einem
+          zweiten Microsoft-Konto anzumelden, ohne Outlook abzumelden. Nach dem Umstellen lädt die
+          App neu und meldet sich erneut an.
+        </Text>
+
+        <Box>
+          <Text fontWeight="bold" mb={2}>Sitzung je App</Text>
+          <VStack spacing={2} align="stretch">
+            {apps.map(app => (
+              <HStack key={app.id} justify="space-between">
+                <Text fontSize="sm">{app.title}</Text>
+                <Select
+                  size="sm"
+                  width="50%"
+                  value={getPartitionMode(app.id, settings.sessionPartitions)}
+                  onChange={(e) => handleModeChange(app.id, e.target.value)}
+                >
+                  <option value={PARTITION_MODES.SHARED}>Gemeinsame Sitzung</option>
+                  <option value={PARTITION_MODES.ISOLATED}>Eigene Sitzung</option>
+                </Select>
+              </HStack>
+            ))}
+          </VStack>
+        </Box>
+
+        <Box>
+          <Text fontWeight="bold" mb={2}>Daten löschen</Text>
+          <VStack spacing={3} align="stretch">
+            {partitions.map(entry => (
+              <Box key={entry.partition} borderWidth="1px" borderRadius="md" p={3}>
+                <HStack justify="space-between" align="flex-start" spacing={4}>
+                  <Box minW={0}>
+                    <Text fontSize="sm" fontWeight="semibold">{entry.title}</Text>
+                    {entry.partition === SHARED_PARTITION && (
+                      <Text fontSize="xs" color="gray.500">
+                        {entry.apps.length} Apps – Löschen meldet alle davon ab. Die Einstellungen
+                        von BBZCloud selbst (z. B. das Farbschema) bleiben erhalten.
+                      </Text>
+                    )}
+                  </Box>
+                  <HStack spacing={2} flexShrink={0}>
+                    {CLEAR_ACTIONS.map(action => (
+                      <Button
+                        key={action.kind}
+                        size="xs"
+                        onClick={() => handleClear(entry, action)}
+                        isLoading={busyAction === `${entry.partition}:${action.kind}`}
+                        isDisabled={Boolean(busyAction) && busyAction !== `${entry.partition}:${action.kind}`}
+                      >
+                        {action.label}
+                      </Button>
+                    ))}
+                  </HStack>
+                </HStack>
+              </Box>
+            ))}
+          </VStack>
+        </Box>
+      </VStack>
+    </Box>
+  );
+}
+
+export default SessionSettings;
@@ -21,10 +21,24 @@ import {
   SliderFilledTrack,
   SliderThumb,
   Tooltip,
+  Select,
 } from '@chakra-ui/react';
 import { useSettings } from '../context/SettingsContext';
+import { DATABASE_CONFIG, AUTO_LOGIN_APPS } from '../utils/constants';
+import { getCustomAppAccount } from '../utils/loginRecipes';
+import DatabaseBackups from './DatabaseBackups';
+import DataTransfer from './DataTransfer';
+import TwoFactorSettings from './TwoFactorSettings';
+import CredentialBackendSettings from './CredentialBackendSettings';
+import LoginStatus from './LoginStatus';
+import SessionSettings from './SessionSettings';
+import PasswordChangeAssistant from './PasswordChangeAssistant';
 
-function SettingsPanel({ onClose, onOpenShortcuts }) {
+// All fields of one credential profile, loaded and saved together
+const CREDENTIAL_FIELDS = Object.values(DATABASE_CONFIG.ACCOUNTS);
+const EMPTY_CREDENTIALS = Object.fromEntries(CREDENTIAL_FIELDS.map(field => [field, '']));
+
+function SettingsPanel({ onClose, onOpenShortcuts, onTestLogin, onPasswordChanged, onSessionDataCleared, requestedAction, onRequestedActionHandled }) {
   const { settings, toggleButtonVisibility, addCustomApp, removeCustomApp, updateGlobalZoom, updateNavbarZoom, toggleAutostart, toggleMinimizedStart, toggleDarkMode, toggleBbzChat, updateSettings, updateStatus } = useSettings();
   const { setColorMode } = useColorMode();
   const [newAppTitle, setNewAppTitle] = useState('');
@@ -34,20 +48,15 @@ function SettingsPanel({ onClose, onOpenShortcuts }) {
   const [showWebuntisPassword, setShowWebuntisPassword] = useState(false);
   const [showSchulportalPassword, setShowSchulportalPassword] = useState(false);
   const [showEncryptionPassword, setShowEncryptionPassword] = useState(false);
+  const [showPasswordAssistant, setShowPasswordAssistant] = useState(false);
 
   const [isLoading, setIsLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
   const [dbPath, setDbPath] = useState('');
-  const [credentials, setCredentials] = useState({
-    email: '',
-    password: '',
-    bbbPassword: '',
-    webuntisEmail: '',
-    webuntisPassword: '',
-    schulportalEmail: '',
-    schulportalPassword: '',
-    schulcloudEncryptionPassword: ''
-  });
+  const [credentials, setCredentials] = useState(EMPTY_CREDENTIALS);
+  const [profiles, setProfiles] = useState([]);
+  const [selectedProfile, setSelectedProfile] = useState(DATABASE_CONFIG.DEFAULT_PROFILE);
+  const [profileDraft, setProfileDraft] = useState(null); // { id?, name } while creating/renaming
   const [version, setVersion] = useState('');
   const toast = useToast();
 
@@ -69,67 +78,6 @@ function SettingsPanel({ onClose, onOpenShortcuts }) {
       }
     };
     loadVersion();
-
-    // Load credentials
-    const loadCredentials = async () => {
-      setIsLoading(true);
-      try {
-        const emailResult = await window.electron.getCredentials({ 
-          service: 'bbzcloud', 
-          account: 'email' 
-        });
-        const passwordResult = await window.electron.getCredentials({ 
-          service: 'bbzcloud', 
-          account: 'password' 
-        });
-        const bbbPasswordResult = await window.electron.getCredentials({ 
-          service: 'bbzcloud', 
-          account: 'bbbPassword' 
-        });
-        const webuntisEmailResult = await window.electron.getCredentials({
-          service: 'bbzcloud',
-          account: 'webuntisEmail'
-        });
-        const webuntisPasswordResult = await window.electron.getCredentials({
-          service: 'bbzcloud',
-          account: 'webuntisPassword'
-        });
-        const schulportalEmailResult = await window.electron.getCredentials({
-          service: 'bbzcloud',
-          account: 'schulportalEmail'
-        });
-        const schulportalPasswordResult = await window.electron.getCredentials({
-          service: 'bbzcloud',
-          account: 'schulportalPassword'
-        });
-        const schulcloudEncryptionPasswordResult = await window.electron.getCredentials({
-          service: 'bbzcloud',
-          account: 'schulcloudEncryptionPassword'
-        });
-        setCredentials({
-          email: emailResult.success ? emailResult.password : '',
-          password: passwordResult.success ? passwordResult.password : '',
-          bbbPassword: bbbPasswordResult.success ? bbbPasswordResult.password : '',
-          webuntisEmail: webuntisEmailResult.success ? webuntisEmailResult.password : '',
-          webuntisPassword: webuntisPasswordResult.success ? webuntisPasswordResult.password : '',
-          schulportalEmail: schulportalEmailResult.success ? schulportalEmailResult.password : '',
-          schulportalPassword: schulportalPasswordResult.success ? schulportalPasswordResult.password : '',
-          schulcloudEncryptionPassword: schulcloudEncryptionPasswordResult.success ? schulcloudEncryptionPasswordResult.password : ''
-        });
-      } catch (error) {
-        console.error('Error loading credentials:', error);
-        toast({
-          title: 'Fehler beim Laden der Zugangsdaten',
-          description: error.message,
-          status: 'error',
-          duration: 5000,
-        });
-      } finally {
-        setIsLoading(false);
-      }
-    };
-
-    loadCredentials();
     
     // Load database path
     const loadDbPath = async () => {
@@ -146,6 +94,115 @@ function SettingsPanel({ onClose, onOpenShortcuts }) {
     return () => {};
   }, [toast]);
 
+  const loadProfiles = useCallback(async () => {
+    const result = await window.electron.listCredentialProfiles({ service: DATABASE_CONFIG.SERVICE_NAME });
+    if (result.success) {
+      setProfiles(result.profiles);
+    }
+    return result.success ? result.profiles : [];
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  // Load the fields of the selected profile
+  const loadCredentials = useCallback(async () => {
+    try {
+      const loaded = { ...EMPTY_CREDENTIALS };
+      for (const field of CREDENTIAL_FIELDS) {
+        const result = await window.electron.getCredentials({
+          service: DATABASE_CONFIG.SERVICE_NAME,
+          account: field,
+          profile: selectedProfile
+        });
+        loaded[field] = result.success ? result.password || '' : '';
+      }
+      setCredentials(loaded);
+    } catch (error) {
+      console.error('Error loading credentials:', error);
+      toast({
+        title: 'Fehler beim Laden der Zugangsdaten',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [selectedProfile, toast]);
+
+  useEffect(() => {
+    loadCredentials();
+  }, [loadCredentials]);
+
+  const handlePasswordChanged = () => {
+    loadCredentials();
+    onPasswordChanged?.();
+  };
+
+  const handleSaveProfile = async () => {
+    const result = await window.electron.saveCredentialProfile({
+      service: DATABASE_CONFIG.SERVICE_NAME,
+      id: profileDraft.id,
+      name: profileDraft.name
+    });
+    if (result.success) {
+      setProfileDraft(null);
+      await loadProfiles();
+      setSelectedProfile(result.profile.id);
+    } else {
+      toast({
+        title: 'Fehler',
+        description: result.error || 'Profil konnte nicht gespeichert werden',
+        status: 'error',
+        duration: 3000,
+      });
+    }
+  };
+
+  const handleDeleteProfile = async () => {
+    const result = await window.electron.deleteCredentialProfile({
+      service: DATABASE_CONFIG.SERVICE_NAME,
+      id: selectedProfile
+    });
+    if (!result.success) {
+      toast({
+        title: 'Fehler',
+        description: result.error || 'Profil konnte nicht gelöscht werden',
+        status: 'error',
+        duration: 3000,
+      });
+      return;
+    }
+    // Apps that used the deleted profile fall back to the default profile
+    const { defaultProfile, apps = {} } = settings.credentialProfiles || {};
+    updateSettings({
+      credentialProfiles: {
+        defaultProfile: defaultProfile === selectedProfile ? DATABASE_CONFIG.DEFAULT_PROFILE : defaultProfile,
+        apps: Object.fromEntries(Object.entries(apps).filter(([, profileId]) => profileId !== selectedProfile))
+      }
+    });
+    await loadProfiles();
+    setSelectedProfile(DATABASE_CONFIG.DEFAULT_PROFILE);
+  };
+
+  const updateCredentialProfiles = (changes) => {
+    updateSettings({
+      credentialProfiles: { ...settings.credentialProfiles, ...changes }
+    });
+  };
+
+  const handleAppProfileChange = (appId, profileId) => {
+    const apps = { ...settings.credentialProfiles?.apps };
+    if (profileId) {
+      apps[appId] = profileId;
+    } else {
+      delete apps[appId];
+    }
+    updateCredentialProfiles({ apps });
+  };
+
   const handleChangeDatabaseLocation = useCallback(async () => {
     try {
       const result = await window.electron.changeDatabaseLocation();
@@ -178,48 +235,14 @@ function SettingsPanel({ onClose, onOpenShortcuts }) {
   const handleSaveCredentials = async () => {
     setIsSaving(true);
     try {
-      const results = await Promise.all([
-        credentials.email ? window.electron.saveCredentials({
-          service: 'bbzcloud',
-          account: 'email',
-          password: credentials.email
-        }) : Promise.resolve({ success: true }),
-        credentials.password ? window.electron.saveCredentials({
-          service: 'bbzcloud',
-          account: 'password',
-          password: credentials.password
-        }) : Promise.resolve({ success: true }),
-        credentials.bbbPassword ? window.electron.saveCredentials({
-          service: 'bbzcloud',
-          account: 'bbbPassword',
-          password: credentials.bbbPassword
-        }) : Promise.resolve({ success: true }),
-        credentials.webuntisEmail ? window.electron.saveCredentials({
-          service: 'bbzcloud',
-          account: 'webuntisEmail',
-          password: credentials.webuntisEmail
-        }) : Promise.resolve({ success: true }),
-        credentials.webuntisPassword ? window.electron.saveCredentials({
-          service: 'bbzcloud',
-          account: 'webuntisPassword',
-          password: credentials.webuntisPassword
-        }) : Promise.resolve({ success: true }),
-        credentials.schulportalEmail ? window.electron.saveCredentials({
-          service: 'bbzcloud',
-          account: 'schulportalEmail',
-          password: credentials.schulportalEmail
-        }) : Promise.resolve({ success: true }),
-        credentials.schulportalPassword ? window.electron.saveCredentials({
-          service: 'bbzcloud',
-          account: 'schulportalPassword',
-          password: credentials.schulportalPassword
-        }) : Promise.resolve({ success: true }),
-        credentials.schulcloudEncryptionPassword ? window.electron.saveCredentials({
-          service: 'bbzcloud',
-          account: 'schulcloudEncryptionPassword',
-          password: credentials.schulcloudEncryptionPassword
-        }) : Promise.resolve({ success: true }),
-      ]);
+      const results = await Promise.all(CREDENTIAL_FIELDS.map(field => (
+        credentials[field] ? window.electron.saveCredentials({
+          service: DATABASE_CONFIG.SERVICE_NAME,
+          account: field,
+          password: credentials[field],
+          profile: selectedProfile
+        }) : Promise.resolve({ success: true })
+      )));
 
       const allSuccessful = results.every(result => result.success);
       
@@ -289,6 +312,15 @@ function SettingsPanel({ onClose, onOpenShortcuts }) {
   const handleRemoveCustomApp = async (appId) => {
     try {
       await removeCustomApp(appId);
+      // Login recipe credentials belong to this app only
+      await Promise.all(['username', 'password'].map(field => window.electron.deleteCredentials({
+        service: DATABASE_CONFIG.SERVICE_NAME,
+        account: getCustomAppAccount(appId, field)
+      })));
+      await window.electron.deleteTotpSecret({
+        service: DATABASE_CONFIG.SERVICE_NAME,
+        appId: appId.toLowerCase()
+      });
       toast({
         title: 'App entfernt',
         status: 'success',
@@ -568,6 +600,60 @@ function SettingsPanel({ onClose, onOpenShortcuts }) {
           Zugangsdaten
         </Text>
         <VStack spacing={4}>
+          <FormControl>
+            <FormLabel>Profil</FormLabel>
+            {profileDraft ? (
+              <HStack>
+                <Input
+                  value={profileDraft.name}
+                  onChange={(e) => setProfileDraft(prev => ({ ...prev, name: e.target.value }))}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSaveProfile()}
+                  placeholder="z. B. Klassenkonto"
+                  autoFocus
+                />
+                <Button size="sm" colorScheme="blue" onClick={handleSaveProfile} isDisabled={!profileDraft.name.trim()}>
+                  {profileDraft.id ? 'Umbenennen' : 'Anlegen'}
+                </Button>
+                <Button size="sm" variant="ghost" onClick={() => setProfileDraft(null)}>
+                  Abbrechen
+                </Button>
+              </HStack>
+            ) : (
+              <HStack>
+                <Select value={selectedProfile} onChange={(e) => setSelectedProfile(e.target.value)}>
+                  {profiles.map(profile => (
+                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                  ))}
+                </Select>
+                <Button size="sm" flexShrink={0} onClick={() => setProfileDraft({ name: '' })}>
+                  Neues Profil
+                </Button>
+                {selectedProfile !== DATABASE_CONFIG.DEFAULT_PROFILE && (
+                  <>
+                    <Button
+                      size="sm"
+                      flexShrink={0}
+                      onClick={() => setProfileDraft({
+                        id: selectedProfile,
+                        name: profiles.find(profile => profile.id === selectedProfile)?.name || ''
+                      })}
+                    >
+                      Umbenennen
+                    </Button>
+                    <Button size="sm" flexShrink={0} colorScheme="red" variant="outline" onClick={handleDeleteProfile}>
+                      Löschen
+                    </Button>
+                  </>
+                )}
+              </HStack>
+            )}
+            <Text fontSize="sm" color="gray.500" mt={1}>
+              {selectedProfile === DATABASE_CONFIG.DEFAULT_PROFILE
+                ? 'Das Passwort des Standardprofils verschlüsselt auch Ihre lokalen Daten.'
+                : 'Weitere Profile, z. B. für ein Klassen- oder Admin-Konto. Welche App welches Profil nutzt, legen Sie unten fest.'}
+            </Text>
+          </FormControl>
+
           <FormControl>
             <FormLabel>E-Mail-Adresse</FormLabel>
             <Input
@@ -593,6 +679,11 @@ function SettingsPanel({ onClose, onOpenShortcuts }) {
                 </Button>
               </InputRightElement>
             </InputGroup>
+            {selectedProfile === DATABASE_CONFIG.DEFAULT_PROFILE && credentials.password && (
+              <Button size="sm" variant="link" mt={2} onClick={() => setShowPasswordAssistant(true)}>
+                Passwort geändert? Neues Passwort übernehmen…
+              </Button>
+            )}
           </FormControl>
 
           <FormControl>
@@ -697,11 +788,64 @@ function SettingsPanel({ onClose, onOpenShortcuts }) {
           >
             Zugangsdaten speichern
           </Button>
+
+          {profiles.length > 1 && (
+            <Box width="100%">
+              <Text fontWeight="bold" mb={2}>Profil je App</Text>
+              <VStack spacing={2} align="stretch">
+                <HStack justify="space-between">
+                  <Text fontSize="sm">Standard für alle Apps</Text>
+                  <Select
+                    size="sm"
+                    width="50%"
+                    value={settings.credentialProfiles?.defaultProfile || DATABASE_CONFIG.DEFAULT_PROFILE}
+                    onChange={(e) => updateCredentialProfiles({ defaultProfile: e.target.value })}
+                  >
+                    {profiles.map(profile => (
+                      <option key={profile.id} value={profile.id}>{profile.name}</option>
+                    ))}
+                  </Select>
+                </HStack>
+                {AUTO_LOGIN_APPS.map(app => (
+                  <HStack key={app.id} justify="space-between">
+                    <Text fontSize="sm">{app.title}</Text>
+                    <Select
+                      size="sm"
+                      width="50%"
+                      value={settings.credentialProfiles?.apps?.[app.id] || ''}
+                      onChange={(e) => handleAppProfileChange(app.id, e.target.value)}
+                    >
+                      <option value="">Wie Standard</option>
+                      {profiles.map(profile => (
+                        <option key={profile.id} value={profile.id}>{profile.name}</option>
+                      ))}
+                    </Select>
+                  </HStack>
+                ))}
+              </VStack>
+            </Box>
+          )}
         </VStack>
       </Box>
 
       <Divider />
 
+      <CredentialBackendSettings />
+
+      <Divider />
+
+      <TwoFactorSettings />
+
+      <Divider />
+
+      <LoginStatus onTestLogin={onTestLogin} />
+
+      <Divider />
+
+      <SessionSettings onSessionDataCleared={onSessionDataCleared} />
+
+      <Divider />
+
       <Box>
         <Text fontSize="lg" fontWeight="bold" mb={4}>
           Benutzerdefinierte Apps
@@ -764,6 +908,17 @@ function SettingsPanel({ onClose, onOpenShortcuts }) {
 
       <Divider />
 
+      <DatabaseBackups />
+
+      <Divider />
+
+      <DataTransfer
+        requestedAction={requestedAction}
+        onRequestedActionHandled={onRequestedActionHandled}
+      />
+
+      <Divider />
+
       <Box>
         <Text fontSize="lg" fontWeight="bold" mb={4}>
           Feedback / Problem melden
@@ -856,6 +1011,12 @@ function SettingsPanel({ onClose, onOpenShortcuts }) {
       <Button onClick={onClose} mt={4}>
         Schließen
       </Button>
+
+      <PasswordChangeAssistant
+        isOpen={showPasswordAssistant}
+        onClose={() => setShowPasswordAssistant(false)}
+        onPasswordChanged={handlePasswordChanged}
+      />
     </VStack>
   );
 }
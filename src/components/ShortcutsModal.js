@@ -95,6 +95,7 @@ const ShortcutsModal = ({ isOpen, onClose }) => {
     { keys: ['Esc'], description: 'Modal/Drawer schließen', category: 'System' },
     // Erweitert
     { keys: ['Ctrl', 'Shift', 'P'], description: 'Befehlspalette öffnen', category: 'Erweitert' },
+    { keys: ['Ctrl', 'Alt', 'A'], description: 'Aufgabe schnell hinzufügen (systemweit)', category: 'Erweitert' },
     { keys: ['Ctrl', 'F'], description: 'Suchen in WebView', category: 'Erweitert' },
   ], []);
 
@@ -31,9 +31,22 @@ import {
   ModalHeader,
   ModalFooter,
   ModalBody,
-  ModalCloseButton
+  ModalCloseButton,
+  NumberInput,
+  NumberInputField,
+  Wrap,
+  WrapItem,
+  Progress,
+  InputGroup,
+  InputLeftElement,
+  InputRightElement,
+  Tag,
+  TagLabel,
+  Radio,
+  RadioGroup,
+  Stack
 } from '@chakra-ui/react';
-import { AddIcon, DeleteIcon, EditIcon, TimeIcon, ChevronDownIcon, DragHandleIcon } from '@chakra-ui/icons';
+import { AddIcon, DeleteIcon, EditIcon, TimeIcon, ChevronDownIcon, ChevronRightIcon, DragHandleIcon, CalendarIcon, CloseIcon, SearchIcon } from '@chakra-ui/icons';
 import {
   DndContext,
   closestCenter,
@@ -56,6 +69,21 @@ import { registerLocale } from 'react-datepicker';
 import de from 'date-fns/locale/de';
 import "react-datepicker/dist/react-datepicker.css";
 import { css } from '@emotion/react';
+import {
+  PRIORITIES,
+  WEEKDAYS,
+  createNextInstance,
+  describeRecurrence,
+  isOverdue
+} from '../utils/todoRecurrence';
+import {
+  SMART_VIEWS,
+  TODAY_VIEW_ID,
+  isSmartView,
+  filterTodosForView,
+  extractTags,
+  collectTags
+} from '../utils/todoViews';
 
 const datePickerStyles = css`
   .react-datepicker {
@@ -198,8 +226,149 @@ const DragHandle = React.forwardRef(({ listeners, attributes }, ref) => (
   />
 ));
 
+const formatDueDate = (dueDate) => new Date(dueDate).toLocaleDateString('de-DE', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric'
+});
+
+// Due date, priority and recurrence editor shown in the item's popover
+const TodoDetailsForm = ({ todo, onUpdateDetails }) => {
+  const recurrence = todo.recurrence || null;
+  const dueDate = todo.dueDate ? new Date(todo.dueDate) : null;
+
+  const handleRecurrenceTypeChange = (type) => {
+    if (!type) {
+      onUpdateDetails(todo, { recurrence: null });
+      return;
+    }
+    const base = dueDate || new Date();
+    const rule = { type };
+    if (type === 'weekly') rule.weekdays = [base.getDay()];
+    if (type === 'monthly') rule.dayOfMonth = base.getDate();
+    if (type === 'interval') rule.interval = 2;
+    // Recurring todos need an anchor date to count from
+    onUpdateDetails(todo, {
+      recurrence: rule,
+      ...(dueDate ? {} : { dueDate: new Date(new Date().setHours(0, 0, 0, 0)).toISOString() })
+    });
+  };
+
+  const toggleWeekday = (day) => {
+    const current = recurrence.weekdays || [];
+    const weekdays = current.includes(day)
+      ? current.filter(d => d !== day)
+      : [...current, day];
+    if (weekdays.length === 0) return;
+    onUpdateDetails(todo, { recurrence: { ...recurrence, weekdays } });
+  };
+
+  return (
+    <VStack spacing={3} align="stretch">
+      <FormControl>
+        <FormLabel>Fällig am</FormLabel>
+        <Box css={datePickerStyles}>
+          <HStack spacing={2}>
+            <DatePicker
+              selected={dueDate}
+              onChange={(date) => {
+                if (!date) return;
+                date.setHours(0, 0, 0, 0);
+                onUpdateDetails(todo, {
+                  dueDate: date.toISOString(),
+                  ...(recurrence?.type === 'monthly' ? { recurrence: { ...recurrence, dayOfMonth: date.getDate() } } : {})
+                });
+              }}
+              dateFormat="dd.MM.yyyy"
+              locale="de"
+              placeholderText="Kein Fälligkeitsdatum"
+              customInput={<Input size="sm" />}
+            />
+            {dueDate && !recurrence && (
+              <Button size="sm" variant="ghost" onClick={() => onUpdateDetails(todo, { dueDate: null })}>
+                Entfernen
+              </Button>
+            )}
+          </HStack>
+        </Box>
+      </FormControl>
+
+      <FormControl>
+        <FormLabel>Priorität</FormLabel>
+        <Select
+          size="sm"
+          value={todo.priority || 0}
+          onChange={(e) => onUpdateDetails(todo, { priority: Number(e.target.value) })}
+        >
+          {PRIORITIES.map(priority => (
+            <option key={priority.value} value={priority.value}>{priority.label}</option>
+          ))}
+        </Select>
+      </FormControl>
+
+      <FormControl>
+        <FormLabel>Wiederholen</FormLabel>
+        <Select
+          size="sm"
+          value={recurrence?.type || ''}
+          onChange={(e) => handleRecurrenceTypeChange(e.target.value)}
+        >
+          <option value="">Nie</option>
+          <option value="daily">Täglich</option>
+          <option value="weekly">Wöchentlich</option>
+          <option value="monthly">Monatlich</option>
+          <option value="interval">Alle N Tage</option>
+        </Select>
+      </FormControl>
+
+      {recurrence?.type === 'weekly' && (
+        <Wrap spacing={2}>
+          {WEEKDAYS.map(day => (
+            <WrapItem key={day.value}>
+              <Checkbox
+                size="sm"
+                isChecked={recurrence.weekdays?.includes(day.value)}
+                onChange={() => toggleWeekday(day.value)}
+              >
+                {day.label}
+              </Checkbox>
+            </WrapItem>
+          ))}
+        </Wrap>
+      )}
+
+      {recurrence?.type === 'interval' && (
+        <HStack>
+          <Text fontSize="sm">Alle</Text>
+          <NumberInput
+            size="sm"
+            maxW="80px"
+            min={1}
+            max={365}
+            value={recurrence.interval || 1}
+            onChange={(_, value) => {
+              if (!Number.isNaN(value) && value >= 1) {
+                onUpdateDetails(todo, { recurrence: { ...recurrence, interval: value } });
+              }
+            }}
+          >
+            <NumberInputField />
+          </NumberInput>
+          <Text fontSize="sm">Tage</Text>
+        </HStack>
+      )}
+    </VStack>
+  );
+};
+
 // Sortable todo item component
-const TodoItem = ({ todo, todoState, onEdit, onToggle, onDelete, onSetReminder, onMove, editingTodo, handleUpdateTodo, setEditingTodo, dragHandle }) => {
+const TodoItem = ({ todo, todoState, isCrossFolder, activeTag, onTagClick, onEdit, onToggle, onDelete, onSetReminder, onUpdateDetails, onUpdateSubtasks, onMove, editingTodo, handleUpdateTodo, setEditingTodo, dragHandle }) => {
+  const [showSubtasks, setShowSubtasks] = useState(false);
+  const priority = PRIORITIES.find(p => p.value === (todo.priority || 0));
+  const subtasks = todo.subtasks || [];
+  const completedSubtasks = subtasks.filter(subtask => subtask.completed).length;
+  const tags = extractTags(todo.text);
+
   return (
     <Box
       p={2}
@@ -228,7 +397,7 @@ const TodoItem = ({ todo, todoState, onEdit, onToggle, onDelete, onSetReminder,
       ) : (
         <HStack justify="space-between" align="center" width="100%" spacing={4}>
           <HStack align="start" flex={1} spacing={3}>
-            {todoState.sortType === 'manual' && dragHandle}
+            {todoState.sortType === 'manual' && !isCrossFolder && dragHandle}
             <Checkbox
               isChecked={todo.completed}
               onChange={() => onToggle(todo.id)}
@@ -247,9 +416,65 @@ const TodoItem = ({ todo, todoState, onEdit, onToggle, onDelete, onSetReminder,
                   })}
                 </Badge>
               )}
+              {subtasks.length > 0 && (
+                <HStack spacing={2} mt={1} maxW="240px">
+                  <Progress
+                    value={(completedSubtasks / subtasks.length) * 100}
+                    size="sm"
+                    colorScheme={completedSubtasks === subtasks.length ? 'green' : 'blue'}
+                    borderRadius="md"
+                    flex={1}
+                  />
+                  <Text fontSize="xs" color="gray.500" whiteSpace="nowrap">
+                    {completedSubtasks}/{subtasks.length}
+                  </Text>
+                </HStack>
+              )}
+              <HStack spacing={1} mt={1} wrap="wrap">
+                {isCrossFolder && (
+                  <Badge variant="outline">
+                    {todo.folder === 'Default' ? 'Standard' : todo.folder}
+                  </Badge>
+                )}
+                {todo.dueDate && (
+                  <Badge colorScheme={isOverdue(todo) ? 'red' : 'blue'}>
+                    Fällig: {formatDueDate(todo.dueDate)}
+                  </Badge>
+                )}
+                {priority && priority.value > 0 && (
+                  <Badge colorScheme={priority.colorScheme}>
+                    Priorität: {priority.label}
+                  </Badge>
+                )}
+                {todo.recurrence && (
+                  <Badge colorScheme="teal">
+                    🔁 {describeRecurrence(todo.recurrence)}
+                  </Badge>
+                )}
+                {tags.map(tag => (
+                  <Tag
+                    key={tag}
+                    size="sm"
+                    colorScheme="cyan"
+                    variant={activeTag === tag ? 'solid' : 'subtle'}
+                    cursor="pointer"
+                    onClick={() => onTagClick(tag)}
+                  >
+                    #{tag}
+                  </Tag>
+                ))}
+              </HStack>
             </Box>
           </HStack>
           <HStack spacing={2}>
+            <IconButton
+              icon={showSubtasks ? <ChevronDownIcon /> : <ChevronRightIcon />}
+              onClick={() => setShowSubtasks(prev => !prev)}
+              size="xs"
+              variant={subtasks.length > 0 ? 'solid' : 'ghost'}
+              aria-label="Teilaufgaben"
+              title="Teilaufgaben"
+            />
             <Menu>
               <MenuButton
                 as={IconButton}
@@ -269,6 +494,20 @@ const TodoItem = ({ todo, todoState, onEdit, onToggle, onDelete, onSetReminder,
                 ))}
               </MenuList>
             </Menu>
+            <Popover>
+              <PopoverTrigger>
+                <IconButton
+                  icon={<CalendarIcon />}
+                  size="xs"
+                  aria-label="Fälligkeit und Wiederholung"
+                />
+              </PopoverTrigger>
+              <PopoverContent p={4} width="300px">
+                <PopoverBody>
+                  <TodoDetailsForm todo={todo} onUpdateDetails={onUpdateDetails} />
+                </PopoverBody>
+              </PopoverContent>
+            </Popover>
             <Popover>
               <PopoverTrigger>
                 <IconButton
@@ -335,6 +574,12 @@ const TodoItem = ({ todo, todoState, onEdit, onToggle, onDelete, onSetReminder,
           </HStack>
         </HStack>
       )}
+      {showSubtasks && editingTodo?.id !== todo.id && (
+        <SubtaskList
+          subtasks={subtasks}
+          onChange={(updated) => onUpdateSubtasks(todo, updated)}
+        />
+      )}
     </Box>
   );
 };
@@ -380,6 +625,94 @@ const SortableItem = ({ id, children }) => {
   );
 };
 
+// Checklist below a todo. Uses its own DndContext so dragging a subtask
+// never reorders the parent list.
+const SubtaskList = ({ subtasks, onChange }) => {
+  const [newSubtaskText, setNewSubtaskText] = useState('');
+  const sensors = useSensors(
+    useSensor(PointerSensor),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: sortableKeyboardCoordinates,
+    })
+  );
+
+  const handleAddSubtask = () => {
+    const trimmedText = newSubtaskText.trim();
+    if (!trimmedText) return;
+    onChange([...subtasks, { id: crypto.randomUUID(), text: trimmedText, completed: false }]);
+    setNewSubtaskText('');
+  };
+
+  const handleDragEnd = ({ active, over }) => {
+    if (!over || active.id === over.id) return;
+    const oldIndex = subtasks.findIndex(subtask => String(subtask.id) === active.id);
+    const newIndex = subtasks.findIndex(subtask => String(subtask.id) === over.id);
+    onChange(arrayMove(subtasks, oldIndex, newIndex));
+  };
+
+  return (
+    <VStack spacing={1} align="stretch" mt={2} pl={8}>
+      <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
+        <SortableContext
+          items={subtasks.map(subtask => String(subtask.id))}
+          strategy={verticalListSortingStrategy}
+        >
+          {subtasks.map(subtask => (
+            <SortableItem key={subtask.id} id={subtask.id}>
+              {({ dragHandle }) => (
+                <HStack spacing={2}>
+                  {dragHandle}
+                  <Checkbox
+                    isChecked={subtask.completed}
+                    onChange={() => onChange(subtasks.map(s =>
+                      s.id === subtask.id ? { ...s, completed: !s.completed } : s
+                    ))}
+                  />
+                  <Text
+                    flex={1}
+                    fontSize="sm"
+                    wordBreak="break-word"
+                    textDecoration={subtask.completed ? 'line-through' : 'none'}
+                    color={subtask.completed ? 'gray.500' : undefined}
+                  >
+                    {subtask.text}
+                  </Text>
+                  <IconButton
+                    icon={<CloseIcon />}
+                    onClick={() => onChange(subtasks.filter(s => s.id !== subtask.id))}
+                    size="xs"
+                    variant="ghost"
+                    aria-label="Teilaufgabe löschen"
+                  />
+                </HStack>
+              )}
+            </SortableItem>
+          ))}
+        </SortableContext>
+      </DndContext>
+      <HStack spacing={2}>
+        <Input
+          size="sm"
+          placeholder="Teilaufgabe hinzufügen..."
+          value={newSubtaskText}
+          onChange={(e) => setNewSubtaskText(e.target.value)}
+          onKeyPress={(e) => {
+            if (e.key === 'Enter') {
+              handleAddSubtask();
+            }
+          }}
+        />
+        <IconButton
+          icon={<AddIcon />}
+          onClick={handleAddSubtask}
+          size="sm"
+          aria-label="Teilaufgabe hinzufügen"
+        />
+      </HStack>
+    </VStack>
+  );
+};
+
 const DeleteConfirmationModal = ({ isOpen, onClose, onConfirm, isCompleted }) => {
   return (
     <Modal isOpen={isOpen} onClose={onClose}>
@@ -405,6 +738,87 @@ const DeleteConfirmationModal = ({ isOpen, onClose, onConfirm, isCompleted }) =>
   );
 };
 
+const CalendarExportModal = ({ isOpen, onClose, onExport }) => {
+  const [component, setComponent] = useState('vevent');
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>Als Kalender exportieren</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <Text fontSize="sm">
+              Alle offenen Aufgaben mit Fälligkeit oder Erinnerung werden als .ics-Datei
+              gespeichert. Erinnerungen werden als Kalender-Alarm übernommen.
+            </Text>
+            <RadioGroup value={component} onChange={setComponent}>
+              <Stack>
+                <Radio value="vevent">Als Termine (empfohlen für Outlook)</Radio>
+                <Radio value="vtodo">Als Aufgaben</Radio>
+              </Stack>
+            </RadioGroup>
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button colorScheme="blue" mr={3} onClick={() => onExport(component)}>
+            Exportieren
+          </Button>
+          <Button variant="ghost" onClick={onClose}>
+            Abbrechen
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+const CalendarImportModal = ({ importData, folders, defaultFolder, onClose, onImport }) => {
+  const [folder, setFolder] = useState(defaultFolder);
+
+  useEffect(() => {
+    setFolder(defaultFolder);
+  }, [defaultFolder, importData]);
+
+  const items = importData?.items || [];
+  const withReminder = items.filter(item => item.reminder).length;
+
+  return (
+    <Modal isOpen={Boolean(importData)} onClose={onClose}>
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>Kalender importieren</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <Text fontSize="sm">
+              {importData?.fileName}: {items.length} Eintr{items.length === 1 ? 'ag' : 'äge'}
+              {withReminder > 0 ? `, davon ${withReminder} mit Erinnerung` : ''}
+            </Text>
+            <FormControl>
+              <FormLabel>Zielordner</FormLabel>
+              <Select value={folder} onChange={(e) => setFolder(e.target.value)}>
+                {folders.map(f => (
+                  <option key={f} value={f}>{f === 'Default' ? 'Standard' : f}</option>
+                ))}
+              </Select>
+            </FormControl>
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button colorScheme="blue" mr={3} onClick={() => onImport(folder)} isDisabled={items.length === 0}>
+            Importieren
+          </Button>
+          <Button variant="ghost" onClick={onClose}>
+            Abbrechen
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
 const DeleteFolderModal = ({ isOpen, onClose, onConfirm, folderName, todoCount }) => {
   return (
     <Modal isOpen={isOpen} onClose={onClose}>
@@ -430,7 +844,7 @@ const DeleteFolderModal = ({ isOpen, onClose, onConfirm, folderName, todoCount }
   );
 };
 
-const TodoList = ({ isVisible, onReminderCountChange }) => {
+const TodoList = ({ isVisible, onReminderCountChange, quickAddRequest, onQuickAddHandled }) => {
   const [todoState, setTodoState] = useState({
     todos: [],
     folders: ['Default'],
@@ -442,6 +856,11 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
   const [editingTodo, setEditingTodo] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResultIds, setSearchResultIds] = useState(null);
+  const [activeTag, setActiveTag] = useState(null);
+  const [isCalendarExportOpen, setIsCalendarExportOpen] = useState(false);
+  const [calendarImport, setCalendarImport] = useState(null);
   const inputRef = useRef(null);
   const toast = useToast();
 
@@ -502,6 +921,36 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
     }
   }, [todoState, isLoading, toast]);
 
+  // Full-text search across all folders (FTS index in the main process).
+  // Runs after the debounced save so freshly added todos are found too.
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResultIds(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      const result = await window.electron.searchTodos(query);
+      if (cancelled) return;
+      if (result.success) {
+        setSearchResultIds(result.ids);
+      } else {
+        console.error('Error searching todos:', result.error);
+        const needle = query.toLowerCase();
+        setSearchResultIds(todoState.todos
+          .filter(todo => todo.text.toLowerCase().includes(needle))
+          .map(todo => String(todo.id)));
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [searchQuery, todoState.todos]);
+
   // Calculate and notify parent of active reminders count
   useEffect(() => {
     if (!isLoading) {
@@ -513,7 +962,8 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
     }
   }, [todoState.todos, isLoading, onReminderCountChange]);
 
-  const handleAddTodo = useCallback((text = inputValue) => {
+  // `options` comes from the quick-add overlay: { folder, reminder (ISO) }
+  const handleAddTodo = useCallback((text = inputValue, options = {}) => {
     const trimmedText = text.trim();
     if (!trimmedText) {
       toast({
@@ -526,30 +976,68 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
       return;
     }
 
+    // Smart views are not folders: new todos land in the default folder,
+    // in the "Heute" view they are due today so they stay visible
+    const inSmartView = isSmartView(todoState.selectedFolder);
     const newTodo = {
       id: crypto.randomUUID(),
       text: trimmedText,
       completed: false,
-      folder: todoState.selectedFolder,
+      completedAt: null,
+      folder: options.folder || (inSmartView ? 'Default' : todoState.selectedFolder),
       createdAt: new Date().toISOString(),
-      reminder: null
+      reminder: options.reminder || null,
+      dueDate: todoState.selectedFolder === TODAY_VIEW_ID
+        ? new Date(new Date().setHours(0, 0, 0, 0)).toISOString()
+        : null,
+      priority: 0,
+      recurrence: null,
+      subtasks: []
     };
 
     setTodoState(prev => ({
       ...prev,
       todos: [...prev.todos, newTodo]
     }));
-    setInputValue('');
+    if (text === inputValue) {
+      setInputValue('');
+    }
+
+    if (newTodo.reminder) {
+      window.electron.scheduleNotification({
+        title: 'Aufgaben-Erinnerung',
+        body: newTodo.text,
+        when: new Date(newTodo.reminder).getTime()
+      });
+    }
 
     toast({
       title: 'Aufgabe hinzugefügt',
-      description: 'Die neue Aufgabe wurde erfolgreich hinzugefügt.',
+      description: newTodo.reminder
+        ? `Erinnerung am ${new Date(newTodo.reminder).toLocaleString('de-DE', {
+          day: '2-digit',
+          month: '2-digit',
+          year: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit'
+        })}`
+        : 'Die neue Aufgabe wurde erfolgreich hinzugefügt.',
       status: 'success',
       duration: 2000,
       isClosable: true,
     });
   }, [inputValue, todoState.selectedFolder, toast]);
 
+  // Quick-add from the overlay: wait until the todos are loaded, otherwise
+  // the next save would replace the stored list with just this one todo
+  useEffect(() => {
+    if (!quickAddRequest || isLoading || error) return;
+    const folder = todoState.folders.includes(quickAddRequest.folder) ? quickAddRequest.folder : null;
+    handleAddTodo(quickAddRequest.text, { folder, reminder: quickAddRequest.reminder });
+    onQuickAddHandled?.();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [quickAddRequest, isLoading, error]);
+
   const handleAddFolder = () => {
     const trimmedName = newFolderName.trim();
     
@@ -695,13 +1183,48 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
     if (!todo) return;
 
     const newCompleted = !todo.completed;
+
+    // Completing a recurring todo spawns its next occurrence. The rule moves
+    // to the new instance so re-opening and completing the old one again
+    // does not create duplicates.
+    const nextInstance = newCompleted && todo.recurrence ? createNextInstance(todo) : null;
+
     setTodoState(prev => ({
       ...prev,
-      todos: prev.todos.map(t => 
-        t.id === id ? { ...t, completed: newCompleted } : t
-      )
+      todos: [
+        ...prev.todos.map(t =>
+          t.id === id
+            ? {
+              ...t,
+              completed: newCompleted,
+              completedAt: newCompleted ? new Date().toISOString() : null,
+              ...(nextInstance ? { recurrence: null } : {})
+            }
+            : t
+        ),
+        ...(nextInstance ? [nextInstance] : [])
+      ]
     }));
 
+    if (nextInstance) {
+      if (nextInstance.reminder && new Date(nextInstance.reminder).getTime() > Date.now()) {
+        window.electron.scheduleNotification({
+          title: 'Aufgaben-Erinnerung',
+          body: nextInstance.text,
+          when: new Date(nextInstance.reminder).getTime()
+        });
+      }
+
+      toast({
+        title: 'Aufgabe erledigt',
+        description: `Nächste Wiederholung am ${formatDueDate(nextInstance.dueDate)}.`,
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+      return;
+    }
+
     toast({
       title: newCompleted ? 'Aufgabe erledigt' : 'Aufgabe wieder offen',
       description: newCompleted 
@@ -831,9 +1354,124 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
     });
   };
 
+  const handleExportCalendar = async (component) => {
+    const result = await window.electron.exportTodosIcs({
+      todos: todoState.todos.filter(todo => !todo.completed),
+      component
+    });
+    if (result.success) {
+      setIsCalendarExportOpen(false);
+      toast({
+        title: 'Kalender exportiert',
+        description: `${result.count} Aufgabe${result.count === 1 ? '' : 'n'} gespeichert in ${result.path}`,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } else if (result.error) {
+      toast({
+        title: 'Fehler beim Exportieren',
+        description: result.error,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  };
+
+  const handleChooseCalendarImport = async () => {
+    const result = await window.electron.importTodosIcs();
+    if (result.success) {
+      setCalendarImport(result);
+    } else if (result.error) {
+      toast({
+        title: 'Fehler beim Importieren',
+        description: result.error,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  };
+
+  const handleImportCalendar = async (folder) => {
+    const now = Date.now();
+    const importedTodos = calendarImport.items.map(item => ({
+      id: crypto.randomUUID(),
+      text: item.text,
+      completed: item.completed,
+      completedAt: item.completed ? new Date().toISOString() : null,
+      folder,
+      createdAt: new Date().toISOString(),
+      reminder: item.reminder,
+      dueDate: item.dueDate,
+      priority: item.priority || 0,
+      recurrence: item.recurrence,
+      subtasks: []
+    }));
+
+    setTodoState(prev => ({
+      ...prev,
+      todos: [...prev.todos, ...importedTodos]
+    }));
+    setCalendarImport(null);
+
+    // Same scheduling as handleSetReminder, for reminders still ahead
+    const upcoming = importedTodos.filter(todo =>
+      !todo.completed && todo.reminder && new Date(todo.reminder).getTime() > now
+    );
+    for (const todo of upcoming) {
+      await window.electron.scheduleNotification({
+        title: 'Aufgaben-Erinnerung',
+        body: todo.text,
+        when: new Date(todo.reminder).getTime()
+      });
+    }
+
+    toast({
+      title: 'Kalender importiert',
+      description: `${importedTodos.length} Aufgabe${importedTodos.length === 1 ? '' : 'n'} in "${folder === 'Default' ? 'Standard' : folder}" angelegt, ${upcoming.length} Erinnerung${upcoming.length === 1 ? '' : 'en'} geplant.`,
+      status: 'success',
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  const handleUpdateDetails = (todo, changes) => {
+    setTodoState(prev => ({
+      ...prev,
+      todos: prev.todos.map(t =>
+        t.id === todo.id ? { ...t, ...changes } : t
+      )
+    }));
+  };
+
+  const handleUpdateSubtasks = (todo, subtasks) => {
+    setTodoState(prev => ({
+      ...prev,
+      todos: prev.todos.map(t =>
+        t.id === todo.id ? { ...t, subtasks } : t
+      )
+    }));
+  };
+
   const visibleTodos = useMemo(() => {
-    const filteredTodos = todoState.todos.filter(todo => todo.folder === todoState.selectedFolder);
-    
+    let filteredTodos;
+    if (searchResultIds || activeTag) {
+      // Search and tag filter look across all folders
+      filteredTodos = todoState.todos;
+      if (searchResultIds) {
+        // Keep the ranking of the search index
+        const byId = new Map(filteredTodos.map(todo => [String(todo.id), todo]));
+        filteredTodos = searchResultIds.map(id => byId.get(id)).filter(Boolean);
+      }
+      if (activeTag) {
+        filteredTodos = filteredTodos.filter(todo => extractTags(todo.text).includes(activeTag));
+      }
+    } else {
+      filteredTodos = filterTodosForView(todoState.todos, todoState.selectedFolder);
+    }
+
     switch (todoState.sortType) {
       case 'date':
         return [...filteredTodos].sort((a, b) => 
@@ -843,10 +1481,37 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
         return [...filteredTodos].sort((a, b) => 
           Number(a.completed) - Number(b.completed)
         );
+      case 'due':
+        // Todos without due date go last
+        return [...filteredTodos].sort((a, b) => {
+          if (!a.dueDate) return b.dueDate ? 1 : 0;
+          if (!b.dueDate) return -1;
+          return new Date(a.dueDate) - new Date(b.dueDate);
+        });
+      case 'priority':
+        return [...filteredTodos].sort((a, b) =>
+          (b.priority || 0) - (a.priority || 0)
+        );
       default:
         return filteredTodos;
     }
-  }, [todoState]);
+  }, [todoState, searchResultIds, activeTag]);
+
+  const isFiltered = Boolean(searchResultIds || activeTag);
+  const isCrossFolder = isFiltered || isSmartView(todoState.selectedFolder);
+
+  const allTags = useMemo(() => collectTags(todoState.todos), [todoState.todos]);
+
+  const handleTagClick = (tag) => {
+    setActiveTag(prev => (prev === tag ? null : tag));
+  };
+
+  const smartViewCounts = useMemo(() => (
+    SMART_VIEWS.reduce((acc, view) => ({
+      ...acc,
+      [view.id]: filterTodosForView(todoState.todos, view.id).length
+    }), {})
+  ), [todoState.todos]);
 
   const sensors = useSensors(
     useSensor(PointerSensor),
@@ -858,7 +1523,8 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
   const handleDragEnd = (event) => {
     const { active, over } = event;
     
-    if (!over || todoState.sortType !== 'manual') return;
+    // Smart views and search results mix folders, manual order only exists per folder
+    if (!over || todoState.sortType !== 'manual' || isCrossFolder) return;
 
     if (active.id !== over.id) {
       const allTodos = [...todoState.todos];
@@ -928,7 +1594,83 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
         folderName={deleteFolderModal.folderName}
         todoCount={deleteFolderModal.todoCount}
       />
+      <CalendarExportModal
+        isOpen={isCalendarExportOpen}
+        onClose={() => setIsCalendarExportOpen(false)}
+        onExport={handleExportCalendar}
+      />
+      <CalendarImportModal
+        importData={calendarImport}
+        folders={todoState.folders}
+        defaultFolder={isSmartView(todoState.selectedFolder) ? 'Default' : todoState.selectedFolder}
+        onClose={() => setCalendarImport(null)}
+        onImport={handleImportCalendar}
+      />
       <VStack spacing={4} align="stretch">
+        {/* Search and tag filter */}
+        <VStack spacing={2} align="stretch">
+          <InputGroup>
+            <InputLeftElement pointerEvents="none">
+              <SearchIcon color="gray.400" />
+            </InputLeftElement>
+            <Input
+              placeholder="Alle Aufgaben durchsuchen..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Escape') {
+                  setSearchQuery('');
+                }
+              }}
+            />
+            {searchQuery && (
+              <InputRightElement>
+                <IconButton
+                  icon={<CloseIcon />}
+                  size="xs"
+                  variant="ghost"
+                  onClick={() => setSearchQuery('')}
+                  aria-label="Suche zurücksetzen"
+                />
+              </InputRightElement>
+            )}
+          </InputGroup>
+          {allTags.length > 0 && (
+            <Wrap spacing={2}>
+              {allTags.map(({ tag, count }) => (
+                <WrapItem key={tag}>
+                  <Tag
+                    size="sm"
+                    colorScheme="cyan"
+                    variant={activeTag === tag ? 'solid' : 'subtle'}
+                    cursor="pointer"
+                    onClick={() => handleTagClick(tag)}
+                  >
+                    <TagLabel>#{tag} ({count})</TagLabel>
+                  </Tag>
+                </WrapItem>
+              ))}
+            </Wrap>
+          )}
+          {isFiltered && (
+            <HStack justify="space-between">
+              <Text fontSize="sm" color="gray.500">
+                {visibleTodos.length} Treffer in allen Ordnern
+              </Text>
+              <Button
+                size="xs"
+                variant="ghost"
+                onClick={() => {
+                  setSearchQuery('');
+                  setActiveTag(null);
+                }}
+              >
+                Filter zurücksetzen
+              </Button>
+            </HStack>
+          )}
+        </VStack>
+
         {/* Folder Management */}
         <HStack spacing={4}>
           <Select 
@@ -936,9 +1678,18 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
             onChange={(e) => setTodoState(prev => ({ ...prev, selectedFolder: e.target.value }))}
             flex={1}
           >
-            {todoState.folders.map(folder => (
-              <option key={folder} value={folder}>{folder === 'Default' ? 'Standard' : folder}</option>
-            ))}
+            <optgroup label="Ansichten">
+              {SMART_VIEWS.map(view => (
+                <option key={view.id} value={view.id}>
+                  {view.label} ({smartViewCounts[view.id]})
+                </option>
+              ))}
+            </optgroup>
+            <optgroup label="Ordner">
+              {todoState.folders.map(folder => (
+                <option key={folder} value={folder}>{folder === 'Default' ? 'Standard' : folder}</option>
+              ))}
+            </optgroup>
           </Select>
           <Menu closeOnSelect={false}>
             <MenuButton as={Button} rightIcon={<ChevronDownIcon />} minW="120px">
@@ -981,6 +1732,12 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
                   </HStack>
                 </MenuItem>
               ))}
+              <MenuItem icon={<CalendarIcon />} onClick={() => setIsCalendarExportOpen(true)}>
+                Als Kalender exportieren (.ics)
+              </MenuItem>
+              <MenuItem icon={<CalendarIcon />} onClick={handleChooseCalendarImport}>
+                Kalender importieren (.ics)
+              </MenuItem>
             </MenuList>
           </Menu>
         </HStack>
@@ -995,6 +1752,8 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
               description: `Die Aufgaben werden jetzt ${
                 e.target.value === 'manual' ? 'manuell' :
                 e.target.value === 'date' ? 'nach Datum' :
+                e.target.value === 'due' ? 'nach Fälligkeit' :
+                e.target.value === 'priority' ? 'nach Priorität' :
                 'nach Status'
               } sortiert.`,
               status: 'info',
@@ -1005,6 +1764,8 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
         >
           <option value="manual">Manuelle Sortierung</option>
           <option value="date">Sortierung nach Datum</option>
+          <option value="due">Sortierung nach Fälligkeit</option>
+          <option value="priority">Sortierung nach Priorität</option>
           <option value="completed">Sortierung nach offen/abgeschlossen</option>
         </Select>
 
@@ -1046,10 +1807,15 @@ const TodoList = ({ isVisible, onReminderCountChange }) => {
                     <TodoItem
                       todo={todo}
                       todoState={todoState}
+                      isCrossFolder={isCrossFolder}
+                      activeTag={activeTag}
+                      onTagClick={handleTagClick}
                       onEdit={handleEditTodo}
                       onToggle={handleToggleTodo}
                       onDelete={handleDeleteTodo}
                       onSetReminder={handleSetReminder}
+                      onUpdateDetails={handleUpdateDetails}
+                      onUpdateSubtasks={handleUpdateSubtasks}
                       onMove={(todo, targetFolder) => {
                         if (targetFolder !== todo.folder) {
                           setTodoState(prev => ({
@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import {
+  Box,
+  VStack,
+  HStack,
+  Text,
+  Button,
+  IconButton,
+  Input,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Select,
+  useToast,
+} from '@chakra-ui/react';
+import { useSettings } from '../context/SettingsContext';
+import { DATABASE_CONFIG, AUTO_LOGIN_APPS } from '../utils/constants';
+import { readQrCodeFromImage } from '../utils/twoFactor';
+
+function TwoFactorSettings() {
+  const { settings } = useSettings();
+  const [configuredApps, setConfiguredApps] = useState([]);
+  const [appId, setAppId] = useState('');
+  const [secret, setSecret] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const fileInputRef = useRef(null);
+  const toast = useToast();
+
+  // Standard apps with auto-login plus the custom apps (their webview ids are lowercase)
+  const apps = useMemo(() => [
+    ...AUTO_LOGIN_APPS,
+    ...(settings.customApps || []).map(app => ({ id: app.id.toLowerCase(), title: app.title })),
+  ], [settings.customApps]);
+
+  const getAppTitle = (id) => apps.find(app => app.id === id)?.title || id;
+
+  const loadConfiguredApps = useCallback(async () => {
+    if (!window.electron?.listTotpSecrets) return;
+    const result = await window.electron.listTotpSecrets({ service: DATABASE_CONFIG.SERVICE_NAME });
+    if (result.success) {
+      setConfiguredApps(result.apps);
+    } else {
+      console.error('Error loading TOTP secrets:', result.error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadConfiguredApps();
+  }, [loadConfiguredApps]);
+
+  const availableApps = apps.filter(app => !configuredApps.some(configured => configured.appId === app.id));
+
+  const handleQrFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const content = await readQrCodeFromImage(file);
+      if (!content) {
+        throw new Error('Im Bild wurde kein QR-Code gefunden.');
+      }
+      setSecret(content);
+    } catch (error) {
+      toast({
+        title: 'QR-Code nicht lesbar',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+      });
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await window.electron.saveTotpSecret({
+        service: DATABASE_CONFIG.SERVICE_NAME,
+        appId,
+        secret,
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setAppId('');
+      setSecret('');
+      await loadConfiguredApps();
+      toast({
+        title: 'Zwei-Faktor-Schlüssel gespeichert',
+        description: `Codes für ${getAppTitle(result.app.appId)} werden bei der Anmeldung automatisch eingetragen.`,
+        status: 'success',
+        duration: 3000,
+      });
+    } catch (error) {
+      toast({
+        title: 'Fehler beim Speichern',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async (id) => {
+    const result = await window.electron.deleteTotpSecret({
+      service: DATABASE_CONFIG.SERVICE_NAME,
+      appId: id,
+    });
+    if (result.success) {
+      await loadConfiguredApps();
+    } else {
+      toast({
+        title: 'Fehler beim Entfernen',
+        description: result.error,
+        status: 'error',
+        duration: 5000,
+      });
+    }
+  };
+
+  return (
+    <Box>
+      <Text fontSize="lg" fontWeight="bold" mb={4}>
+        Zwei-Faktor-Anmeldung (TOTP)
+      </Text>
+      <VStack spacing={4} align="stretch">
+        <Text fontSize="sm" color="gray.500">
+          Fragt eine App nach einem Bestätigungscode, wird er aus dem hinterlegten Schlüssel erzeugt
+          und eingetragen. Den aktuellen Code gibt es auch in der Befehlspalette zum Kopieren.
+        </Text>
+
+        {configuredApps.map(app => (
+          <HStack key={app.appId} justify="space-between">
+            <Box>
+              <Text>{getAppTitle(app.appId)}</Text>
+              {app.label && <Text fontSize="xs" color="gray.500">{app.label}</Text>}
+            </Box>
+            <IconButton
+              aria-label="Schlüssel entfernen"
+              icon={<span>🗑️</span>}
+              size="sm"
+              onClick={() => handleRemove(app.appId)}
+            />
+          </HStack>
+        ))}
+
+        <FormControl>
+          <FormLabel>App</FormLabel>
+          <Select value={appId} onChange={(e) => setAppId(e.target.value)} placeholder="App auswählen">
+            {availableApps.map(app => (
+              <option key={app.id} value={app.id}>{app.title}</option>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl>
+          <FormLabel>Geheimer Schlüssel</FormLabel>
+          <HStack>
+            <Input
+              type="password"
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              placeholder="Schlüssel oder otpauth://-Link"
+              autoComplete="off"
+            />
+            <Button onClick={() => fileInputRef.current?.click()} flexShrink={0}>
+              QR-Bild laden
+            </Button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              style={{ display: 'none' }}
+              onChange={handleQrFile}
+            />
+          </HStack>
+          <FormHelperText>
+            Steht bei der Einrichtung der Zwei-Faktor-Anmeldung unter dem QR-Code
+            (z. B. „Code kann nicht gescannt werden?“).
+          </FormHelperText>
+        </FormControl>
+
+        <Button
+          colorScheme="blue"
+          onClick={handleSave}
+          isLoading={isSaving}
+          isDisabled={!appId || !secret.trim()}
+        >
+          Schlüssel speichern
+        </Button>
+      </VStack>
+    </Box>
+  );
+}
+
+export default TwoFactorSettings;
@@ -13,7 +13,23 @@ import {
   Button,
 } from '@chakra-ui/react';
 import { useSettings } from '../context/SettingsContext';
+import { DATABASE_CONFIG, AUTO_LOGIN_APPS } from '../utils/constants';
 import { useViewBoundsBinding } from '../hooks/useWebContentsView';
+import {
+  BUILTIN_LOGIN_RECIPES,
+  buildRecipeCheckScript,
+  buildRecipeRunScript,
+  buildLoginPickerScript,
+  compileRecordedRecipe,
+  getOrigin,
+  getRecipeAccounts,
+  getRecipeSites,
+  isRecipeComplete,
+  loadLoginRecipes,
+} from '../utils/loginRecipes';
+import { buildTwoFactorCheckScript, buildTwoFactorFillScript } from '../utils/twoFactor';
+import { recordLoginResult, getLoginStatus } from '../utils/loginStatus';
+import { getAppPartition } from '../utils/sessionPartitions';
 
 // Apps migrated to WebContentsView. Add more IDs here as migration progresses.
 //
@@ -93,22 +109,6 @@ async function isUserTyping(webview) {
   }
 }
 
-// Wird in injizierte Snippets eingebettet: fokussiert ein Feld nur dann, wenn
-// der Nutzer nicht gerade in einem anderen Eingabefeld schreibt.
-const SAFE_FOCUS_HELPER_JS = `
-  const __bbzSafeFocus = (el) => {
-    try {
-      const active = document.activeElement;
-      const busy = active && active !== el && (
-        active.isContentEditable ||
-        ((active.tagName === 'INPUT' || active.tagName === 'TEXTAREA') && !!active.value)
-      );
-      if (!busy) el.focus();
-    } catch (e) { /* ignore */ }
-  };
-`;
-
-
 // ---------------------------------------------------------------------------
 // Login-Wächter
 // ---------------------------------------------------------------------------
@@ -116,93 +116,121 @@ const SAFE_FOCUS_HELPER_JS = `
 // Wie oft geprüft wird, ob eine App eine Loginmaske zeigt.
 const LOGIN_WATCHER_INTERVAL_MS = 2500;
 
+// Nach einem per Rezept abgeschickten Login so lange warten, bis der Wächter
+// die Maske erneut als "Anmeldung ausstehend" wertet. Sonst zählt eine
+// langsam ladende Folgeseite gleich als zweiter Fehlversuch.
+const RECIPE_RETRY_DELAY_MS = 10000;
+
+// So lange muss die Code-Abfrage verschwunden sein, bis der Versuchszähler
+// des zweiten Faktors zurückgesetzt wird. Lädt die Seite nach einem falschen
+// Code nur neu, fängt der Zähler so nicht jedes Mal wieder bei null an.
+const TWO_FACTOR_RESET_MS = 60000;
+
+// Login-Test aus dem Status-Panel: so viele Prüfrunden mit dieser Pause
+// dazwischen. Reicht für die mehrstufigen Logins (ADFS, Microsoft).
+const LOGIN_TEST_ROUNDS = 6;
+const LOGIN_TEST_STEP_MS = 3500;
+
 // Nach dieser Zeit gilt eine laufende Injection als haengengeblieben und die
 // Sperre wird freigegeben. Laengster regulaerer Durchlauf liegt bei ~15 s.
 const INJECTION_STALE_MS = 45000;
 
-// Apps, deren Loginmaske asynchron erscheint oder mehrstufig ist. Der Wächter
-// prüft mit diesen Snippets im Seitenkontext, ob noch eine Anmeldung aussteht.
+// Apps, deren Loginmaske asynchron erscheint oder mehrstufig ist, markiert
+// ihr Rezept mit "watch" (siehe src/utils/loginRecipes.js). Der Wächter
+// prüft dann im Seitenkontext, ob noch eine Anmeldung aussteht.
 //
 // Diese Prüfungen liefen früher in fünf einzelnen Intervallen, die erst im
 // dom-ready-Handler gestartet wurden. Wurde dieses Ereignis verpasst oder lief
 // die erste Injection zu früh, existierte überhaupt kein Wiederholungs-
 // mechanismus — der Login blieb bis zum nächsten ausdrücklichen Reload liegen.
-const LOGIN_WATCHERS = {
-  schulportal: `(function() {
-                const u = document.querySelector('input#username');
-                const p = document.querySelector('input#password');
-                const s = document.querySelector('input#kc-login[type="submit"]');
-                return !!(u && p && s);
-              })()`,
-  nextcloud: `(function() {
-                const adfs = document.querySelector('a[href*="user_saml/saml/login"]') ||
-                             Array.from(document.querySelectorAll('a')).find(a => a.textContent.trim() === 'BBZ ADFS');
-                const u = document.querySelector('#userNameInput');
-                const p = document.querySelector('#passwordInput');
-                const ja = document.querySelector('input[type="submit"]#idSIButton9[value="Ja"]');
-                const ok = document.querySelector('#header') || document.querySelector('.app-navigation') ||
-                           document.querySelector('#nextcloud') || window.location.href.includes('/apps/');
-                return (adfs || u || p || ja) && !ok;
-              })()`,
-  office: `(function() {
-                const email = document.querySelector('input[name="loginfmt"]#i0116[type="email"]');
-                const pass  = document.querySelector('input[name="passwd"]#i0118[type="password"]');
-                const weiter   = document.querySelector('input[type="submit"]#idSIButton9[value="Weiter"]');
-                const anmelden = document.querySelector('input[type="submit"]#idSIButton9[value="Anmelden"]');
-                const ja   = document.querySelector('input[type="submit"]#idSIButton9[value="Ja"]');
-                const tile = document.querySelector('div[data-bind*="session.tileDisplayName"]');
-                const ok   = document.querySelector('.o365cs-nav-appTitle, .ms-Nav, .od-TopBar, [data-automation-id="appLauncher"]');
-                return (email || pass || weiter || anmelden || ja || tile) && !ok;
-              })()`,
-  schulcloud: `(async function() {
-                const isBbzChat = window.location.href.includes('chat.bbz-rd-eck.com');
-                if (isBbzChat) {
-                  const loginForm = document.querySelector('input[type="email"]');
-                  if (!loginForm) return false;
-                  const token = localStorage.getItem('schulchat_token');
-                  if (!token) return true;
-                  // Validate token; remove if expired so re-login proceeds
-                  try {
-                    const r = await fetch('/api/me', { headers: { 'Authorization': 'Bearer ' + token } });
-                    if (!r.ok) {
-                      localStorage.removeItem('schulchat_token');
-                      return true;
-                    }
-                    return false;
-                  } catch (_) {
-                    return false; // network error — assume valid
-                  }
-                }
-                // Die Verschlüsselungsseite wird an konkreten Elementen erkannt,
-                // nicht mehr an document.body.textContent auf 'Verschlüsselungskennwort'
-                // — dieser Text steht in der eingeloggten App auch in Einstellungen
-                // und Chatnachrichten. Dadurch lief die Injection alle 5 s dauerhaft
-                // weiter und riss den Cursor aus dem Eingabefeld.
-                //
-                // Bewusst ohne Sichtbarkeitsprüfung: ein zu enger Test kann das
-                // Zeitfenster verpassen, in dem der Login noch möglich wäre.
-                const emailInput = document.querySelector('input#username[type="text"]');
-                const passwordInputs = document.querySelectorAll('input[type="password"]');
-                const encryptionButton = Array.from(document.querySelectorAll('button.row, div.row')).find(btn => btn.textContent.includes('Durch dein Verschlüsselungskennwort'));
-                const loggedIn = document.querySelector('.user-menu') || document.querySelector('.dashboard') || document.querySelector('.main-content');
-                if (loggedIn) return false;
-                return !!emailInput || passwordInputs.length > 0 || !!encryptionButton;
-              })()`,
-  webuntis: `(function() {
-                // Passwortfeld ODER die WebUntis-Loginmaske verlangen. Vorher
-                // genügte ein beliebiges <form> — das trifft auch die eingeloggte
-                // Oberfläche und liess die Injection alle 2 s weiterlaufen.
-                //
-                // Bewusst OHNE Sichtbarkeitsprüfung: die Maske wird asynchron
-                // eingeblendet, und ein zu enger Test verpasst genau das Zeitfenster,
-                // in dem der Login noch möglich wäre.
-                const passInput = document.querySelector('input[type="password"]');
-                const loginForm = document.querySelector('.un2-login-form');
-                if (!passInput && !loginForm) return false;
-                const authLabel = document.querySelector('.un-input-group__label');
-                return !authLabel || authLabel.textContent !== 'Bestätigungscode';
-              })()`,
-};
+
+// BBZ Chat (ID 'schulcloud') hat kein Rezept: eingeloggt ist, wer ein
+// gültiges Token hat, auch wenn das Loginformular kurz zu sehen ist.
+const BBZ_CHAT_LOGIN_CHECK_JS = `(async function() {
+  const loginForm = document.querySelector('input[type="email"]');
+  if (!loginForm) return { needsLogin: false };
+  const token = localStorage.getItem('schulchat_token');
+  if (!token) return { needsLogin: true };
+  // Validate token; remove if expired so re-login proceeds
+  try {
+    const r = await fetch('/api/me', { headers: { 'Authorization': 'Bearer ' + token } });
+    if (!r.ok) {
+      localStorage.removeItem('schulchat_token');
+      return { needsLogin: true };
+    }
+    return { needsLogin: false };
+  } catch (_) {
+    return { needsLogin: false }; // network error — assume valid
+  }
+})()`;
+
+// Prüfung für Wächter und Login-Test, liefert { needsLogin, ... }
+function buildLoginCheck(id, recipe) {
+  const check = buildRecipeCheckScript(recipe);
+  if (id !== 'schulcloud') return check;
+  return `(location.href.includes('chat.bbz-rd-eck.com') ? ${BBZ_CHAT_LOGIN_CHECK_JS} : ${check})`;
+}
+
+// BBZ Chat: statt die React-19-Loginmaske zu manipulieren, wird POST
+// /api/login direkt aufgerufen. stashcat-chat liest das Token beim Start aus
+// localStorage('schulchat_token').
+function buildBbzChatLoginScript({ username, password, encryptionPassword }) {
+  return `
+    (async function() {
+      try {
+        // Check if token exists in localStorage and validate it
+        const existingToken = localStorage.getItem('schulchat_token');
+        if (existingToken) {
+          try {
+            const me = await fetch('/api/me', {
+              headers: { 'Authorization': 'Bearer ' + existingToken }
+            });
+            if (me.ok) {
+              console.log('[BBZ Chat] Token validated via /api/me');
+              return 'ALREADY_LOGGED_IN';
+            }
+            // Token expired/invalid — remove and fall through to fresh login
+            console.log('[BBZ Chat] Existing token invalid, removing and re-logging in');
+            localStorage.removeItem('schulchat_token');
+          } catch (e) {
+            // Network error — trust the token to avoid logging the user out unnecessarily
+            console.log('[BBZ Chat] Token validation network error, trusting token');
+            return 'ALREADY_LOGGED_IN';
+          }
+        }
+
+        console.log('[BBZ Chat] No token, calling /api/login...');
+        const response = await fetch('/api/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            email: ${JSON.stringify(username)},
+            password: ${JSON.stringify(password)},
+            securityPassword: ${JSON.stringify(encryptionPassword || password)}
+          })
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          console.error('[BBZ Chat] Login API error:', response.status, errorText);
+          return 'API_ERROR_' + response.status;
+        }
+
+        const data = await response.json();
+        if (data.token) {
+          localStorage.setItem('schulchat_token', data.token);
+          console.log('[BBZ Chat] Token stored, reloading...');
+          return 'TOKEN_STORED';
+        }
+        console.error('[BBZ Chat] No token in response:', JSON.stringify(data));
+        return 'NO_TOKEN';
+      } catch (err) {
+        console.error('[BBZ Chat] Login fetch error:', err.message);
+        return 'FETCH_ERROR';
+      }
+    })()
+  `;
+}
 
 const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }, ref) => {
   // Expose navigation methods through ref
@@ -246,9 +274,7 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
       const id = activeWebView.id;
       // Reset login state so a fresh credential-injection cycle can run
       // (multi-step ADFS chains otherwise hit MAX_LOGIN_ATTEMPTS quickly).
-      loginAttempts.current[id] = 0;
-      failedLogins.current[id] = false;
-      credsAreSet.current[id] = false;
+      resetLoginState(id);
       if (WCV_APPS.has(id)) {
         forceReloadWcv(id, standardApps, wcvUrlsRef.current[id]);
         return;
@@ -263,22 +289,43 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
         }
       }
     },
-    reloadAll: () => {
-      // Reset login state for every app so re-login can happen after the reload.
-      loginAttempts.current = {};
-      failedLogins.current = {};
-      credsAreSet.current = {};
-      // Reload each WCV individually so per-app reload quirks (e.g. Outlook
-      // needing a full clearHistory+navigate) are honored.
-      for (const id of WCV_APPS) {
-        try { forceReloadWcv(id, standardApps, wcvUrlsRef.current[id]); } catch (_) {}
+    reloadAll: () => reloadAllViews(),
+    // Nach einer Passwortänderung: zusätzlich Sperrzeiten und 2FA-Stand
+    // verwerfen, sonst wartet z. B. WebUntis mit dem neuen Passwort noch ab
+    restartLogins: () => {
+      loginCooldownRef.current = {};
+      twoFactorRef.current = {};
+      reloadAllViews();
+    },
+    // Nach dem Löschen von Cookies/Speicher einer Partition: nur die Apps
+    // dieser Partition neu laden und neu anmelden
+    reloadApps: (ids) => {
+      for (const id of ids) {
+        resetLoginState(id);
+        if (WCV_APPS.has(id)) {
+          try { forceReloadWcv(id, standardApps, wcvUrlsRef.current[id]); } catch (_) {}
+        } else {
+          try { webviewRefs.current[id]?.current?.reload(); } catch (_) {}
+        }
+      }
+    },
+    // Login-Rezept aufzeichnen: der Nutzer klickt ein Element in der
+    // aktiven benutzerdefinierten App an, zurück kommen dessen CSS-Selektor
+    // und der Origin der Seite (null bei Abbruch)
+    pickLoginElement: async (label) => {
+      if (!activeWebView || WCV_APPS.has(activeWebView.id)) return null;
+      const webview = webviewRefs.current[activeWebView.id]?.current;
+      if (!webview) return null;
+      try {
+        const selector = await webview.executeJavaScript(buildLoginPickerScript(label), true);
+        return selector ? { selector, origin: getOrigin(webview.getURL()) } : null;
+      } catch (error) {
+        console.error('Error recording login element:', error);
+        return null;
       }
-      // Also reload any legacy <webview> elements (dropdown apps)
-      const webviews = document.querySelectorAll('webview');
-      webviews.forEach((wv) => {
-        try { wv.reload(); } catch (_) {}
-      });
     },
+    // Anmeldung in einem versteckten Fenster durchspielen (Login-Status-Panel)
+    testLogin: (appId) => runLoginTest(appId),
     print: () => {
       if (!activeWebView) return;
       const id = activeWebView.id;
@@ -311,6 +358,8 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
   const wcvNavigationTargetRef = useRef({});
   // periodic login-check intervals for WCV apps that need them
   const wcvIntervalsRef = useRef({});
+  // Session-Partition, in der jede WCV-App zuletzt angelegt wurde
+  const wcvPartitionsRef = useRef({});
   // ID der aktuell sichtbaren WebContentsView-App (null bei Dropdown-Apps).
   // Bewusst nur die ID statt des activeWebView-Objekts: das Objekt bekommt bei
   // jeder Navigation eine neue Identität und würde Effekte unnötig neu laufen
@@ -328,6 +377,17 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
   // Use a ref (not state) so reads inside useCallback closures always see the latest value
   // immediately — React state batching would cause stale reads otherwise.
   const credsAreSet = useRef({});
+  // Credential profiles per app, read at injection time (see injectCredentialsImpl)
+  const credentialProfilesRef = useRef(null);
+  // Login-Rezepte der eingebauten Apps; lokale Overrides kommen nach dem Laden dazu
+  const loginRecipesRef = useRef(BUILTIN_LOGIN_RECIPES);
+  // Benutzerdefinierte Apps mit aufgezeichnetem Login-Rezept, nach ID
+  // (recipe: in das deklarative Format übersetzt)
+  const recipeAppsRef = useRef({});
+  // Apps mit hinterlegtem TOTP-Schlüssel und Zustand des Code-Schritts
+  // pro App ({ attempts, lastCode, stopped, absentSince })
+  const totpAppIdsRef = useRef([]);
+  const twoFactorRef = useRef({});
   const [isStartupPeriod, setIsStartupPeriod] = useState(true);
   const loginAttempts = useRef({}); // Track login attempts per app (max 3 per session)
   const failedLogins = useRef({}); // Track fatal login failures (e.g. invalid credentials)
@@ -338,13 +398,37 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
   // Auslöser, die während einer laufenden Injection kamen und danach
   // nachgezogen werden müssen (siehe injectCredentials weiter unten).
   const injectionRerunRef = useRef({});
-  // Sperrzeiten pro Host, nur im Speicher (siehe WebUntis-Handler)
+  // Sperrzeiten pro Host, nur im Speicher (`cooldownMinutes` der Login-Rezepte)
   const loginCooldownRef = useRef({});
   // Diagnose des Login-Wächters: Tick-Zähler und letzter berichteter Zustand
   const watcherTickRef = useRef(0);
   const watcherLastRef = useRef({});
   const MAX_LOGIN_ATTEMPTS = 3;
 
+  const resetLoginState = (id) => {
+    loginAttempts.current[id] = 0;
+    failedLogins.current[id] = false;
+    credsAreSet.current[id] = false;
+    delete twoFactorRef.current[id];
+  };
+
+  const reloadAllViews = () => {
+    // Reset login state for every app so re-login can happen after the reload.
+    loginAttempts.current = {};
+    failedLogins.current = {};
+    credsAreSet.current = {};
+    // Reload each WCV individually so per-app reload quirks (e.g. Outlook
+    // needing a full clearHistory+navigate) are honored.
+    for (const id of WCV_APPS) {
+      try { forceReloadWcv(id, standardApps, wcvUrlsRef.current[id]); } catch (_) {}
+    }
+    // Also reload any legacy <webview> elements (dropdown apps)
+    const webviews = document.querySelectorAll('webview');
+    webviews.forEach((wv) => {
+      try { wv.reload(); } catch (_) {}
+    });
+  };
+
   // Translate error codes to user-friendly German messages
   const getErrorMessage = (error) => {
     switch (error.errorCode) {
@@ -391,8 +475,36 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
   const toast = useToast();
   const { colorMode, setColorMode } = useColorMode();
   const { settings, isLoading: isSettingsLoading } = useSettings();
+
   const notificationCheckIntervalRef = useRef(null);
 
+  useEffect(() => {
+    credentialProfilesRef.current = settings.credentialProfiles;
+  }, [settings.credentialProfiles]);
+
+  useEffect(() => {
+    loadLoginRecipes().then((recipes) => {
+      loginRecipesRef.current = recipes;
+    });
+  }, []);
+
+  useEffect(() => {
+    const previous = recipeAppsRef.current;
+    const next = {};
+    (settings.customApps || []).forEach((app) => {
+      if (!isRecipeComplete(app.loginRecipe)) return;
+      const id = app.id.toLowerCase();
+      next[id] = { ...app, recipe: compileRecordedRecipe(app) };
+      // Neu aufgezeichnetes Rezept: gesperrten Auto-Login wieder freigeben
+      if (JSON.stringify(previous[id]?.loginRecipe) !== JSON.stringify(app.loginRecipe)) {
+        loginAttempts.current[id] = 0;
+        failedLogins.current[id] = false;
+        credsAreSet.current[id] = false;
+      }
+    });
+    recipeAppsRef.current = next;
+  }, [settings.customApps]);
+
   // Apply zoom level to a webview or WCV
   const applyZoom = useCallback(async (webview, id) => {
     try {
@@ -471,6 +583,27 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
     };
   }, []);
 
+  // Apps mit TOTP-Schlüssel laden. Wie oben periodisch, damit ein in den
+  // Einstellungen hinterlegter Schlüssel ohne Neustart greift.
+  useEffect(() => {
+    if (!window.electron?.listTotpSecrets) return;
+
+    let cancelled = false;
+    const refresh = async () => {
+      const result = await window.electron.listTotpSecrets({ service: 'bbzcloud' });
+      if (!cancelled && result?.success) {
+        totpAppIdsRef.current = result.apps.map(app => app.appId);
+      }
+    };
+
+    refresh();
+    const interval = setInterval(refresh, 10000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, []);
+
   // Listen for download progress
   useEffect(() => {
     if (!window.electron || !window.electron.onDownloadProgress) {
@@ -516,7 +649,9 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
     if (!standardApps) return;
     for (const [id, config] of Object.entries(standardApps)) {
       if (!WCV_APPS.has(id) || !config.visible) continue;
-      window.electron.view.create({ appId: id, url: config.url }).catch((err) =>
+      const partition = getAppPartition(id, settings.sessionPartitions);
+      wcvPartitionsRef.current[id] = partition;
+      window.electron.view.create({ appId: id, url: config.url, partition }).catch((err) =>
         console.error(`[WCV] Failed to create view for ${id}:`, err)
       );
     }
@@ -597,6 +732,26 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
     }
   }, [standardApps]);
 
+  // Partition einer App in den Einstellungen umgestellt: Die Session einer
+  // View steht ab ihrer Erzeugung fest, create() ersetzt die View deshalb
+  // durch eine neue in der anderen Partition. Die Seite lädt dort frisch,
+  // also auch der Login-Zustand neu.
+  useEffect(() => {
+    if (!standardApps) return;
+    for (const [id, config] of Object.entries(standardApps)) {
+      if (!WCV_APPS.has(id) || !config.visible) continue;
+      const previous = wcvPartitionsRef.current[id];
+      const partition = getAppPartition(id, settings.sessionPartitions);
+      if (!previous || previous === partition) continue;
+      wcvPartitionsRef.current[id] = partition;
+      resetLoginState(id);
+      window.electron.view.create({ appId: id, url: config.url, partition }).catch((err) =>
+        console.error(`[WCV] Failed to move ${id} to ${partition}:`, err)
+      );
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [settings.sessionPartitions]);
+
   // Show/hide WCV views when the active app changes; apply zoom on show.
   //
   // Bewusst nur an der App-ID hängen, nicht am ganzen activeWebView-Objekt:
@@ -816,49 +971,77 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
       return;
     }
 
-    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    // Ergebnis für das Login-Status-Panel festhalten
+    const report = (result, detail = null) =>
+      recordLoginResult(id, result, { detail, isTest: Boolean(webview.isLoginTest) });
 
-    try {
-      // Get credentials from keytar using the correct service/account names
-      const emailResult = await window.electron.getCredentials({
-        service: 'bbzcloud',
-        account: 'email'
-      });
-
-      const passwordResult = await window.electron.getCredentials({
-        service: 'bbzcloud',
-        account: 'password'
-      });
+    // Benutzerdefinierte Apps melden sich mit ihrem aufgezeichneten Rezept
+    // und eigenen Zugangsdaten an (nicht profilabhängig), alle anderen mit
+    // ihrem eingebauten bzw. lokal überschriebenen Rezept
+    const recipeApp = recipeAppsRef.current[id.toLowerCase()] || null;
+    const recipe = recipeApp?.recipe || loginRecipesRef.current[id.toLowerCase()] || null;
+    if (!recipe) {
+      return;
+    }
 
-      const bbbPasswordResult = id === 'bbb' ? await window.electron.getCredentials({
-        service: 'bbzcloud',
-        account: 'bbbPassword'
-      }) : null;
+    // Credential profile chosen for this app in the settings
+    const profileSettings = credentialProfilesRef.current || {};
+    const profile = recipeApp
+      ? DATABASE_CONFIG.DEFAULT_PROFILE
+      : profileSettings.apps?.[id.toLowerCase()] || profileSettings.defaultProfile || DATABASE_CONFIG.DEFAULT_PROFILE;
 
-      if (!emailResult.success || !passwordResult.success || (id === 'bbb' && !bbbPasswordResult?.success)) {
-        console.log(`[${id}] Abbruch: Zugangsdaten nicht lesbar (email/password/bbbPassword)`);
-        return;
+    try {
+      // Zugangsdaten aus dem Schlüsselbund, unter den Namen des Rezepts
+      const vars = {};
+      for (const { name, account, optional } of getRecipeAccounts(recipe)) {
+        const result = await window.electron.getCredentials({ service: 'bbzcloud', account, profile });
+        if (!result.success && !optional) {
+          console.log(`[${id}] Abbruch: Zugangsdaten nicht lesbar (${account})`);
+          report('error', 'Die Zugangsdaten konnten nicht gelesen werden.');
+          return;
+        }
+        // Skip injection if credentials are empty or whitespace-only
+        if (!optional && !result.password?.trim()) {
+          console.log(`[${id}] Skipping credential injection - empty credentials (${account})`);
+          report('no-credentials');
+          return;
+        }
+        vars[name] = (result.success && result.password) || '';
       }
 
-      const emailAddress = emailResult.password;
-      const password = passwordResult.password;
-      const bbbPassword = bbbPasswordResult?.password;
-
-      // Skip injection if credentials are empty or whitespace-only
-      if (!emailAddress?.trim() || !password?.trim() || (id === 'bbb' && !bbbPassword?.trim())) {
-        console.log(`[${id}] Skipping credential injection - empty credentials`);
-        return;
+      // Sperre gegen zu haeufige Loginversuche (cooldownMinutes im Rezept,
+      // bei WebUntis zum Schutz des 2FA-Ablaufs). Frueher 15 Minuten und in
+      // localStorage — damit ueberlebte sie den App-Neustart und blockierte
+      // den Auto-Login selbst dann, wenn gerade eine frische Loginmaske
+      // dastand. Jetzt nur im Speicher, ein Neustart raeumt sie also auf.
+      //
+      // Hostname im Schlüssel, damit eine neue URL ohne Wartezeit testbar ist
+      let hostname = 'unknown';
+      try {
+        hostname = new URL(webview.getURL()).hostname;
+      } catch (e) { console.warn('Could not get hostname for cooldown key'); }
+      const cooldownKey = `${id}_${hostname}`;
+      if (recipe.cooldownMinutes) {
+        const cooldownPeriod = recipe.cooldownMinutes * 60 * 1000;
+        const timeSinceLastAttempt = Date.now() - (loginCooldownRef.current[cooldownKey] || 0);
+        if (timeSinceLastAttempt < cooldownPeriod) {
+          const remainingMinutes = Math.ceil((cooldownPeriod - timeSinceLastAttempt) / (60 * 1000));
+          console.log(`[${id}] Login cooldown active for ${hostname}. ${remainingMinutes} minutes remaining.`);
+          report('cooldown', `Nächster Versuch in ${remainingMinutes} Min.`);
+          return;
+        }
       }
 
-      // Check login attempt limit (except for Outlook, WebUntis, and schulcloud)
-      // schulcloud has a multi-step login process (email -> password -> encryption)
-      // and the periodic check may trigger multiple times during this process
-      // Zaehler-Limit gilt nur fuer Apps mit einstufigem Login. Die Log-Zeile
-      // laeuft aber fuer ALLE — sonst sind ausgerechnet die mehrstufigen Apps
-      // (outlook, webuntis, schulcloud, nextcloud) im Log unsichtbar, und man
-      // kann nicht unterscheiden, ob eine Injection lief oder nie startete.
-      const countsAttempts =
-        id !== 'outlook' && id !== 'webuntis' && id !== 'schulcloud' && id !== 'nextcloud';
+      // BBZ Chat läuft unter der ID 'schulcloud', hat aber kein Rezept: er
+      // meldet sich direkt über die API an (siehe buildBbzChatLoginScript)
+      const isBbzChat = id === 'schulcloud' && webview.getURL().includes('chat.bbz-rd-eck.com');
+
+      // Zaehler-Limit gilt nur fuer Apps mit einstufigem Login; mehrstufige
+      // Rezepte setzen countAttempts: false. Die Log-Zeile laeuft aber fuer
+      // ALLE — sonst sind ausgerechnet die mehrstufigen Apps (outlook,
+      // webuntis, schulcloud, nextcloud) im Log unsichtbar, und man kann nicht
+      // unterscheiden, ob eine Injection lief oder nie startete.
+      const countsAttempts = !isBbzChat && recipe.countAttempts !== false;
 
       if (countsAttempts) {
         if (!loginAttempts.current[id]) {
@@ -866,6 +1049,7 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
         }
         if (loginAttempts.current[id] >= MAX_LOGIN_ATTEMPTS) {
           console.log(`[${id}] Max login attempts (${MAX_LOGIN_ATTEMPTS}) reached - stopping auto-login`);
+          report('max-attempts');
           return;
         }
         loginAttempts.current[id]++;
@@ -874,1484 +1058,97 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
         console.log(`[${id}] Injection gestartet (ohne Versuchslimit)`);
       }
 
-      switch (id.toLowerCase()) {
-        case 'webuntis':
-          try {
-            // Sperre gegen zu haeufige Loginversuche (schuetzt den 2FA-Ablauf).
-            // Frueher 15 Minuten und in localStorage — damit ueberlebte sie den
-            // App-Neustart und blockierte den Auto-Login selbst dann, wenn
-            // gerade eine frische Loginmaske dastand. Jetzt kuerzer und nur im
-            // Speicher, ein Neustart raeumt sie also auf.
-            const COOLDOWN_MINUTES_WEBUNTIS = 3;
-            
-            // Use hostname-specific key to allow testing on new URLs without waiting
-            let hostname = 'unknown';
-            try {
-              hostname = new URL(webview.getURL()).hostname;
-            } catch (e) { console.warn('Could not get hostname for cooldown key'); }
-            
-            const cooldownKey = `webuntis_${hostname}`;
-            const lastLoginAttemptWebuntis = loginCooldownRef.current[cooldownKey];
-            const nowWebuntis = Date.now();
-            
-            if (lastLoginAttemptWebuntis) {
-              const timeSinceLastAttempt = nowWebuntis - parseInt(lastLoginAttemptWebuntis, 10);
-              const cooldownPeriod = COOLDOWN_MINUTES_WEBUNTIS * 60 * 1000;
-              
-              if (timeSinceLastAttempt < cooldownPeriod) {
-                const remainingMinutes = Math.ceil((cooldownPeriod - timeSinceLastAttempt) / (60 * 1000));
-                console.log(`WebUntis login cooldown active for ${hostname}. ${remainingMinutes} minutes remaining.`);
-                return;
-              }
-            }
-
-            // Get WebUntis-specific credentials
-            const webuntisEmailResult = await window.electron.getCredentials({
-              service: 'bbzcloud',
-              account: 'webuntisEmail'
-            });
-            const webuntisPasswordResult = await window.electron.getCredentials({
-              service: 'bbzcloud',
-              account: 'webuntisPassword'
-            });
-
-            if (!webuntisEmailResult.success || !webuntisPasswordResult.success) {
-              return;
-            }
-
-            const webuntisEmail = webuntisEmailResult.password;
-            const webuntisPassword = webuntisPasswordResult.password;
+      if (isBbzChat) {
+        const loginResult = await webview.executeJavaScript(buildBbzChatLoginScript(vars));
+        console.log('[BBZ Chat] Login result:', loginResult);
 
-            if (!webuntisEmail || !webuntisPassword) {
-              return;
-            }
-
-            const loginAttemptResult = await webview.executeJavaScript(`
-              (async () => {
-                try {
-                  // Auf die tatsächlich benötigten Felder warten, nicht auf ein
-                  // beliebiges <form>. WebUntis rendert die Loginmaske asynchron;
-                  // die SPA-Hülle enthält oft schon vorher ein <form>. Wer darauf
-                  // wartet, läuft sofort weiter, findet die Felder nicht und bricht
-                  // ab — der Login blieb dann liegen.
-                  const findFields = () => ({
-                    form: document.querySelector('.un2-login-form form') || document.querySelector('form'),
-                    usernameField: document.querySelector('input[type="text"].un-input-group__input') || document.querySelector('input[type="text"]'),
-                    passwordField: document.querySelector('input[type="password"].un-input-group__input') || document.querySelector('input[type="password"]'),
-                    submitButton: document.querySelector('button[type="submit"]'),
-                  });
-
-                  let fields = findFields();
-                  for (let i = 0; i < 100 && !(fields.usernameField && fields.passwordField && fields.submitButton); i++) {
-                    await new Promise((resolve) => setTimeout(resolve, 100));
-                    fields = findFields();
-                  }
-
-                  const { form, usernameField, passwordField, submitButton } = fields;
-
-                  if (!usernameField || !passwordField || !submitButton) {
-                    // Loginmaske nach 10 s nicht da -> als "nicht erledigt" melden,
-                    // damit der periodische Check es erneut versuchen darf.
-                    return 'NO_FORM';
-                  }
-
-                  // React-Fiber-Zugriff (bleibt als Zusatzweg erhalten)
-                  const getFiberNode = (element) => {
-                    const key = Object.keys(element).find(key =>
-                      key.startsWith('__reactFiber$') ||
-                      key.startsWith('__reactInternalInstance$')
-                    );
-                    return element[key];
-                  };
-
-                  const getReactProps = (element) => {
-                    const fiberNode = getFiberNode(element);
-                    if (!fiberNode) return null;
-                    let current = fiberNode;
-                    while (current) {
-                      if (current.memoizedProps?.onChange) {
-                        return current.memoizedProps;
-                      }
-                      current = current.return;
-                    }
-                    return null;
-                  };
-
-                  // Wert setzen — nativer Setter plus gebubbeltes input-Event.
-                  //
-                  // Das ist der Weg, der ohne React-Interna auskommt: React
-                  // erkennt die Aenderung ueber den value-Tracker. Der
-                  // Fiber-Weg bleibt als Zusatz erhalten, ist aber nicht mehr
-                  // Voraussetzung — er scheiterte beim ersten Laden, weil
-                  // React zu diesem Zeitpunkt noch nicht am Feld haengt.
-                  const setFieldValue = (el, value) => {
-                    const setter = Object.getOwnPropertyDescriptor(
-                      window.HTMLInputElement.prototype, 'value'
-                    ).set;
-                    setter.call(el, value);
-                    el.dispatchEvent(new Event('input', { bubbles: true }));
-                    el.dispatchEvent(new Event('change', { bubbles: true }));
-
-                    const props = getReactProps(el);
-                    if (props?.onChange) {
-                      try {
-                        props.onChange({
-                          target: el, currentTarget: el, type: 'change',
-                          bubbles: true, cancelable: true, defaultPrevented: false,
-                          preventDefault: () => {}, stopPropagation: () => {},
-                          isPropagationStopped: () => false, persist: () => {}
-                        });
-                      } catch (e) { /* Zusatzweg darf scheitern */ }
-                    }
-                  };
-
-                  // Setzen und GEGENPRUEFEN. Solange React die Felder noch als
-                  // kontrollierte Komponenten zuruecksetzt, bleiben sie leer —
-                  // dann wird erneut versucht statt blind abzuschicken.
-                  const USER = ${JSON.stringify(webuntisEmail)};
-                  const PASS = ${JSON.stringify(webuntisPassword)};
-
-                  let filled = false;
-                  for (let attempt = 0; attempt < 20 && !filled; attempt++) {
-                    setFieldValue(usernameField, USER);
-                    setFieldValue(passwordField, PASS);
-                    await new Promise(resolve => setTimeout(resolve, 150));
-                    filled = usernameField.value === USER && passwordField.value === PASS;
-                  }
-
-                  if (!filled) {
-                    // Nichts abschicken! Ein leeres Formular wurde frueher als
-                    // Erfolg gewertet, setzte die Sperre und blockierte damit
-                    // jede Wiederholung — genau daran scheiterte der erste Login.
-                    return 'NOT_FILLED';
-                  }
-
-                  // Warten, bis der Button freigegeben ist
-                  for (let i = 0; i < 20 && submitButton.disabled; i++) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                  }
-
-                  if (submitButton.disabled) {
-                    return 'SUBMIT_DISABLED';
-                  }
-
-                  const formProps = getReactProps(form);
-                  if (formProps?.onSubmit) {
-                    formProps.onSubmit({
-                      preventDefault: () => {},
-                      stopPropagation: () => {},
-                      target: form,
-                      currentTarget: form,
-                      nativeEvent: new Event('submit')
-                    });
-                  } else {
-                    submitButton.click();
-                  }
-
-                  // Wait 2 seconds for response
-                  await new Promise(resolve => setTimeout(resolve, 2000));
-
-                  const bodyText = document.body.innerText || '';
-                  if (bodyText.includes('Ungültiger Benutzername und/oder Passwort')) {
-                    return 'INVALID_CREDENTIALS';
-                  }
-
-                  // Only reload if we're not on the authenticator page
-                  const authLabel = document.querySelector('.un-input-group__label');
-                  if (authLabel?.textContent !== 'Bestätigungscode') {
-                    window.location.reload();
-                  }
-                  return 'SUCCESS';
-                } catch (error) {
-                  return false;
-                }
-              })();
-            `);
-
-            if (loginAttemptResult === 'NO_FORM' ||
-                loginAttemptResult === 'NOT_FILLED' ||
-                loginAttemptResult === 'SUBMIT_DISABLED' ||
-                loginAttemptResult === false) {
-              // Es wurde nichts abgeschickt -> weder als erledigt markieren noch
-              // die Sperre setzen. Der Wächter versucht es in Kürze erneut.
-              console.log(`[webuntis] Kein Loginversuch (${loginAttemptResult}) - wird wiederholt`);
-              return;
-            }
-
-            if (loginAttemptResult === 'INVALID_CREDENTIALS') {
-              failedLogins.current['webuntis'] = true;
-              console.log('WebUntis login failed: Invalid credentials. Stopping auto-login.');
-              toast({
-                title: 'WebUntis Login fehlgeschlagen',
-                description: 'Ungültiger Benutzername und/oder Passwort. Automatische Anmeldung gestoppt.',
-                status: 'error',
-                duration: null,
-                isClosable: true,
-              });
-              return;
-            }
-
-            // Store timestamp only if login button was actually clicked (success or unknown state)
-            if (loginAttemptResult === 'SUCCESS' || loginAttemptResult === true) {
-              loginCooldownRef.current[cooldownKey] = nowWebuntis;
-              console.log(`WebUntis login attempted for ${hostname}. ${COOLDOWN_MINUTES_WEBUNTIS}-minute cooldown started.`);
-            }
-
-          } catch (error) {
-            console.error('Error during WebUntis login:', error);
-          }
-          break;
-
-        case 'outlook': {
-          // Alle drei Felder in einem Durchlauf und mit Null-Prüfung.
-          //
-          // Vorher wurde direkt auf querySelector(...).value zugegriffen: fehlt
-          // ein Feld (ADFS-Zwischenseite, bereits angemeldet), wirft das eine
-          // TypeError, executeJavaScript lehnt ab und der gesamte Handler
-          // bricht mit "Error injecting credentials for outlook" ab — noch
-          // bevor irgendetwas anderes passieren konnte.
-          const outlookResult = await webview.executeJavaScript(`
-            (function() {
-              const user = document.querySelector('#userNameInput');
-              const pass = document.querySelector('#passwordInput');
-              const submit = document.querySelector('#submitButton');
-              if (!user || !pass || !submit) {
-                return 'NO_FORM:' + [!!user, !!pass, !!submit].join(',');
-              }
-              user.value = ${JSON.stringify(emailAddress)};
-              pass.value = ${JSON.stringify(password)};
-              submit.click();
-              return 'SUBMITTED';
-            })()
-          `);
-
-          console.log('[outlook] Login injection result:', outlookResult);
-
-          if (outlookResult !== 'SUBMITTED') {
-            // Kein Formular -> nichts als erledigt markieren, damit der
-            // nächste Schritt der ADFS-Kette es erneut versuchen darf
-            credsAreSet.current[id] = false;
-            break;
-          }
-
-          // Save credentials after successful login
-          await window.electron.saveCredentials({
-            service: 'bbzcloud',
-            account: 'email',
-            password: emailAddress
-          });
-          await window.electron.saveCredentials({
-            service: 'bbzcloud',
-            account: 'password',
-            password: password
-          });
-
-          await sleep(5000);
+        if (loginResult === 'TOKEN_STORED') {
+          // Token saved — reload the page so the app picks it up
+          credsAreSet.current[id] = true;
+          report('submitted');
           webview.reload();
-          break;
-        }
-
-        case 'moodle': {
-          // Ebenfalls mit Null-Prüfung: auf der bereits angemeldeten
-          // Moodle-Startseite gibt es kein Loginformular, und der direkte
-          // Zugriff auf .value warf dort einen Fehler.
-          const moodleResult = await webview.executeJavaScript(`
-            (function() {
-              const user = document.querySelector('input[name="username"][id="username"]');
-              const pass = document.querySelector('input[name="password"][id="password"]');
-              const submit = document.querySelector('button[type="submit"][id="loginbtn"]');
-              if (!user || !pass || !submit) {
-                return 'NO_FORM:' + [!!user, !!pass, !!submit].join(',');
-              }
-              user.value = ${JSON.stringify(emailAddress.toLowerCase())};
-              pass.value = ${JSON.stringify(password)};
-              submit.click();
-              return 'SUBMITTED';
-            })()
-          `);
-          console.log('[moodle] Login injection result:', moodleResult);
-          if (moodleResult !== 'SUBMITTED') {
-            loginAttempts.current[id] = Math.max(0, (loginAttempts.current[id] || 1) - 1);
-          }
-          break;
+        } else if (loginResult === 'ALREADY_LOGGED_IN') {
+          credsAreSet.current[id] = true;
+          setBbzChatLoginActive(false);
+        } else {
+          // API error or fetch error — DON'T set credsAreSet, the periodic
+          // check tries again
+          console.warn('[BBZ Chat] Login failed (temporary):', loginResult, '- will retry on next check');
+          report('error', `Anmeldung am Chat fehlgeschlagen (${loginResult})`);
         }
+        return;
+      }
 
-        case 'bbb': {
-          // Greenlight 3 (React + react-hook-form) statt Greenlight 2 (Rails-Form).
-          // Feld-IDs: #signInFormEmail / #signInFormPwd, Submit-Button im Formular.
-          // Die alten Greenlight-2-Selektoren (#session_email/#session_password/
-          // .signin-button) bleiben als Fallback erhalten.
-          //
-          // react-hook-form registriert einen React-onChange-Handler; ein direkt
-          // gesetztes .value wird von React ignoriert. Deshalb der native Setter
-          // plus ein gebubbletes 'input'-Event.
-          const bbbResult = await webview.executeJavaScript(`
-            (async function() {
-              try {
-                ${SAFE_FOCUS_HELPER_JS}
-                const findFields = () => ({
-                  emailInput: document.querySelector('#signInFormEmail') ||
-                              document.querySelector('#session_email'),
-                  passwordInput: document.querySelector('#signInFormPwd') ||
-                                 document.querySelector('#session_password'),
-                });
-
-                // Greenlight 3 rendert das Formular clientseitig. Auf der
-                // Loginroute kurz auf die Felder warten, sonst sofort abbrechen.
-                const onSignInRoute = /\\/(signin)\\/?$/.test(window.location.pathname);
-                let { emailInput, passwordInput } = findFields();
-                if (onSignInRoute) {
-                  for (let i = 0; i < 50 && !(emailInput && passwordInput); i++) {
-                    await new Promise((r) => setTimeout(r, 100));
-                    ({ emailInput, passwordInput } = findFields());
-                  }
-                }
-
-                if (!emailInput || !passwordInput) {
-                  // Kein Loginformular -> entweder bereits angemeldet oder
-                  // gerade auf einer anderen Greenlight-Seite (/rooms, /rooms/<id>/join)
-                  return 'NO_FORM';
-                }
-
-                const setValue = (el, value) => {
-                  const setter = Object.getOwnPropertyDescriptor(
-                    window.HTMLInputElement.prototype, 'value'
-                  ).set;
-                  setter.call(el, value);
-                  el.dispatchEvent(new Event('input', { bubbles: true }));
-                  el.dispatchEvent(new Event('change', { bubbles: true }));
-                };
-
-                __bbzSafeFocus(emailInput);
-                setValue(emailInput, ${JSON.stringify(emailAddress)});
-                setValue(passwordInput, ${JSON.stringify(bbbPassword)});
-
-                const form = emailInput.closest('form');
-                const submitButton =
-                  (form && form.querySelector('button[type="submit"], input[type="submit"]')) ||
-                  document.querySelector('.signin-button');
-
-                if (submitButton) {
-                  submitButton.click();
-                  return 'SUBMITTED';
-                }
-                if (form && typeof form.requestSubmit === 'function') {
-                  form.requestSubmit();
-                  return 'SUBMITTED';
-                }
-                return 'NO_SUBMIT_BUTTON';
-              } catch (err) {
-                return 'ERROR: ' + err.message;
-              }
-            })()
-          `);
+      const result = await webview.executeJavaScript(buildRecipeRunScript(recipe, vars)) || { status: 'ERROR' };
+      console.log(`[${id}] Login-Rezept:`, result);
 
-          console.log('[bbb] Login injection result:', bbbResult);
+      // Nur abgeschickte Zugangsdaten zählen als Versuch. Kein Formular,
+      // schon angemeldet oder ein Zwischenschritt (ADFS-Button, "Angemeldet
+      // bleiben?") geben den Versuch zurück — sonst sperrt sich der
+      // Auto-Login, ohne dass je ein Passwort geprüft wurde.
+      if (countsAttempts && !(result.status === 'DONE' && result.submitted)) {
+        loginAttempts.current[id] = Math.max(0, loginAttempts.current[id] - 1);
+      }
 
-          if (bbbResult === 'NO_FORM') {
-            // Kein Loginformular sichtbar (bereits angemeldet oder andere
-            // Greenlight-Seite). Das war kein Loginversuch — Zähler
-            // zurücknehmen, damit ein späteres Abmelden wieder einen
-            // Auto-Login erlaubt.
-            loginAttempts.current[id] = Math.max(0, (loginAttempts.current[id] || 1) - 1);
-            break;
+      switch (result.status) {
+        case 'DONE':
+          // Nach einem Zwischenschritt bleibt credsAreSet false, der
+          // nächste Auslöser (Wächter, dom-ready) macht weiter
+          if (!result.submitted) break;
+          credsAreSet.current[id] = true;
+          if (recipe.cooldownMinutes) {
+            loginCooldownRef.current[cooldownKey] = Date.now();
+            console.log(`[${id}] Login attempted for ${hostname}. ${recipe.cooldownMinutes}-minute cooldown started.`);
           }
-
-          if (bbbResult === 'SUBMITTED') {
-            // Save credentials after successful login
-            await window.electron.saveCredentials({
-              service: 'bbzcloud',
-              account: 'bbbPassword',
-              password: bbbPassword
-            });
+          if (recipeApp) {
+            loginCooldownRef.current[`recipe_${id}`] = Date.now();
           }
+          report('submitted');
           break;
-        }
 
-        case 'handbook':
-          // Check if login form exists and wait for it if necessary
-          const formExists = await webview.executeJavaScript(`
-            (async () => {
-              // Wait for form elements to be ready (max 5 seconds)
-              for (let i = 0; i < 50; i++) {
-                const userInput = document.querySelector('#userNameInput');
-                const passwordInput = document.querySelector('#passwordInput');
-                const submitButton = document.querySelector('#submitButton');
-                
-                if (userInput && passwordInput && submitButton) {
-                  return true;
-                }
-                await new Promise(resolve => setTimeout(resolve, 100));
-              }
-              return false;
-            })()
-          `);
-
-          if (formExists) {
-            await webview.executeJavaScript(
-              `document.querySelector('#userNameInput').value = ${JSON.stringify(emailAddress)}; void(0);`
-            );
-            await webview.executeJavaScript(
-              `document.querySelector('#passwordInput').value = ${JSON.stringify(password)}; void(0);`
-            );
-            await webview.executeJavaScript(
-              `document.querySelector('#submitButton').click();`
-            );
-            await sleep(5000);
-            webview.reload();
-          }
+        case 'LOGGED_IN':
+          credsAreSet.current[id] = true;
           break;
 
-        case 'wiki': {
-          const wikiState = await webview.executeJavaScript(`
-            (function() {
-              const userInput = document.querySelector('input[name="u"]');
-              const passInput = document.querySelector('input[name="p"]');
-              if (userInput && passInput) return 'form';
-              const loginBtn = document.querySelector('a.login.btn');
-              if (loginBtn) return 'login-btn';
-              return 'logged-in';
-            })()
-          `);
-
-          if (wikiState === 'logged-in') {
-            credsAreSet.current[id] = true;
-            break;
-          }
-
-          if (wikiState === 'login-btn') {
-            // Navigate to the login page; next dom-ready will fill the form
-            await webview.executeJavaScript(
-              `document.querySelector('a.login.btn').click();`
-            );
-            break;
-          }
-
-          if (wikiState === 'form') {
-            await webview.executeJavaScript(
-              `document.querySelector('input[name="u"]').value = ${JSON.stringify(emailAddress)}; void(0);`
-            );
-            await webview.executeJavaScript(
-              `document.querySelector('input[name="p"]').value = ${JSON.stringify(password)}; void(0);`
-            );
-            await webview.executeJavaScript(
-              `(function() { const cb = document.querySelector('input[name="r"]'); if (cb) cb.checked = true; })(); void(0);`
-            );
-            await webview.executeJavaScript(
-              `document.querySelector('button[type="submit"][data-dw-icon="mdi:lock"]').click();`
-            );
-            credsAreSet.current[id] = true;
+        case 'FAILED': {
+          failedLogins.current[id] = true;
+          console.log(`[${id}] Login failed: Invalid credentials. Stopping auto-login.`);
+          report('wrong-password');
+          // Beim Login-Test zeigt das Panel das Ergebnis an
+          if (!webview.isLoginTest) {
+            const title = recipeApp?.title || AUTO_LOGIN_APPS.find(app => app.id === id)?.title || id;
+            toast({
+              title: `${title} Login fehlgeschlagen`,
+              description: 'Ungültiger Benutzername und/oder Passwort. Automatische Anmeldung gestoppt.',
+              status: 'error',
+              duration: null,
+              isClosable: true,
+            });
           }
           break;
         }
 
-        case 'schulcloud':
-          try {
-            console.log('[schul.cloud] === Starting credential injection ===');
-            
-            // Get encryption password for schul.cloud / BBZ Chat
-            const schulcloudEncryptionResult = await window.electron.getCredentials({
-              service: 'bbzcloud',
-              account: 'schulcloudEncryptionPassword'
-            });
-            const schulcloudEncryptionPassword = schulcloudEncryptionResult.success ? schulcloudEncryptionResult.password : null;
-            console.log('[schul.cloud] Encryption password loaded:', schulcloudEncryptionPassword ? 'YES' : 'NO');
-
-            // Check if we're on BBZ Chat (chat.bbz-rd-eck.com)
-            const currentUrl = webview.getURL();
-            const isBbzChat = currentUrl.includes('chat.bbz-rd-eck.com');
-            console.log('[schul.cloud] Current URL:', currentUrl);
-            console.log('[schul.cloud] Is BBZ Chat:', isBbzChat);
-
-            // If BBZ Chat, bypass the React login form entirely by calling
-            // the API directly. This avoids all React internals / controlled input issues.
-            // stashcat-chat's POST /api/login returns {token, user}, and the app
-            // reads the token from localStorage('schulchat_token') on startup.
-            if (isBbzChat) {
-              const loginResult = await webview.executeJavaScript(`
-                (async function() {
-                  try {
-                    // Check if token exists in localStorage and validate it
-                    const existingToken = localStorage.getItem('schulchat_token');
-                    if (existingToken) {
-                      try {
-                        const me = await fetch('/api/me', {
-                          headers: { 'Authorization': 'Bearer ' + existingToken }
-                        });
-                        if (me.ok) {
-                          console.log('[BBZ Chat] Token validated via /api/me');
-                          return 'ALREADY_LOGGED_IN';
-                        }
-                        // Token expired/invalid — remove and fall through to fresh login
-                        console.log('[BBZ Chat] Existing token invalid, removing and re-logging in');
-                        localStorage.removeItem('schulchat_token');
-                      } catch (e) {
-                        // Network error — trust the token to avoid logging the user out unnecessarily
-                        console.log('[BBZ Chat] Token validation network error, trusting token');
-                        return 'ALREADY_LOGGED_IN';
-                      }
-                    }
-
-                    console.log('[BBZ Chat] No token, calling /api/login...');
-                    const response = await fetch('/api/login', {
-                      method: 'POST',
-                      headers: { 'Content-Type': 'application/json' },
-                      body: JSON.stringify({
-                        email: ${JSON.stringify(emailAddress)},
-                        password: ${JSON.stringify(password)},
-                        securityPassword: ${JSON.stringify(schulcloudEncryptionPassword || password)}
-                      })
-                    });
-
-                    if (!response.ok) {
-                      const errorText = await response.text();
-                      console.error('[BBZ Chat] Login API error:', response.status, errorText);
-                      return 'API_ERROR_' + response.status;
-                    }
-
-                    const data = await response.json();
-                    if (data.token) {
-                      localStorage.setItem('schulchat_token', data.token);
-                      console.log('[BBZ Chat] Token stored, reloading...');
-                      return 'TOKEN_STORED';
-                    } else {
-                      console.error('[BBZ Chat] No token in response:', JSON.stringify(data));
-                      return 'NO_TOKEN';
-                    }
-                  } catch (err) {
-                    console.error('[BBZ Chat] Login fetch error:', err.message);
-                    return 'FETCH_ERROR';
-                  }
-                })()
-              `);
-
-              console.log('[BBZ Chat] Login result:', loginResult);
-
-              if (loginResult === 'TOKEN_STORED') {
-                // Token saved — reload the page so the app picks it up
-                credsAreSet.current[id] = true;
-                webview.reload();
-                break;
-              }
-
-              if (loginResult === 'ALREADY_LOGGED_IN') {
-                credsAreSet.current[id] = true;
-                setBbzChatLoginActive(false);
-                break;
-              }
-
-              // API error or fetch error — allow retry for temporary failures
-              if (loginResult.startsWith('API_ERROR') || loginResult === 'FETCH_ERROR') {
-                console.warn('[BBZ Chat] Login failed (temporary):', loginResult, '- will retry on next check');
-                // DON'T set credsAreSet - allow retry on next periodic check
-                // The 5-second interval check will try again
-                break;
-              }
-
-              break;
-            }
-
-            // Fall back to schul.cloud logic
-            console.log('[schul.cloud] Using schul.cloud login logic');
-            
-            // Detect login state using exact schul.cloud selectors
-            const loginState = await webview.executeJavaScript(`
-              (function() {
-                console.log('[schul.cloud] Detecting login state...');
-                
-                // Look for specific schul.cloud elements
-                const emailInput = document.querySelector('input#username[type="text"]');
-                const passwordInputs = document.querySelectorAll('input[type="password"]');
-                const weiterButton = document.querySelector('button[type="submit"].btn.btn-contained');
-                const loginButton = Array.from(document.querySelectorAll('span.header')).find(el => el.textContent.includes('Anmelden mit Passwort')) ||
-                                  Array.from(document.querySelectorAll('button')).find(el => el.textContent.includes('Anmelden mit Passwort')) ||
-                                  document.querySelector('[title*="Anmelden"]');
-
-                // Check for remember login checkbox (input#stayLoggedInCheck)
-                const rememberCheckbox = document.querySelector('input#stayLoggedInCheck');
-
-                // Find encryption password field
-                let encryptionInput = null;
-                for (const input of passwordInputs) {
-                  const parentAppLabel = input.closest('app-label-input');
-                  const hasEncryptionTestId = parentAppLabel && parentAppLabel.getAttribute('data-test-id') === 'set-private-key-password_pass_if';
-                  const hasEncryptionLabel = parentAppLabel && parentAppLabel.textContent.includes('Verschlüsselungskennwort');
-                  if (hasEncryptionTestId || hasEncryptionLabel) {
-                    encryptionInput = input;
-                    break;
-                  }
-                }
-
-                // Check if already logged in or on encryption/auth page
-                // IMPORTANT: Only check actual DOM elements for logged-in state
-                // Do NOT check textContent for 'Logout' or 'Abmelden' - these appear in
-                // script tags and cause false positives on the login page!
-                const loggedIn = document.querySelector('.user-menu') ||
-                               document.querySelector('.dashboard') ||
-                               document.querySelector('.main-content');
-
-                // Verschlüsselungsseite an konkreten Elementen erkennen, nicht am
-                // Seitentext: 'Verschlüsselungskennwort'/'Smartphone' kommen auch
-                // in der eingeloggten App vor (Einstellungen, Chatnachrichten) und
-                // haben die Injection dauerhaft weiterlaufen lassen.
-                const encryptionButton = Array.from(document.querySelectorAll('button.row, div.row')).find(btn =>
-                  btn.textContent.includes('Durch dein Verschlüsselungskennwort')
-                );
-                const onEncryptionPage = !!encryptionButton || !!encryptionInput;
-
-                const state = {
-                  emailInput: !!emailInput,
-                  passwordInputs: passwordInputs.length,
-                  weiterButton: !!weiterButton,
-                  loginButton: !!loginButton,
-                  rememberCheckbox: !!rememberCheckbox,
-                  hasEncryptionInput: !!encryptionInput,
-                  encryptionInputIndex: encryptionInput ? Array.from(passwordInputs).indexOf(encryptionInput) : -1,
-                  loggedIn: !!loggedIn,
-                  onEncryptionPage: !!onEncryptionPage,
-                  url: window.location.href,
-                  title: document.title,
-                  bodyText: document.body.textContent.substring(0, 200) // First 200 chars for debugging
-                };
-                
-                console.log('[schul.cloud] Login state:', JSON.stringify(state, null, 2));
-                return state;
-              })()
-            `);
-
-            console.log('[schul.cloud] Login state detected:', JSON.stringify(loginState, null, 2));
-
-            if (loginState.loggedIn) {
-              // Already logged in or on post-login page, no action needed
-              return;
-            }
-
-            if (loginState.emailInput && !loginState.passwordInputs) {
-              // Email page - fill email and click Weiter
-              console.log('[schul.cloud] Email page detected - filling email field');
-              
-              const result = await webview.executeJavaScript(`
-                (function() {
-                  try {
-                    ${SAFE_FOCUS_HELPER_JS}
-                    const emailInput = document.querySelector('input#username[type="text"]');
-                    const weiterButton = document.querySelector('button[type="submit"].btn.btn-contained');
-
-                    console.log('[schul.cloud] Email input found:', !!emailInput);
-                    console.log('[schul.cloud] Weiter button found:', !!weiterButton);
-
-                    if (emailInput && weiterButton) {
-                      console.log('[schul.cloud] Filling email:', ${JSON.stringify(emailAddress)});
-                      
-                      // Method 1: Direct value set with native setter override
-                      const nativeInputValueSetter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
-                      nativeInputValueSetter.call(emailInput, ${JSON.stringify(emailAddress)});
-                      
-                      // Method 2: Also set value directly (fallback)
-                      emailInput.value = ${JSON.stringify(emailAddress)};
-                      
-                      // Fokus nur übernehmen, wenn der Nutzer nicht gerade
-                      // woanders tippt (sonst springt der Cursor heraus).
-                      __bbzSafeFocus(emailInput);
-                      if (document.activeElement === emailInput) emailInput.select();
-
-                      // Trigger Angular events in correct order
-                      const events = ['input', 'change', 'keydown', 'keyup', 'blur', 'focus'];
-                      events.forEach(eventType => {
-                        emailInput.dispatchEvent(new Event(eventType, { bubbles: true }));
-                      });
-                      
-                      // Also try React-specific events
-                      emailInput.dispatchEvent(new Event('textInput', { bubbles: true }));
-
-                      console.log('[schul.cloud] Email filled, waiting 1000ms then clicking Weiter...');
-
-                      // Wait then click Weiter button
-                      setTimeout(() => {
-                        console.log('[schul.cloud] Attempting to click Weiter button');
-                        weiterButton.click();
-                        console.log('[schul.cloud] Weiter button clicked');
-                      }, 1000);
-
-                      return 'SUCCESS';
-                    }
-                    
-                    return 'NO_ELEMENTS';
-                  } catch (err) {
-                    console.error('[schul.cloud] Error filling email:', err);
-                    return 'ERROR: ' + err.message;
-                  }
-                })()
-              `);
-
-              console.log('[schul.cloud] Email injection result:', result);
-              
-            } else if (loginState.passwordInputs && !loginState.onEncryptionPage) {
-              // Password page - fill password, check remember me, and submit
-              console.log('[schul.cloud] Password page detected - filling password');
-              
-              const result = await webview.executeJavaScript(`
-                (function() {
-                  try {
-                    ${SAFE_FOCUS_HELPER_JS}
-                    // Find password input but exclude encryption password field
-                    const allPasswordInputs = document.querySelectorAll('input[type="password"]');
-                    let passwordInput = null;
-
-                    console.log('[schul.cloud] Found', allPasswordInputs.length, 'password input(s)');
-
-                    // Filter out encryption password field
-                    for (const input of allPasswordInputs) {
-                      const parentAppLabel = input.closest('app-label-input');
-                      const hasEncryptionTestId = parentAppLabel && parentAppLabel.getAttribute('data-test-id') === 'set-private-key-password_pass_if';
-                      const hasEncryptionLabel = parentAppLabel && parentAppLabel.textContent.includes('Verschlüsselungskennwort');
-
-                      // Skip if this is the encryption password field
-                      if (hasEncryptionTestId || hasEncryptionLabel) {
-                        console.log('[schul.cloud] Skipping encryption password field');
-                        continue;
-                      }
-
-                      // This should be the regular login password
-                      passwordInput = input;
-                      console.log('[schul.cloud] Using login password input at index', Array.from(allPasswordInputs).indexOf(input));
-                      break;
-                    }
-
-                    const rememberCheckbox = document.querySelector('input#stayLoggedInCheck');
-                    const loginButton = Array.from(document.querySelectorAll('span.header')).find(el => el.textContent.includes('Anmelden mit Passwort')) ||
-                                      Array.from(document.querySelectorAll('button')).find(el => el.textContent.includes('Anmelden mit Passwort'));
-
-                    if (passwordInput) {
-                      console.log('[schul.cloud] Filling login password (not encryption password)');
-                      
-                      // Use native setter to bypass Angular control
-                      const nativeInputValueSetter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
-                      nativeInputValueSetter.call(passwordInput, ${JSON.stringify(password)});
-                      
-                      // Also set directly as fallback
-                      passwordInput.value = ${JSON.stringify(password)};
-
-                      __bbzSafeFocus(passwordInput);
-
-                      // Trigger Angular events
-                      const events = ['input', 'change', 'keydown', 'keyup', 'blur', 'focus'];
-                      events.forEach(eventType => {
-                        passwordInput.dispatchEvent(new Event(eventType, { bubbles: true }));
-                      });
-                      passwordInput.dispatchEvent(new Event('textInput', { bubbles: true }));
-
-                      // Click remember login checkbox if available
-                      if (rememberCheckbox) {
-                        console.log('[schul.cloud] Clicking remember login checkbox');
-                        rememberCheckbox.click();
-                      }
-
-                      // Wait then click login button
-                      setTimeout(() => {
-                        if (loginButton) {
-                          console.log('[schul.cloud] Clicking login button');
-                          loginButton.click();
-                        } else {
-                          // Try to find the parent button element
-                          const parentButton = document.querySelector('button[type="submit"]');
-                          if (parentButton) {
-                            console.log('[schul.cloud] Clicking parent login button');
-                            parentButton.click();
-                          } else {
-                            console.log('[schul.cloud] No submit button found!');
-                          }
-                        }
-                      }, 1000);
-
-                      return 'SUCCESS';
-                    } else {
-                      console.log('[schul.cloud] No valid login password field found (encryption password excluded)');
-                      return 'NO_PASSWORD_FIELD';
-                    }
-                  } catch (err) {
-                    console.error('[schul.cloud] Error filling password:', err);
-                    return 'ERROR: ' + err.message;
-                  }
-                })()
-              `);
-
-              console.log('[schul.cloud] Password injection result:', result);
-              
-            } else if (loginState.onEncryptionPage && schulcloudEncryptionPassword) {
-              // Encryption password page - need to click "Durch dein Verschlüsselungskennwort" first, then fill password
-              console.log('[schul.cloud] Encryption page detected - handling encryption password');
-              
-              const pageState = await webview.executeJavaScript(`
-                (function() {
-                  console.log('[schul.cloud] Checking encryption page state...');
-                  
-                  // Check for "Durch dein Verschlüsselungskennwort" button (with data-icon="password")
-                  const encryptionButton = Array.from(document.querySelectorAll('button.row, div.row')).find(btn =>
-                    btn.textContent.includes('Durch dein Verschlüsselungskennwort')
-                  );
-
-                  const passwordInputs = document.querySelectorAll('input[type="password"]');
-                  const weiterButton = Array.from(document.querySelectorAll('button')).find(btn =>
-                    btn.textContent.includes('Weiter')
-                  );
-
-                  const state = {
-                    hasEncryptionButton: !!encryptionButton,
-                    passwordInputCount: passwordInputs.length,
-                    hasWeiterButton: !!weiterButton,
-                    // Check if password field is already visible (after clicking encryption button)
-                    passwordInputVisible: passwordInputs.length > 0 && passwordInputs[0].offsetParent !== null
-                  };
-                  
-                  console.log('[schul.cloud] Encryption page state:', JSON.stringify(state, null, 2));
-                  return state;
-                })()
-              `);
-
-              console.log('[schul.cloud] Encryption page state:', JSON.stringify(pageState, null, 2));
-
-              // Wait a bit for the page to settle
-              await new Promise(resolve => setTimeout(resolve, 500));
-
-              // Check if we need to click the encryption button first
-              if (pageState.hasEncryptionButton) {
-                console.log('[schul.cloud] Clicking encryption button first');
-                
-                // Click "Durch dein Verschlüsselungskennwort" button
-                const clicked = await webview.executeJavaScript(`
-                  (function() {
-                    const encryptionButton = Array.from(document.querySelectorAll('button.row, div.row')).find(btn =>
-                      btn.textContent.includes('Durch dein Verschlüsselungskennwort')
-                    );
-                    if (encryptionButton) {
-                      console.log('[schul.cloud] Clicking encryption button');
-                      encryptionButton.click();
-                      return true;
-                    }
-                    console.log('[schul.cloud] Encryption button not found!');
-                    return false;
-                  })()
-                `);
-
-                console.log('[schul.cloud] Encryption button clicked:', clicked);
-                
-                // Wait for password field to appear
-                await new Promise(resolve => setTimeout(resolve, 1500));
-              }
-
-              // Now fill encryption password and click Weiter
-              const result = await webview.executeJavaScript(`
-                (function() {
-                  try {
-                    ${SAFE_FOCUS_HELPER_JS}
-                    const passwordInputs = document.querySelectorAll('input[type="password"]');
-                    const weiterButton = Array.from(document.querySelectorAll('button')).find(btn =>
-                      btn.textContent.includes('Weiter')
-                    );
-
-                    console.log('[schul.cloud] Found', passwordInputs.length, 'password input(s) on encryption page');
-
-                    // Find the visible password input
-                    let encryptionInput = null;
-                    for (const input of passwordInputs) {
-                      if (input.offsetParent !== null) {
-                        encryptionInput = input;
-                        console.log('[schul.cloud] Found visible encryption input');
-                        break;
-                      }
-                    }
-
-                    if (!encryptionInput && passwordInputs.length > 0) {
-                      encryptionInput = passwordInputs[0];
-                      console.log('[schul.cloud] Using first password input as fallback');
-                    }
-
-                    if (encryptionInput && ${JSON.stringify(schulcloudEncryptionPassword)}) {
-                      console.log('[schul.cloud] Filling encryption password');
-                      
-                      // Use native setter
-                      const nativeInputValueSetter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
-                      nativeInputValueSetter.call(encryptionInput, ${JSON.stringify(schulcloudEncryptionPassword)});
-                      
-                      encryptionInput.value = ${JSON.stringify(schulcloudEncryptionPassword)};
-                      __bbzSafeFocus(encryptionInput);
-
-                      // Trigger Angular events
-                      const events = ['input', 'change', 'keydown', 'keyup', 'blur', 'focus'];
-                      events.forEach(eventType => {
-                        encryptionInput.dispatchEvent(new Event(eventType, { bubbles: true }));
-                      });
-                      encryptionInput.dispatchEvent(new Event('textInput', { bubbles: true }));
-
-                      console.log('[schul.cloud] Encryption password filled, waiting then clicking Weiter...');
-
-                      // Wait then click Weiter button
-                      setTimeout(() => {
-                        if (weiterButton) {
-                          console.log('[schul.cloud] Clicking Weiter button');
-                          weiterButton.click();
-                        } else {
-                          console.log('[schul.cloud] No Weiter button found!');
-                        }
-                      }, 1000);
-
-                      return 'SUCCESS';
-                    } else {
-                      console.log('[schul.cloud] No encryption password field or password set');
-                      return 'NO_FIELD_OR_PASSWORD';
-                    }
-                  } catch (err) {
-                    console.error('[schul.cloud] Error filling encryption password:', err);
-                    return 'ERROR: ' + err.message;
-                  }
-                })()
-              `);
-
-              console.log('[schul.cloud] Encryption password injection result:', result);
-            } else {
-              // No login state matched - log detailed info for debugging
-              console.log('[schul.cloud] No login action taken - state does not match any condition');
-              console.log('[schul.cloud] Conditions:');
-              console.log('  - emailInput:', loginState.emailInput);
-              console.log('  - passwordInputs:', loginState.passwordInputs);
-              console.log('  - onEncryptionPage:', loginState.onEncryptionPage);
-              console.log('  - loggedIn:', loginState.loggedIn);
-              console.log('  - hasEncryptionInput:', loginState.hasEncryptionInput);
-              console.log('  - schulcloudEncryptionPassword:', schulcloudEncryptionPassword ? 'SET' : 'NOT SET');
-            }
-          } catch (error) {
-            console.error('[schul.cloud] Error during schul.cloud login:', error);
-            console.error('[schul.cloud] Error stack:', error.stack);
-          }
+        case 'NO_FORM':
+        case 'NO_SUBMIT':
+          report('no-form', result.status === 'NO_SUBMIT' ? 'Der Anmelde-Button wurde nicht gefunden.' : null);
           break;
 
-        case 'antraege':
-          try {
-            // Check cooldown period (15 minutes) to avoid disrupting 2FA process
-            const COOLDOWN_MINUTES_WEBUNTIS = 15;
-            
-            // Use hostname-specific key to allow testing on new URLs without waiting
-            let hostname = 'unknown';
-            try {
-              hostname = new URL(webview.getURL()).hostname;
-            } catch (e) { console.warn('Could not get hostname for cooldown key'); }
-            
-            const storageKey = `webuntis_last_login_attempt_${hostname}`;
-            const lastLoginAttemptWebuntis = localStorage.getItem(storageKey);
-            const nowWebuntis = Date.now();
-            
-            if (lastLoginAttemptWebuntis) {
-              const timeSinceLastAttempt = nowWebuntis - parseInt(lastLoginAttemptWebuntis, 10);
-              const cooldownPeriod = COOLDOWN_MINUTES_WEBUNTIS * 60 * 1000; // 15 minutes in milliseconds
-              
-              if (timeSinceLastAttempt < cooldownPeriod) {
-                const remainingMinutes = Math.ceil((cooldownPeriod - timeSinceLastAttempt) / (60 * 1000));
-                console.log(`WebUntis login cooldown active for ${hostname}. ${remainingMinutes} minutes remaining.`);
-                return;
-              }
-            }
-
-            // Get Anträge credentials (uses WebUntis email/Lehrerkürzel and standard password)
-            const antraegeEmailResult = await window.electron.getCredentials({
-              service: 'bbzcloud',
-              account: 'webuntisEmail'
-            });
-
-            if (!antraegeEmailResult.success || !antraegeEmailResult.password) {
-              return;
-            }
-
-            const antraegeUsername = antraegeEmailResult.password;
-
-            // Inject credentials into the agorum login form
-            const loginResult = await webview.executeJavaScript(`
-              (async () => {
-                try {
-                  // Wait for form to be ready
-                  await new Promise((resolve) => {
-                    const checkForm = () => {
-                      const usernameField = document.querySelector('input[autocomplete="username"]');
-                      const passwordField = document.querySelector('input[autocomplete="current-password"]');
-                      if (usernameField && passwordField) {
-                        resolve();
-                      } else {
-                        setTimeout(checkForm, 100);
-                      }
-                    };
-                    checkForm();
-                  });
-
-                  // Get form elements
-                  const usernameField = document.querySelector('input[autocomplete="username"]');
-                  const passwordField = document.querySelector('input[autocomplete="current-password"]');
-                  const rememberCheckbox = document.querySelector('input.x-form-checkbox[type="button"]');
-                  const loginButton = Array.from(document.querySelectorAll('a.x-btn')).find(btn => 
-                    btn.textContent.includes('Anmelden')
-                  );
-
-                  if (!usernameField || !passwordField || !loginButton) {
-                    return false;
-                  }
-
-                  // Fill username
-                  usernameField.value = ${JSON.stringify(antraegeUsername)};
-                  usernameField.dispatchEvent(new Event('input', { bubbles: true }));
-                  usernameField.dispatchEvent(new Event('change', { bubbles: true }));
-
-                  // Wait a bit
-                  await new Promise(resolve => setTimeout(resolve, 200));
-
-                  // Fill password
-                  passwordField.value = ${JSON.stringify(password)};
-                  passwordField.dispatchEvent(new Event('input', { bubbles: true }));
-                  passwordField.dispatchEvent(new Event('change', { bubbles: true }));
-
-                  // Check "remember me" checkbox if available
-                  if (rememberCheckbox && !rememberCheckbox.closest('.x-form-cb-checked')) {
-                    rememberCheckbox.click();
-                  }
-
-                  // Wait a bit before clicking login
-                  await new Promise(resolve => setTimeout(resolve, 300));
-
-                  // Click login button
-                  if (loginButton) {
-                    loginButton.click();
-                    return true;
-                  }
-
-                  return false;
-                } catch (error) {
-                  console.error('Error during Anträge login:', error);
-                  return false;
-                }
-              })();
-            `);
-
-            // Store timestamp only if login button was actually clicked
-          } catch (error) {
-            console.error('Error during Anträge login:', error);
-          }
+        case 'NOT_FILLED':
+          // Nichts abschicken, solange die Seite die Felder zuruecksetzt
+          report('error', 'Das Loginformular ließ sich nicht ausfüllen oder abschicken.');
           break;
 
-        case 'schulportal':
-          try {
-            // Get Schulportal credentials
-            const schulportalEmailResult = await window.electron.getCredentials({
-              service: 'bbzcloud',
-              account: 'schulportalEmail'
-            });
-            const schulportalPasswordResult = await window.electron.getCredentials({
-              service: 'bbzcloud',
-              account: 'schulportalPassword'
-            });
-
-            if (!schulportalEmailResult.success || !schulportalPasswordResult.success) {
-              return;
-            }
-
-            const schulportalEmail = schulportalEmailResult.password;
-            const schulportalPassword = schulportalPasswordResult.password;
-
-            if (!schulportalEmail || !schulportalPassword) {
-              return;
-            }
-
-            // Inject credentials into Schulportal login form
-            await webview.executeJavaScript(`
-              (async () => {
-                try {
-                  // Wait for form to be ready
-                  await new Promise((resolve) => {
-                    const checkForm = () => {
-                      const usernameField = document.querySelector('input#username');
-                      const passwordField = document.querySelector('input#password');
-                      if (usernameField && passwordField) {
-                        resolve();
-                      } else {
-                        setTimeout(checkForm, 100);
-                      }
-                    };
-                    checkForm();
-                  });
-
-                  const usernameField = document.querySelector('input#username');
-                  const passwordField = document.querySelector('input#password');
-                  const submitButton = document.querySelector('input#kc-login[type="submit"]');
-
-                  if (usernameField && passwordField && submitButton) {
-                    usernameField.value = ${JSON.stringify(schulportalEmail)};
-                    usernameField.dispatchEvent(new Event('input', { bubbles: true }));
-                    usernameField.dispatchEvent(new Event('change', { bubbles: true }));
-                    
-                    passwordField.value = ${JSON.stringify(schulportalPassword)};
-                    passwordField.dispatchEvent(new Event('input', { bubbles: true }));
-                    passwordField.dispatchEvent(new Event('change', { bubbles: true }));
-                    
-                    setTimeout(() => {
-                      submitButton.click();
-                    }, 500);
-                    
-                    return true;
-                  }
-                  return false;
-                } catch (error) {
-                  return false;
-                }
-              })();
-            `);
-          } catch (error) {
-            console.error('Error during Schulportal login:', error);
-          }
+        case 'ERROR':
+          report('error', result.error || null);
           break;
 
-        case 'office':
-          try {
-            // Detect Office.com login state using exact selectors
-            const loginState = await webview.executeJavaScript(`
-              (function() {
-                // Look for specific Office.com elements
-                const emailInput = document.querySelector('input[name="loginfmt"]#i0116[type="email"]');
-                const passwordInput = document.querySelector('input[name="passwd"]#i0118[type="password"]');
-                const weiterButton = document.querySelector('input[type="submit"]#idSIButton9[value="Weiter"]');
-                const anmeldenButton = document.querySelector('input[type="submit"]#idSIButton9[value="Anmelden"]');
-                const jaButton = document.querySelector('input[type="submit"]#idSIButton9[value="Ja"]');
-                
-                // Check for account selection tile
-                const emailTile = document.querySelector('div[data-bind*="session.tileDisplayName"]');
-                
-                // Check if already logged in (look for Office apps or user menu)
-                const officeApps = document.querySelector('.o365cs-nav-appTitle, .ms-Nav, .od-TopBar, [data-automation-id="appLauncher"]') ||
-                                 document.body.textContent.includes('Office') ||
-                                 document.body.textContent.includes('Microsoft 365');
-                
-                return {
-                  emailInput: !!emailInput,
-                  passwordInput: !!passwordInput,
-                  weiterButton: !!weiterButton,
-                  anmeldenButton: !!anmeldenButton,
-                  jaButton: !!jaButton,
-                  emailTile: !!emailTile,
-                  loggedIn: !!officeApps,
-                  url: window.location.href,
-                  title: document.title
-                };
-              })()
-            `);
-
-            console.log('Office.com login state:', loginState);
-
-            if (loginState.loggedIn) {
-              // Already logged in, no action needed
-              return;
-            }
-
-            if (loginState.emailInput && !loginState.passwordInput) {
-              // Email page - fill email and click Weiter
-              const result = await webview.executeJavaScript(`
-                (function() {
-                  const emailInput = document.querySelector('input[name="loginfmt"]#i0116[type="email"]');
-                  const weiterButton = document.querySelector('input[type="submit"]#idSIButton9[value="Weiter"]');
-                  
-                  if (emailInput && weiterButton) {
-                    console.log('Filling Office email:', ${JSON.stringify(emailAddress)});
-                    emailInput.value = ${JSON.stringify(emailAddress)};
-                    emailInput.focus();
-                    
-                    // Trigger Microsoft form events
-                    emailInput.dispatchEvent(new Event('input', { bubbles: true }));
-                    emailInput.dispatchEvent(new Event('change', { bubbles: true }));
-                    emailInput.dispatchEvent(new Event('blur', { bubbles: true }));
-                    
-                    // Wait then click Weiter button
-                    setTimeout(() => {
-                      console.log('Clicking Office Weiter button');
-                      weiterButton.click();
-                    }, 1000);
-                    
-                    return true;
-                  }
-                  return false;
-                })()
-              `);
-              
-              console.log('Office email injection result:', result);
-              
-            } else if (loginState.emailTile && !loginState.passwordInput) {
-              // Account selection page - click on email tile
-              const result = await webview.executeJavaScript(`
-                (function() {
-                  const emailTile = document.querySelector('div[data-bind*="session.tileDisplayName"]');
-                  
-                  if (emailTile) {
-                    console.log('Clicking Office email tile');
-                    
-                    // Look for the clickable parent element
-                    let clickableElement = emailTile;
-                    let parent = emailTile.parentElement;
-                    while (parent && parent !== document.body) {
-                      if (parent.tagName === 'BUTTON' || 
-                          parent.onclick || 
-                          parent.getAttribute('role') === 'button' ||
-                          parent.style.cursor === 'pointer' ||
-                          parent.classList.contains('tile') ||
-                          parent.classList.contains('account')) {
-                        clickableElement = parent;
-                        break;
-                      }
-                      parent = parent.parentElement;
-                    }
-                    
-                    // Click the element
-                    clickableElement.click();
-                    return true;
-                  }
-                  return false;
-                })()
-              `);
-              
-              console.log('Office email tile click result:', result);
-              
-            } else if (loginState.passwordInput) {
-              // Password page - fill password and submit
-              const result = await webview.executeJavaScript(`
-                (function() {
-                  const passwordInput = document.querySelector('input[name="passwd"]#i0118[type="password"]');
-                  const anmeldenButton = document.querySelector('input[type="submit"]#idSIButton9[value="Anmelden"]');
-                  
-                  if (passwordInput && anmeldenButton) {
-                    console.log('Filling Office password');
-                    passwordInput.value = ${JSON.stringify(password)};
-                    passwordInput.focus();
-                    
-                    // Trigger Microsoft form events
-                    passwordInput.dispatchEvent(new Event('input', { bubbles: true }));
-                    passwordInput.dispatchEvent(new Event('change', { bubbles: true }));
-                    passwordInput.dispatchEvent(new Event('blur', { bubbles: true }));
-                    
-                    // Wait then click Anmelden button
-                    setTimeout(() => {
-                      console.log('Clicking Office Anmelden button');
-                      anmeldenButton.click();
-                    }, 1000);
-                    
-                    return true;
-                  }
-                  return false;
-                })()
-              `);
-              
-              console.log('Office password injection result:', result);
-              
-            } else if (loginState.jaButton) {
-              // "Stay signed in?" page - click Ja
-              const result = await webview.executeJavaScript(`
-                (function() {
-                  const jaButton = document.querySelector('input[type="submit"]#idSIButton9[value="Ja"]');
-
-                  if (jaButton) {
-                    console.log('Clicking Office Ja button');
-
-                    setTimeout(() => {
-                      jaButton.click();
-                    }, 500);
-
-                    return true;
-                  }
-                  return false;
-                })()
-              `);
-
-              console.log('Office Ja button click result:', result);
-            }
-          } catch (error) {
-            console.error('Error during Office login:', error);
-          }
+        default:
+          // IDLE / NOT_APPLICABLE: auf dieser Seite gibt es nichts zu tun
           break;
-
-        case 'nextcloud':
-          try {
-            const ncLoginState = await webview.executeJavaScript(`
-              (function() {
-                // Step 1: BBZ ADFS button on Nextcloud login page
-                const adfsButton = document.querySelector('a[href*="user_saml/saml/login"]') ||
-                                   Array.from(document.querySelectorAll('a')).find(a => a.textContent.trim() === 'BBZ ADFS');
-
-                // Step 2: ADFS login form (same as Outlook)
-                const userNameInput = document.querySelector('#userNameInput');
-                const passwordInput = document.querySelector('#passwordInput');
-                const submitButton = document.querySelector('#submitButton');
-
-                // Step 3: "Stay signed in?" page
-                const jaButton = document.querySelector('input[type="submit"]#idSIButton9[value="Ja"]');
-
-                // Already logged in to Nextcloud
-                const loggedIn = document.querySelector('#header') ||
-                                 document.querySelector('.app-navigation') ||
-                                 document.querySelector('#nextcloud') ||
-                                 window.location.href.includes('/apps/');
-
-                return {
-                  adfsButton: !!adfsButton,
-                  userNameInput: !!userNameInput,
-                  passwordInput: !!passwordInput,
-                  submitButton: !!submitButton,
-                  jaButton: !!jaButton,
-                  loggedIn: !!loggedIn,
-                  url: window.location.href
-                };
-              })()
-            `);
-
-            console.log('Nextcloud login state:', ncLoginState);
-
-            if (ncLoginState.loggedIn) {
-              return;
-            }
-
-            if (ncLoginState.adfsButton) {
-              // Click the BBZ ADFS button to initiate SAML login
-              console.log('[Nextcloud] ADFS button found - initiating SAML login');
-              
-              const result = await webview.executeJavaScript(`
-                (function() {
-                  try {
-                    const adfsButton = document.querySelector('a[href*="user_saml/saml/login"]') ||
-                                       Array.from(document.querySelectorAll('a')).find(a => a.textContent.trim() === 'BBZ ADFS');
-                    
-                    if (adfsButton) {
-                      console.log('[Nextcloud] Found ADFS button, clicking');
-                      adfsButton.click();
-                      return 'CLICKED';
-                    }
-                    
-                    console.log('[Nextcloud] ADFS button not found!');
-                    return 'BUTTON_NOT_FOUND';
-                  } catch (err) {
-                    console.error('[Nextcloud] Error clicking ADFS button:', err);
-                    return 'ERROR: ' + err.message;
-                  }
-                })()
-              `);
-              
-              console.log('[Nextcloud] ADFS button click result:', result);
-            } else if (ncLoginState.userNameInput && ncLoginState.passwordInput && ncLoginState.submitButton) {
-              // ADFS login form - fill credentials (same form as Outlook)
-              console.log('[Nextcloud] ADFS login form detected - filling credentials');
-              
-              const result = await webview.executeJavaScript(`
-                (function() {
-                  try {
-                    const userNameInput = document.querySelector('#userNameInput');
-                    const passwordInput = document.querySelector('#passwordInput');
-                    const submitButton = document.querySelector('#submitButton');
-
-                    console.log('[Nextcloud] Filling ADFS credentials');
-                    console.log('[Nextcloud] Username:', ${JSON.stringify(emailAddress)});
-
-                    // Fill username with native setter
-                    if (userNameInput) {
-                      const nativeInputValueSetter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
-                      nativeInputValueSetter.call(userNameInput, ${JSON.stringify(emailAddress)});
-                      userNameInput.value = ${JSON.stringify(emailAddress)};
-                      
-                      // Trigger events
-                      userNameInput.dispatchEvent(new Event('input', { bubbles: true }));
-                      userNameInput.dispatchEvent(new Event('change', { bubbles: true }));
-                      console.log('[Nextcloud] Username filled');
-                    }
-
-                    // Fill password with native setter
-                    if (passwordInput) {
-                      const nativeInputValueSetter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
-                      nativeInputValueSetter.call(passwordInput, ${JSON.stringify(password)});
-                      passwordInput.value = ${JSON.stringify(password)};
-                      
-                      // Trigger events
-                      passwordInput.dispatchEvent(new Event('input', { bubbles: true }));
-                      passwordInput.dispatchEvent(new Event('change', { bubbles: true }));
-                      console.log('[Nextcloud] Password filled');
-                    }
-
-                    // Click submit button after a short delay
-                    if (submitButton) {
-                      setTimeout(() => {
-                        console.log('[Nextcloud] Clicking submit button');
-                        submitButton.click();
-                      }, 500);
-                    }
-
-                    return 'SUCCESS';
-                  } catch (err) {
-                    console.error('[Nextcloud] Error filling ADFS credentials:', err);
-                    return 'ERROR: ' + err.message;
-                  }
-                })()
-              `);
-              
-              console.log('[Nextcloud] ADFS credential injection result:', result);
-            } else if (ncLoginState.jaButton) {
-              // "Stay signed in?" page - click Ja
-              console.log('[Nextcloud] "Stay signed in?" page detected - clicking Ja');
-              
-              const result = await webview.executeJavaScript(`
-                (function() {
-                  try {
-                    const jaButton = document.querySelector('input[type="submit"]#idSIButton9[value="Ja"]');
-                    
-                    if (jaButton) {
-                      console.log('[Nextcloud] Found Ja button, clicking in 500ms');
-                      setTimeout(() => {
-                        jaButton.click();
-                        console.log('[Nextcloud] Ja button clicked');
-                      }, 500);
-                      return 'SUCCESS';
-                    }
-                    
-                    console.log('[Nextcloud] Ja button not found!');
-                    return 'BUTTON_NOT_FOUND';
-                  } catch (err) {
-                    console.error('[Nextcloud] Error clicking Ja button:', err);
-                    return 'ERROR: ' + err.message;
-                  }
-                })()
-              `);
-              
-              console.log('[Nextcloud] Ja button click result:', result);
-            } else {
-              // No login state matched - log for debugging
-              console.log('[Nextcloud] No login action taken - state does not match any condition');
-              console.log('[Nextcloud] Conditions:');
-              console.log('  - adfsButton:', ncLoginState.adfsButton);
-              console.log('  - userNameInput:', ncLoginState.userNameInput);
-              console.log('  - passwordInput:', ncLoginState.passwordInput);
-              console.log('  - submitButton:', ncLoginState.submitButton);
-              console.log('  - jaButton:', ncLoginState.jaButton);
-              console.log('  - loggedIn:', ncLoginState.loggedIn);
-              console.log('  - url:', ncLoginState.url);
-            }
-          } catch (error) {
-            console.error('[Nextcloud] Error during Nextcloud login:', error);
-            console.error('[Nextcloud] Error stack:', error.stack);
-          }
-          break;
-
-        // NOTE: BBZ Chat uses the 'schulcloud' webview ID (not 'bbzchat').
-        // BBZ Chat credential injection is handled in the 'schulcloud' case above,
-        // which detects the URL containing 'chat.bbz-rd-eck.com' and uses the
-        // direct API login approach (POST /api/login).
-      }
-
-      // IMPORTANT: For schulcloud, DON'T set credsAreSet to true automatically.
-      // schulcloud has a multi-step login (email -> password -> encryption) and we need
-      // the periodic check to keep triggering until fully logged in.
-      // Only set credsAreSet for other apps that complete login in one shot.
-      if (id !== 'schulcloud') {
-        credsAreSet.current[id] = true;
       }
     } catch (error) {
       console.error(`Error injecting credentials for ${id}:`, error);
+      report('error', error.message);
     }
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
@@ -2405,6 +1202,131 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
     }
   }, [injectCredentialsImpl]);
 
+  // Login-Test: die normale Injection läuft gegen ein verstecktes Fenster mit
+  // eigener, leerer Sitzung (LoginTester im Main-Prozess). Die echte Ansicht
+  // der App und ihre Sitzung bleiben unberührt; der Login-Zustand der App in
+  // den Refs wird gesichert und danach wiederhergestellt.
+  const runLoginTest = useCallback(async (appId) => {
+    const id = appId.toLowerCase();
+    const recipeApp = recipeAppsRef.current[id] || null;
+    const customApp = (settings.customApps || []).find(app => app.id.toLowerCase() === id);
+    const url = standardApps?.[id]?.url || customApp?.url;
+    if (!url || !window.electron?.loginTest) return null;
+
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const recipe = recipeApp?.recipe || loginRecipesRef.current[id];
+    if (!recipe) return null;
+    const check = buildLoginCheck(id, recipe);
+    const record = (result, detail = null) => recordLoginResult(id, result, { detail, isTest: true });
+
+    // Eine laufende echte Injection erst abwarten, danach sperren
+    while (injectionInFlight.current[id] && Date.now() - injectionInFlight.current[id] < INJECTION_STALE_MS) {
+      await sleep(500);
+    }
+    injectionInFlight.current[id] = Date.now();
+
+    const isOwnCooldown = (key) => key === `recipe_${id}` || key.startsWith(`${id}_`);
+    const saved = {
+      credsAreSet: credsAreSet.current[id],
+      attempts: loginAttempts.current[id],
+      failed: failedLogins.current[id],
+      cooldowns: Object.entries(loginCooldownRef.current).filter(([key]) => isOwnCooldown(key)),
+    };
+
+    let testId = null;
+    try {
+      testId = await window.electron.loginTest.start(id, url);
+      let currentUrl = url;
+      const proxy = {
+        isLoginTest: true,
+        executeJavaScript: (code) => window.electron.loginTest.execute(testId, code),
+        getURL: () => currentUrl,
+        reload: () => window.electron.loginTest.execute(testId, 'location.reload()'),
+      };
+
+      let formSeen = false;
+      let submitted = false;
+      let final = null;      // [result, detail], vom Test festgestellt
+      let reported = false;  // Injection hat ein endgültiges Ergebnis gemeldet
+      for (let round = 0; round < LOGIN_TEST_ROUNDS && !final && !reported; round++) {
+        await sleep(LOGIN_TEST_STEP_MS);
+        injectionInFlight.current[id] = Date.now();
+        try {
+          const state = await window.electron.loginTest.getState(testId);
+          currentUrl = state.url;
+          if (state.loading) continue;
+
+          if (submitted && await proxy.executeJavaScript(buildTwoFactorCheckScript(getRecipeSites(recipe)))) {
+            final = ['success', 'Passwort angenommen, die Seite fragt nach dem Zwei-Faktor-Code.'];
+            break;
+          }
+          const needsLogin = await proxy.executeJavaScript(`(async function() {
+            const state = await (${check});
+            return !!(state && state.needsLogin);
+          })()`);
+          if (!needsLogin) {
+            if (submitted) final = ['success'];
+            continue;
+          }
+
+          formSeen = true;
+          credsAreSet.current[id] = false;
+          loginAttempts.current[id] = 0;
+          failedLogins.current[id] = false;
+          const before = getLoginStatus()[id];
+          await injectCredentialsImpl(proxy, id);
+          const after = getLoginStatus()[id];
+          if (after === before || after.result === 'no-form') continue;
+          if (after.result === 'submitted') {
+            submitted = true;
+          } else if (after.result === 'cooldown' && submitted) {
+            // Sperre aus dem eigenen ersten Versuch: die Maske steht noch da
+            break;
+          } else {
+            reported = true;
+          }
+        } catch (_) {
+          // Seite navigiert gerade — nächste Runde
+        }
+      }
+
+      if (final) {
+        record(...final);
+      } else if (!reported) {
+        if (!formSeen) {
+          record('no-form', 'Beim Aufruf der Seite erschien kein Loginformular.');
+        } else if (submitted) {
+          record('wrong-password', 'Die Loginmaske steht nach dem Abschicken weiterhin da.');
+        } else {
+          record('no-form', 'Die Felder des Loginformulars wurden nicht gefunden.');
+        }
+      }
+    } catch (error) {
+      console.error(`[${id}] Login test failed:`, error);
+      record('error', error.message);
+    } finally {
+      if (testId !== null) {
+        window.electron.loginTest.close(testId).catch(() => {});
+      }
+      credsAreSet.current[id] = saved.credsAreSet;
+      loginAttempts.current[id] = saved.attempts;
+      failedLogins.current[id] = saved.failed;
+      Object.keys(loginCooldownRef.current).filter(isOwnCooldown).forEach(key => {
+        delete loginCooldownRef.current[key];
+      });
+      saved.cooldowns.forEach(([key, value]) => {
+        loginCooldownRef.current[key] = value;
+      });
+      injectionInFlight.current[id] = null;
+
+      // Während des Tests zurückgestellter Auslöser der echten Ansicht
+      const pending = injectionRerunRef.current[id];
+      injectionRerunRef.current[id] = null;
+      if (pending) injectCredentials(pending, id);
+    }
+    return getLoginStatus()[id] || null;
+  }, [settings.customApps, standardApps, injectCredentialsImpl, injectCredentials]);
+
   // -------------------------------------------------------------------------
   // Login-Wächter — ein Timer für alle Apps, ab dem Mount
   // -------------------------------------------------------------------------
@@ -2419,8 +1341,9 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
       watcherTickRef.current += 1;
       const tickNo = watcherTickRef.current;
 
-      for (const [appId, check] of Object.entries(LOGIN_WATCHERS)) {
-        if (!WCV_APPS.has(appId)) continue;
+      for (const appId of WCV_APPS) {
+        const recipe = loginRecipesRef.current[appId];
+        if (!recipe?.watch) continue;
         // Bei falschen Zugangsdaten nicht weiter hämmern
         if (failedLogins.current[appId]) continue;
 
@@ -2431,9 +1354,10 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
           // die Selektoren nicht mehr passen.
           const probe = await window.electron.view.executeJavaScript(appId, `
             (async function() {
-              const needsLogin = await (${check});
+              const state = await (${buildLoginCheck(appId, recipe)});
               return {
-                needsLogin: !!needsLogin,
+                needsLogin: !!(state && state.needsLogin),
+                step: (state && state.step) || null,
                 url: location.href,
                 title: document.title,
                 inputs: document.querySelectorAll('input').length,
@@ -2459,7 +1383,13 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
             setBbzChatLoginActive(!!(onChat && needsLogin));
           }
 
-          if (!needsLogin) continue;
+          if (!needsLogin) {
+            // Loginmaske nach dem Abschicken verschwunden -> angemeldet
+            if (getLoginStatus()[appId]?.result === 'submitted') {
+              recordLoginResult(appId, 'success');
+            }
+            continue;
+          }
 
           // Solange eine Loginmaske sichtbar ist, wird weiter versucht.
           //
@@ -2477,7 +1407,117 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
       }
     };
 
-    const timer = setInterval(tick, LOGIN_WATCHER_INTERVAL_MS);
+    // Benutzerdefinierte Apps mit Login-Rezept (Dropdown-<webview>)
+    const tickRecipes = async () => {
+      for (const [appId, app] of Object.entries(recipeAppsRef.current)) {
+        const webview = webviewRefs.current[appId]?.current;
+        if (!webview || failedLogins.current[appId]) continue;
+
+        try {
+          const state = await webview.executeJavaScript(buildRecipeCheckScript(app.recipe));
+          if (state?.loggedIn) {
+            // Erkennungsmerkmal sichtbar -> Anmeldung hat geklappt
+            loginAttempts.current[appId] = 0;
+          }
+          if (!state?.needsLogin) {
+            // Kein Formular mehr (needsLogin ist bei loggedIn immer false)
+            if (getLoginStatus()[appId]?.result === 'submitted') {
+              recordLoginResult(appId, 'success');
+            }
+            continue;
+          }
+          if (Date.now() - (loginCooldownRef.current[`recipe_${appId}`] || 0) < RECIPE_RETRY_DELAY_MS) continue;
+
+          // Anders als bei den eingebauten Apps wird der Versuchszähler hier
+          // NICHT zurückgesetzt: ein Rezept schickt bei jedem Lauf ab, mit
+          // falschen Zugangsdaten ginge sonst alle paar Sekunden ein
+          // Fehlversuch an den Anbieter (und das Konto wird gesperrt).
+          if ((loginAttempts.current[appId] || 0) >= MAX_LOGIN_ATTEMPTS) {
+            failedLogins.current[appId] = true;
+            console.log(`[${appId}] Max login attempts (${MAX_LOGIN_ATTEMPTS}) reached - stopping auto-login`);
+            recordLoginResult(appId, 'max-attempts', { detail: 'Zugangsdaten und Login-Rezept prüfen.' });
+            toast({
+              title: `${app.title}: Auto-Login gestoppt`,
+              description: 'Die Anmeldung ist mehrmals fehlgeschlagen. Bitte Zugangsdaten und Login-Rezept prüfen.',
+              status: 'error',
+              duration: null,
+              isClosable: true,
+            });
+            continue;
+          }
+
+          credsAreSet.current[appId] = false;
+          injectCredentials(webview, appId);
+        } catch (_) {
+          // Seite lädt gerade — nächster Tick
+        }
+      }
+    };
+
+    // Zweiter Faktor: steht eine Code-Abfrage da und ist für die App ein
+    // TOTP-Schlüssel hinterlegt, wird der aktuelle Code eingetragen — nur auf
+    // den Hosts ihres Login-Rezepts, wie die Zugangsdaten selbst. Ohne Rezept
+    // gibt es keine bekannten Hosts und damit keinen Code.
+    const tickTwoFactor = async () => {
+      for (const appId of totpAppIdsRef.current) {
+        const target = WCV_APPS.has(appId) ? getWcvProxy(appId) : webviewRefs.current[appId]?.current;
+        if (!target) continue;
+        const recipeId = appId.toLowerCase();
+        const sites = getRecipeSites(recipeAppsRef.current[recipeId]?.recipe || loginRecipesRef.current[recipeId]);
+        const state = twoFactorRef.current[appId] || { attempts: 0, lastCode: null, stopped: false };
+        twoFactorRef.current[appId] = state;
+
+        try {
+          const needsCode = await target.executeJavaScript(buildTwoFactorCheckScript(sites));
+          if (!needsCode) {
+            // Abfrage dauerhaft weg -> Anmeldung durch, die nächste beginnt neu
+            if (state.attempts > 0 && !state.stopped) {
+              state.absentSince = state.absentSince || Date.now();
+              if (Date.now() - state.absentSince > TWO_FACTOR_RESET_MS) {
+                twoFactorRef.current[appId] = { attempts: 0, lastCode: null, stopped: false };
+              }
+            }
+            continue;
+          }
+          state.absentSince = null;
+          if (state.stopped || await isUserTyping(target)) continue;
+
+          const result = await window.electron.getTotpCode({ service: 'bbzcloud', appId });
+          // Denselben Code nie zweimal schicken — steht die Abfrage danach
+          // noch da, war er falsch oder die Seite lädt noch
+          if (!result?.success || result.code === state.lastCode) continue;
+
+          if (state.attempts >= MAX_LOGIN_ATTEMPTS) {
+            state.stopped = true;
+            console.log(`[${appId}] Max 2FA attempts (${MAX_LOGIN_ATTEMPTS}) reached - stopping`);
+            recordLoginResult(appId, 'two-factor-rejected');
+            toast({
+              title: 'Zwei-Faktor-Code abgelehnt',
+              description: 'Der Code wurde mehrmals nicht angenommen. Bitte den TOTP-Schlüssel in den Einstellungen prüfen.',
+              status: 'error',
+              duration: null,
+              isClosable: true,
+            });
+            continue;
+          }
+
+          const fillResult = await target.executeJavaScript(buildTwoFactorFillScript(result.code, sites));
+          if (fillResult === 'SUBMITTED') {
+            state.attempts += 1;
+            state.lastCode = result.code;
+            console.log(`[${appId}] 2FA-Code eingetragen (Versuch ${state.attempts}/${MAX_LOGIN_ATTEMPTS})`);
+          }
+        } catch (_) {
+          // View existiert noch nicht oder die Seite lädt gerade — nächster Tick
+        }
+      }
+    };
+
+    const timer = setInterval(() => {
+      tick();
+      tickRecipes();
+      tickTwoFactor();
+    }, LOGIN_WATCHER_INTERVAL_MS);
     return () => clearInterval(timer);
   // injectCredentials und getWcvProxy sind stabile useCallbacks
   // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -2505,6 +1545,7 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
       injectionInFlight.current = {};
       injectionRerunRef.current = {};
       loginAttempts.current = {};
+      twoFactorRef.current = {};
 
       // Sperrzeiten verfallen lassen — nach dem Aufwachen ist ein frischer
       // Loginversuch legitim, auch wenn kurz zuvor einer lief.
@@ -2948,6 +1989,9 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
             />
           )}
           <webview
+            // Die Partition lässt sich nach der ersten Navigation nicht mehr
+            // ändern — bei einer Umstellung wird der Webview neu erzeugt
+            key={getAppPartition(activeWebView.id, settings.sessionPartitions)}
             ref={(el) => {
               if (el) {
                 webviewRefs.current[activeWebView.id] = { current: el };
@@ -2962,7 +2006,7 @@ const WebViewContainer = forwardRef(({ activeWebView, onNavigate, standardApps }
               display: 'flex',
             }}
             allowpopups="true"
-            partition="persist:main"
+            partition={getAppPartition(activeWebView.id, settings.sessionPartitions)}
             webpreferences="nativeWindowOpen=yes,javascript=yes,plugins=yes,contextIsolation=no,devTools=yes"
             useragent="Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
           />
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
-import { URLS, ZOOM_CONFIG } from '../utils/constants';
+import { URLS, ZOOM_CONFIG, DATABASE_CONFIG } from '../utils/constants';
 
 // Helper to get the schulcloud URL based on settings
 const getSchulcloudUrl = (useBbzChat) => useBbzChat ? URLS.BBZ_CHAT : URLS.SCHULCLOUD;
@@ -176,7 +176,14 @@ const defaultSettings = {
   navbarZoom: ZOOM_CONFIG.DEFAULT_NAVBAR_ZOOM,
   autostart: true,
   minimizedStart: false,
-  useBbzChat: false
+  useBbzChat: false,
+  // Credential profile per app, apps without an entry use defaultProfile
+  credentialProfiles: {
+    defaultProfile: DATABASE_CONFIG.DEFAULT_PROFILE,
+    apps: {}
+  },
+  // Session partition per app, apps without an entry share persist:main
+  sessionPartitions: {}
 };
 
 export function SettingsProvider({ children }) {
@@ -249,7 +256,12 @@ export function SettingsProvider({ children }) {
           navbarZoom: result.settings.navbarZoom || defaultSettings.navbarZoom,
           autostart: result.settings.autostart ?? defaultSettings.autostart,
           minimizedStart: result.settings.minimizedStart ?? defaultSettings.minimizedStart,
-          useBbzChat: result.settings.useBbzChat ?? defaultSettings.useBbzChat
+          useBbzChat: result.settings.useBbzChat ?? defaultSettings.useBbzChat,
+          credentialProfiles: {
+            ...defaultSettings.credentialProfiles,
+            ...result.settings.credentialProfiles
+          },
+          sessionPartitions: result.settings.sessionPartitions || defaultSettings.sessionPartitions
         });
       }
     } catch (error) {
@@ -392,6 +404,24 @@ export function SettingsProvider({ children }) {
       }
     };
 
+    const updateCustomApp = async (appId, changes) => {
+      if (!window.electron) {
+        console.warn('Electron API not available, cannot update custom app');
+        return;
+      }
+      try {
+        const result = await window.electron.saveCustomApps(
+          customApps.map(app => (app.id === appId ? { ...app, ...changes } : app))
+        );
+        if (result.success) {
+          await loadCustomApps();
+        }
+      } catch (error) {
+        console.error('Failed to update custom app:', error);
+        throw error;
+      }
+    };
+
     const toggleAutostart = () => {
       setSettings(prevSettings => ({
         ...prevSettings,
@@ -434,6 +464,7 @@ export function SettingsProvider({ children }) {
       updateGlobalZoom,
       addCustomApp,
       removeCustomApp,
+      updateCustomApp,
       toggleAutostart,
       toggleMinimizedStart,
       isLoading,
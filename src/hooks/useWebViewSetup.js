@@ -1,6 +1,7 @@
 import { useEffect, useCallback, useRef } from 'react';
 import { APP_CONFIG, ERROR_CODE_MAPPINGS, ERROR_MESSAGES, WEBVIEW_CONFIG } from '../utils/constants';
 import { debounce } from '../utils/accessibility';
+import { getAppPartition } from '../utils/sessionPartitions';
 
 /**
  * Custom hook for setting up WebView event handlers and management
@@ -240,11 +241,11 @@ export const useWebViewSetup = ({
         display: 'flex',
       },
       allowpopups: WEBVIEW_CONFIG.ALLOW_POPUPS,
-      partition: WEBVIEW_CONFIG.PARTITION,
+      partition: getAppPartition(config.id, settings?.sessionPartitions),
       webpreferences: WEBVIEW_CONFIG.WEB_PREFERENCES,
       useragent: WEBVIEW_CONFIG.USER_AGENT,
     };
-  }, []);
+  }, [settings?.sessionPartitions]);
 
   /**
    * Cleanup all event listeners
@@ -196,7 +196,8 @@ export const ERROR_CODE_MAPPINGS = {
  * 
  * CUSTOMIZATION: Modify these settings if you need different browser behavior
  * - USER_AGENT: Controls how websites identify the browser
- * - PARTITION: Isolates cookies and storage between webviews
+ * - PARTITION: Session shared by all apps; apps can get their own partition
+ *   in the settings (see utils/sessionPartitions.js)
  * - WEB_PREFERENCES: Controls webview capabilities and security
  */
 export const WEBVIEW_CONFIG = {
@@ -228,8 +229,26 @@ export const DATABASE_CONFIG = {
     SCHULPORTAL_PASSWORD: 'schulportalPassword', // Schulportal password
     SCHULCLOUD_ENCRYPTION_PASSWORD: 'schulcloudEncryptionPassword', // BBZ Chat encryption password
   },
+  DEFAULT_PROFILE: 'default',                 // Credential profile of the fields above (see CredentialStore)
 };
 
+/**
+ * Apps with auto-login. Each can use its own credential profile
+ * (settings.credentialProfiles.apps, keyed by the lowercased app id).
+ */
+export const AUTO_LOGIN_APPS = [
+  { id: 'schulcloud', title: 'schul.cloud' },
+  { id: 'moodle', title: 'Moodle' },
+  { id: 'bbb', title: 'BigBlueButton' },
+  { id: 'outlook', title: 'Outlook' },
+  { id: 'nextcloud', title: 'Nextcloud' },
+  { id: 'webuntis', title: 'WebUntis' },
+  { id: 'wiki', title: 'Intranet' },
+  { id: 'schulportal', title: 'Schulportal' },
+  { id: 'antraege', title: 'Anträge' },
+  { id: 'office', title: 'MS Office' },
+];
+
 // ============================================================================
 // USER INTERFACE CONFIGURATION
 // ============================================================================
@@ -0,0 +1,59 @@
+/**
+ * Collect the files of a drag-and-drop, including the contents of dropped folders
+ */
+
+// System files that should not end up in the secure documents
+const isHiddenName = (name) => name.startsWith('.') || name === 'Thumbs.db' || name === 'desktop.ini';
+
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+// readEntries returns the children in batches until it delivers an empty one
+const readDirectoryEntries = async (directory) => {
+  const reader = directory.createReader();
+  const entries = [];
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    entries.push(...batch);
+  } while (batch.length > 0);
+  return entries;
+};
+
+const collectEntry = async (entry, folder, result) => {
+  if (isHiddenName(entry.name)) return;
+  if (entry.isFile) {
+    result.push({ file: await readEntryFile(entry), folder });
+  } else if (entry.isDirectory) {
+    // Subfolders are flattened into the dropped top-level folder
+    const children = await readDirectoryEntries(entry);
+    for (const child of children) {
+      await collectEntry(child, folder || entry.name, result);
+    }
+  }
+};
+
+/**
+ * List the files of a drop event
+ * @param {DataTransfer} dataTransfer - From the drop event, must be passed before the first await
+ * @returns {Promise<Array<{file: File, folder: string|null}>>} Files in drop order; `folder` is the
+ *   name of the dropped folder a file came from, null for files dropped directly
+ */
+export const collectDroppedFiles = (dataTransfer) => {
+  // The item list is only readable during the event, so grab the entries now
+  const entries = [...(dataTransfer.items || [])]
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return Promise.resolve([...dataTransfer.files].map(file => ({ file, folder: null })));
+  }
+
+  return (async () => {
+    const result = [];
+    for (const entry of entries) {
+      await collectEntry(entry, null, result);
+    }
+    return result;
+  })();
+};
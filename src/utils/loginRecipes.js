@@ -0,0 +1,483 @@
+/**
+ * Declarative login recipes
+ *
+ * Every auto-login is described as data instead of a hand-written script, so a
+ * changed login page (Keycloak, ADFS, WebUntis, ...) can be fixed without a new
+ * release. The built-in recipes live in builtinLoginRecipes.json; a recipe with
+ * the same app id in `<userData>/login-recipes.json` replaces the built-in one.
+ * Custom apps record their fields by clicking (buildLoginPickerScript) and are
+ * compiled to the same format (compileRecordedRecipe), limited to the origins
+ * the fields were recorded on.
+ *
+ * Recipe:
+ *   credentials   { name: account | { account, optional } } — keychain fields,
+ *                 available to the steps as {{name}} (or {{name|lower}})
+ *   match         condition — the recipe only runs on matching pages; every
+ *                 recipe limits itself to its hosts ({ host } / { origin }),
+ *                 so a link to another site never receives the credentials
+ *   loggedIn      condition — login done, nothing to do
+ *   failure       condition — credentials were rejected, stop retrying
+ *   loginPage     condition — recognizes the login page while its fields are
+ *                 still missing; limits waitMs and reports "form not found"
+ *   waitMs        how long to wait for a step to match (default 0)
+ *   watch         checked periodically by the login watcher (async or
+ *                 multi-step logins)
+ *   countAttempts false for multi-step logins, where every step is a run
+ *   cooldownMinutes pause after a submitted login (per host)
+ *   steps         [{ name, when, requires?, submits?, actions }] — the first
+ *                 step whose `when` matches runs, one step per run
+ *
+ * Conditions: a target (must exist), an array (all of them), { any: [...] },
+ * { not: condition }, { host: domain | [domains] } (the page's host is the
+ * domain or a subdomain of it), { origin: 'https://host' } (exact origin of
+ * the page), { url: substring } or { pageText: substring }.
+ * Targets: a CSS selector, { selector, text?, visible?, enabled?, closest? }
+ * or { any: [targets] } (first one found).
+ * Actions (each may carry `if` / `unless` conditions):
+ *   { fill: target, value, verify?, focus?, events? }, { click: target },
+ *   { check: target }, { submit: target } (the target's form),
+ *   { wait: ms }, { waitFor: condition, timeout? }, { reload: true, delay? }.
+ *   A missing target aborts the step unless the action is `optional`.
+ *
+ * All builders return JavaScript that runs inside the app's page via
+ * webview.executeJavaScript().
+ */
+import builtinLoginRecipes from './builtinLoginRecipes.json';
+
+/** Recipes shipped with the app, keyed by app id */
+export const BUILTIN_LOGIN_RECIPES = builtinLoginRecipes;
+
+/** Steps of the recorder, in the order the modal offers them */
+export const RECIPE_FIELDS = [
+  { key: 'usernameSelector', label: 'Benutzername-Feld', isRequired: false },
+  { key: 'passwordSelector', label: 'Passwort-Feld', isRequired: true },
+  { key: 'submitSelector', label: 'Anmelde-Button', isRequired: false },
+  { key: 'successSelector', label: 'Erkennungsmerkmal nach dem Login', isRequired: false },
+];
+
+/**
+ * Keychain account of a custom app credential
+ * @param {string} appId - Custom app id
+ * @param {'username'|'password'} field - Credential field
+ * @returns {string} Account name for the 'bbzcloud' service
+ */
+export const getCustomAppAccount = (appId, field) => `customApp:${appId}:${field}`;
+
+/**
+ * A recorded recipe can run once it knows at least where the password goes
+ * @param {Object|null} recipe - Recorded recipe of a custom app
+ * @returns {boolean} True when the recipe is usable
+ */
+export const isRecipeComplete = (recipe) => Boolean(recipe?.passwordSelector);
+
+/**
+ * Origin of a URL
+ * @param {string} url - Absolute URL
+ * @returns {string|null} e.g. 'https://login.example.org', null when invalid
+ */
+export const getOrigin = (url) => {
+  try {
+    const { origin } = new URL(url);
+    return origin === 'null' ? null : origin;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Turn the recorded selectors of a custom app into a declarative recipe
+ *
+ * Two-step logins work as well: the username page is submitted first, the
+ * password page on the next run. The recorded selectors are generic (often
+ * just `input[type="password"]`), so the recipe only runs on the origins
+ * they were recorded on — recipes recorded before origins were kept fall
+ * back to the origin of the app's URL.
+ * @param {Object} app - Custom app with a complete loginRecipe
+ * @returns {Object} Recipe
+ */
+export const compileRecordedRecipe = (app) => {
+  const { usernameSelector, passwordSelector, submitSelector, successSelector, origins } = app.loginRecipe;
+  const allowedOrigins = origins?.length ? origins : [getOrigin(app.url)];
+  const fields = [usernameSelector, passwordSelector].filter(Boolean);
+  const credentials = { password: getCustomAppAccount(app.id, 'password') };
+  const actions = [];
+  if (usernameSelector) {
+    credentials.username = getCustomAppAccount(app.id, 'username');
+    actions.push({ fill: usernameSelector, value: '{{username}}', optional: true });
+  }
+  actions.push({ fill: passwordSelector, value: '{{password}}', optional: true });
+  actions.push({ wait: 300 });
+  actions.push(submitSelector ? { click: submitSelector } : { submit: { any: fields } });
+
+  return {
+    credentials,
+    match: { any: allowedOrigins.map(origin => ({ origin })) },
+    ...(successSelector ? { loggedIn: successSelector } : {}),
+    waitMs: 5000,
+    steps: [{ name: 'form', when: { any: fields }, submits: true, actions }],
+  };
+};
+
+/**
+ * Hosts and origins a recipe's `match` names
+ *
+ * Used by steps that run outside the interpreter (the TOTP code), so they stay
+ * on the same sites as the credentials. `not` conditions allow nothing.
+ * @param {Object|null} recipe - Recipe
+ * @returns {{hosts: string[], origins: string[]}} Empty when the recipe has no match
+ */
+export const getRecipeSites = (recipe) => {
+  const sites = { hosts: [], origins: [] };
+  const collect = (condition) => {
+    if (Array.isArray(condition)) {
+      condition.forEach(collect);
+    } else if (condition && typeof condition === 'object') {
+      if (condition.any) condition.any.forEach(collect);
+      if (condition.host) sites.hosts.push(...[].concat(condition.host).map(domain => domain.toLowerCase()));
+      if (condition.origin) sites.origins.push(condition.origin);
+    }
+  };
+  collect(recipe?.match);
+  return sites;
+};
+
+/**
+ * Keychain fields of a recipe
+ * @param {Object} recipe - Recipe
+ * @returns {Array<{name: string, account: string, optional: boolean}>}
+ */
+export const getRecipeAccounts = (recipe) => Object.entries(recipe.credentials || {}).map(([name, entry]) => ({
+  name,
+  account: typeof entry === 'string' ? entry : entry.account,
+  optional: typeof entry === 'object' && Boolean(entry.optional),
+}));
+
+let recipesPromise = null;
+
+/**
+ * Built-in recipes merged with the local overrides file
+ *
+ * Loaded once per session; a broken overrides file is reported and ignored,
+ * the built-in recipes keep working. An override without `match` keeps the
+ * hosts of the built-in recipe it replaces.
+ * @returns {Promise<Object<string, Object>>} Recipes keyed by app id
+ */
+export const loadLoginRecipes = () => {
+  if (!recipesPromise) {
+    recipesPromise = (async () => {
+      const result = await window.electron?.getLoginRecipeOverrides?.();
+      if (result && !result.success) {
+        console.error(`Login recipes in ${result.path} ignored:`, result.error);
+      }
+      const overrides = Object.fromEntries(Object.entries(result?.recipes || {}).filter(([id, recipe]) => {
+        const isValid = Array.isArray(recipe?.steps);
+        if (!isValid) console.error(`Login recipe "${id}" ignored: steps are missing`);
+        return isValid;
+      }).map(([id, recipe]) => [id, 'match' in recipe || !BUILTIN_LOGIN_RECIPES[id]
+        ? recipe
+        : { ...recipe, match: BUILTIN_LOGIN_RECIPES[id].match }]));
+      if (Object.keys(overrides).length > 0) {
+        console.log('Local login recipes:', Object.keys(overrides).join(', '));
+      }
+      return { ...BUILTIN_LOGIN_RECIPES, ...overrides };
+    })();
+  }
+  return recipesPromise;
+};
+
+// The interpreter, embedded into every recipe script
+const RECIPE_INTERPRETER_JS = `
+  const __bbzRunRecipe = async (recipe, vars, mode) => {
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    // Invalid selectors count as "not found"
+    const query = (selector) => {
+      try {
+        return Array.from(document.querySelectorAll(selector));
+      } catch (e) {
+        return [];
+      }
+    };
+
+    const find = (target) => {
+      if (!target) return null;
+      if (typeof target === 'string') return query(target)[0] || null;
+      if (target.any) {
+        for (const alternative of target.any) {
+          const found = find(alternative);
+          if (found) return found;
+        }
+        return null;
+      }
+      const el = query(target.selector).find((candidate) =>
+        (!target.text || (candidate.textContent || '').includes(target.text)) &&
+        (!target.visible || candidate.getClientRects().length > 0) &&
+        (!target.enabled || !candidate.disabled)
+      );
+      if (!el) return null;
+      return target.closest ? el.closest(target.closest) || el : el;
+    };
+
+    const test = (condition) => {
+      if (Array.isArray(condition)) return condition.every(test);
+      if (condition && typeof condition === 'object') {
+        if ('not' in condition) return !test(condition.not);
+        if (condition.any) return condition.any.some(test);
+        if (condition.host) {
+          const host = location.hostname.toLowerCase();
+          return [].concat(condition.host).some((domain) =>
+            host === domain.toLowerCase() || host.endsWith('.' + domain.toLowerCase()));
+        }
+        if ('origin' in condition) return location.origin === condition.origin;
+        if (condition.url) return location.href.includes(condition.url);
+        if (condition.pageText) return (document.body ? document.body.innerText : '').includes(condition.pageText);
+      }
+      return !!find(condition);
+    };
+
+    const resolve = (template) => String(template).replace(/{{\\s*(\\w+)(\\|lower)?\\s*}}/g, (match, name, lower) => {
+      const value = vars[name] == null ? '' : String(vars[name]);
+      return lower ? value.toLowerCase() : value;
+    });
+
+    // Native setter plus bubbling events, so framework-controlled inputs notice
+    const setValue = (el, value, events) => {
+      const proto = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+      Object.getOwnPropertyDescriptor(proto, 'value').set.call(el, value);
+      (events || ['input', 'change']).forEach((type) => el.dispatchEvent(new Event(type, { bubbles: true })));
+    };
+
+    // Never pull the cursor out of a field the user is typing in
+    const safeFocus = (el) => {
+      const active = document.activeElement;
+      const busy = active && active !== el && (
+        active.isContentEditable ||
+        ((active.tagName === 'INPUT' || active.tagName === 'TEXTAREA') && !!active.value)
+      );
+      if (!busy) el.focus();
+    };
+
+    const runAction = async (action) => {
+      if ('if' in action && !test(action.if)) return 'SKIPPED';
+      if ('unless' in action && test(action.unless)) return 'SKIPPED';
+      if (action.wait) {
+        await sleep(action.wait);
+        return 'OK';
+      }
+      if (action.waitFor) {
+        for (let waited = 0; !test(action.waitFor); waited += 100) {
+          if (waited >= (action.timeout || 5000)) return 'NO_FORM';
+          await sleep(100);
+        }
+        return 'OK';
+      }
+      if (action.reload) {
+        setTimeout(() => location.reload(), action.delay || 0);
+        return 'OK';
+      }
+
+      const el = find(action.fill || action.click || action.check || action.submit);
+      if (!el) return action.optional ? 'SKIPPED' : 'NO_FORM';
+
+      if (action.fill) {
+        const value = resolve(action.value);
+        if (action.focus) safeFocus(el);
+        // verify: set again until the page stops resetting the field
+        for (let i = 0; i < (action.verify ? 20 : 1); i++) {
+          setValue(el, value, action.events);
+          if (!action.verify) return 'OK';
+          await sleep(150);
+          if (el.value === value) return 'OK';
+        }
+        return 'NOT_FILLED';
+      }
+      if (action.check) {
+        if (!el.checked) el.click();
+        return 'OK';
+      }
+      if (action.submit) {
+        const form = el.form || el.closest('form');
+        const button = form && form.querySelector('button[type="submit"], input[type="submit"]');
+        if (button) {
+          button.click();
+        } else if (form) {
+          form.requestSubmit ? form.requestSubmit() : form.submit();
+        } else {
+          return 'NO_SUBMIT';
+        }
+        return 'OK';
+      }
+      el.click();
+      return 'OK';
+    };
+
+    try {
+      if ('match' in recipe && !test(recipe.match)) {
+        return mode === 'check' ? { needsLogin: false, loggedIn: false, failed: false } : { status: 'NOT_APPLICABLE' };
+      }
+      const findStep = () => (recipe.steps || []).find((step) =>
+        test(step.when) && (mode === 'check' || (step.requires || []).every((name) => vars[name])));
+      const failed = 'failure' in recipe && test(recipe.failure);
+      const loggedIn = 'loggedIn' in recipe && test(recipe.loggedIn);
+      const onLoginPage = () => 'loginPage' in recipe && test(recipe.loginPage);
+
+      if (mode === 'check') {
+        const step = failed || loggedIn ? null : findStep();
+        return { needsLogin: !!step, loggedIn, failed, step: step ? step.name : null };
+      }
+      if (failed) return { status: 'FAILED' };
+      if (loggedIn) return { status: 'LOGGED_IN' };
+
+      let step = findStep();
+      if (!step && recipe.waitMs && (!('loginPage' in recipe) || onLoginPage())) {
+        for (let waited = 0; !step && waited < recipe.waitMs; waited += 100) {
+          await sleep(100);
+          step = findStep();
+        }
+      }
+      if (!step) return { status: onLoginPage() ? 'NO_FORM' : 'IDLE' };
+
+      for (const action of step.actions || []) {
+        const result = await runAction(action);
+        if (result !== 'OK' && result !== 'SKIPPED') return { status: result, step: step.name };
+      }
+      if (step.submits && 'failure' in recipe && test(recipe.failure)) {
+        return { status: 'FAILED', step: step.name };
+      }
+      return { status: 'DONE', step: step.name, submitted: !!step.submits };
+    } catch (error) {
+      return { status: 'ERROR', error: error.message };
+    }
+  };
+`;
+
+/**
+ * Check whether the page waits for a login
+ * @param {Object} recipe - Recipe
+ * @returns {string} Script resolving to { needsLogin, loggedIn, failed, step }
+ */
+export const buildRecipeCheckScript = (recipe) => `(async function() {
+  ${RECIPE_INTERPRETER_JS}
+  return __bbzRunRecipe(${JSON.stringify(recipe)}, {}, 'check');
+})()`;
+
+/**
+ * Run the first matching step of a recipe
+ *
+ * Resolves to { status, step, submitted }. status is one of
+ * DONE (step ran; submitted tells whether it sent the credentials),
+ * LOGGED_IN, FAILED (failure detector matched), IDLE (nothing to do here),
+ * NO_FORM (login page without the expected fields), NO_SUBMIT, NOT_FILLED,
+ * NOT_APPLICABLE (match did not fit) or ERROR.
+ * @param {Object} recipe - Recipe
+ * @param {Object<string, string>} vars - Credentials by the recipe's names
+ * @returns {string} Script
+ */
+export const buildRecipeRunScript = (recipe, vars) => `(async function() {
+  ${RECIPE_INTERPRETER_JS}
+  return __bbzRunRecipe(${JSON.stringify(recipe)}, ${JSON.stringify(vars)}, 'run');
+})()`;
+
+/**
+ * Let the user click an element in the page and describe it as a CSS selector
+ *
+ * Shows a banner with `label`, highlights the element under the mouse and
+ * swallows the click. Escape or one minute without a click cancel.
+ * @param {string} label - What to click, shown in the banner
+ * @returns {string} Script resolving to the selector or null
+ */
+export const buildLoginPickerScript = (label) => `new Promise((resolve) => {
+  const cssEscape = (value) => (window.CSS && CSS.escape ? CSS.escape(value) : value.replace(/[^a-zA-Z0-9_-]/g, '\\\\$&'));
+  const isUnique = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // Stable attributes first, a short element path as the fallback
+  const describe = (el) => {
+    if (el.id && isUnique('#' + cssEscape(el.id))) return '#' + cssEscape(el.id);
+    const tag = el.tagName.toLowerCase();
+    for (const attr of ['name', 'autocomplete', 'aria-label', 'placeholder', 'type', 'data-testid']) {
+      const value = el.getAttribute(attr);
+      if (!value) continue;
+      const selector = tag + '[' + attr + '="' + value.replace(/"/g, '\\\\"') + '"]';
+      if (isUnique(selector)) return selector;
+    }
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && node !== document.documentElement) {
+      if (node.id) {
+        parts.unshift('#' + cssEscape(node.id));
+        break;
+      }
+      let part = node.tagName.toLowerCase();
+      const parent = node.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter((child) => child.tagName === node.tagName);
+        if (siblings.length > 1) part += ':nth-of-type(' + (siblings.indexOf(node) + 1) + ')';
+      }
+      parts.unshift(part);
+      if (isUnique(parts.join(' > '))) break;
+      node = parent;
+    }
+    return parts.join(' > ');
+  };
+
+  // A click on a label or on the icon inside a button means the control
+  const resolveTarget = (el) => {
+    if (el.tagName === 'LABEL' && el.control) return el.control;
+    return el.closest('input, textarea, select, button, a, [role="button"]') || el;
+  };
+
+  const banner = document.createElement('div');
+  banner.textContent = ${JSON.stringify(label)} + ' anklicken – Esc bricht ab';
+  banner.style.cssText = 'position:fixed;top:0;left:0;right:0;z-index:2147483647;padding:8px;' +
+    'background:#3182ce;color:#fff;font:14px sans-serif;text-align:center;pointer-events:none;';
+  document.documentElement.appendChild(banner);
+
+  let highlighted = null;
+  let previousOutline = '';
+  const highlight = (el) => {
+    if (highlighted) highlighted.style.outline = previousOutline;
+    highlighted = el;
+    previousOutline = el ? el.style.outline : '';
+    if (el) el.style.outline = '2px solid #3182ce';
+  };
+
+  const swallow = (event) => {
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  };
+  const onMove = (event) => highlight(resolveTarget(event.target));
+  let timeout = null;
+  const finish = (selector) => {
+    clearTimeout(timeout);
+    highlight(null);
+    banner.remove();
+    document.removeEventListener('mouseover', onMove, true);
+    document.removeEventListener('pointerdown', swallow, true);
+    document.removeEventListener('mousedown', swallow, true);
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('keydown', onKey, true);
+    resolve(selector);
+  };
+  const onClick = (event) => {
+    swallow(event);
+    finish(describe(resolveTarget(event.target)));
+  };
+  const onKey = (event) => {
+    if (event.key === 'Escape') {
+      swallow(event);
+      finish(null);
+    }
+  };
+
+  document.addEventListener('mouseover', onMove, true);
+  document.addEventListener('pointerdown', swallow, true);
+  document.addEventListener('mousedown', swallow, true);
+  document.addEventListener('click', onClick, true);
+  document.addEventListener('keydown', onKey, true);
+  timeout = setTimeout(() => finish(null), 60000);
+})`;
@@ -0,0 +1,52 @@
+/**
+ * Outcome of the last auto-login attempt per app
+ *
+ * WebViewContainer records what happened at each step of the injection, the
+ * login status panel in the settings reads it. Kept in memory only: after a
+ * restart every app logs in afresh anyway.
+ */
+
+/** Labels and badge colours of the recorded results */
+export const LOGIN_RESULTS = {
+  success: { label: 'Angemeldet', colorScheme: 'green' },
+  submitted: { label: 'Zugangsdaten abgeschickt', colorScheme: 'blue' },
+  'wrong-password': { label: 'Benutzername oder Passwort falsch', colorScheme: 'red' },
+  'no-form': { label: 'Loginformular nicht gefunden', colorScheme: 'orange' },
+  cooldown: { label: 'Sperrzeit aktiv', colorScheme: 'orange' },
+  'max-attempts': { label: 'Nach mehreren Fehlversuchen gestoppt', colorScheme: 'red' },
+  'no-credentials': { label: 'Keine Zugangsdaten', colorScheme: 'gray' },
+  'two-factor-rejected': { label: 'Zwei-Faktor-Code abgelehnt', colorScheme: 'red' },
+  error: { label: 'Fehler', colorScheme: 'red' },
+};
+
+let status = {};
+const listeners = new Set();
+
+/**
+ * Record the outcome of a login step
+ * @param {string} appId - Lowercase app id
+ * @param {string} result - Key of LOGIN_RESULTS
+ * @param {Object} [options]
+ * @param {string} [options.detail] - Additional explanation for the panel
+ * @param {boolean} [options.isTest] - Recorded by "Login jetzt testen"
+ */
+export const recordLoginResult = (appId, result, { detail = null, isTest = false } = {}) => {
+  status = { ...status, [appId]: { result, detail, isTest, at: Date.now() } };
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Snapshot of all recorded results, keyed by app id
+ * @returns {Object<string, {result: string, detail: string|null, isTest: boolean, at: number}>}
+ */
+export const getLoginStatus = () => status;
+
+/**
+ * Get notified on every recorded result (for useSyncExternalStore)
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeLoginStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,99 @@
+/**
+ * Password generator for the "Passwort geändert" assistant
+ *
+ * Randomness comes from crypto.getRandomValues with rejection sampling, so
+ * every character is equally likely. Characters that are easily confused
+ * when typing a password on another device (l/I/1, O/0) are left out.
+ */
+
+export const PASSWORD_LENGTH = { MIN: 8, MAX: 64, DEFAULT: 16 };
+
+export const CHARACTER_CLASSES = {
+  lower: { label: 'Kleinbuchstaben', chars: 'abcdefghijkmnopqrstuvwxyz' },
+  upper: { label: 'Großbuchstaben', chars: 'ABCDEFGHJKLMNPQRSTUVWXYZ' },
+  digits: { label: 'Ziffern', chars: '23456789' },
+  symbols: { label: 'Sonderzeichen', chars: '!#$%&*+-=?@_' },
+};
+
+const CONSONANTS = 'bdfghkmnprstvwz';
+const VOWELS = 'aeiou';
+
+// Uniform integer in [0, max)
+const randomInt = (max) => {
+  const limit = Math.floor(0x100000000 / max) * max;
+  const buffer = new Uint32Array(1);
+  do {
+    crypto.getRandomValues(buffer);
+  } while (buffer[0] >= limit);
+  return buffer[0] % max;
+};
+
+const pick = (chars) => chars[randomInt(chars.length)];
+
+const shuffle = (items) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+// Alternating consonants and vowels, digits and symbols as a block at the end
+const generatePronounceable = (length, { lower, upper, digits, symbols }) => {
+  const tail = [
+    ...(digits ? [pick(CHARACTER_CLASSES.digits.chars), pick(CHARACTER_CLASSES.digits.chars)] : []),
+    ...(symbols ? [pick(CHARACTER_CLASSES.symbols.chars)] : []),
+  ];
+  const letterCount = Math.max(length - tail.length, 1);
+  const startWithVowel = randomInt(2) === 1;
+  const letters = Array.from({ length: letterCount }, (_, i) => (
+    pick((i % 2 === 0) === startWithVowel ? VOWELS : CONSONANTS)
+  ));
+
+  if (upper && !lower) {
+    return [...letters.map(letter => letter.toUpperCase()), ...tail].join('');
+  }
+  if (upper) {
+    const index = randomInt(letters.length);
+    letters[index] = letters[index].toUpperCase();
+  }
+  return [...letters, ...tail].join('');
+};
+
+/**
+ * Generate a password
+ * @param {Object} [options]
+ * @param {number} [options.length] - Clamped to PASSWORD_LENGTH
+ * @param {boolean} [options.lower]
+ * @param {boolean} [options.upper]
+ * @param {boolean} [options.digits]
+ * @param {boolean} [options.symbols]
+ * @param {boolean} [options.pronounceable] - Syllables instead of random characters
+ * @returns {string} Password with at least one character of every chosen class
+ */
+export const generatePassword = ({
+  length = PASSWORD_LENGTH.DEFAULT,
+  lower = true,
+  upper = true,
+  digits = true,
+  symbols = true,
+  pronounceable = false,
+} = {}) => {
+  const size = Math.min(Math.max(Math.round(length) || 0, PASSWORD_LENGTH.MIN), PASSWORD_LENGTH.MAX);
+  const chosen = Object.entries({ lower, upper, digits, symbols })
+    .filter(([, enabled]) => enabled)
+    .map(([name]) => CHARACTER_CLASSES[name].chars);
+  // Without any class there would be nothing to pick from
+  if (chosen.length === 0) chosen.push(CHARACTER_CLASSES.lower.chars);
+
+  if (pronounceable) {
+    return generatePronounceable(size, { lower: lower || !upper, upper, digits, symbols });
+  }
+
+  const all = chosen.join('');
+  const characters = [
+    ...chosen.map(pick),
+    ...Array.from({ length: size - chosen.length }, () => pick(all)),
+  ];
+  return shuffle(characters).join('');
+};
@@ -0,0 +1,201 @@
+/**
+ * Parser for the quick-add todo input
+ *
+ * Turns free text like "Elternbrief drucken morgen 8 Uhr #Klasse-10a" into
+ * { text, reminder, folder }. Understood (German, case-insensitive):
+ *   - heute, morgen, übermorgen
+ *   - in 3 Tagen / Stunden / Minuten / Wochen, in einer Stunde, in einem Tag
+ *   - (am) Montag, nächsten Montag (always the coming one), nächste Woche
+ *   - (am) 24.12. / 24.12.2026
+ *   - (um) 8 Uhr, 8:30, 8.30 Uhr
+ * A date without time reminds at DEFAULT_HOUR, a time without date means the
+ * next time that clock time comes around.
+ *
+ * "#Name" selects the folder when a folder of that name exists ("#Standard"
+ * is the default folder). Any other "#word" stays in the text as a tag.
+ */
+
+const DEFAULT_HOUR = 8;
+
+const WEEKDAY_NAMES = {
+  sonntag: 0,
+  montag: 1,
+  dienstag: 2,
+  mittwoch: 3,
+  donnerstag: 4,
+  freitag: 5,
+  samstag: 6,
+};
+
+const NUMBER_WORDS = {
+  einer: 1,
+  einem: 1,
+  einen: 1,
+  eine: 1,
+  zwei: 2,
+  drei: 3,
+  vier: 4,
+  fünf: 5,
+  sechs: 6,
+  sieben: 7,
+  acht: 8,
+  neun: 9,
+  zehn: 10,
+};
+
+const UNIT_MS = {
+  minute: 60 * 1000,
+  stunde: 60 * 60 * 1000,
+};
+
+const WEEKDAY_PATTERN = Object.keys(WEEKDAY_NAMES).join('|');
+const NUMBER_PATTERN = `\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+
+// Word boundaries that also work next to umlauts
+const B = '(?<![\\p{L}\\p{N}])';
+const E = '(?![\\p{L}\\p{N}])';
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const toNumber = (value) => NUMBER_WORDS[value.toLowerCase()] ?? parseInt(value, 10);
+
+/**
+ * Remove the first match of `pattern` from the text
+ * @param {Function} [accept] - Matches it rejects stay in the text
+ * @returns {Array|null} The match or null
+ */
+const take = (state, pattern, accept = () => true) => {
+  const regex = new RegExp(pattern, 'giu');
+  let match = regex.exec(state.text);
+  while (match && !accept(match)) {
+    match = regex.exec(state.text);
+  }
+  if (!match) return null;
+  state.text = `${state.text.slice(0, match.index)} ${state.text.slice(match.index + match[0].length)}`;
+  return match;
+};
+
+/**
+ * Day of a "24.12." / "24.12.2026" match
+ * @returns {Date|null} null for dates that do not exist ("31.02.")
+ */
+const dateFromMatch = (match, now) => {
+  const dayOfMonth = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  let year = match[3] ? (match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3])) : now.getFullYear();
+  // "24.12." in January means this year, "3.1." in December next year
+  if (!match[3] && new Date(year, month, dayOfMonth) < startOfDay(now)) {
+    year += 1;
+  }
+  // new Date() rolls "31.02." over into March instead of failing
+  const date = new Date(year, month, dayOfMonth);
+  return date.getDate() === dayOfMonth && date.getMonth() === month ? date : null;
+};
+
+const isValidTime = (match) => Number(match[1]) < 24 && (!match[2] || Number(match[2]) < 60);
+
+/**
+ * Parse a quick-add input
+ * @param {string} input - Raw input
+ * @param {string[]} folders - Existing folder names
+ * @param {Date} now - Reference time (for testing)
+ * @returns {{text: string, reminder: Date|null, folder: string|null}}
+ */
+export const parseQuickAdd = (input, folders = [], now = new Date()) => {
+  const state = { text: ` ${String(input || '')} ` };
+  let folder = null;
+
+  // Folder: first #word that names an existing folder
+  const folderLookup = new Map(folders.map(name => [name.toLowerCase(), name]));
+  folderLookup.set('standard', 'Default');
+  state.text = state.text.replace(/(^|\s)#([\p{L}\p{N}_-]+)/gu, (match, prefix, name) => {
+    const existing = folderLookup.get(name.toLowerCase());
+    if (!folder && existing) {
+      folder = existing;
+      return prefix;
+    }
+    return match;
+  });
+
+  // Relative durations are complete points in time
+  let reminder = null;
+  const relative = take(state, `${B}in\\s+(${NUMBER_PATTERN})\\s+(minuten?|stunden?|tag(?:en)?|wochen?)${E}`);
+  if (relative) {
+    const amount = toNumber(relative[1]);
+    const unit = relative[2].toLowerCase();
+    if (unit.startsWith('minute') || unit.startsWith('stunde')) {
+      reminder = new Date(now.getTime() + amount * UNIT_MS[unit.startsWith('minute') ? 'minute' : 'stunde']);
+    } else {
+      const days = unit.startsWith('woche') ? amount * 7 : amount;
+      reminder = addDays(now, days);
+      reminder.setHours(DEFAULT_HOUR, 0, 0, 0);
+    }
+  }
+
+  // Date part
+  let day = null;
+  if (!reminder) {
+    let match;
+    if ((match = take(state, `${B}übermorgen${E}`))) {
+      day = addDays(startOfDay(now), 2);
+    } else if ((match = take(state, `${B}morgen${E}`))) {
+      day = addDays(startOfDay(now), 1);
+    } else if ((match = take(state, `${B}heute${E}`))) {
+      day = startOfDay(now);
+    } else if ((match = take(state, `${B}nächste\\s+woche${E}`))) {
+      // Monday of next week
+      const daysUntilMonday = ((8 - now.getDay()) % 7) || 7;
+      day = addDays(startOfDay(now), daysUntilMonday);
+    } else if ((match = take(state, `${B}(?:(nächsten|kommenden)\\s+|am\\s+)?(${WEEKDAY_PATTERN})${E}`))) {
+      const target = WEEKDAY_NAMES[match[2].toLowerCase()];
+      // Always the coming one: "Montag" said on a Monday means next week
+      const offset = ((target - now.getDay() + 7) % 7) || 7;
+      day = addDays(startOfDay(now), offset);
+    } else if ((match = take(state, `${B}(?:am\\s+)?(\\d{1,2})\\.(\\d{1,2})\\.(\\d{2,4})?(?![\\d:])`,
+      (candidate) => dateFromMatch(candidate, now) !== null))) {
+      day = dateFromMatch(match, now);
+    }
+  }
+
+  // Time part
+  if (!reminder) {
+    // "25 Uhr" stays in the text instead of vanishing without a reminder
+    const time = take(state, `${B}(?:um\\s+)?(\\d{1,2})(?:[:.](\\d{2}))?\\s*uhr${E}`, isValidTime)
+      || take(state, `${B}(?:um\\s+)?(\\d{1,2}):(\\d{2})${E}`, isValidTime);
+    const hours = time ? Number(time[1]) : null;
+    const minutes = time && time[2] ? Number(time[2]) : 0;
+    const validTime = Boolean(time);
+
+    if (day) {
+      reminder = new Date(day);
+      reminder.setHours(validTime ? hours : DEFAULT_HOUR, validTime ? minutes : 0, 0, 0);
+      // "heute" after the default hour: remind at the next full hour instead
+      if (!validTime && reminder <= now) {
+        reminder = new Date(now);
+        reminder.setHours(now.getHours() + 1, 0, 0, 0);
+      }
+    } else if (validTime) {
+      reminder = startOfDay(now);
+      reminder.setHours(hours, minutes, 0, 0);
+      if (reminder <= now) {
+        reminder = addDays(reminder, 1);
+      }
+    }
+  }
+
+  return {
+    text: state.text.replace(/\s+/g, ' ').trim(),
+    reminder,
+    folder,
+  };
+};
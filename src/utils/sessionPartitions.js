@@ -0,0 +1,69 @@
+/**
+ * Session partition of each app
+ *
+ * All apps share WEBVIEW_CONFIG.PARTITION unless the settings give them
+ * their own (`sessionPartitions: { [appId]: 'isolated' }`). An isolated app
+ * keeps its cookies and storage to itself, so e.g. OneNote can use a second
+ * Microsoft account without logging Outlook out.
+ *
+ * Mirrors public/services/sessionPartitions.js, which validates the names
+ * in the main process.
+ */
+
+import { WEBVIEW_CONFIG } from './constants';
+
+export const SHARED_PARTITION = WEBVIEW_CONFIG.PARTITION;
+
+export const PARTITION_MODES = {
+  SHARED: 'shared',
+  ISOLATED: 'isolated',
+};
+
+/**
+ * Partition name of an isolated app, stable across restarts
+ * @param {string} appId - Navigation button key or dropdown/custom app id
+ * @returns {string}
+ */
+export const isolatedPartition = (appId) =>
+  `persist:app-${String(appId).toLowerCase().replace(/[^a-z0-9-]/g, '-')}`;
+
+/**
+ * Partition mode of an app
+ * @param {string} appId
+ * @param {Object} modes - `sessionPartitions` from the settings
+ * @returns {string} Value of PARTITION_MODES
+ */
+export const getPartitionMode = (appId, modes) =>
+  modes?.[String(appId).toLowerCase()] === PARTITION_MODES.ISOLATED
+    ? PARTITION_MODES.ISOLATED
+    : PARTITION_MODES.SHARED;
+
+/**
+ * Partition an app's view or webview is created in
+ * @param {string} appId
+ * @param {Object} modes - `sessionPartitions` from the settings
+ * @returns {string}
+ */
+export const getAppPartition = (appId, modes) =>
+  getPartitionMode(appId, modes) === PARTITION_MODES.ISOLATED
+    ? isolatedPartition(appId)
+    : SHARED_PARTITION;
+
+/**
+ * New `sessionPartitions` value with the mode of one app changed. Shared is
+ * the default, so it is stored by removing the entry.
+ * @param {Object} modes
+ * @param {string} appId
+ * @param {string} mode - Value of PARTITION_MODES
+ * @returns {Object}
+ */
+export const setPartitionMode = (modes, appId, mode) => {
+  const next = { ...modes };
+  const key = String(appId).toLowerCase();
+  if (mode === PARTITION_MODES.ISOLATED) {
+    next[key] = PARTITION_MODES.ISOLATED;
+  } else {
+    delete next[key];
+  }
+  return next;
+};
@@ -0,0 +1,90 @@
+/**
+ * Line-based text diff for the secure document version history
+ */
+
+// Above this many cells the LCS table gets too slow and large; the changed
+// middle part is then shown as one removed and one added block.
+const MAX_LCS_CELLS = 4000000;
+
+const splitLines = (text) => String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+/**
+ * Compare two texts line by line
+ * @param {string} oldText - Older version
+ * @param {string} newText - Newer version
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} Diff lines in order
+ */
+export const diffLines = (oldText, newText) => {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  // Common prefix and suffix are cheap and usually most of the file
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const prefix = oldLines.slice(0, start).map(text => ({ type: 'same', text }));
+  const suffix = oldLines.slice(oldEnd).map(text => ({ type: 'same', text }));
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+
+  if (oldMiddle.length * newMiddle.length > MAX_LCS_CELLS) {
+    return [
+      ...prefix,
+      ...oldMiddle.map(text => ({ type: 'removed', text })),
+      ...newMiddle.map(text => ({ type: 'added', text })),
+      ...suffix
+    ];
+  }
+
+  // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+  const rows = oldMiddle.length;
+  const cols = newMiddle.length;
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = oldMiddle[i] === newMiddle[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (oldMiddle[i] === newMiddle[j]) {
+      middle.push({ type: 'same', text: oldMiddle[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      middle.push({ type: 'removed', text: oldMiddle[i] });
+      i++;
+    } else {
+      middle.push({ type: 'added', text: newMiddle[j] });
+      j++;
+    }
+  }
+  while (i < rows) middle.push({ type: 'removed', text: oldMiddle[i++] });
+  while (j < cols) middle.push({ type: 'added', text: newMiddle[j++] });
+
+  return [...prefix, ...middle, ...suffix];
+};
+
+/**
+ * Count added and removed lines of a diff
+ * @param {Array} diff - Result of diffLines
+ * @returns {{added: number, removed: number}}
+ */
+export const summarizeDiff = (diff) => diff.reduce((summary, line) => {
+  if (line.type === 'added') summary.added++;
+  if (line.type === 'removed') summary.removed++;
+  return summary;
+}, { added: 0, removed: 0 });
@@ -0,0 +1,193 @@
+/**
+ * Due dates, priorities and recurrence rules for todos
+ *
+ * A recurrence rule is stored on the todo as
+ *   { type: 'daily' | 'weekly' | 'monthly' | 'interval', weekdays?: number[], interval?: number }
+ * where weekdays use Date#getDay() numbering (0 = Sunday) and interval is
+ * the "every N days" count. Monthly rules may carry `dayOfMonth` so a task
+ * due on the 31st returns to the 31st after a shorter month.
+ */
+
+export const PRIORITIES = [
+  { value: 0, label: 'Keine', colorScheme: 'gray' },
+  { value: 1, label: 'Niedrig', colorScheme: 'green' },
+  { value: 2, label: 'Mittel', colorScheme: 'orange' },
+  { value: 3, label: 'Hoch', colorScheme: 'red' },
+];
+
+// Monday first, as in the German calendar
+export const WEEKDAYS = [
+  { value: 1, label: 'Mo' },
+  { value: 2, label: 'Di' },
+  { value: 3, label: 'Mi' },
+  { value: 4, label: 'Do' },
+  { value: 5, label: 'Fr' },
+  { value: 6, label: 'Sa' },
+  { value: 0, label: 'So' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Add one month, keeping the day of month where possible
+ * (31 January -> 28/29 February instead of rolling over into March)
+ * @param {Date} date - Base date
+ * @param {number} dayOfMonth - The day of month the rule was created for
+ * @returns {Date} Same day next month, clamped to the month's last day
+ */
+const addMonth = (date, dayOfMonth) => {
+  const result = new Date(date);
+  result.setDate(1);
+  result.setMonth(result.getMonth() + 1);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(dayOfMonth, lastDay));
+  return result;
+};
+
+/**
+ * Calculate the occurrence following `date` for a single rule step
+ * @param {Date} date - Current occurrence
+ * @param {Object} recurrence - Recurrence rule
+ * @param {number} dayOfMonth - Day of month for monthly rules
+ * @returns {Date} Next occurrence
+ */
+const stepOccurrence = (date, recurrence, dayOfMonth) => {
+  switch (recurrence.type) {
+    case 'daily':
+      return addDays(date, 1);
+    case 'interval':
+      return addDays(date, Math.max(1, recurrence.interval || 1));
+    case 'weekly': {
+      const weekdays = recurrence.weekdays?.length ? recurrence.weekdays : [date.getDay()];
+      for (let offset = 1; offset <= 7; offset++) {
+        const candidate = addDays(date, offset);
+        if (weekdays.includes(candidate.getDay())) {
+          return candidate;
+        }
+      }
+      return addDays(date, 7);
+    }
+    case 'monthly':
+      return addMonth(date, dayOfMonth);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Get the next due date for a recurring todo. Occurrences that already lie in
+ * the past are skipped, so completing an overdue weekly task schedules the
+ * next upcoming one instead of another overdue one.
+ * @param {string|null} dueDate - Current due date (ISO string), today if not set
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Date} now - Reference time (for testing)
+ * @returns {Date|null} Next due date or null if the rule is invalid
+ */
+export const getNextDueDate = (dueDate, recurrence, now = new Date()) => {
+  if (!recurrence?.type) return null;
+
+  const base = dueDate ? new Date(dueDate) : startOfDay(now);
+  const dayOfMonth = recurrence.dayOfMonth || base.getDate();
+  const today = startOfDay(now);
+
+  let next = stepOccurrence(base, recurrence, dayOfMonth);
+  while (next && next < today) {
+    next = stepOccurrence(next, recurrence, dayOfMonth);
+  }
+  return next;
+};
+
+/**
+ * Create the follow-up instance of a completed recurring todo.
+ * The reminder keeps its distance to the due date.
+ * @param {Object} todo - The todo being completed
+ * @returns {Object|null} New todo or null if the todo does not recur
+ */
+export const createNextInstance = (todo) => {
+  const nextDue = getNextDueDate(todo.dueDate, todo.recurrence);
+  if (!nextDue) return null;
+
+  let reminder = null;
+  if (todo.reminder) {
+    const previousDue = todo.dueDate ? new Date(todo.dueDate) : startOfDay(new Date(todo.reminder));
+    const offset = new Date(todo.reminder).getTime() - previousDue.getTime();
+    reminder = new Date(nextDue.getTime() + offset).toISOString();
+  }
+
+  return {
+    ...todo,
+    id: crypto.randomUUID(),
+    completed: false,
+    completedAt: null,
+    createdAt: new Date().toISOString(),
+    dueDate: nextDue.toISOString(),
+    reminder,
+    // Checklist starts over for every occurrence
+    subtasks: (todo.subtasks || []).map(subtask => ({
+      ...subtask,
+      id: crypto.randomUUID(),
+      completed: false,
+    })),
+  };
+};
+
+/**
+ * Human readable description of a recurrence rule
+ * @param {Object} recurrence - Recurrence rule
+ * @returns {string} German description, empty if not recurring
+ */
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence?.type) return '';
+  switch (recurrence.type) {
+    case 'daily':
+      return 'täglich';
+    case 'interval':
+      return `alle ${recurrence.interval || 1} Tage`;
+    case 'weekly': {
+      const days = WEEKDAYS
+        .filter(day => recurrence.weekdays?.includes(day.value))
+        .map(day => day.label);
+      return days.length ? `wöchentlich (${days.join(', ')})` : 'wöchentlich';
+    }
+    case 'monthly':
+      return 'monatlich';
+    default:
+      return '';
+  }
+};
+
+/**
+ * Whether a todo's due date has passed (compared by calendar day)
+ * @param {Object} todo - Todo item
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if open and due before today
+ */
+export const isOverdue = (todo, now = new Date()) => {
+  if (!todo.dueDate || todo.completed) return false;
+  return new Date(todo.dueDate).getTime() < startOfDay(now).getTime();
+};
+
+/**
+ * Whether a todo is due today
+ * @param {Object} todo - Todo item
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the due date falls on today's calendar day
+ */
+export const isDueToday = (todo, now = new Date()) => {
+  if (!todo.dueDate) return false;
+  const due = new Date(todo.dueDate).getTime();
+  const today = startOfDay(now).getTime();
+  return due >= today && due < today + DAY_MS;
+};
@@ -0,0 +1,116 @@
+/**
+ * Smart todo views ("virtual folders")
+ *
+ * Smart views are computed across all folders and are selected through
+ * todoState.selectedFolder like a real folder. Their ids carry the
+ * SMART_VIEW_PREFIX so they can never clash with a user folder name
+ * (folder names may not contain ':').
+ */
+
+import { isDueToday, isOverdue, startOfDay } from './todoRecurrence';
+
+export const SMART_VIEW_PREFIX = 'smart:';
+export const TODAY_VIEW_ID = `${SMART_VIEW_PREFIX}today`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday 00:00 of the current week
+const startOfWeek = (now) => {
+  const result = startOfDay(now);
+  const daysSinceMonday = (result.getDay() + 6) % 7;
+  result.setDate(result.getDate() - daysSinceMonday);
+  return result;
+};
+
+export const SMART_VIEWS = [
+  {
+    id: TODAY_VIEW_ID,
+    label: 'Heute',
+    filter: (todo, now) => isDueToday(todo, now),
+  },
+  {
+    id: `${SMART_VIEW_PREFIX}overdue`,
+    label: 'Überfällig',
+    filter: (todo, now) => isOverdue(todo, now),
+  },
+  {
+    id: `${SMART_VIEW_PREFIX}upcoming`,
+    label: 'Nächste 7 Tage',
+    filter: (todo, now) => {
+      if (!todo.dueDate || todo.completed) return false;
+      const due = new Date(todo.dueDate).getTime();
+      const today = startOfDay(now).getTime();
+      return due >= today && due < today + 7 * DAY_MS;
+    },
+  },
+  {
+    id: `${SMART_VIEW_PREFIX}reminder`,
+    label: 'Mit Erinnerung',
+    filter: (todo) => Boolean(todo.reminder) && !todo.completed,
+  },
+  {
+    id: `${SMART_VIEW_PREFIX}completed-week`,
+    label: 'Diese Woche erledigt',
+    filter: (todo, now) => todo.completed
+      && Boolean(todo.completedAt)
+      && new Date(todo.completedAt).getTime() >= startOfWeek(now).getTime(),
+  },
+];
+
+/**
+ * Whether a selectedFolder value refers to a smart view
+ * @param {string} folder - Folder name or smart view id
+ * @returns {boolean} True for smart views
+ */
+export const isSmartView = (folder) => typeof folder === 'string' && folder.startsWith(SMART_VIEW_PREFIX);
+
+/**
+ * Get the todos shown for a folder or smart view
+ * @param {Array} todos - All todos
+ * @param {string} folder - Folder name or smart view id
+ * @param {Date} now - Reference time
+ * @returns {Array} Matching todos in their stored order
+ */
+export const filterTodosForView = (todos, folder, now = new Date()) => {
+  const view = SMART_VIEWS.find(v => v.id === folder);
+  if (view) {
+    return todos.filter(todo => view.filter(todo, now));
+  }
+  if (isSmartView(folder)) {
+    // Unknown smart view (e.g. removed in a later version)
+    return [];
+  }
+  return todos.filter(todo => todo.folder === folder);
+};
+
+// "#tag" at the start of the text or after whitespace (so URLs with anchors
+// and markdown headings "# Titel" are not picked up)
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+/**
+ * Extract the #tags from a todo text
+ * @param {string} text - Todo text
+ * @returns {string[]} Unique tags in lower case, without '#'
+ */
+export const extractTags = (text) => {
+  const tags = new Set();
+  for (const match of String(text || '').matchAll(TAG_PATTERN)) {
+    tags.add(match[2].toLowerCase());
+  }
+  return [...tags];
+};
+
+/**
+ * Count how many todos carry each tag
+ * @param {Array} todos - All todos
+ * @returns {Array<{tag: string, count: number}>} Tags sorted by name
+ */
+export const collectTags = (todos) => {
+  const counts = new Map();
+  todos.forEach(todo => {
+    extractTags(todo.text).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => a.tag.localeCompare(b.tag, 'de'));
+};
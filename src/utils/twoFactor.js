@@ -0,0 +1,96 @@
+/**
+ * Second-factor (TOTP) step of the auto-login
+ *
+ * The codes come from the main process (window.electron.getTotpCode), the
+ * secrets never reach the renderer. These builders return JavaScript that
+ * runs inside the app's page, like the login snippets in WebViewContainer.
+ * The code fields are generic, so both scripts only act on the hosts and
+ * origins of the app's login recipe (getRecipeSites in loginRecipes.js).
+ */
+
+// Code fields of the login pages we know, most specific first
+const CODE_FIELD_SELECTORS = [
+  'input#idTxtBx_SAOTCC_OTC',             // Microsoft (Office, ADFS with Azure MFA)
+  'input[name="otc"]',                    // Microsoft, older layout
+  'input[name="challenge"]',              // Nextcloud two-factor TOTP provider
+  'input[autocomplete="one-time-code"]',
+  'input[name="totp"]',
+  'input[name="otp"]',
+].join(', ');
+
+// Known confirm buttons; otherwise the form's own submit button is used
+const SUBMIT_SELECTORS = [
+  '#idSubmit_SAOTCC_Continue',
+].join(', ');
+
+// Expression: is the page on one of the allowed sites?
+const onSiteJs = (sites) => `(() => {
+  const host = location.hostname.toLowerCase();
+  return ${JSON.stringify(sites.origins)}.includes(location.origin) ||
+    ${JSON.stringify(sites.hosts)}.some((domain) => host === domain || host.endsWith('.' + domain));
+})()`;
+
+/**
+ * Check whether a visible code field waits for input
+ * @param {{hosts: string[], origins: string[]}} sites - From getRecipeSites()
+ * @returns {string} Script resolving to true or false (always false on other sites)
+ */
+export const buildTwoFactorCheckScript = (sites) => `(function() {
+  if (!${onSiteJs(sites)}) return false;
+  const field = document.querySelector(${JSON.stringify(CODE_FIELD_SELECTORS)});
+  return !!field && !field.disabled && field.getClientRects().length > 0;
+})()`;
+
+/**
+ * Fill the code field and confirm
+ * @param {string} code - Current TOTP code
+ * @param {{hosts: string[], origins: string[]}} sites - From getRecipeSites()
+ * @returns {string} Script resolving to 'SUBMITTED', 'WRONG_SITE', 'NO_FIELD' or 'NO_SUBMIT'
+ */
+export const buildTwoFactorFillScript = (code, sites) => `(async function() {
+  // Checked again: the page may have navigated since the check
+  if (!${onSiteJs(sites)}) return 'WRONG_SITE';
+  const field = document.querySelector(${JSON.stringify(CODE_FIELD_SELECTORS)});
+  if (!field) return 'NO_FIELD';
+
+  const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+  setter.call(field, ${JSON.stringify(code)});
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+  field.dispatchEvent(new Event('change', { bubbles: true }));
+  await new Promise((resolve) => setTimeout(resolve, 300));
+
+  const button = document.querySelector(${JSON.stringify(SUBMIT_SELECTORS)}) ||
+    field.form?.querySelector('button[type="submit"], input[type="submit"]');
+  if (button) {
+    button.click();
+  } else if (field.form) {
+    field.form.requestSubmit ? field.form.requestSubmit() : field.form.submit();
+  } else {
+    return 'NO_SUBMIT';
+  }
+  return 'SUBMITTED';
+})()`;
+
+/**
+ * Read the otpauth link from a screenshot or photo of the setup QR code
+ *
+ * Uses Chromium's BarcodeDetector, which is not available on every
+ * platform; callers should offer manual entry as the fallback.
+ * @param {File} file - Image file
+ * @returns {Promise<string|null>} Content of the first QR code, null if none was found
+ * @throws {Error} When QR detection is not supported here
+ */
+export const readQrCodeFromImage = async (file) => {
+  const formats = window.BarcodeDetector ? await window.BarcodeDetector.getSupportedFormats() : [];
+  if (!formats.includes('qr_code')) {
+    throw new Error('QR-Codes können auf diesem System nicht gelesen werden. Bitte den Schlüssel manuell eingeben.');
+  }
+  const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+  const bitmap = await createImageBitmap(file);
+  try {
+    const codes = await detector.detect(bitmap);
+    return codes[0]?.rawValue || null;
+  } finally {
+    bitmap.close();
+  }
+};